@@ -0,0 +1,439 @@
+// @ts-check
+const { existsSync } = require("fs");
+const { writeFile, readFile } = require("fs/promises");
+const { createHash } = require("crypto");
+const { join, resolve } = require("path");
+const { openNDJSONStream } = require("./ndjsonReader");
+
+/**
+ * @typedef {Object} ChunkInfo
+ * @property {string} sha256 SHA-256 of the raw NDJSON data.
+ * @property {number} size Size of the raw NDJSON data in bytes.
+ * @property {string} [gzSha256] SHA-256 of the compressed release asset.
+ * @property {number} [gzSize] Size of the compressed release asset in bytes.
+ * @property {number} posts Number of post entries.
+ * @property {number} exceptions Number of exception entries.
+ * @property {number | null} firstTimestamp Timestamp of the first post, null if there are none.
+ * @property {number | null} lastTimestamp Timestamp of the last post, null if there are none.
+ * @property {string} [mirror] Download URL of the Internet Archive copy of the compressed chunk, once it was uploaded.
+ */
+
+/**
+ * The manifest of the default board, with a section of the same shape for each other board.
+ * The default board is at the top level so clients from before other boards were added keep working.
+ * 
+ * @typedef {Object} Manifest
+ * @property {number} lastDownloaded The last downloaded post ID.
+ * @property {Array<string>} daily The list of daily chunk names.
+ * @property {Array<string>} monthly The list of monthly chunk names.
+ * @property {Array<{name: string, url: string}>} yearly The list of yearly chunk names and URLs.
+ * @property {Record<string, ChunkInfo>} chunks Checksums and stats of the daily, monthly and yearly chunks, by name.
+ * @property {Record<string, Manifest>} [boards] The sections of the other boards, by board name.
+ */
+
+/**
+ * @typedef {Object} ChunkName
+ * @property {string} board The board, chunks of boards other than the default one are prefixed with it.
+ * @property {string} timestamp The `YYYYMMDDHHMMSS` creation timestamp.
+ * @property {string} kind The chunk kind, `daily`, `monthly`, `yearly` or `base`.
+ * @property {number} start The first post ID.
+ * @property {number} end The last post ID.
+ */
+
+// Directory holding the manifest and the chunks
+const DATA_DIR = process.env.ARCHIVE_DATA_DIR ? resolve(process.env.ARCHIVE_DATA_DIR) : __dirname;
+const MANIFEST_FILE = join(DATA_DIR, 'manifest.json');
+const ARCHIVE_DOWNLOAD_BASE = 'https://archive.org/download';
+const DEFAULT_BOARD = 'mlp';
+/** @type {Manifest} */
+const DEFAULT_MANIFEST = { lastDownloaded: 0, daily: [], monthly: [], yearly: [], chunks: {} };
+
+/**
+ * Get the manifest data.
+ * 
+ * @param {string} [path] The manifest file path.
+ * @returns {Promise<Manifest>} The manifest data.
+ */
+async function getManifest(path = MANIFEST_FILE) {
+    if (!existsSync(path)) {
+        console.warn(`${path} does not exist. Using default manifest.`);
+        return structuredClone(DEFAULT_MANIFEST);
+    }
+    /** @type {Manifest | null} */
+    let data = null;
+    try {
+        data = await readFile(path, 'utf-8').then(d => JSON.parse(d));
+    } catch (err) {
+        console.error(`Error reading ${path}. Using default manifest. Error:`, err);
+    }
+    const manifest = normalizeManifest(data);
+    if (manifest.boards !== undefined) {
+        if (manifest.boards == null || typeof manifest.boards !== 'object' || Array.isArray(manifest.boards)) {
+            manifest.boards = {};
+        }
+        for (const board in manifest.boards) {
+            manifest.boards[board] = normalizeManifest(manifest.boards[board]);
+            delete manifest.boards[board].boards;
+        }
+    }
+    return manifest;
+}
+
+/**
+ * Fill in the missing or invalid fields of a manifest section.
+ * 
+ * @param {any} data The parsed section.
+ * @returns {Manifest} The section.
+ */
+function normalizeManifest(data) {
+    if (data == null || typeof data !== 'object' || Array.isArray(data)) {
+        data = structuredClone(DEFAULT_MANIFEST);
+    }
+    if (typeof data.lastDownloaded !== 'number') {
+        data.lastDownloaded = 0;
+    }
+    if (!Array.isArray(data.daily)) {
+        data.daily = [];
+    }
+    if (!Array.isArray(data.monthly)) {
+        data.monthly = [];
+    }
+    if (!Array.isArray(data.yearly)) {
+        data.yearly = [];
+    }
+    if (data.chunks == null || typeof data.chunks !== 'object' || Array.isArray(data.chunks)) {
+        data.chunks = {};
+    }
+    return data;
+}
+
+/**
+ * Get the manifest section of a board, adding an empty one if there is none yet.
+ * 
+ * @param {Manifest} manifest The manifest.
+ * @param {string} [board] The board.
+ * @returns {Manifest} The board's section, the manifest itself for the default board.
+ */
+function getBoardManifest(manifest, board = DEFAULT_BOARD) {
+    if (board === DEFAULT_BOARD) {
+        return manifest;
+    }
+    manifest.boards = manifest.boards || {};
+    if (!manifest.boards[board]) {
+        manifest.boards[board] = structuredClone(DEFAULT_MANIFEST);
+    }
+    return manifest.boards[board];
+}
+
+/**
+ * Save the manifest data.
+ * 
+ * @param {Manifest} manifest The manifest to save.
+ * @param {string} [path] The manifest file path.
+ */
+async function saveManifest(manifest, path = MANIFEST_FILE) {
+    await writeFile(path, JSON.stringify(manifest, null, 2), 'utf-8');
+}
+
+/**
+ * Parse a chunk name like `20260101032233_monthly_42842056_42918841`, or `co_20260101032233_monthly_1_2` for another board.
+ * 
+ * @param {string} name The chunk name.
+ * @returns {ChunkName | null} The parsed name, or null if invalid.
+ */
+function parseChunkName(name) {
+    const m = /^(?:([a-z0-9]+)_)?(\d{14})_([a-z]+)_(\d+)_(\d+)$/.exec(name);
+    if (!m || m[1] === DEFAULT_BOARD) {
+        return null;
+    }
+    return { board: m[1] || DEFAULT_BOARD, timestamp: m[2], kind: m[3], start: parseInt(m[4], 10), end: parseInt(m[5], 10) };
+}
+
+/**
+ * Build a chunk name, prefixed with the board unless it is the default one.
+ * 
+ * @param {ChunkName} chunk The chunk name parts.
+ * @returns {string} The chunk name.
+ */
+function formatChunkName({ board, timestamp, kind, start, end }) {
+    const name = `${timestamp}_${kind}_${start}_${end}`;
+    return board === DEFAULT_BOARD ? name : `${board}_${name}`;
+}
+
+/**
+ * Get the Internet Archive item ID prefix of a board.
+ * 
+ * @param {string} [board] The board.
+ * @returns {string} The item ID prefix.
+ */
+function getArchivePrefix(board = DEFAULT_BOARD) {
+    return `desuarchive_${board}`;
+}
+
+/**
+ * Get the names of all chunks listed in the manifest, oldest first.
+ * 
+ * @param {Manifest} manifest The manifest.
+ * @returns {Array<string>} The chunk names.
+ */
+function getChunkNames(manifest) {
+    return [...manifest.yearly.map(y => y.name), ...manifest.monthly, ...manifest.daily];
+}
+
+/**
+ * Get the Internet Archive item of a chunk. Each yearly chunk is published to its own item, and each monthly chunk is mirrored to one.
+ * 
+ * @param {string} name The chunk name.
+ * @param {string} prefix The item ID prefix.
+ * @returns {{ id: string, file: string, url: string }} The item ID, file name and download URL.
+ */
+function getArchiveLocation(name, prefix) {
+    const parsed = parseChunkName(name);
+    if (!parsed) {
+        throw new Error(`Invalid chunk name format: '${name}'`);
+    }
+    const id = `${prefix}_${parsed.start}_${parsed.end}_${parsed.timestamp}`;
+    const file = `${name}.ndjson.gz`;
+    return { id, file, url: `${ARCHIVE_DOWNLOAD_BASE}/${id}/${file}` };
+}
+
+/**
+ * Compute the checksums and stats of a chunk file.
+ * 
+ * @param {string} path The chunk file path, `.ndjson` or `.ndjson.gz`.
+ * @returns {Promise<ChunkInfo>} The chunk info. The compressed checksum and size are only set for gzip files.
+ */
+async function getChunkStats(path) {
+    const { stream, file, gzip } = await openNDJSONStream(path, 0x100000);
+    const rawHash = createHash('sha256');
+    const gzHash = createHash('sha256');
+    let gzSize = 0;
+    if (gzip) {
+        file.on('data', (buf) => {
+            gzHash.update(buf);
+            gzSize += buf.length;
+        });
+    }
+    let size = 0;
+    let posts = 0;
+    let exceptions = 0;
+    /** @type {number | null} */
+    let firstTimestamp = null;
+    /** @type {number | null} */
+    let lastTimestamp = null;
+
+    /**
+     * Count a complete line.
+     * 
+     * @param {Buffer} line The line bytes, without the newline.
+     */
+    function countLine(line) {
+        const text = line.toString('utf-8').trim();
+        if (text.length === 0) {
+            return;
+        }
+        const entry = JSON.parse(text);
+        if ('exception' in entry) {
+            exceptions++;
+            return;
+        }
+        posts++;
+        if (firstTimestamp === null) {
+            firstTimestamp = entry.timestamp;
+        }
+        lastTimestamp = entry.timestamp;
+    }
+
+    try {
+        let leftover = Buffer.alloc(0);
+        for await (const buf of stream) {
+            rawHash.update(buf);
+            size += buf.length;
+            const data = leftover.length > 0 ? Buffer.concat([leftover, buf]) : buf;
+            let pos = 0;
+            let nl;
+            while ((nl = data.indexOf(0x0A, pos)) !== -1) {
+                countLine(data.subarray(pos, nl));
+                pos = nl + 1;
+            }
+            leftover = data.subarray(pos);
+        }
+        if (leftover.length > 0) {
+            countLine(leftover);
+        }
+    } finally {
+        stream.destroy();
+        file.destroy();
+    }
+
+    /** @type {ChunkInfo} */
+    const info = { sha256: rawHash.digest('hex'), size, posts, exceptions, firstTimestamp, lastTimestamp };
+    if (gzip) {
+        info.gzSha256 = gzHash.digest('hex');
+        info.gzSize = gzSize;
+    }
+    return info;
+}
+
+/**
+ * Record the checksums and stats of a chunk in the manifest, from its compressed file if present, otherwise the raw one.
+ * Stats of chunks that are no longer listed in the manifest are dropped.
+ * 
+ * @param {Manifest} manifest The manifest to update.
+ * @param {string} name The chunk name.
+ * @param {string} [dir] The directory holding the chunk files.
+ * @returns {Promise<ChunkInfo>} The recorded chunk info.
+ */
+async function recordChunk(manifest, name, dir = DATA_DIR) {
+    const gzPath = join(dir, `${name}.ndjson.gz`);
+    const rawPath = join(dir, `${name}.ndjson`);
+    const prev = manifest.chunks[name];
+    let info;
+    if (existsSync(gzPath)) {
+        info = await getChunkStats(gzPath);
+    } else if (existsSync(rawPath)) {
+        info = await getChunkStats(rawPath);
+        // Keep the compressed checksum if the raw data did not change
+        if (prev && prev.sha256 === info.sha256 && prev.gzSha256) {
+            info.gzSha256 = prev.gzSha256;
+            info.gzSize = prev.gzSize;
+        }
+    } else {
+        throw new Error(`No file found for chunk ${name} in ${dir}`);
+    }
+    // The mirror is a copy of the compressed file, it is stale once that changes
+    if (prev && prev.mirror && prev.gzSha256 === info.gzSha256) {
+        info.mirror = prev.mirror;
+    }
+    const listed = new Set(getChunkNames(manifest));
+    /** @type {Record<string, ChunkInfo>} */
+    const chunks = {};
+    for (const chunkName in manifest.chunks) {
+        if (listed.has(chunkName) && chunkName !== name) {
+            chunks[chunkName] = manifest.chunks[chunkName];
+        }
+    }
+    chunks[name] = info;
+    manifest.chunks = chunks;
+    return info;
+}
+
+/**
+ * Verify a chunk file against the recorded checksums and stats.
+ * 
+ * @param {ChunkInfo} expected The recorded chunk info.
+ * @param {string} path The chunk file path, `.ndjson` or `.ndjson.gz`.
+ * @returns {Promise<Array<string>>} The mismatches, empty if the file is intact.
+ */
+async function verifyChunkFile(expected, path) {
+    /** @type {ChunkInfo} */
+    let actual;
+    try {
+        actual = await getChunkStats(path);
+    } catch (err) {
+        return [`unreadable: ${err instanceof Error ? err.message : err}`];
+    }
+    /** @type {Array<keyof ChunkInfo>} */
+    const keys = ['sha256', 'size', 'posts', 'exceptions', 'firstTimestamp', 'lastTimestamp'];
+    if (actual.gzSha256 !== undefined && expected.gzSha256 !== undefined) {
+        keys.unshift('gzSha256', 'gzSize');
+    }
+    /** @type {Array<string>} */
+    const mismatches = [];
+    for (const key of keys) {
+        if (actual[key] !== expected[key]) {
+            mismatches.push(`${key}: expected ${expected[key]}, got ${actual[key]}`);
+        }
+    }
+    return mismatches;
+}
+
+async function main() {
+    const [cmd, ...args] = process.argv.slice(2);
+    let dir = DATA_DIR;
+    let board = DEFAULT_BOARD;
+    /** @type {Array<string>} */
+    const names = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--dir') {
+            dir = resolve(args[++i]);
+        } else if (args[i] === '--board') {
+            board = args[++i];
+        } else {
+            names.push(args[i]);
+        }
+    }
+
+    if (cmd === 'record' && names.length > 0) {
+        const manifest = await getManifest();
+        for (const name of names) {
+            // The chunk name tells the board
+            const info = await recordChunk(getBoardManifest(manifest, parseChunkName(name)?.board), name, dir);
+            console.log(`Recorded ${name}: ${info.posts} posts, ${info.exceptions} exceptions, sha256 ${info.sha256}.`);
+        }
+        await saveManifest(manifest);
+        return;
+    }
+
+    if (cmd === 'verify') {
+        const manifest = await getManifest();
+        const toVerify = names.length > 0 ? names : getChunkNames(getBoardManifest(manifest, board));
+        let failed = 0;
+        let verified = 0;
+        for (const name of toVerify) {
+            const expected = getBoardManifest(manifest, parseChunkName(name)?.board).chunks[name];
+            if (!expected) {
+                console.warn(`${name}: no checksums recorded, skipping.`);
+                continue;
+            }
+            for (const path of [join(dir, `${name}.ndjson.gz`), join(dir, `${name}.ndjson`)]) {
+                if (!existsSync(path)) {
+                    continue;
+                }
+                const mismatches = await verifyChunkFile(expected, path);
+                verified++;
+                if (mismatches.length > 0) {
+                    failed++;
+                    console.error(`${path}: FAILED`);
+                    for (const m of mismatches) {
+                        console.error(`    ${m}`);
+                    }
+                } else {
+                    console.log(`${path}: OK`);
+                }
+            }
+        }
+        console.log(`Verified ${verified} files, ${failed} failed.`);
+        if (failed > 0) {
+            process.exit(1);
+        }
+        return;
+    }
+
+    console.error('Usage: node archiveManifest.js record [--dir <dir>] <chunk-name>...');
+    console.error('       node archiveManifest.js verify [--dir <dir>] [--board <board>] [<chunk-name>...]');
+    process.exit(1);
+}
+
+if (require.main === module) {
+    main().catch((err) => {
+        console.error('Fatal error:', err);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    DEFAULT_BOARD,
+    MANIFEST_FILE,
+    getManifest,
+    getBoardManifest,
+    saveManifest,
+    parseChunkName,
+    formatChunkName,
+    getArchivePrefix,
+    getChunkNames,
+    getArchiveLocation,
+    getChunkStats,
+    recordChunk,
+    verifyChunkFile,
+};
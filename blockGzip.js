@@ -0,0 +1,342 @@
+// @ts-check
+const { createWriteStream } = require('fs');
+const { open, writeFile, rename, readFile } = require('fs/promises');
+const { promisify } = require('util');
+const zlib = require('zlib');
+const { openNDJSONStream } = require('./ndjsonReader');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * @typedef {Object} GzipBlock
+ * @property {number} offset The byte offset of the gzip member in the file.
+ * @property {number} size The compressed size of the gzip member.
+ * @property {number} first The first post number in the member.
+ * @property {number} last The last post number in the member.
+ * @property {number} count The number of entries in the member.
+ */
+
+/**
+ * @typedef {Object} BlockGzipIndex
+ * @property {number} version The index format version.
+ * @property {number} postsPerBlock The maximum number of entries per gzip member.
+ * @property {number} size The size of the block-gzip file.
+ * @property {Array<GzipBlock>} blocks The gzip members, in file order.
+ */
+
+const INDEX_VERSION = 1;
+const DEFAULT_POSTS_PER_BLOCK = 10_000;
+const NEWLINE = Buffer.from('\n');
+
+/**
+ * Get the path or URL of the block index sidecar of a block-gzip file.
+ * 
+ * @param {string} file The block-gzip file path or URL.
+ * @returns {string} The sidecar path or URL.
+ */
+function getBlockIndexPath(file) {
+    return `${file}.blocks.json`;
+}
+
+/**
+ * Re-encode an NDJSON archive as concatenated independent gzip members of up to `postsPerBlock` entries each.
+ * Any gzip reader decompresses the result as a normal `.ndjson.gz`, the block index sidecar allows inflating single members.
+ * Lines are copied as is, the decompressed data is byte for byte the same as the input.
+ * 
+ * @param {string} inputPath The NDJSON archive path, optionally gzip compressed. Entries must be sorted by post number.
+ * @param {string} outputPath The block-gzip output path.
+ * @param {{ postsPerBlock?: number, level?: number }} [opts={}] The number of entries per member and the gzip level.
+ * @returns {Promise<BlockGzipIndex>} The block index, also saved as a sidecar.
+ */
+async function encodeBlockGzip(inputPath, outputPath, opts = {}) {
+    const postsPerBlock = opts.postsPerBlock || DEFAULT_POSTS_PER_BLOCK;
+    const level = opts.level || 9;
+    const { stream, file } = await openNDJSONStream(inputPath, 0x100000);
+    const tmpPath = `${outputPath}.${process.pid}.tmp`;
+    const out = createWriteStream(tmpPath, { flags: 'w' });
+    /** @type {Promise<void>} */
+    const outClosed = new Promise((resolve, reject) => {
+        out.once('close', () => resolve());
+        out.once('error', reject);
+    });
+    // Awaited in the finally block below, don't report it as unhandled before that
+    outClosed.catch(() => { });
+
+    /** @type {Array<GzipBlock>} */
+    const blocks = [];
+    /** @type {Array<Buffer>} */
+    let lines = [];
+    let count = 0;
+    let first = -1;
+    let last = -1;
+    let offset = 0;
+
+    /**
+     * Compress the collected lines into a gzip member and write it.
+     */
+    async function flushBlock() {
+        if (lines.length === 0) {
+            return;
+        }
+        const member = await gzip(Buffer.concat(lines), { level });
+        blocks.push({ offset, size: member.length, first, last, count });
+        offset += member.length;
+        lines = [];
+        count = 0;
+        if (!out.write(member)) {
+            await new Promise((resolve) => out.once('drain', () => resolve(void 0)));
+        }
+    }
+
+    /**
+     * Add a complete line to the current block.
+     * 
+     * @param {Buffer} line The line bytes, without the newline.
+     */
+    async function addLine(line) {
+        const text = line.toString('utf-8').trim();
+        if (text.length === 0) {
+            return;
+        }
+        const num = parseInt(JSON.parse(text).num, 10);
+        if (!(num > last)) {
+            throw new Error(`Entries are not sorted by post number in ${inputPath}: ${num} after ${last}`);
+        }
+        if (lines.length === 0) {
+            first = num;
+        }
+        last = num;
+        lines.push(line, NEWLINE);
+        if (++count >= postsPerBlock) {
+            await flushBlock();
+        }
+    }
+
+    try {
+        let leftover = Buffer.alloc(0);
+        for await (const buf of stream) {
+            const data = leftover.length > 0 ? Buffer.concat([leftover, buf]) : buf;
+            let pos = 0;
+            let nl;
+            while ((nl = data.indexOf(0x0A, pos)) !== -1) {
+                await addLine(data.subarray(pos, nl));
+                pos = nl + 1;
+            }
+            leftover = data.subarray(pos);
+        }
+        if (leftover.length > 0) {
+            await addLine(leftover);
+        }
+        await flushBlock();
+    } finally {
+        stream.destroy();
+        file.destroy();
+        out.end();
+        await outClosed;
+    }
+
+    /** @type {BlockGzipIndex} */
+    const index = { version: INDEX_VERSION, postsPerBlock, size: offset, blocks };
+    await rename(tmpPath, outputPath);
+    await writeFile(getBlockIndexPath(outputPath), JSON.stringify(index), 'utf-8');
+    return index;
+}
+
+/**
+ * Random access reader for block-gzip archives, local or remote.
+ * Remote archives are read with HTTP range requests, only the members that hold the requested posts are fetched.
+ */
+class BlockGzipReader {
+    /**
+     * @param {string} source The block-gzip file path or URL.
+     * @param {BlockGzipIndex} index The block index.
+     */
+    constructor(source, index) {
+        this.source = source;
+        this.index = index;
+        this.remote = /^https?:\/\//.test(source);
+    }
+
+    /**
+     * Open a block-gzip archive using its block index sidecar.
+     * 
+     * @param {string} source The block-gzip file path or URL.
+     * @param {string} [indexSource] The block index path or URL, if not next to the archive.
+     * @returns {Promise<BlockGzipReader>} The reader.
+     */
+    static async open(source, indexSource) {
+        indexSource = indexSource || getBlockIndexPath(source);
+        /** @type {BlockGzipIndex} */
+        let index;
+        if (/^https?:\/\//.test(indexSource)) {
+            const resp = await fetch(indexSource);
+            if (!resp.ok) {
+                throw new Error(`Failed to fetch block index ${indexSource}: ${resp.status} ${resp.statusText}`);
+            }
+            index = await resp.json();
+        } else {
+            index = JSON.parse(await readFile(indexSource, 'utf-8'));
+        }
+        if (index.version !== INDEX_VERSION || !Array.isArray(index.blocks)) {
+            throw new Error(`Unsupported block index format in ${indexSource}`);
+        }
+        return new BlockGzipReader(source, index);
+    }
+
+    /**
+     * Read a byte range of the archive.
+     * 
+     * @param {number} offset The byte offset.
+     * @param {number} size The number of bytes.
+     * @returns {Promise<Buffer>} The bytes.
+     */
+    async readBytes(offset, size) {
+        if (this.remote) {
+            const resp = await fetch(this.source, { headers: { Range: `bytes=${offset}-${offset + size - 1}` } });
+            if (resp.status !== 206) {
+                throw new Error(`Range request failed for ${this.source}: ${resp.status} ${resp.statusText}`);
+            }
+            const buf = Buffer.from(await resp.arrayBuffer());
+            if (buf.length !== size) {
+                throw new Error(`Short range response from ${this.source}: expected ${size} bytes, got ${buf.length}`);
+            }
+            return buf;
+        }
+        const fh = await open(this.source, 'r');
+        try {
+            const buf = Buffer.alloc(size);
+            const { bytesRead } = await fh.read(buf, 0, size, offset);
+            if (bytesRead !== size) {
+                throw new Error(`Unexpected end of ${this.source}: expected ${size} bytes at ${offset}, got ${bytesRead}`);
+            }
+            return buf;
+        } finally {
+            await fh.close();
+        }
+    }
+
+    /**
+     * Find the member that may hold a post number.
+     * 
+     * @param {number} num The post number.
+     * @returns {number} The member position, or -1 if the post number is outside of the archive.
+     */
+    findBlock(num) {
+        const blocks = this.index.blocks;
+        let low = 0;
+        let high = blocks.length - 1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (blocks[mid].last < num) {
+                low = mid + 1;
+            } else if (blocks[mid].first > num) {
+                high = mid - 1;
+            } else {
+                return mid;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Inflate a member and parse its entries.
+     * 
+     * @param {number} blockI The member position.
+     * @returns {Promise<Array<any>>} The entries of the member.
+     */
+    async readBlock(blockI) {
+        const block = this.index.blocks[blockI];
+        const data = await gunzip(await this.readBytes(block.offset, block.size));
+        return data.toString('utf-8').split('\n').filter(l => l.trim().length > 0).map(l => JSON.parse(l));
+    }
+
+    /**
+     * Get an archive entry by its post number.
+     * 
+     * @param {number} num The post number.
+     * @returns {Promise<any | null>} The entry, or null if the archive does not contain it.
+     */
+    async getPost(num) {
+        const blockI = this.findBlock(num);
+        if (blockI === -1) {
+            return null;
+        }
+        const entries = await this.readBlock(blockI);
+        return entries.find(e => parseInt(e.num, 10) === num) || null;
+    }
+
+    /**
+     * Read the archive entries within a post number range, inflating only the members that overlap it.
+     * 
+     * @param {number} from The first post number, inclusive.
+     * @param {number} to The last post number, inclusive.
+     * @param {(entry: any) => (void | boolean | Promise<void | boolean>)} onEntry Callback invoked for each entry in the range. If it returns true, reading stops.
+     */
+    async readRange(from, to, onEntry) {
+        const blocks = this.index.blocks;
+        for (let i = 0; i < blocks.length; i++) {
+            if (blocks[i].last < from) {
+                continue;
+            }
+            if (blocks[i].first > to) {
+                return;
+            }
+            for (const entry of await this.readBlock(i)) {
+                const num = parseInt(entry.num, 10);
+                if (num < from) {
+                    continue;
+                }
+                if (num > to) {
+                    return;
+                }
+                let r = onEntry(entry);
+                if (r instanceof Promise) {
+                    r = await r;
+                }
+                if (r) {
+                    return;
+                }
+            }
+        }
+    }
+}
+
+async function main() {
+    const [cmd, ...args] = process.argv.slice(2);
+    if (cmd === 'encode' && args.length >= 2) {
+        const postsPerBlock = args[2] ? parseInt(args[2], 10) : DEFAULT_POSTS_PER_BLOCK;
+        if (!Number.isSafeInteger(postsPerBlock) || postsPerBlock <= 0) {
+            throw new Error(`Invalid posts per block: ${args[2]}`);
+        }
+        const index = await encodeBlockGzip(args[0], args[1], { postsPerBlock });
+        console.log(`Wrote ${args[1]}: ${index.blocks.length} blocks, ${index.size} bytes. Index: ${getBlockIndexPath(args[1])}`);
+        return;
+    }
+    if (cmd === 'get' && args.length >= 2) {
+        const reader = await BlockGzipReader.open(args[0]);
+        const post = await reader.getPost(parseInt(args[1], 10));
+        if (!post) {
+            console.error(`Post ${args[1]} not found.`);
+            process.exit(1);
+        }
+        console.log(JSON.stringify(post));
+        return;
+    }
+    console.error('Usage: node blockGzip.js encode <input.ndjson[.gz]> <output.ndjson.gz> [posts-per-block]');
+    console.error('       node blockGzip.js get <archive.ndjson.gz | url> <post-number>');
+    process.exit(1);
+}
+
+if (require.main === module) {
+    main().catch((err) => {
+        console.error('Error:', err);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    BlockGzipReader,
+    encodeBlockGzip,
+    getBlockIndexPath,
+};
@@ -5,6 +5,7 @@ const { tmpdir } = require("os");
 const { join } = require("path");
 const { spawn } = require("child_process");
 const { extractUASync } = require("./extractUA");
+const { withFetchCache } = require("./fetchCache");
 
 /** @typedef {(request: Request) => Promise<Response>} CDPFetcher */
 
@@ -30,7 +31,6 @@ if (process.env.CDP_FETCHER_ADDITIONAL_CHROME_ARGS) {
 const ADDITIONAL_CHROME_ARGS = ADDITIONAL_CHROME_ARGS_RAW;
 
 
-const TARGET_URL = "https://archived.moe/fetcher";
 const CUSTOM_BODY = `
 <!DOCTYPE html>
 <html lang="en">
@@ -327,11 +327,20 @@ async function waitForDebugger(port, timeout) {
     throw new Error("Timed out waiting for debugger to be available");
 }
 
+/**
+ * CDP fetcher state of a host.
+ * @typedef {Object} CDPHost
+ * @property {string} targetUrl The page the fetcher runs in, so its requests are same-origin with the host.
+ * @property {number} debugPort The Chrome remote debugging port of the host's fetcher.
+ * @property {Promise<CDPFetcher | null> | null} initPromise The fetcher being initialized, if any.
+ * @property {CDPFetcher | null} fetcher The current fetcher, if any.
+ * @property {boolean} prevDirect403 Whether the previous direct fetch to the host resulted in a 403.
+ */
+
 let dontReinit = false;
-/** @type {Promise<CDPFetcher | null> | null} */
-let cdpInitPromise = null;
-/** @type {CDPFetcher | null} */
-let currentCDPFetcher = null;
+/** @type {Map<string, CDPHost>} Hosts whose blocked requests go through a CDP fetcher, by hostname */
+const cdpHosts = new Map();
+let nextDebugPort = 9224;
 /** @type {Promise<void>[]} */
 const cleanupPromises = [];
 /** @type {Array<(doReinit?: boolean) => null>} */
@@ -377,18 +386,20 @@ function promiseErr(promise, msg) {
 }
 
 /**
- * Initializes the CDP fetcher by launching Chrome and setting up request interception.
+ * Initializes the CDP fetcher of a host by launching Chrome and setting up request interception.
  * 
+ * @param {CDPHost} host - The host to initialize the fetcher for.
  * @returns {Promise<CDPFetcher | null>} A promise that resolves to the CDP fetcher or null on failure.
  */
-async function initCDPFetcher() {
+async function initCDPFetcher(host) {
     // Wait for any ongoing cleanup to finish
     while (cleanupPromises.length > 0) {
         await Promise.all(cleanupPromises.slice());
         await new Promise((resolve) => setTimeout(resolve, 0));
     }
     const DATA_DIR = mkdtempSync(join(tmpdir(), "cdp-fetcher-chrome-"));
-    const DEBUG_PORT = 9224;
+    const DEBUG_PORT = host.debugPort;
+    const TARGET_URL = host.targetUrl;
     /** @type {import("child_process").ChildProcess | null} */
     let chromeProc = null;
     /** @type {import("chrome-remote-interface").Client | null} */
@@ -415,8 +426,8 @@ async function initCDPFetcher() {
             cleanups.splice(cleanupIdx, 1);
         }
         // Clear current fetcher if it's this one
-        if (currentCDPFetcher === cdpFetcher) {
-            currentCDPFetcher = null;
+        if (host.fetcher === cdpFetcher) {
+            host.fetcher = null;
         }
 
         const cleanupPromise = Promise.all([
@@ -446,8 +457,8 @@ async function initCDPFetcher() {
             }
         });
 
-        currentCDPFetcher = null;
-        cdpInitPromise = null;
+        host.fetcher = null;
+        host.initPromise = null;
 
         return null;
     }
@@ -698,33 +709,49 @@ async function initCDPFetcher() {
 }
 
 /**
- * Gets the CDP fetcher, initializing it if necessary.
+ * Gets the CDP fetcher of a host, initializing it if necessary.
  * 
+ * @param {CDPHost} host - The host to get the fetcher for.
  * @returns {Promise<CDPFetcher | null>} A promise that resolves to the CDP fetcher or null.
  */
-async function getCDPFetcher() {
-    if (currentCDPFetcher) {
-        return currentCDPFetcher;
+async function getCDPFetcher(host) {
+    if (host.fetcher) {
+        return host.fetcher;
     }
-    if (cdpInitPromise) {
-        return cdpInitPromise;
+    if (host.initPromise) {
+        return host.initPromise;
     }
     if (dontReinit) {
         return null;
     }
-    const initPromise = initCDPFetcher().then((fetcher) => {
-        currentCDPFetcher = fetcher;
-        cdpInitPromise = null;
+    const initPromise = initCDPFetcher(host).then((fetcher) => {
+        host.fetcher = fetcher;
+        host.initPromise = null;
         return fetcher;
     });
-    cdpInitPromise = initPromise;
+    host.initPromise = initPromise;
     return initPromise;
 }
 
-let prevDirect403 = false;
+/**
+ * Route blocked requests to a host through a CDP fetcher.
+ * 
+ * @param {string} hostname - The hostname.
+ */
+function enableCDPFetcher(hostname) {
+    if (!cdpHosts.has(hostname)) {
+        cdpHosts.set(hostname, {
+            targetUrl: `https://${hostname}/fetcher`,
+            debugPort: nextDebugPort++,
+            initPromise: null,
+            fetcher: null,
+            prevDirect403: false,
+        });
+    }
+}
 
 /**
- * Fetch function that uses CDP to bypass restrictions on archived.moe.
+ * Fetch function that uses CDP to bypass restrictions on the hosts it is enabled for.
  * 
  * @overload
  * @param {string | URL | Request} input - The input URL or Request object.
@@ -732,7 +759,7 @@ let prevDirect403 = false;
  * @returns {Promise<Response>} A promise that resolves to the fetch Response.
  */
 /**
- * Fetch function that uses CDP to bypass restrictions on archived.moe.
+ * Fetch function that uses CDP to bypass restrictions on the hosts it is enabled for.
  * 
  * @overload
  * @param {URL | Request} input - The input URL or Request object.
@@ -740,34 +767,44 @@ let prevDirect403 = false;
  * @returns {Promise<Response>} A promise that resolves to the fetch Response.
  */
 /**
- * Fetch function that uses CDP to bypass restrictions on archived.moe.
+ * Fetch function that uses CDP to bypass restrictions on the hosts it is enabled for.
  * 
  * @param {string | URL | Request} input - The input URL or Request object.
  * @param {RequestInit} [init] - The fetch request initialization options.
  * @returns {Promise<Response>} A promise that resolves to the fetch Response.
  */
 async function cdpFetch(input, init) {
-    const request = new Request(input, init);
+    return fetchRequest(new Request(input, init));
+}
+
+/**
+ * Fetch a request, using the CDP fetcher of its host when direct fetches are blocked.
+ * 
+ * @param {Request} request - The Request object to fetch.
+ * @returns {Promise<Response>} A promise that resolves to the fetch Response.
+ */
+async function cdpFetchRequest(request) {
     const url = new URL(request.url);
-    if (url.hostname !== "archived.moe") {
+    const host = cdpHosts.get(url.hostname);
+    if (!host) {
         return fetch(request);
     }
     // If the previous direct fetch resulted in a 403 and we have a CDP fetcher, use it right away
-    if (prevDirect403 && currentCDPFetcher) {
-        return currentCDPFetcher(request);
+    if (host.prevDirect403 && host.fetcher) {
+        return host.fetcher(request);
     }
     const response = await fetch(request);
     if (response.ok || response.status !== 403) {
-        prevDirect403 = false;
+        host.prevDirect403 = false;
         return response;
     }
     let initMessages = false;
-    if (!prevDirect403) {
-        prevDirect403 = true;
+    if (!host.prevDirect403) {
+        host.prevDirect403 = true;
         initMessages = true;
         console.log("Initial fetch failed with status", response.status, "using CDP fetcher...");
     }
-    const cdpFetcher = await getCDPFetcher();
+    const cdpFetcher = await getCDPFetcher(host);
     if (!cdpFetcher) {
         if (initMessages) {
             console.warn("CDP fetcher not available, returning original response.");
@@ -777,6 +814,9 @@ async function cdpFetch(input, init) {
     return cdpFetcher(request);
 }
 
+// Record or replay responses when FETCH_CACHE_MODE is set
+const fetchRequest = withFetchCache(cdpFetchRequest);
+
 /**
  * Closes all CDP fetchers and cleans up resources.
  * 
@@ -800,4 +840,5 @@ async function closeCDPFetchers() {
 module.exports = {
     cdpFetch,
     closeCDPFetchers,
+    enableCDPFetcher,
 };
@@ -0,0 +1,164 @@
+// @ts-check
+const { resolve, basename } = require("path");
+const { readNDJSON } = require("./ndjsonReader");
+const { getChunkStats, parseChunkName } = require("./archiveManifest");
+
+/**
+ * @typedef {Object} ConsolidationInput
+ * @property {string} name The input chunk name.
+ * @property {number} start The first post ID of the input.
+ * @property {number} end The last post ID of the input.
+ * @property {number} posts Number of post entries in the input.
+ * @property {number} exceptions Number of exception entries in the input.
+ */
+
+// Stop listing ordering problems after this many, the file is broken either way
+const MAX_REPORTED = 20;
+
+/**
+ * Verify a consolidated chunk before its inputs are deleted.
+ * It must hold exactly one entry per post ID from `start` to `end`, in order, and every input's range must hold
+ * as many entries as the input did and no fewer posts. Rechecking may only turn exceptions into posts.
+ * 
+ * @param {string} path The consolidated NDJSON path, optionally gzip compressed.
+ * @param {number} start The first post ID.
+ * @param {number} end The last post ID.
+ * @param {Array<ConsolidationInput>} inputs The input chunks, in order.
+ * @returns {Promise<Array<string>>} The problems found, empty if the consolidated chunk is intact.
+ */
+async function verifyConsolidated(path, start, end, inputs) {
+    /** @type {Array<string>} */
+    const problems = [];
+    let orderProblems = 0;
+
+    /**
+     * @param {string} problem The ordering problem.
+     */
+    function orderProblem(problem) {
+        if (++orderProblems <= MAX_REPORTED) {
+            problems.push(problem);
+        }
+    }
+
+    let next = start;
+    for (let i = 0; i < inputs.length; i++) {
+        if (inputs[i].start !== next) {
+            problems.push(`input ${inputs[i].name} starts at ${inputs[i].start}, expected ${next}`);
+        }
+        next = inputs[i].end + 1;
+    }
+    if (inputs.length > 0 && next !== end + 1) {
+        problems.push(`inputs end at ${next - 1}, expected ${end}`);
+    }
+
+    const counts = inputs.map(() => ({ posts: 0, exceptions: 0 }));
+    let inputI = 0;
+    let expected = start;
+    let last = -1;
+    try {
+        await readNDJSON(path, (entry) => {
+            const num = parseInt(entry.num, 10);
+            if (!Number.isSafeInteger(num)) {
+                orderProblem(`invalid post ID ${JSON.stringify(entry.num)} after ${last}`);
+                return;
+            }
+            if (num <= last) {
+                orderProblem(num === last ? `duplicate post ${num}` : `post ${num} after ${last}, not sorted`);
+            } else if (num !== expected) {
+                orderProblem(num > expected ? `missing posts ${expected}-${num - 1}` : `post ${num} before ${start}`);
+            }
+            if (num > last) {
+                last = num;
+                expected = num + 1;
+            }
+            while (inputI < inputs.length && inputs[inputI].end < num) {
+                inputI++;
+            }
+            if (inputI < inputs.length && inputs[inputI].start <= num) {
+                if ('exception' in entry) {
+                    counts[inputI].exceptions++;
+                } else {
+                    counts[inputI].posts++;
+                }
+            }
+        });
+    } catch (err) {
+        return [...problems, `unreadable: ${err instanceof Error ? err.message : err}`];
+    }
+    if (orderProblems > MAX_REPORTED) {
+        problems.push(`... and ${orderProblems - MAX_REPORTED} more ordering problems`);
+    }
+    if (last === -1) {
+        problems.push('no entries');
+    } else if (last < end) {
+        problems.push(`missing posts ${Math.max(expected, start)}-${end}`);
+    } else if (last > end) {
+        problems.push(`posts past the end, up to ${last}`);
+    }
+
+    for (let i = 0; i < inputs.length; i++) {
+        const input = inputs[i];
+        const entries = counts[i].posts + counts[i].exceptions;
+        if (entries !== input.posts + input.exceptions) {
+            problems.push(`input ${input.name}: expected ${input.posts + input.exceptions} entries, got ${entries}`);
+        } else if (counts[i].posts < input.posts) {
+            problems.push(`input ${input.name}: expected at least ${input.posts} posts, got ${counts[i].posts}`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Get the consolidation input info of a chunk file.
+ * 
+ * @param {string} path The chunk file path, named `<name>.ndjson` or `<name>.ndjson.gz`.
+ * @returns {Promise<ConsolidationInput>} The input info.
+ */
+async function getInputInfo(path) {
+    const name = basename(path).replace(/\.ndjson(\.gz)?$/, '');
+    const parsed = parseChunkName(name);
+    if (!parsed) {
+        throw new Error(`Invalid chunk name format: '${name}'`);
+    }
+    const { posts, exceptions } = await getChunkStats(path);
+    return { name, start: parsed.start, end: parsed.end, posts, exceptions };
+}
+
+async function main() {
+    const [consolidatedPath, ...inputPaths] = process.argv.slice(2);
+    if (!consolidatedPath || inputPaths.length === 0) {
+        console.error('Usage: node consolidationCheck.js <consolidated.ndjson[.gz]> <input.ndjson[.gz]>...');
+        process.exit(1);
+    }
+    const name = basename(consolidatedPath).replace(/\.ndjson(\.gz)?$/, '');
+    const parsed = parseChunkName(name);
+    if (!parsed) {
+        throw new Error(`Invalid chunk name format: '${name}'`);
+    }
+    /** @type {Array<ConsolidationInput>} */
+    const inputs = [];
+    for (const inputPath of inputPaths) {
+        inputs.push(await getInputInfo(resolve(inputPath)));
+    }
+    const problems = await verifyConsolidated(resolve(consolidatedPath), parsed.start, parsed.end, inputs);
+    if (problems.length > 0) {
+        console.error(`${consolidatedPath}: FAILED`);
+        for (const problem of problems) {
+            console.error(`    ${problem}`);
+        }
+        process.exit(1);
+    }
+    console.log(`${consolidatedPath}: OK`);
+}
+
+if (require.main === module) {
+    main().catch((err) => {
+        console.error('Error:', err);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    getInputInfo,
+    verifyConsolidated,
+};
@@ -1,68 +1,27 @@
 // @ts-check
 const { existsSync } = require("fs");
-const { writeFile, readFile } = require("fs/promises");
-const { join } = require("path");
-const { fetchPost, getLatestIndex, fetchThread, getPriority } = require("./ffUtils");
+const { writeFile, readFile, unlink } = require("fs/promises");
+const { join, resolve } = require("path");
+const { fetchPost, getLatestIndex, fetchThread, getPriority, getSiteLimits, isFailure } = require("./ffUtils");
 const { closeCDPFetchers } = require("./cdpFetch");
+const { getSources } = require("./sourceRegistry");
+const { runPool, range } = require("./fetchPool");
+const { readJournal, appendJournal } = require("./ndjsonWriter");
+const { isFetchError } = require("./fetchErrors");
+const { createException, addAttempt } = require("./exceptionEntry");
+const { getLedgerFile, loadLedger, saveLedger, trackGaps, retryGaps } = require("./retryLedger");
+const { getManifest, saveManifest, recordChunk, getBoardManifest, formatChunkName, DEFAULT_BOARD } = require("./archiveManifest");
 
 /** @typedef {import('./ffUtils').MinimalFFPost} MinimalFFPost */
+/** @typedef {import('./ffUtils').MinimalFFThread} MinimalFFThread */
+/** @typedef {import('./fetchErrors').FetchError} FetchError */
+/** @typedef {import('./fetchErrors').FetchErrorKind} FetchErrorKind */
+/** @typedef {import('./ffUtils').FetchFailure} FetchFailure */
 
-/**
- * @typedef {Object} Manifest
- * @property {number} lastDownloaded The last downloaded post ID.
- * @property {Array<string>} daily The list of daily chunk names.
- * @property {Array<string>} monthly The list of monthly chunk names.
- * @property {Array<{name: string, url: string}>} yearly The list of yearly chunk names and URLs.
- */
-
-// Last downloaded post file
-const MANIFEST_FILE = join(__dirname, 'manifest.json');
-/** @type {Manifest} */
-const DEFAULT_MANIFEST = { lastDownloaded: 0, daily: [], monthly: [], yearly: [] };
+/** @typedef {import('./archiveManifest').Manifest} Manifest */
 
-/**
- * Get the manifest data.
- * 
- * @returns {Promise<Manifest>} The manifest data.
- */
-async function getManifest() {
-    if (!existsSync(MANIFEST_FILE)) {
-        console.warn(`${MANIFEST_FILE} does not exist. Using default manifest.`);
-        return structuredClone(DEFAULT_MANIFEST);
-    }
-    /** @type {Manifest | null} */
-    let data = null;
-    try {
-        data = await readFile(MANIFEST_FILE, 'utf-8').then(d => JSON.parse(d));
-    } catch (err) {
-        console.error(`Error reading ${MANIFEST_FILE}. Using default manifest. Error:`, err);
-    }
-    if (data == null || typeof data !== 'object' || Array.isArray(data)) {
-        data = structuredClone(DEFAULT_MANIFEST);
-    }
-    if (typeof data.lastDownloaded !== 'number') {
-        data.lastDownloaded = 0;
-    }
-    if (!Array.isArray(data.daily)) {
-        data.daily = [];
-    }
-    if (!Array.isArray(data.monthly)) {
-        data.monthly = [];
-    }
-    if (!Array.isArray(data.yearly)) {
-        data.yearly = [];
-    }
-    return data;
-}
-
-/**
- * Save the manifest data.
- * 
- * @param {Manifest} manifest The manifest to save.
- */
-async function saveManifest(manifest) {
-    await writeFile(MANIFEST_FILE, JSON.stringify(manifest, null, 2), 'utf-8');
-}
+// Directory holding the manifest, the chunks and the download state
+const DATA_DIR = process.env.ARCHIVE_DATA_DIR ? resolve(process.env.ARCHIVE_DATA_DIR) : __dirname;
 
 /**
  * Convert seconds to human-readable time.
@@ -110,25 +69,96 @@ function getTimestampStr(d) {
 
 // Maximum number of posts to download in one chunk
 const CHUNK_POSTS_MAX = 100_000;
-// Post lookup cache file
-const POST_LOOKUP_FILE = join(__dirname, 'post_lookup_cache.json');
+// Board to download, can be overridden with the BOARD environment variable
+const BOARD = process.env.BOARD || DEFAULT_BOARD;
 
-async function downloadChunk() {
-    const manifest = await getManifest();
-    const lastDesuPost = await getLatestIndex();
+/**
+ * Get the path of a download state file of a board. The default board keeps the unsuffixed names.
+ * 
+ * @param {string} name The file name without extension.
+ * @param {string} ext The file extension.
+ * @param {string} board The board.
+ * @returns {string} The file path.
+ */
+function getStateFile(name, ext, board) {
+    return join(DATA_DIR, board === DEFAULT_BOARD ? `${name}.${ext}` : `${name}_${board}.${ext}`);
+}
+
+/** @typedef {import('./exceptionEntry').ExceptionEntry} ExceptionEntry */
+/** @typedef {MinimalFFPost | ExceptionEntry} ChunkEntry */
+
+/**
+ * @typedef {Object} JournalRange
+ * @property {'range'} t The record type.
+ * @property {number} start The first post ID of the chunk.
+ * @property {number} end The last post ID of the chunk.
+ */
+
+/**
+ * @typedef {Object} JournalStep
+ * @property {'step'} t The record type.
+ * @property {string} site The site the step fetched from.
+ * @property {number} num The post ID the step was processing.
+ * @property {Array<ChunkEntry>} posts The entries the step added to the chunk.
+ */
+
+/**
+ * @typedef {Object} JournalPass
+ * @property {'pass'} t The record type.
+ * @property {string} site The site whose pass has ended.
+ */
+
+/** @typedef {JournalRange | JournalStep | JournalPass} JournalRecord */
+
+/**
+ * Download the next chunk of new posts of a board and record it in the manifest.
+ * 
+ * @param {string} [board] The board.
+ * @returns {Promise<boolean>} Whether there are more new posts to download.
+ */
+async function downloadChunk(board = BOARD) {
+    if (!/^[a-z0-9]+$/.test(board)) {
+        throw new Error(`Invalid board: '${board}'`);
+    }
+    const lookupFile = getStateFile('post_lookup_cache', 'json', board);
+    const journalFile = getStateFile('download_journal', 'ndjson', board);
+    const fullManifest = await getManifest();
+    const manifest = getBoardManifest(fullManifest, board);
+    const sources = getSources(board);
+    if (sources.length === 0) {
+        throw new Error(`No archive source archives /${board}/.`);
+    }
+    const lastDesuPost = await getLatestIndex(sources[0].site, board);
     const newPosts = lastDesuPost - manifest.lastDownloaded;
-    const toDownload = Math.min(Math.max(newPosts, 0), CHUNK_POSTS_MAX);
-    if (toDownload === 0) {
+    const start = manifest.lastDownloaded + 1;
+    let toDownload = Math.min(Math.max(newPosts, 0), CHUNK_POSTS_MAX);
+
+    // Resume an interrupted download of the same range, if any
+    /** @type {Array<JournalRecord>} */
+    const journal = await readJournal(journalFile, 'download journal');
+    const journalRange = journal.length > 0 && journal[0].t === 'range' ? journal[0] : null;
+    const resuming = journalRange !== null && journalRange.start === start;
+    if (resuming) {
+        toDownload = journalRange.end - start + 1;
+        console.log(`Resuming interrupted download of posts ${start}-${journalRange.end} from ${journalFile}...`);
+    } else if (journal.length > 0) {
+        console.warn('Discarding stale download journal.');
+        await unlink(journalFile);
+    }
+
+    if (toDownload <= 0) {
         console.log('No new posts to download. Exiting.');
         return false;
     }
-    const start = manifest.lastDownloaded + 1;
     const end = start + toDownload - 1;
+    if (!resuming) {
+        await appendJournal(journalFile, { t: 'range', start, end });
+    }
     /** @type {Map<number, MinimalFFPost>} */
     const postLookup = new Map();
-    if (existsSync(POST_LOOKUP_FILE)) {
-        console.log('Loading post lookup cache from', POST_LOOKUP_FILE);
-        const plRaw = await readFile(POST_LOOKUP_FILE, 'utf-8');
+    if (existsSync(lookupFile)) {
+        console.log('Loading post lookup cache from', lookupFile);
+        const plRaw = await readFile(lookupFile, 'utf-8');
         const plJson = JSON.parse(plRaw);
         for (const post of plJson) {
             const num = parseInt(post.num, 10);
@@ -138,7 +168,7 @@ async function downloadChunk() {
             postLookup.set(num, post);
         }
     }
-    /** @type {Map<number, MinimalFFPost | { num: string, exception: string, timestamp: number }>} */
+    /** @type {Map<number, ChunkEntry>} */
     const downloaded = new Map();
     for (let i = start; i <= end; ++i) {
         const post = postLookup.get(i);
@@ -150,47 +180,95 @@ async function downloadChunk() {
     /**
      * Helper to filter out ghost and out-of-bounds posts before adding.
      * 
-     * @param {MinimalFFPost | { num: string, exception: string, timestamp: number }} post The post to add.
-     * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe'} [site='desuarchive.org'] The site the post is from.
+     * @param {ChunkEntry} post The post to add.
+     * @param {string} site The site the post is from.
+     * @returns {boolean} Whether the post was added.
      */
-    function addPost(post, site = 'desuarchive.org') {
-        site = site || 'desuarchive.org';
+    function addPost(post, site) {
         // Skip ghost replies
         if ('subnum' in post && post.subnum !== '0') {
-            return;
+            return false;
         }
         const num = parseInt(post.num, 10);
         // Skip before start
         if (num < start) {
-            return;
+            return false;
         }
-        // Disallow after-end posts for non-desuarchive sources
-        if (site !== 'desuarchive.org' && num > end) {
-            return;
+        // Disallow after-end posts for fallback sources
+        if (site !== sources[0].site && num > end) {
+            return false;
         }
 
         const existing = downloaded.get(num);
-        if (!existing) {
-            downloaded.set(num, post);
-            return;
+        if (existing) {
+            if ('exception' in post) {
+                // Exceptions only replace exceptions, by the updated version recordAttempt builds from them.
+                // An identical entry records nothing new, and is not journaled again
+                if (!('exception' in existing) || JSON.stringify(existing) === JSON.stringify(post)) {
+                    return false;
+                }
+            } else if (!('exception' in existing) && getPriority(site) < getPriority(existing)) {
+                return false;
+            }
         }
+        downloaded.set(num, post);
+        return true;
+    }
 
-        if ('exception' in post) {
-            if (!('exception' in existing) || existing.exception === post.exception) {
-                return;
+    /** @type {Map<string, Set<number>>} Completed steps by site */
+    const doneSteps = new Map(sources.map(s => [s.site, new Set()]));
+    /** @type {Set<string>} */
+    const donePasses = new Set();
+    if (resuming) {
+        // Replay through addPost so the priority rules give the same result as the original run
+        for (const record of journal) {
+            if (record.t === 'step') {
+                for (const post of record.posts) {
+                    addPost(post, record.site);
+                }
+                doneSteps.get(record.site)?.add(record.num);
+            } else if (record.t === 'pass') {
+                donePasses.add(record.site);
             }
-            downloaded.set(num, post);
-            return;
         }
+        const stepCount = Array.from(doneSteps.values()).reduce((acc, s) => acc + s.size, 0);
+        console.log(`Replayed ${stepCount} journaled steps, ${downloaded.size} posts known.`);
+    }
 
-        if ('exception' in existing) {
-            downloaded.set(num, post);
+    /**
+     * Run a single fetch step and journal the entries it added once it completes.
+     * Steps that already completed in an interrupted run are skipped.
+     * 
+     * @template T
+     * @param {string} site The site the step fetches from.
+     * @param {number} pNum The post ID the step is processing.
+     * @param {(add: (post: ChunkEntry) => void) => Promise<T>} fn The step body, given a function to add posts with.
+     * @returns {Promise<T | undefined>} The step body result.
+     */
+    async function runStep(site, pNum, fn) {
+        if (doneSteps.get(site)?.has(pNum)) {
             return;
         }
+        /** @type {Array<ChunkEntry>} */
+        const stepPosts = [];
+        const result = await fn((post) => {
+            if (addPost(post, site)) {
+                stepPosts.push(post);
+            }
+        });
+        await appendJournal(journalFile, { t: 'step', site, num: pNum, posts: stepPosts });
+        doneSteps.get(site)?.add(pNum);
+        return result;
+    }
 
-        if (getPriority(site) >= getPriority(existing)) {
-            downloaded.set(num, post);
-        }
+    /**
+     * Mark a fetch pass as ended, so a resumed run does not repeat it.
+     * 
+     * @param {string} site The site whose pass has ended.
+     */
+    async function endPass(site) {
+        donePasses.add(site);
+        await appendJournal(journalFile, { t: 'pass', site });
     }
 
     console.log('Downloading', toDownload, 'new posts out of', newPosts, 'available...');
@@ -198,201 +276,270 @@ async function downloadChunk() {
     let currPostI = 0;
     let startTS = Date.now();
     let lastUpdateTS = startTS;
-    const desuPriority = getPriority('desuarchive.org');
-    for (let pNum = start; pNum <= end; ++pNum) {
-        currPostI++;
-        const now = Date.now();
-        if (now - lastUpdateTS >= 2_000) {
-            const elapsedS = (now - startTS) / 1000;
-            const pps = currPostI / elapsedS;
-            const prog = ((currPostI / toDownload) * 100).toFixed(2);
-            const elapsed = toHumanTime(elapsedS);
-            const eta = toHumanTime((toDownload - currPostI) / pps);
-            const gEta = toHumanTime((newPosts - currPostI) / pps);
-            console.log(`Progress: ${prog}% | Current: ${pNum} | PPS: ${pps.toFixed(2)} | Elapsed: ${elapsed} | ETA (chunk): ${eta} | ETA (total): ${gEta}`);
-            lastUpdateTS = now;
-        }
-        const existing = downloaded.get(pNum);
-        if (existing) {
-            // Skip already known exceptions
-            if ('exception' in existing) {
-                continue;
-            }
-            // Skip already downloaded posts with equal or higher priority
-            if (getPriority(existing) >= desuPriority) {
-                continue;
-            }
-            console.log(`Refetching post ${pNum} from desuarchive.org for higher priority...`);
-        }
-        /** @type {MinimalFFPost | { error: string } } */
-        const fPost = await fetchPost(pNum);
-        if ('error' in fPost) {
-            if (fPost.error === 'Post not found.') {
-                addPost({ num: pNum.toString(), exception: 'Post: not found', timestamp: Math.floor(Date.now() / 1000) });
-                continue;
-            }
-            throw new Error(`Error fetching post ${pNum}: ${fPost.error}`);
-        }
-        addPost(fPost);
-        const fThread = await fetchThread(fPost.thread_num);
-        if ('error' in fThread) {
-            // All methods have been tried, skip and rely on the post fetch only
-            if (fThread.error === 'Thread not found.') {
-                addPost({ num: fPost.thread_num, exception: 'Post: not found', timestamp: Math.floor(Date.now() / 1000) });
-                continue;
-            }
-            // Some other error
-            throw new Error(`Error fetching thread ${fPost.thread_num}: ${fThread.error}`);
-        }
+
+    /**
+     * Add the posts of a fetched thread.
+     * 
+     * @param {MinimalFFThread} fThread The thread.
+     * @param {(post: ChunkEntry) => void} add The function to add posts with.
+     */
+    function addThread(fThread, add) {
         for (const threadId in fThread) {
             const thread = fThread[threadId];
             if (thread.op) {
-                addPost(thread.op);
+                add(thread.op);
             }
             const posts = thread.posts || {};
             for (const postId in posts) {
-                addPost(posts[postId]);
+                add(posts[postId]);
             }
-
         }
     }
 
-    let missing = 0;
-    for (let pNum = start; pNum <= end; ++pNum) {
-        const downloadedPost = downloaded.get(pNum);
-        if (!downloadedPost || ('exception' in downloadedPost)) {
-            missing++;
+    /** @type {Map<string, Map<string, Promise<MinimalFFThread | FetchFailure>>>} Fetched threads by site, shared by all passes */
+    const fetchedThreads = new Map(sources.map(s => [s.site, new Map()]));
+    /** @type {Map<string, Map<number, MinimalFFPost>>} Posts of the fetched threads by site */
+    const threadPosts = new Map(sources.map(s => [s.site, new Map()]));
+
+    /**
+     * Fetch a thread and add its posts, unless it was already fetched from the site in this run.
+     * Concurrent requests for the same thread share one fetch. Failures that may not happen again are not kept.
+     * 
+     * @param {string} threadNum The thread ID.
+     * @param {string} site The site to fetch from.
+     * @param {(post: ChunkEntry) => void} add The function to add posts with.
+     * @returns {Promise<MinimalFFThread | FetchFailure>} The thread or the failure.
+     */
+    async function fetchThreadOnce(threadNum, site, add) {
+        const siteThreads = /** @type {Map<string, Promise<MinimalFFThread | FetchFailure>>} */ (fetchedThreads.get(site));
+        const cached = siteThreads.get(threadNum);
+        if (cached) {
+            return cached;
         }
+        const pending = fetchThread(threadNum, site, board);
+        siteThreads.set(threadNum, pending);
+        const fThread = await pending;
+        if (isFailure(fThread)) {
+            if (isFetchError(fThread.error, 'transport-failure', 'rate-limited')) {
+                siteThreads.delete(threadNum);
+            }
+            return fThread;
+        }
+        const posts = /** @type {Map<number, MinimalFFPost>} */ (threadPosts.get(site));
+        addThread(fThread, (post) => {
+            posts.set(parseInt(post.num, 10), /** @type {MinimalFFPost} */ (post));
+            add(post);
+        });
+        return fThread;
     }
 
-    if (missing !== 0) {
-        console.log(`Desuarchive chunk download complete. Downloading ${missing} missing posts from arch.b4k.dev...`);
+    /**
+     * Fetch a post, or get it from the threads already fetched from the site in this run.
+     * 
+     * @param {number} pNum The post ID.
+     * @param {string} site The site to fetch from.
+     * @returns {Promise<MinimalFFPost | FetchFailure>} The post or the failure.
+     */
+    async function fetchPostOnce(pNum, site) {
+        return threadPosts.get(site)?.get(pNum) || fetchPost(pNum, site, board);
+    }
 
-        try {
-            const b4kPriority = getPriority('arch.b4k.dev');
-            for (let pNum = start; pNum <= end; ++pNum) {
-                const existing = downloaded.get(pNum);
-                // Skip already downloaded posts with equal or higher priority 
-                if (existing && !('exception' in existing) && getPriority(existing) >= b4kPriority) {
-                    continue;
+    /**
+     * Fetch every post of the chunk from the main source, recording the ones it does not have.
+     * 
+     * @param {string} site The main source.
+     */
+    async function mainPass(site) {
+        const sitePriority = getPriority(site);
+        await runPool(range(start, end), getSiteLimits(site).concurrency, async (pNum) => {
+            currPostI++;
+            const now = Date.now();
+            if (now - lastUpdateTS >= 2_000) {
+                const elapsedS = (now - startTS) / 1000;
+                const pps = currPostI / elapsedS;
+                const prog = ((currPostI / toDownload) * 100).toFixed(2);
+                const elapsed = toHumanTime(elapsedS);
+                const eta = toHumanTime((toDownload - currPostI) / pps);
+                const gEta = toHumanTime((newPosts - currPostI) / pps);
+                console.log(`Progress: ${prog}% | Current: ${pNum} | PPS: ${pps.toFixed(2)} | Elapsed: ${elapsed} | ETA (chunk): ${eta} | ETA (total): ${gEta}`);
+                lastUpdateTS = now;
+            }
+            const existing = downloaded.get(pNum);
+            if (existing) {
+                // Skip already known exceptions
+                if ('exception' in existing) {
+                    return;
                 }
-                console.log(`Fetching missing post ${pNum} from arch.b4k.dev...`);
-                /** @type {MinimalFFPost | { error: string } } */
-                const fPost = await fetchPost(pNum, 'arch.b4k.dev');
-                if ('error' in fPost) {
-                    if (fPost.error === 'Post not found.') {
-                        continue;
-                    }
-                    throw new Error(`Error fetching post ${pNum} from arch.b4k.dev: ${fPost.error}`);
+                // Skip already downloaded posts with equal or higher priority
+                if (getPriority(existing) >= sitePriority) {
+                    return;
                 }
-                addPost(fPost, 'arch.b4k.dev');
-                console.log(`Fetching thread ${fPost.thread_num} from arch.b4k.dev...`);
-                const fThread = await fetchThread(fPost.thread_num, 'arch.b4k.dev');
-                if ('error' in fThread) {
-                    if (fThread.error === 'Thread not found.') {
-                        continue;
+                console.log(`Refetching post ${pNum} from ${site} for higher priority...`);
+            }
+            await runStep(site, pNum, async (add) => {
+                const fPost = await fetchPostOnce(pNum, site);
+                if (isFailure(fPost)) {
+                    const err = fPost.error;
+                    if (err.kind === 'not-found') {
+                        add(createException(pNum.toString(), site, err.kind));
+                        return;
                     }
-                    throw new Error(`Error fetching thread ${fPost.thread_num} from arch.b4k.dev: ${fThread.error}`);
+                    if (err.kind === 'backend-unavailable' || err.kind === 'malformed-response') {
+                        // Keep the chunk contiguous, the fallback sources and the retry ledger ask for the post again
+                        console.warn(`Skipping post ${pNum}: ${err}`);
+                        add(createException(pNum.toString(), site, err.kind));
+                        return;
+                    }
+                    // The source cannot be reached, there is no point in going on
+                    throw new Error(`Error fetching post ${pNum}: ${err}`, { cause: err });
                 }
-                for (const threadId in fThread) {
-                    const thread = fThread[threadId];
-                    if (thread.op) {
-                        addPost(thread.op, 'arch.b4k.dev');
+                add(fPost);
+                const fThread = await fetchThreadOnce(fPost.thread_num, site, add);
+                if (isFailure(fThread)) {
+                    const err = fThread.error;
+                    // All methods have been tried, skip and rely on the post fetch only
+                    if (err.kind === 'not-found') {
+                        add(createException(fPost.thread_num, site, err.kind, fPost.thread_num));
+                        return;
                     }
-                    const posts = thread.posts || {};
-                    for (const postId in posts) {
-                        addPost(posts[postId], 'arch.b4k.dev');
+                    if (err.kind === 'backend-unavailable' || err.kind === 'malformed-response') {
+                        console.warn(`Skipping thread ${fPost.thread_num}: ${err}`);
+                        return;
                     }
+                    throw new Error(`Error fetching thread ${fPost.thread_num}: ${err}`, { cause: err });
                 }
-            }
-        } catch (err) {
-            console.error('Error during arch.b4k.dev fetches:', err);
-        }
+            });
+        });
+    }
 
-        let stillMissing = 0;
-        for (let pNum = start; pNum <= end; ++pNum) {
-            const downloadedPost = downloaded.get(pNum);
-            if (!downloadedPost || ('exception' in downloadedPost)) {
-                stillMissing++;
-            }
+    /**
+     * Record why a source did not give a post in its exception entry, if it has one.
+     * Posts without an entry stay missing, so the next run asks for them again.
+     * 
+     * @param {number} pNum The post ID.
+     * @param {string} site The source.
+     * @param {FetchErrorKind} outcome Why the source did not give the post.
+     * @param {(post: ChunkEntry) => void} add The function to add entries with.
+     */
+    function recordAttempt(pNum, site, outcome, add) {
+        const existing = downloaded.get(pNum);
+        if (existing && 'exception' in existing) {
+            add(addAttempt(existing, site, outcome));
         }
-        const foundInB4K = missing - stillMissing;
-        console.log(`arch.b4k.dev fetch complete. Found ${foundInB4K} out of ${missing} missing posts. ${stillMissing} posts still missing.`);
-        missing = stillMissing;
-        if (missing !== 0) {
-            console.log(`arch.b4k.dev download complete. Downloading ${missing} missing posts from archived.moe...`);
-        } else {
-            console.log('Writing files...');
+    }
+
+    /**
+     * Decide how a fallback pass goes on after a failed fetch.
+     * 
+     * @param {FetchError} err The fetch error.
+     * @param {string} what What was fetched, for messages.
+     * @returns {FetchError | null} The error if it blocks further fetches from the source, null to go on.
+     */
+    function handleFillError(err, what) {
+        switch (err.kind) {
+            case 'not-found':
+                return null;
+            case 'backend-unavailable':
+            case 'malformed-response':
+                console.warn(`Skipping ${what}: ${err}`);
+                return null;
+            default:
+                return err;
         }
-    } else {
-        console.log('Desuarchive chunk download complete. Writing files...');
     }
-    if (missing !== 0) {
+
+    /**
+     * Fetch the posts still missing from a fallback source. Errors end the pass but not the download.
+     * 
+     * @param {string} site The fallback source.
+     */
+    async function fillPass(site) {
+        /** @type {FetchError | null} */
+        let blocked = null;
         try {
-            const archivedMoePriority = getPriority('archived.moe');
-            for (let pNum = start; pNum <= end; ++pNum) {
+            const sitePriority = getPriority(site);
+            await runPool(range(start, end), getSiteLimits(site).concurrency, async (pNum) => {
                 const existing = downloaded.get(pNum);
                 // Skip already downloaded posts with equal or higher priority
-                if (existing && !('exception' in existing) && getPriority(existing) >= archivedMoePriority) {
-                    continue;
+                if (existing && !('exception' in existing) && getPriority(existing) >= sitePriority) {
+                    return;
                 }
-                console.log(`Fetching missing post ${pNum} from archived.moe...`);
-                /** @type {MinimalFFPost | { error: string } } */
-                const fPost = await fetchPost(pNum, 'archived.moe');
-                if ('error' in fPost) {
-                    if (fPost.error === 'Post not found.') {
-                        continue;
+                const stepBlocked = await runStep(site, pNum, async (add) => {
+                    console.log(`Fetching missing post ${pNum} from ${site}...`);
+                    const fPost = await fetchPostOnce(pNum, site);
+                    if (isFailure(fPost)) {
+                        recordAttempt(pNum, site, fPost.error.kind, add);
+                        return handleFillError(fPost.error, `post ${pNum}`);
                     }
-                    if (fPost.error === 'Captcha required.') {
-                        console.warn('Captcha required on archived.moe, skipping further fetches from this source.');
-                        break;
+                    add(fPost);
+                    console.log(`Fetching thread ${fPost.thread_num} from ${site}...`);
+                    const fThread = await fetchThreadOnce(fPost.thread_num, site, add);
+                    if (isFailure(fThread)) {
+                        return handleFillError(fThread.error, `thread ${fPost.thread_num}`);
                     }
-                    throw new Error(`Error fetching post ${pNum} from archived.moe: ${fPost.error}`);
+                    return null;
+                });
+                if (stepBlocked) {
+                    blocked = stepBlocked;
+                    console.warn(`Giving up on ${site} (${stepBlocked.kind}), skipping further fetches from this source.`);
+                    return true;
                 }
-                addPost(fPost, 'archived.moe');
-                console.log(`Fetching thread ${fPost.thread_num} from archived.moe...`);
-                const fThread = await fetchThread(fPost.thread_num, 'archived.moe');
-                if ('error' in fThread) {
-                    if (fThread.error === 'Thread not found.') {
-                        continue;
-                    }
-                    if (fThread.error === 'Captcha required.') {
-                        console.warn('Captcha required on archived.moe, skipping further fetches from this source.');
-                        break;
-                    }
-                    throw new Error(`Error fetching thread ${fPost.thread_num} from archived.moe: ${fThread.error}`);
-                }
-                for (const threadId in fThread) {
-                    const thread = fThread[threadId];
-                    if (thread.op) {
-                        addPost(thread.op, 'archived.moe');
-                    }
-                    if (thread.posts) {
-                        for (const postId in thread.posts) {
-                            const post = thread.posts[postId];
-                            addPost(post, 'archived.moe');
-                        }
+            });
+            if (blocked) {
+                // The posts not asked for are missing from this source for the same reason
+                const { kind } = blocked;
+                for (let pNum = start; pNum <= end; ++pNum) {
+                    const existing = downloaded.get(pNum);
+                    if (existing && 'exception' in existing) {
+                        await runStep(site, pNum, async (add) => recordAttempt(pNum, site, kind, add));
                     }
                 }
             }
         } catch (err) {
-            console.error('Error during archived.moe fetches:', err);
+            console.error(`Error during ${site} fetches:`, err);
         }
+    }
 
-        let stillMissing = 0;
+    /**
+     * Count the posts of the chunk that are missing or exceptions.
+     */
+    function countMissing() {
+        let count = 0;
         for (let pNum = start; pNum <= end; ++pNum) {
             const downloadedPost = downloaded.get(pNum);
             if (!downloadedPost || ('exception' in downloadedPost)) {
-                stillMissing++;
+                count++;
             }
         }
-        const foundInArchivedMoe = missing - stillMissing;
-        console.log(`archived.moe fetch complete. Found ${foundInArchivedMoe} out of ${missing} missing posts. ${stillMissing} posts still missing.`);
-        console.log('Writing files...');
+        return count;
     }
 
+    // The highest priority source archiving the board is asked for everything, the others only for what it misses
+    const [main, ...fallbacks] = sources;
+    if (!donePasses.has(main.site)) {
+        await mainPass(main.site);
+        await endPass(main.site);
+    }
+    let missing = countMissing();
+    let prevSite = main.site;
+    for (const { site } of fallbacks) {
+        if (missing === 0) {
+            break;
+        }
+        console.log(`${prevSite} download complete. Downloading ${missing} missing posts from ${site}...`);
+        if (!donePasses.has(site)) {
+            await fillPass(site);
+            await endPass(site);
+        }
+        const stillMissing = countMissing();
+        console.log(`${site} fetch complete. Found ${missing - stillMissing} out of ${missing} missing posts. ${stillMissing} posts still missing.`);
+        missing = stillMissing;
+        prevSite = site;
+    }
+    console.log(`${prevSite} download complete. Writing files...`);
+
     const posts = Array.from(downloaded.entries()).sort((a, b) => a[0] - b[0]);
-    /** @type {Array<MinimalFFPost | { num: string, exception: string, timestamp: number }>} */
+    /** @type {Array<ChunkEntry>} */
     const consPost = [];
     /** @type {Array<MinimalFFPost>} */
     const nextLookup = [];
@@ -406,24 +553,61 @@ async function downloadChunk() {
         }
     }
 
+    // Every post of the range has an entry once the main pass ends, anything else would leave a hole before the chunk
+    if (consPost.length === 0 || parseInt(consPost[0].num, 10) !== start) {
+        throw new Error(`Post ${start} is missing from the download, not writing the chunk. The next run resumes from ${journalFile}.`);
+    }
+
     console.log('Saving post lookup cache for next run...');
 
-    await writeFile(POST_LOOKUP_FILE, JSON.stringify(nextLookup), 'utf-8');
+    await writeFile(lookupFile, JSON.stringify(nextLookup), 'utf-8');
 
-    const chunkName = `${getTimestampStr(new Date())}_daily_${consPost[0].num}_${consPost[consPost.length - 1].num}`;
+    const chunkName = formatChunkName({
+        board,
+        timestamp: getTimestampStr(new Date()),
+        kind: 'daily',
+        start: parseInt(consPost[0].num, 10),
+        end: parseInt(consPost[consPost.length - 1].num, 10),
+    });
     const fileName = `${chunkName}.ndjson`;
-    await writeFile(join(__dirname, fileName), consPost.map(v => JSON.stringify(v)).join('\n') + '\n', 'utf-8');
+    await writeFile(join(DATA_DIR, fileName), consPost.map(v => JSON.stringify(v)).join('\n') + '\n', 'utf-8');
 
     console.log('File written:', fileName);
     console.log('Updating manifest...');
 
     manifest.daily.push(chunkName);
     manifest.lastDownloaded = parseInt(consPost[consPost.length - 1].num, 10);
-    await saveManifest(manifest);
+    await recordChunk(manifest, chunkName, DATA_DIR);
+    await saveManifest(fullManifest);
+
+    // Later runs ask the sources again for the posts that are still missing
+    const ledgerFile = getLedgerFile(DATA_DIR, board);
+    const ledger = await loadLedger(ledgerFile);
+    if (trackGaps(ledger, chunkName, consPost, Math.floor(Date.now() / 1000)) > 0) {
+        await saveLedger(ledgerFile, ledger);
+    }
+    // The chunk is complete, a stale journal would be discarded anyway since the range moved on
+    await unlink(journalFile);
     return toDownload !== newPosts;
 }
 
+/**
+ * Ask the sources again for missing posts of earlier chunks that are due for a retry.
+ * Recovered posts go into the next consolidated release.
+ *
+ * @param {string} [board] The board.
+ */
+async function retryMissing(board = BOARD) {
+    const ledgerFile = getLedgerFile(DATA_DIR, board);
+    const ledger = await loadLedger(ledgerFile);
+    const { asked } = await retryGaps(ledger, board, Math.floor(Date.now() / 1000));
+    if (asked > 0) {
+        await saveLedger(ledgerFile, ledger);
+    }
+}
+
 async function main() {
+    await retryMissing();
     // If --full is not provided, only download one chunk
     if (process.argv[2] !== '--full') {
         await downloadChunk();
@@ -438,11 +622,20 @@ async function main() {
     }
 }
 
-main().catch(err => {
-    console.error('Fatal error:', err);
-    process.exit(1);
-}).finally(async () => {
-    console.log('Closing CDP fetchers...');
-    await closeCDPFetchers();
-    console.log('Done.');
-});
\ No newline at end of file
+if (require.main === module) {
+    main().catch(err => {
+        console.error('Fatal error:', err);
+        process.exit(1);
+    }).finally(async () => {
+        console.log('Closing CDP fetchers...');
+        await closeCDPFetchers();
+        console.log('Done.');
+    });
+}
+
+module.exports = {
+    getManifest,
+    saveManifest,
+    downloadChunk,
+    retryMissing,
+};
\ No newline at end of file
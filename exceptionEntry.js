@@ -0,0 +1,87 @@
+// @ts-check
+
+/** @typedef {import('./fetchErrors').FetchErrorKind} FetchErrorKind */
+
+/**
+ * The answer of one source for a missing post.
+ * @typedef {Object} ExceptionAttempt
+ * @property {string} source The source site.
+ * @property {FetchErrorKind} outcome Why the source did not give the post. Posts not asked for because
+ * the source stopped answering get the error that stopped it.
+ */
+
+/**
+ * An archive entry standing in for a post no source gave.
+ * Version 1 entries only have num, exception and timestamp.
+ * @typedef {Object} ExceptionEntry
+ * @property {string} num The post ID.
+ * @property {string} exception What the entry stands for, always 'Post: not found' for now.
+ * @property {number} timestamp When the post was first found missing, as a UNIX timestamp.
+ * @property {number} [exception_version] The exception schema version, missing for version 1.
+ * @property {string} [thread_num] The thread ID, if one was learned.
+ * @property {Array<ExceptionAttempt>} [attempts] The sources asked for the post, in the order they were asked.
+ */
+
+// Current exception entry schema version
+const EXCEPTION_VERSION = 2;
+
+/**
+ * Create an exception entry for a post the first source did not give.
+ *
+ * @param {string} num The post ID.
+ * @param {string} source The source site.
+ * @param {FetchErrorKind} outcome Why the source did not give the post.
+ * @param {string} [threadNum] The thread ID, if known.
+ * @returns {ExceptionEntry} The exception entry.
+ */
+function createException(num, source, outcome, threadNum) {
+    /** @type {ExceptionEntry} */
+    const entry = {
+        num,
+        exception: 'Post: not found',
+        timestamp: Math.floor(Date.now() / 1000),
+        exception_version: EXCEPTION_VERSION,
+        attempts: [{ source, outcome }],
+    };
+    if (threadNum !== undefined) {
+        entry.thread_num = threadNum;
+    }
+    return entry;
+}
+
+/**
+ * Record the answer of another source in an exception entry.
+ * Version 1 entries are upgraded, an earlier answer of the same source is replaced.
+ *
+ * @param {ExceptionEntry} entry The exception entry, left untouched.
+ * @param {string} source The source site.
+ * @param {FetchErrorKind} outcome Why the source did not give the post.
+ * @returns {ExceptionEntry} The updated exception entry.
+ */
+function addAttempt(entry, source, outcome) {
+    const attempts = (entry.attempts || []).filter(a => a.source !== source);
+    attempts.push({ source, outcome });
+    return { ...entry, exception_version: EXCEPTION_VERSION, attempts };
+}
+
+/**
+ * Check whether fetching a missing post again may find it.
+ * That is the case unless every source asked said it does not have the post.
+ * Version 1 entries do not say why the post is missing, so they are always worth retrying.
+ *
+ * @param {ExceptionEntry} entry The exception entry.
+ * @returns {boolean} Whether the post is worth retrying.
+ */
+function isRetryable(entry) {
+    if (!entry.attempts || entry.attempts.length === 0) {
+        return true;
+    }
+    return entry.attempts.some(a => a.outcome !== 'not-found');
+}
+
+module.exports = {
+    EXCEPTION_VERSION,
+    createException,
+    addAttempt,
+    isRetryable,
+};
@@ -0,0 +1,142 @@
+// @ts-check
+const { createHash } = require("crypto");
+const { existsSync } = require("fs");
+const { mkdir, readFile, writeFile, rename, rm } = require("fs/promises");
+const { join, resolve } = require("path");
+
+/**
+ * A recorded response in the fetch cache.
+ * @typedef {Object} CachedResponse
+ * @property {string} url The requested URL.
+ * @property {number} status The HTTP status code.
+ * @property {string} statusText The HTTP status text.
+ * @property {string | null} contentType The response content type.
+ * @property {string} body The response body as a Base64 encoded string.
+ */
+
+/**
+ * Get the fetch cache mode from the environment.
+ * - `record`: fetch from the network and save every response to the cache.
+ * - `replay`: serve every response from the cache, without touching the network.
+ * 
+ * @returns {'off' | 'record' | 'replay'} The fetch cache mode.
+ */
+function getFetchCacheMode() {
+    const mode = process.env.FETCH_CACHE_MODE;
+    if (mode === 'record' || mode === 'replay') {
+        return mode;
+    }
+    if (mode && mode !== 'off') {
+        console.warn(`Unknown FETCH_CACHE_MODE '${mode}', ignoring.`);
+    }
+    return 'off';
+}
+
+const FETCH_CACHE_MODE = getFetchCacheMode();
+const FETCH_CACHE_DIR = resolve(process.env.FETCH_CACHE_DIR || join(__dirname, 'fetch_cache'));
+
+/**
+ * Get the cache key of a URL.
+ * The `_` cache-busting parameter is ignored, so requests made at different times map to the same entry.
+ * 
+ * @param {string} url The URL.
+ * @returns {string} The cache key.
+ */
+function getCacheKey(url) {
+    const u = new URL(url);
+    u.searchParams.delete('_');
+    return createHash('sha256').update(u.toString()).digest('hex');
+}
+
+/**
+ * Get the path of the cache entry for a URL.
+ * 
+ * @param {string} url The URL.
+ * @returns {string} The cache entry path.
+ */
+function getCachePath(url) {
+    const key = getCacheKey(url);
+    return join(FETCH_CACHE_DIR, key.substring(0, 2), `${key}.json`);
+}
+
+/**
+ * Serve a response from the fetch cache.
+ * 
+ * @param {string} url The requested URL.
+ * @returns {Promise<Response>} The cached response.
+ */
+async function replayResponse(url) {
+    const path = getCachePath(url);
+    if (!existsSync(path)) {
+        throw new Error(`No cached response for ${url} in ${FETCH_CACHE_DIR}`);
+    }
+    /** @type {CachedResponse} */
+    const cached = JSON.parse(await readFile(path, 'utf-8'));
+    /** @type {Record<string, string>} */
+    const headers = {};
+    if (cached.contentType) {
+        headers['Content-Type'] = cached.contentType;
+    }
+    return new Response(cached.status === 204 ? null : Buffer.from(cached.body, 'base64'), {
+        status: cached.status,
+        statusText: cached.statusText,
+        headers,
+    });
+}
+
+/**
+ * Save a response to the fetch cache.
+ * The body is consumed, so a new response with the same content is returned.
+ * 
+ * @param {string} url The requested URL.
+ * @param {Response} response The response to save.
+ * @returns {Promise<Response>} A response equivalent to the saved one.
+ */
+async function recordResponse(url, response) {
+    const body = Buffer.from(await response.arrayBuffer());
+    /** @type {CachedResponse} */
+    const entry = {
+        url,
+        status: response.status,
+        statusText: response.statusText,
+        contentType: response.headers.get('Content-Type'),
+        body: body.toString('base64'),
+    };
+    const path = getCachePath(url);
+    await mkdir(join(path, '..'), { recursive: true });
+    // Write to a temporary file first, so an interrupted run never leaves a truncated entry
+    const tmpPath = `${path}.${Math.random().toString(36).substring(2, 15)}.tmp`;
+    try {
+        await writeFile(tmpPath, JSON.stringify(entry), 'utf-8');
+        await rename(tmpPath, path);
+    } finally {
+        await rm(tmpPath, { force: true });
+    }
+    return new Response(response.status === 204 ? null : body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+    });
+}
+
+/**
+ * Wrap a fetch function with the record/replay fetch cache, according to FETCH_CACHE_MODE.
+ * 
+ * @param {(request: Request) => Promise<Response>} fetchFn The fetch function to wrap.
+ * @returns {(request: Request) => Promise<Response>} The wrapped fetch function.
+ */
+function withFetchCache(fetchFn) {
+    if (FETCH_CACHE_MODE === 'replay') {
+        return (request) => replayResponse(request.url);
+    }
+    if (FETCH_CACHE_MODE === 'record') {
+        return async (request) => recordResponse(request.url, await fetchFn(request));
+    }
+    return fetchFn;
+}
+
+module.exports = {
+    FETCH_CACHE_MODE,
+    FETCH_CACHE_DIR,
+    withFetchCache,
+};
@@ -0,0 +1,82 @@
+// @ts-check
+
+/**
+ * What went wrong fetching from an archive.
+ * - not-found: the archive does not have the post or thread.
+ * - captcha: the archive wants a captcha solved before answering.
+ * - rate-limited: the archive kept answering 429 until the retries ran out.
+ * - backend-unavailable: the archive answered with an error of its own, like a search backend outage.
+ * - transport-failure: the request kept failing until the retries ran out.
+ * - malformed-response: the archive answered with something that is not a valid API response.
+ * @typedef {'not-found' | 'captcha' | 'rate-limited' | 'backend-unavailable' | 'transport-failure' | 'malformed-response'} FetchErrorKind
+ */
+
+/**
+ * Details of a fetch error.
+ * @typedef {Object} FetchErrorDetails
+ * @property {string} site The archive site.
+ * @property {string | null} [url] The request URL, if a request was made.
+ * @property {number | null} [status] The HTTP status code, if there was a response.
+ * @property {unknown} [cause] The underlying error.
+ */
+
+/**
+ * A failed archive fetch, with the site and URL it happened on.
+ */
+class FetchError extends Error {
+    /**
+     * @param {FetchErrorKind} kind What went wrong.
+     * @param {string} message The error message.
+     * @param {FetchErrorDetails} details The site, URL and status of the fetch.
+     */
+    constructor(kind, message, details) {
+        super(message, details.cause === undefined ? undefined : { cause: details.cause });
+        this.name = 'FetchError';
+        /** @type {FetchErrorKind} */
+        this.kind = kind;
+        /** @type {string} */
+        this.site = details.site;
+        /** @type {string | null} */
+        this.url = details.url ?? null;
+        /** @type {number | null} */
+        this.status = details.status ?? null;
+    }
+
+    toString() {
+        return `${this.name} [${this.kind}] ${this.message} (${this.url ?? this.site})`;
+    }
+}
+
+// Error messages of the FoolFuuka API that mean the post or thread does not exist
+const NOT_FOUND_MESSAGES = ['Post not found.', 'Thread not found.', 'No results found.'];
+
+/**
+ * Classify an error message the FoolFuuka API answered with.
+ * Messages that do not say the post or thread is missing are taken as the archive failing to answer,
+ * so new messages are retried elsewhere instead of being fatal.
+ *
+ * @param {string} message The error message.
+ * @param {FetchErrorDetails} details The site, URL and status of the fetch.
+ * @returns {FetchError} The error.
+ */
+function fromApiError(message, details) {
+    const kind = NOT_FOUND_MESSAGES.includes(message) ? 'not-found' : 'backend-unavailable';
+    return new FetchError(kind, message, details);
+}
+
+/**
+ * Check whether an error is a fetch error, optionally of given kinds.
+ *
+ * @param {unknown} err The error.
+ * @param {...FetchErrorKind} kinds The kinds to match, any kind if none are given.
+ * @returns {err is FetchError} Whether it matches.
+ */
+function isFetchError(err, ...kinds) {
+    return err instanceof FetchError && (kinds.length === 0 || kinds.includes(err.kind));
+}
+
+module.exports = {
+    FetchError,
+    fromApiError,
+    isFetchError,
+};
@@ -0,0 +1,69 @@
+// @ts-check
+
+/**
+ * Run a worker over a sequence of items with bounded concurrency.
+ * Items are taken from the iterable lazily and in order, so a worker sees the results of the workers that finished before it started.
+ * Once a worker returns true or throws, no new items are started. The first error is rethrown after the running workers settle.
+ * 
+ * @template T
+ * @param {Iterable<T>} items The items to process.
+ * @param {number} concurrency The maximum number of workers running at once.
+ * @param {(item: T) => Promise<boolean | void>} worker The worker. Returning true stops the pool.
+ * @returns {Promise<boolean>} Whether a worker stopped the pool.
+ */
+async function runPool(items, concurrency, worker) {
+    const iterator = items[Symbol.iterator]();
+    let stopped = false;
+    let failed = false;
+    /** @type {unknown} */
+    let error = null;
+
+    async function lane() {
+        while (!stopped) {
+            const next = iterator.next();
+            if (next.done) {
+                return;
+            }
+            try {
+                if (await worker(next.value)) {
+                    stopped = true;
+                }
+            } catch (err) {
+                if (!failed) {
+                    failed = true;
+                    error = err;
+                }
+                stopped = true;
+            }
+        }
+    }
+
+    /** @type {Array<Promise<void>>} */
+    const lanes = [];
+    for (let i = 0; i < Math.max(1, concurrency); i++) {
+        lanes.push(lane());
+    }
+    await Promise.all(lanes);
+    if (failed) {
+        throw error;
+    }
+    return stopped;
+}
+
+/**
+ * Iterate over an inclusive range of integers.
+ * 
+ * @param {number} from The first number.
+ * @param {number} to The last number.
+ * @returns {Generator<number>} The numbers in the range.
+ */
+function* range(from, to) {
+    for (let i = from; i <= to; ++i) {
+        yield i;
+    }
+}
+
+module.exports = {
+    runPool,
+    range,
+};
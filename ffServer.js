@@ -0,0 +1,366 @@
+// @ts-check
+const { createServer } = require("http");
+const { resolve } = require("path");
+const { readNDJSON } = require("./ndjsonReader");
+
+/** @typedef {import('./ffUtils').MinimalFFPost} MinimalFFPost */
+/** @typedef {import('./ffUtils').MinimalFFThread} MinimalFFThread */
+/** @typedef {import('./ffUtils').MinimalFFIndex} MinimalFFIndex */
+/** @typedef {import('./ffUtils').MinimalFFChunk} MinimalFFChunk */
+/** @typedef {import('./ffUtils').MinimalFFSearch} MinimalFFSearch */
+
+/**
+ * @typedef {Object} FFServerOptions
+ * @property {string} [board='mlp'] The board the archive files belong to.
+ * @property {number} [maxThreadPosts=10000] Threads with more posts fail with HTTP 500 on the thread endpoint, like on the real archives.
+ * @property {number} [indexPageSize=10] Number of threads per index page.
+ * @property {number} [searchPageSize=25] Number of posts per search page.
+ * @property {number} [searchMaxResults=5000] Maximum number of posts a search returns before it has to be narrowed with `start`.
+ */
+
+/**
+ * In-memory FoolFuuka archive built from NDJSON files.
+ */
+class FFArchive {
+    constructor() {
+        /** @type {Map<number, MinimalFFPost>} */
+        this.posts = new Map();
+        /** @type {Map<number, Array<number>>} Sorted post IDs per thread */
+        this.threads = new Map();
+        this.dirty = false;
+    }
+
+    /**
+     * Add an archive entry. Exception entries are ignored, later posts replace earlier ones.
+     * 
+     * @param {MinimalFFPost | import('./exceptionEntry').ExceptionEntry} entry The entry to add.
+     */
+    add(entry) {
+        if (!entry || 'exception' in entry || ('subnum' in entry && entry.subnum !== '0')) {
+            return;
+        }
+        this.posts.set(parseInt(entry.num, 10), entry);
+        this.dirty = true;
+    }
+
+    /**
+     * Load an NDJSON archive file.
+     * 
+     * @param {string} path The path to the NDJSON file.
+     */
+    async load(path) {
+        await readNDJSON(path, (entry) => { this.add(entry); });
+    }
+
+    /**
+     * Rebuild the thread lookup after entries were added.
+     */
+    reindex() {
+        if (!this.dirty) {
+            return;
+        }
+        this.threads.clear();
+        for (const [num, post] of this.posts) {
+            const threadNum = parseInt(post.thread_num, 10);
+            let thread = this.threads.get(threadNum);
+            if (!thread) {
+                thread = [];
+                this.threads.set(threadNum, thread);
+            }
+            thread.push(num);
+        }
+        for (const thread of this.threads.values()) {
+            thread.sort((a, b) => a - b);
+        }
+        this.dirty = false;
+    }
+
+    /**
+     * Get the posts of a thread.
+     * 
+     * @param {number} threadNum The thread ID.
+     * @returns {Array<MinimalFFPost>} The posts of the thread, in order.
+     */
+    getThreadPosts(threadNum) {
+        this.reindex();
+        const nums = this.threads.get(threadNum) || [];
+        return nums.map(n => /** @type {MinimalFFPost} */(this.posts.get(n)));
+    }
+}
+
+/**
+ * Parse a FoolFuuka search date (America/New_York local time) into a UNIX timestamp.
+ * 
+ * @param {string} str The date string, `YYYY-MM-DD HH:MM:SS`.
+ * @returns {number} The UNIX timestamp in seconds, or NaN if invalid.
+ */
+function parseFFDate(str) {
+    const m = str.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (!m) {
+        return NaN;
+    }
+    const asUTC = Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0));
+    // Find the New York offset at that time by formatting the UTC guess back
+    const nyStr = new Date(asUTC).toLocaleString('SV', { timeZone: 'America/New_York' });
+    const ny = nyStr.match(/^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})$/);
+    if (!ny) {
+        return NaN;
+    }
+    const nyAsUTC = Date.UTC(+ny[1], +ny[2] - 1, +ny[3], +ny[4], +ny[5], +ny[6]);
+    return Math.floor((asUTC + (asUTC - nyAsUTC)) / 1000);
+}
+
+/**
+ * Parse a positive integer query parameter.
+ * 
+ * @param {URLSearchParams} params The query parameters.
+ * @param {string} name The parameter name.
+ * @param {number} defaultValue The value to use if the parameter is missing or invalid.
+ * @returns {number} The parameter value.
+ */
+function intParam(params, name, defaultValue) {
+    const val = parseInt(params.get(name) || '', 10);
+    return Number.isSafeInteger(val) && val > 0 ? val : defaultValue;
+}
+
+/**
+ * Create a FoolFuuka API request handler for an archive.
+ * 
+ * @param {FFArchive} archive The archive to serve.
+ * @param {FFServerOptions} [opts={}] The server options.
+ * @returns {(url: string) => [number, any]} Handler mapping a request URL to the response status and JSON body.
+ */
+function createFFHandler(archive, opts = {}) {
+    opts = opts || {};
+    const board = opts.board || 'mlp';
+    const maxThreadPosts = opts.maxThreadPosts || 10_000;
+    const indexPageSize = opts.indexPageSize || 10;
+    const searchPageSize = opts.searchPageSize || 25;
+    const searchMaxResults = opts.searchMaxResults || 5000;
+
+    /**
+     * Handle a post request.
+     * 
+     * @param {URLSearchParams} params The query parameters.
+     * @returns {MinimalFFPost | { error: string }} The response body.
+     */
+    function handlePost(params) {
+        const post = archive.posts.get(intParam(params, 'num', 0));
+        return post || { error: 'Post not found.' };
+    }
+
+    /**
+     * Handle a thread request.
+     * 
+     * @param {URLSearchParams} params The query parameters.
+     * @returns {[number, MinimalFFThread | { error: string }]} The status and response body.
+     */
+    function handleThread(params) {
+        const threadNum = intParam(params, 'num', 0);
+        const posts = archive.getThreadPosts(threadNum);
+        if (posts.length === 0) {
+            return [200, { error: 'Thread not found.' }];
+        }
+        if (posts.length > maxThreadPosts) {
+            return [500, { error: 'Internal Server Error' }];
+        }
+        /** @type {Record<string, MinimalFFPost>} */
+        const replies = {};
+        /** @type {MinimalFFThread[string]} */
+        const thread = {};
+        for (const post of posts) {
+            if (parseInt(post.num, 10) === threadNum) {
+                thread.op = post;
+            } else {
+                replies[post.num] = post;
+            }
+        }
+        if (Object.keys(replies).length > 0) {
+            thread.posts = replies;
+        }
+        return [200, { [threadNum]: thread }];
+    }
+
+    /**
+     * Handle an index request.
+     * 
+     * @param {URLSearchParams} params The query parameters.
+     * @returns {MinimalFFIndex | { error: string }} The response body.
+     */
+    function handleIndex(params) {
+        archive.reindex();
+        const page = intParam(params, 'page', 1);
+        // Sort by last reply, like bump order
+        const threads = Array.from(archive.threads.entries())
+            .filter(([threadNum]) => archive.posts.has(threadNum))
+            .sort((a, b) => b[1][b[1].length - 1] - a[1][a[1].length - 1])
+            .slice((page - 1) * indexPageSize, page * indexPageSize);
+        if (threads.length === 0) {
+            return { error: 'There are no threads.' };
+        }
+        /** @type {MinimalFFIndex} */
+        const result = {};
+        for (const [threadNum, nums] of threads) {
+            const op = /** @type {MinimalFFPost} */ (archive.posts.get(threadNum));
+            const lastReplies = nums.filter(n => n !== threadNum).slice(-5).map(n => /** @type {MinimalFFPost} */(archive.posts.get(n)));
+            result[threadNum] = lastReplies.length > 0 ? { op, posts: lastReplies } : { op };
+        }
+        return result;
+    }
+
+    /**
+     * Handle a chunk request. Chunked posts have their sanitized and processed comments set to false.
+     * 
+     * @param {URLSearchParams} params The query parameters.
+     * @returns {MinimalFFChunk | { error: string }} The response body.
+     */
+    function handleChunk(params) {
+        const threadNum = intParam(params, 'num', 0);
+        const size = intParam(params, 'posts', 100);
+        const start = intParam(params, 'start', 1);
+        const posts = archive.getThreadPosts(threadNum).slice((start - 1) * size, start * size);
+        if (posts.length === 0) {
+            return { error: '' };
+        }
+        /** @type {Record<string, MinimalFFPost>} */
+        const replies = {};
+        /** @type {MinimalFFChunk['comments'][number]} */
+        const thread = {};
+        for (const post of posts) {
+            // Chunked returns a false in these fields, see fetchThreadChunked.
+            /** @type {any} */
+            const chunked = { ...post, comment_sanitized: false, comment_processed: false };
+            if (parseInt(post.num, 10) === threadNum) {
+                thread.op = chunked;
+            } else {
+                replies[post.num] = chunked;
+            }
+        }
+        thread.posts = replies;
+        return { comments: { [threadNum]: thread } };
+    }
+
+    /**
+     * Handle a search request. Only the thread, start date, order and page filters are supported.
+     * 
+     * @param {URLSearchParams} params The query parameters.
+     * @returns {MinimalFFSearch | { error: string }} The response body.
+     */
+    function handleSearch(params) {
+        const tnum = intParam(params, 'tnum', 0);
+        let posts = tnum ? archive.getThreadPosts(tnum) : Array.from(archive.posts.values());
+        const startStr = params.get('start');
+        if (startStr) {
+            const startTS = parseFFDate(startStr);
+            if (isNaN(startTS)) {
+                return { error: 'Invalid start date.' };
+            }
+            posts = posts.filter(p => p.timestamp >= startTS);
+        }
+        posts = posts.slice().sort((a, b) => params.get('order') === 'asc'
+            ? a.timestamp - b.timestamp || parseInt(a.num, 10) - parseInt(b.num, 10)
+            : b.timestamp - a.timestamp || parseInt(b.num, 10) - parseInt(a.num, 10));
+        if (posts.length === 0) {
+            return { error: 'No results found.' };
+        }
+        const page = intParam(params, 'page', 1);
+        const pagePosts = posts.slice(0, searchMaxResults).slice((page - 1) * searchPageSize, page * searchPageSize);
+        if (pagePosts.length === 0) {
+            return { error: 'No results found.' };
+        }
+        return { "0": { posts: pagePosts }, meta: { total_found: posts.length, max_results: String(searchMaxResults) } };
+    }
+
+    return (urlStr) => {
+        const url = new URL(urlStr, 'http://localhost');
+        const params = url.searchParams;
+        const path = url.pathname.replace(/\/+$/, '');
+        /** @type {[number, any]} */
+        let response = [404, { error: 'Not found.' }];
+        const reqBoard = path === '/_/api/chan/search' ? params.get('boards') : params.get('board');
+        if (path.startsWith('/_/api/chan/') && reqBoard !== board) {
+            response = [200, { error: 'No board selected.' }];
+        } else if (path === '/_/api/chan/post') {
+            response = [200, handlePost(params)];
+        } else if (path === '/_/api/chan/thread') {
+            response = handleThread(params);
+        } else if (path === '/_/api/chan/index') {
+            response = [200, handleIndex(params)];
+        } else if (path === '/_/api/chan/chunk') {
+            response = [200, handleChunk(params)];
+        } else if (path === '/_/api/chan/search') {
+            response = [200, handleSearch(params)];
+        }
+        return response;
+    };
+}
+
+/**
+ * Create a FoolFuuka API compatible HTTP server for an archive.
+ * 
+ * @param {FFArchive} archive The archive to serve.
+ * @param {FFServerOptions} [opts={}] The server options.
+ * @returns {import('http').Server} The HTTP server, not yet listening.
+ */
+function createFFServer(archive, opts = {}) {
+    const handler = createFFHandler(archive, opts);
+    return createServer((req, res) => {
+        const [status, json] = handler(req.url || '/');
+        const body = JSON.stringify(json);
+        res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) });
+        res.end(body);
+    });
+}
+
+async function main() {
+    const USAGE = 'Usage: node ffServer.js [--port <port>] [--board <board>] [--max-thread-posts <n>] <archive.ndjson>...';
+    let port = 8080;
+    /** @type {FFServerOptions} */
+    const opts = {};
+    /** @type {Array<string>} */
+    const files = [];
+    const args = process.argv.slice(2);
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--port') {
+            port = parseInt(args[++i], 10);
+        } else if (arg === '--board') {
+            opts.board = args[++i];
+        } else if (arg === '--max-thread-posts') {
+            opts.maxThreadPosts = parseInt(args[++i], 10);
+        } else if (arg.startsWith('-')) {
+            console.error(USAGE);
+            process.exit(1);
+        } else {
+            files.push(resolve(arg));
+        }
+    }
+    if (files.length === 0 || !Number.isSafeInteger(port)) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+    const archive = new FFArchive();
+    for (const file of files) {
+        console.log(`Loading ${file}...`);
+        await archive.load(file);
+    }
+    archive.reindex();
+    console.log(`Loaded ${archive.posts.size} posts in ${archive.threads.size} threads.`);
+    const server = createFFServer(archive, opts);
+    server.listen(port, () => {
+        console.log(`FoolFuuka API listening on http://127.0.0.1:${port}/_/api/chan/`);
+    });
+}
+
+if (require.main === module) {
+    main().catch((err) => {
+        console.error('Fatal error:', err);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    FFArchive,
+    createFFHandler,
+    createFFServer,
+};
@@ -1,7 +1,18 @@
 // @ts-check
 const { processComment } = require("./v1/commentProcessor");
 const { deDBfy } = require("./v1/deDBfy");
-const { cdpFetch: fetch } = require("./cdpFetch.js");
+const { cdpFetch: fetch, enableCDPFetcher } = require("./cdpFetch.js");
+const { FETCH_CACHE_MODE } = require("./fetchCache");
+const { getPrimarySource, getSourceConfig, isSource } = require("./sourceRegistry");
+const { getLatestFromCatalog, toFFPost, toFFThread } = require("./fourChan");
+const { FetchError, fromApiError, isFetchError } = require("./fetchErrors");
+
+/** @typedef {import('./sourceRegistry').SiteLimits} SiteLimits */
+
+/**
+ * A failed fetch. Fetchers return these instead of throwing, so callers can react to the error kind.
+ * @typedef {{ error: FetchError }} FetchFailure
+ */
 
 /**
  * Minimal representation of a FoolFuuka post.
@@ -63,249 +74,40 @@ const { cdpFetch: fetch } = require("./cdpFetch.js");
 
 /**
  * Get the source of a post based on its extra_data.
+ * Posts of the primary source carry no source tag.
  * 
  * @param {MinimalFFPost} post - The post object to extract the source from.
- * @returns {'desuarchive.org' | 'archived.moe' | 'arch.b4k.dev'} - The source of the post.
+ * @returns {string} - The source of the post.
  */
 function getSource(post) {
-    /** @type {{ source: 'desuarchive.org' | 'archived.moe' | 'arch.b4k.dev' }} */
+    const primary = getPrimarySource();
+    /** @type {{ source: string }} */
     const sourceObj = (Array.isArray(post.extra_data) ? post.extra_data : []).find(
         /** @param {{ source: string }} ed */
-        (ed) => ed && (ed.source === 'archived.moe' || ed.source === 'arch.b4k.dev')
-    ) || { source: 'desuarchive.org' };
+        (ed) => ed && typeof ed.source === 'string' && ed.source !== primary && isSource(ed.source)
+    ) || { source: primary };
     return sourceObj.source;
 }
 
-const PRIORITY = {
-    'desuarchive.org': 3,
-    'arch.b4k.dev': 2,
-    'archived.moe': 1,
-};
-
 /**
  * Get the priority of a post or site.
  * 
- * @param {MinimalFFPost | 'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe'} postOrSite The post or site to get the priority for.
- * @returns {number} The priority of the post or site.
+ * @param {MinimalFFPost | string} postOrSite The post or site to get the priority for.
+ * @returns {number} The priority of the post or site, 0 for unknown sites.
  */
 function getPriority(postOrSite) {
-    if (typeof postOrSite === 'string') {
-        return PRIORITY[postOrSite] || 0;
-    }
-    const source = getSource(postOrSite);
-    return PRIORITY[source] || 0;
+    const site = typeof postOrSite === 'string' ? postOrSite : getSource(postOrSite);
+    return isSource(site) ? getSourceConfig(site).priority : 0;
 }
 
-// Maximum number of retries for fetch
-let RETRY_CNT_MAX = 20;
-// Minimum interval between fetches in ms
-let MIN_FETCH_INTERVAL = 0;
-// Maximum exponential backoff time in ms
-const RETRY_EB_MAX = 30_000;
-
-let lastFetchTime = {
-    'desuarchive.org': 0,
-    'arch.b4k.dev': 0,
-    'archived.moe': 0,
-};
-
 /**
- * Fetch a URL with retries and exponential backoff.
+ * Get the fetch limits of a site.
  * 
- * @param {string} url The URL to fetch.
- * @param {number[]} [allowErrors=[]] Array of non-okay HTTP status codes to allow.
- * @param {number} [retryN=0] Number of retries on failure.
- * @returns {Promise<Response>} The fetch response.
+ * @param {string} site The site to get the limits for.
+ * @returns {SiteLimits} The site limits.
  */
-async function myFetch(url, allowErrors = [], retryN = 0) {
-    let tooManyRequests = false;
-    try {
-        // console.log('Fetching:', url);
-        const now = Date.now();
-        const delay = Math.max(0, MIN_FETCH_INTERVAL - (now - lastFetchTime[fetchSite]));
-        if (delay > 0) {
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
-        lastFetchTime[fetchSite] = Date.now();
-        const resp = await fetch(url);
-        if (!resp.ok && !(allowErrors.includes(resp.status))) {
-            if (resp.status === 429) {
-                tooManyRequests = true;
-            }
-            throw new Error(`HTTP error: ${resp.status} ${resp.statusText}`);
-        }
-        return resp;
-    } catch (err) {
-        // Exponential backoff
-        if (retryN >= RETRY_CNT_MAX) {
-            throw new Error(`Failed to fetch ${url} after ${RETRY_CNT_MAX} retries: ${err}`);
-        }
-        const tmr = tooManyRequests ? 16_000 : 0;
-        const backoff = Math.min(2 ** retryN * 500, RETRY_EB_MAX) + tmr;
-        console.warn(`Fetch error for ${url}: ${err}. Retrying in ${backoff} ms...`);
-        await new Promise(resolve => setTimeout(resolve, backoff));
-        return myFetch(url, allowErrors, retryN + 1);
-    }
-}
-
-/** @type {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe'} */
-let fetchSite = 'desuarchive.org';
-
-/**
- * Set the site parameters for fetching.
- * 
- * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe'} site The site to set.
- */
-function setFetchSite(site) {
-    if (fetchSite === site) {
-        return;
-    }
-    fetchSite = site;
-    switch (site) {
-        case 'desuarchive.org':
-            RETRY_CNT_MAX = 20;
-            MIN_FETCH_INTERVAL = 0;
-            break;
-        case 'arch.b4k.dev':
-            RETRY_CNT_MAX = 10;
-            MIN_FETCH_INTERVAL = 0;
-            break;
-        case 'archived.moe':
-            RETRY_CNT_MAX = 10;
-            MIN_FETCH_INTERVAL = 2600;
-            break;
-    }
-}
-
-/**
- * Get the lastest post ID in the archive.
- * 
- * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe'} [site='desuarchive.org'] The site to get the latest index from.
- * @returns {Promise<number>} The latest post ID.
- */
-async function getLatestIndex(site = 'desuarchive.org') {
-    if (process.env.OVERRIDE_LATEST_POST) {
-        const overrideNum = parseInt(process.env.OVERRIDE_LATEST_POST, 10);
-        if (!isNaN(overrideNum) && overrideNum > 0) {
-            console.log(`Using overridden latest post number from environment: ${overrideNum}`);
-            return overrideNum;
-        }
-    }
-    site = site || 'desuarchive.org';
-    setFetchSite(site);
-    /** @type {MinimalFFIndex} */
-    const res = await myFetch(`https://${site}/_/api/chan/index?board=mlp&page=1&_=${Date.now()}`, site === 'archived.moe' ? [403] : []).then(r => {
-        if (r.status === 403) {
-            throw new Error('Captcha required.');
-        }
-        return r.json();
-    });
-    let maxPostNum = -1;
-    for (const threadId in res) {
-        const thread = res[threadId];
-        if (thread.op) {
-            const opNum = parseInt(thread.op.num, 10);
-            if (opNum > maxPostNum) {
-                maxPostNum = opNum;
-            }
-        }
-        if (thread.posts) {
-            for (const post of thread.posts) {
-                const postNum = parseInt(post.num, 10);
-                if (postNum > maxPostNum) {
-                    maxPostNum = postNum;
-                }
-            }
-        }
-    }
-    return maxPostNum;
-}
-
-/**
- * Fetch a thread in chunks by its ID.
- * 
- * @param {string} threadNum The thread ID.
- * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe'} site The site to process comments for.
- * @returns {Promise<MinimalFFThread | { error: string }>} The thread data.
- */
-async function fetchThreadChunked(threadNum, site) {
-    /** @type {Map<number, MinimalFFPost>} */
-    const uniquePostsMap = new Map();
-    let start = 1;
-    while (true) {
-        const url = `https://${site}/_/api/chan/chunk/?board=mlp&num=${threadNum}&posts=5000&start=${start}`;
-
-        console.log(`[Chunked] Fetching ${url}...`);
-        /** @type {MinimalFFChunk | { error: string }} */
-        const res = await myFetch(url, site === 'archived.moe' ? [403] : []).then(r => {
-            if (r.status === 403) {
-                return { error: 'Captcha required.' };
-            }
-            return r.json();
-        });
-        if ('error' in res) {
-            // No more chunks
-            if (res.error === '') {
-                break;
-            }
-            return { error: res.error };
-        }
-        const comments = res.comments;
-        for (const threadId in comments) {
-            const thread = comments[threadId];
-            if (thread.op) {
-                if (thread.op.subnum === '0') {
-                    const num = parseInt(thread.op.num, 10);
-                    uniquePostsMap.set(num, thread.op);
-                }
-            }
-            if (thread.posts) {
-                for (const postId in thread.posts) {
-                    if (thread.posts[postId].subnum !== '0') {
-                        continue;
-                    }
-                    const num = parseInt(thread.posts[postId].num, 10);
-                    uniquePostsMap.set(num, thread.posts[postId]);
-                }
-            }
-        }
-        ++start;
-    }
-    const uniquePosts = Array.from(uniquePostsMap.entries()).sort((a, b) => a[0] - b[0]);
-    const tnum = parseInt(threadNum, 10);
-    /** @type {MinimalFFPost | null} */
-    let resOP = null;
-    /** @type {Record<string, MinimalFFPost>} */
-    const resPosts = {};
-    let hasPosts = false;
-    for (const [num, post] of uniquePosts) {
-        // Chunked returns a false in these fields. I dont wanna add it to type defs cause its only here.
-        const comSanAny = /** @type {any} */ (post.comment_sanitized);
-        if (comSanAny === false) {
-            post.comment_sanitized = post.comment == null ? '' : post.comment;
-        }
-        const comProcAny = /** @type {any} */ (post.comment_processed);
-        if (comProcAny === false) {
-            post.comment_processed = processComment(post.comment, site);
-        }
-        if (num === tnum) {
-            resOP = post;
-        }
-        else {
-            resPosts[post.num] = post;
-            hasPosts = true;
-        }
-    }
-
-    /** @type {MinimalFFThreadEntry} */
-    const result = {};
-    if (resOP) {
-        result.op = resOP;
-    }
-    if (hasPosts) {
-        result.posts = resPosts;
-    }
-    return Object.fromEntries([[threadNum, result]]);
+function getSiteLimits(site) {
+    return getSiteClient(site).limits;
 }
 
 /**
@@ -318,85 +120,14 @@ function ffDate(d) {
     return encodeURIComponent(d.toLocaleString('SV', { timeZone: 'America/New_York' }));
 }
 
-let MIN_SEARCH_INTERVAL = 3000;
-let lastSearchTime = {
-    'desuarchive.org': 0,
-    'arch.b4k.dev': 0,
-    'archived.moe': 0,
-};
-
 /**
- * Fetch a thread by searching for it.
+ * Split the posts of a thread into its OP and replies.
  * 
  * @param {string} threadNum The thread ID.
- * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe'} site The site to process comments for.
- * @param {boolean} useChunkedFallback Whether to use chunked fetching as a fallback.
- * @returns {Promise<MinimalFFThread | { error: string }>} The thread data.
+ * @param {Map<number, MinimalFFPost>} uniquePostsMap The posts of the thread by post ID.
+ * @returns {MinimalFFThread} The thread data.
  */
-async function fetchThreadSearch(threadNum, site, useChunkedFallback) {
-    /** @type {Map<number, MinimalFFPost>} */
-    const uniquePostsMap = new Map();
-    let start = '';
-    let page = 1;
-    let postsThisRound = 0;
-    let maxTS = 0;
-    while (true) {
-        const url = `https://${site}/_/api/chan/search/?boards=mlp&tnum=${threadNum}&ghost=none&&order=asc&page=${page}` +
-            (start ? `&start=${start}` : '');
-
-        const now = Date.now();
-        const delay = Math.max(0, MIN_SEARCH_INTERVAL - (now - lastSearchTime[site]));
-        if (delay > 0) {
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
-
-        console.log(`[Search] Fetching ${url}...`);
-        /** @type {MinimalFFSearch | { error: string }} */
-        const res = await myFetch(url, site === 'archived.moe' ? [403] : []).then(r => {
-            if (r.status === 403) {
-                return { error: 'Captcha required.' };
-            }
-            return r.json();
-        });
-        if ('error' in res) {
-            if (res.error === 'No results found.') {
-                return { error: 'Thread not found.' };
-            }
-            if (
-                res.error === 'The search backend is currently unavailable.' ||
-                res.error === 'The search backend returned an error.'
-            ) {
-                if (useChunkedFallback) {
-                    return await fetchThreadChunked(threadNum, site);
-                }
-                return { error: 'Thread not found.' };
-            }
-            return { error: res.error };
-        }
-        const meta = res.meta;
-        const results = res["0"];
-        postsThisRound += results.posts.length;
-        for (const post of results.posts) {
-            if (post.subnum !== '0') {
-                continue;
-            }
-            uniquePostsMap.set(parseInt(post.num, 10), post);
-            if (post.timestamp > maxTS) {
-                maxTS = post.timestamp;
-            }
-        }
-        if (postsThisRound >= meta.total_found) {
-            break;
-        }
-        const maxResults = parseInt(meta.max_results, 10);
-        if (postsThisRound >= maxResults) {
-            start = ffDate(new Date(maxTS * 1000));
-            postsThisRound = 0;
-            page = 1;
-        } else {
-            ++page;
-        }
-    }
+function toThread(threadNum, uniquePostsMap) {
     const uniquePosts = Array.from(uniquePostsMap.entries()).sort((a, b) => a[0] - b[0]);
     const tnum = parseInt(threadNum, 10);
     /** @type {MinimalFFPost | null} */
@@ -425,54 +156,38 @@ async function fetchThreadSearch(threadNum, site, useChunkedFallback) {
 }
 
 /**
- * Fetch a thread by its ID.
+ * Get the latest post ID override from the OVERRIDE_LATEST_POST environment variable.
  * 
- * @param {string} threadNum The thread ID.
- * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe'} site The site to process comments for.
- * @returns {Promise<MinimalFFThread | { error: string }>} The thread data.
+ * @returns {number | null} The overridden latest post ID, null if not overridden.
  */
-async function fetchThreadInner(threadNum, site) {
-    const allowResponses = [500];
-    if (site === 'archived.moe') {
-        allowResponses.push(403);
-    }
-    const resp = await myFetch(`https://${site}/_/api/chan/thread?board=mlp&num=${threadNum}`, allowResponses);
-    // Capcha
-    if (resp.status === 403) {
-        return { error: 'Captcha required.' };
-    }
-    // Thread too big, use search (with chunked fallback) instead
-    if (resp.status === 500) {
-        return await fetchThreadSearch(threadNum, site, true);
-    }
-    /** @type {MinimalFFThread | { error: string }} */
-    const result = await resp.json();
-    if ('error' in result) {
-        if (result.error === 'Thread not found.') {
-            return await fetchThreadSearch(threadNum, site, false);
+function getLatestIndexOverride() {
+    if (process.env.OVERRIDE_LATEST_POST) {
+        const overrideNum = parseInt(process.env.OVERRIDE_LATEST_POST, 10);
+        if (!isNaN(overrideNum) && overrideNum > 0) {
+            console.log(`Using overridden latest post number from environment: ${overrideNum}`);
+            return overrideNum;
         }
-        return result;
     }
-    return result;
+    return null;
 }
 
 /**
  * Set the source and de-DBfy a post.
  * 
  * @param {MinimalFFPost} post The post to process.
- * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe'} site The site to process comments for.
+ * @param {string} site The site to process comments for.
  * @returns {MinimalFFPost} The processed post.
  */
 function setSourceAndDeDBfy(post, site) {
     if ('comment_processed' in post) {
         post.comment_processed = deDBfy(post.comment_processed, site);
     }
-    if (site === 'desuarchive.org') {
+    if (site === getPrimarySource()) {
         return post;
     }
     let extraData = post.extra_data;
-    if (extraData === undefined && site === 'archived.moe') {
-        // Missing extra_data is expected for archived.moe posts
+    if (extraData === undefined) {
+        // Some archives, like archived.moe, send no extra_data at all
         extraData = [];
     }
     const source = { source: site };
@@ -487,69 +202,691 @@ function setSourceAndDeDBfy(post, site) {
 }
 
 /**
- * Fetch a thread by its ID.
+ * Check whether a fetch result is a failure.
  * 
- * @param {string} threadNum The thread ID.
- * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe'} [site='desuarchive.org'] The site to process comments for.
- * @returns {Promise<MinimalFFThread | { error: string }>} The thread data.
+ * @template T
+ * @param {T | FetchFailure} result The fetch result.
+ * @returns {result is FetchFailure} Whether it is a failure.
  */
-async function fetchThread(threadNum, site = 'desuarchive.org') {
-    site = site || 'desuarchive.org';
-    setFetchSite(site);
-    const result = await fetchThreadInner(threadNum, site);
-    if ('error' in result) {
-        return result;
+function isFailure(result) {
+    return typeof result === 'object' && result !== null && 'error' in result && isFetchError(result.error);
+}
+
+/**
+ * Turn a thrown fetch error into a failure result. Other errors are bugs and are rethrown.
+ * 
+ * @param {unknown} err The thrown error.
+ * @returns {FetchFailure} The failure.
+ */
+function toFailure(err) {
+    if (isFetchError(err)) {
+        return { error: err };
     }
-    // Process comments
-    for (const threadId in result) {
-        const thread = result[threadId];
-        if (thread.op) {
-            if (thread.op.subnum !== '0') {
-                delete thread.op;
+    throw err;
+}
+
+/**
+ * FoolFuuka API client for a single archive site.
+ * Each client owns its retry policy and rate limits, so several sites can be queried at the same time.
+ */
+class SiteClient {
+    /**
+     * @param {string} site The archive site, as listed in the source registry.
+     * @param {Partial<SiteLimits> & { baseUrl?: string }} [opts={}] Overrides for the base URL and the site limits.
+     */
+    constructor(site, opts = {}) {
+        const { baseUrl, ...limits } = opts || {};
+        const source = getSourceConfig(site);
+        /** @type {string} */
+        this.site = site;
+        /** @type {string} */
+        this.baseUrl = baseUrl || source.baseUrl;
+        /** @type {SiteLimits} */
+        this.limits = { ...source.limits, ...limits };
+        if (FETCH_CACHE_MODE === 'replay') {
+            // Nothing to throttle or retry when responses come from the fetch cache
+            this.limits = { ...this.limits, minInterval: 0, retries: 0, searchInterval: 0 };
+        }
+        /** @type {number[]} Non-okay HTTP status codes that are handled as a response (captcha) */
+        this.captchaStatuses = source.captcha.statuses;
+        if (source.cdp) {
+            enableCDPFetcher(new URL(source.baseUrl).hostname);
+        }
+        // Earliest time the next fetch may start
+        this.nextFetchTime = 0;
+        // Earliest time the next search may start
+        this.nextSearchTime = 0;
+    }
+
+    /**
+     * Wait for the next free fetch slot.
+     * The slot is reserved synchronously, so concurrent callers are spaced out correctly.
+     */
+    async waitForFetchSlot() {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextFetchTime);
+        this.nextFetchTime = slot + this.limits.minInterval;
+        if (slot > now) {
+            await new Promise(resolve => setTimeout(resolve, slot - now));
+        }
+    }
+
+    /**
+     * Wait for the next free search slot.
+     */
+    async waitForSearchSlot() {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSearchTime);
+        this.nextSearchTime = slot + this.limits.searchInterval;
+        if (slot > now) {
+            await new Promise(resolve => setTimeout(resolve, slot - now));
+        }
+    }
+
+    /**
+     * Fetch an API path with retries and exponential backoff.
+     * 
+     * @param {string} path The API path, relative to the base URL.
+     * @param {number[]} [allowErrors=[]] Array of non-okay HTTP status codes to allow.
+     * @param {number} [retryN=0] Number of retries on failure.
+     * @returns {Promise<Response>} The fetch response.
+     * @throws {FetchError} A rate-limited or transport-failure error when the retries run out.
+     */
+    async fetch(path, allowErrors = [], retryN = 0) {
+        const url = this.baseUrl + path;
+        let tooManyRequests = false;
+        /** @type {number | null} */
+        let status = null;
+        try {
+            // console.log('Fetching:', url);
+            await this.waitForFetchSlot();
+            const resp = await fetch(url);
+            if (!resp.ok && !(allowErrors.includes(resp.status))) {
+                status = resp.status;
+                if (resp.status === 429) {
+                    tooManyRequests = true;
+                }
+                throw new Error(`HTTP error: ${resp.status} ${resp.statusText}`);
+            }
+            return resp;
+        } catch (err) {
+            // Exponential backoff
+            if (retryN >= this.limits.retries) {
+                throw new FetchError(
+                    tooManyRequests ? 'rate-limited' : 'transport-failure',
+                    `Failed to fetch ${url} after ${this.limits.retries} retries: ${err}`,
+                    { site: this.site, url, status, cause: err }
+                );
+            }
+            const tmr = tooManyRequests ? this.limits.rateLimitDelay : 0;
+            const backoff = Math.min(2 ** retryN * this.limits.backoffBase, this.limits.backoffMax) + tmr;
+            console.warn(`Fetch error for ${url}: ${err}. Retrying in ${backoff} ms...`);
+            await new Promise(resolve => setTimeout(resolve, backoff));
+            return this.fetch(path, allowErrors, retryN + 1);
+        }
+    }
+
+    /**
+     * Parse a JSON API response.
+     * 
+     * @param {Response} resp The response.
+     * @param {string} url The request URL.
+     * @returns {Promise<any>} The parsed JSON object or array.
+     * @throws {FetchError} A malformed-response error if the body is not a JSON object or array.
+     */
+    async readJSON(resp, url) {
+        const details = { site: this.site, url, status: resp.status };
+        let body;
+        try {
+            body = await resp.json();
+        } catch (err) {
+            throw new FetchError('malformed-response', `Response is not valid JSON: ${err}`, { ...details, cause: err });
+        }
+        if (body === null || typeof body !== 'object') {
+            throw new FetchError('malformed-response', `Expected a JSON object, got ${JSON.stringify(body)}`, details);
+        }
+        return body;
+    }
+
+    /**
+     * Fetch an API path and parse its JSON response.
+     * 
+     * @param {string} path The API path, relative to the base URL.
+     * @returns {Promise<any>} The parsed JSON object or array.
+     * @throws {FetchError} A captcha error if the site asks for one, or any error of fetch or readJSON.
+     */
+    async fetchJSON(path) {
+        const url = this.baseUrl + path;
+        const resp = await this.fetch(path, this.captchaStatuses);
+        if (this.captchaStatuses.includes(resp.status)) {
+            throw new FetchError('captcha', 'Captcha required.', { site: this.site, url, status: resp.status });
+        }
+        return this.readJSON(resp, url);
+    }
+
+    /**
+     * Build the error for an error message the API answered with.
+     * 
+     * @param {string} message The error message.
+     * @param {string} path The API path, relative to the base URL.
+     * @returns {FetchFailure} The failure.
+     */
+    apiError(message, path) {
+        return { error: fromApiError(message, { site: this.site, url: this.baseUrl + path }) };
+    }
+
+    /**
+     * Get the lastest post ID in the archive.
+     * 
+     * @param {string} [board='mlp'] The board.
+     * @returns {Promise<number>} The latest post ID.
+     * @throws {FetchError} If the index cannot be fetched.
+     */
+    async getLatestIndex(board = 'mlp') {
+        const overrideNum = getLatestIndexOverride();
+        if (overrideNum !== null) {
+            return overrideNum;
+        }
+        /** @type {MinimalFFIndex} */
+        const res = await this.fetchJSON(`/_/api/chan/index?board=${board}&page=1&_=${Date.now()}`);
+        let maxPostNum = -1;
+        for (const threadId in res) {
+            const thread = res[threadId];
+            if (thread.op) {
+                const opNum = parseInt(thread.op.num, 10);
+                if (opNum > maxPostNum) {
+                    maxPostNum = opNum;
+                }
+            }
+            if (thread.posts) {
+                for (const post of thread.posts) {
+                    const postNum = parseInt(post.num, 10);
+                    if (postNum > maxPostNum) {
+                        maxPostNum = postNum;
+                    }
+                }
+            }
+        }
+        return maxPostNum;
+    }
+
+    /**
+     * Fetch a thread in chunks by its ID.
+     * 
+     * @param {string} threadNum The thread ID.
+     * @param {string} board The board.
+     * @returns {Promise<MinimalFFThread | FetchFailure>} The thread data.
+     * @throws {FetchError} If a chunk cannot be fetched.
+     */
+    async fetchThreadChunked(threadNum, board) {
+        /** @type {Map<number, MinimalFFPost>} */
+        const uniquePostsMap = new Map();
+        let start = 1;
+        while (true) {
+            const path = `/_/api/chan/chunk/?board=${board}&num=${threadNum}&posts=5000&start=${start}`;
+
+            console.log(`[Chunked] Fetching ${this.baseUrl}${path}...`);
+            /** @type {MinimalFFChunk | { error: string }} */
+            const res = await this.fetchJSON(path);
+            if ('error' in res) {
+                // No more chunks
+                if (res.error === '') {
+                    break;
+                }
+                return this.apiError(res.error, path);
+            }
+            const comments = res.comments;
+            for (const threadId in comments) {
+                const thread = comments[threadId];
+                if (thread.op) {
+                    if (thread.op.subnum === '0') {
+                        const num = parseInt(thread.op.num, 10);
+                        uniquePostsMap.set(num, thread.op);
+                    }
+                }
+                if (thread.posts) {
+                    for (const postId in thread.posts) {
+                        if (thread.posts[postId].subnum !== '0') {
+                            continue;
+                        }
+                        const num = parseInt(thread.posts[postId].num, 10);
+                        uniquePostsMap.set(num, thread.posts[postId]);
+                    }
+                }
+            }
+            ++start;
+        }
+        for (const post of uniquePostsMap.values()) {
+            // Chunked returns a false in these fields. I dont wanna add it to type defs cause its only here.
+            const comSanAny = /** @type {any} */ (post.comment_sanitized);
+            if (comSanAny === false) {
+                post.comment_sanitized = post.comment == null ? '' : post.comment;
+            }
+            const comProcAny = /** @type {any} */ (post.comment_processed);
+            if (comProcAny === false) {
+                post.comment_processed = processComment(post.comment, this.site, board);
+            }
+        }
+        return toThread(threadNum, uniquePostsMap);
+    }
+
+    /**
+     * Fetch a thread by searching for it.
+     * 
+     * @param {string} threadNum The thread ID.
+     * @param {boolean} useChunkedFallback Whether to use chunked fetching as a fallback.
+     * @param {string} board The board.
+     * @returns {Promise<MinimalFFThread | FetchFailure>} The thread data.
+     * @throws {FetchError} If a search page cannot be fetched.
+     */
+    async fetchThreadSearch(threadNum, useChunkedFallback, board) {
+        /** @type {Map<number, MinimalFFPost>} */
+        const uniquePostsMap = new Map();
+        let start = '';
+        let page = 1;
+        let postsThisRound = 0;
+        let maxTS = 0;
+        while (true) {
+            const path = `/_/api/chan/search/?boards=${board}&tnum=${threadNum}&ghost=none&&order=asc&page=${page}` +
+                (start ? `&start=${start}` : '');
+
+            await this.waitForSearchSlot();
+
+            console.log(`[Search] Fetching ${this.baseUrl}${path}...`);
+            /** @type {MinimalFFSearch | { error: string }} */
+            const res = await this.fetchJSON(path);
+            if ('error' in res) {
+                const failure = this.apiError(res.error, path);
+                if (failure.error.kind === 'backend-unavailable') {
+                    if (useChunkedFallback) {
+                        return await this.fetchThreadChunked(threadNum, board);
+                    }
+                    // The thread endpoint already said it does not exist
+                    return { error: new FetchError('not-found', 'Thread not found.', { site: this.site, url: failure.error.url, cause: failure.error }) };
+                }
+                return failure;
+            }
+            const meta = res.meta;
+            const results = res["0"];
+            postsThisRound += results.posts.length;
+            for (const post of results.posts) {
+                if (post.subnum !== '0') {
+                    continue;
+                }
+                uniquePostsMap.set(parseInt(post.num, 10), post);
+                if (post.timestamp > maxTS) {
+                    maxTS = post.timestamp;
+                }
+            }
+            if (postsThisRound >= meta.total_found) {
+                break;
+            }
+            const maxResults = parseInt(meta.max_results, 10);
+            if (postsThisRound >= maxResults) {
+                start = ffDate(new Date(maxTS * 1000));
+                postsThisRound = 0;
+                page = 1;
             } else {
-                thread.op = setSourceAndDeDBfy(thread.op, site);
+                ++page;
             }
         }
-        const posts = thread.posts || {};
-        for (const postId in posts) {
-            const post = posts[postId];
-            if (post.subnum !== '0') {
-                delete posts[postId];
+        return toThread(threadNum, uniquePostsMap);
+    }
+
+    /**
+     * Fetch a thread by its ID, without post-processing.
+     * 
+     * @param {string} threadNum The thread ID.
+     * @param {string} board The board.
+     * @returns {Promise<MinimalFFThread | FetchFailure>} The thread data.
+     * @throws {FetchError} If the thread cannot be fetched.
+     */
+    async fetchThreadInner(threadNum, board) {
+        const path = `/_/api/chan/thread?board=${board}&num=${threadNum}`;
+        const allowResponses = [500, ...this.captchaStatuses];
+        const resp = await this.fetch(path, allowResponses);
+        // Capcha
+        if (this.captchaStatuses.includes(resp.status)) {
+            throw new FetchError('captcha', 'Captcha required.', { site: this.site, url: this.baseUrl + path, status: resp.status });
+        }
+        // Thread too big, use search (with chunked fallback) instead
+        if (resp.status === 500) {
+            return await this.fetchThreadSearch(threadNum, true, board);
+        }
+        /** @type {MinimalFFThread | { error: string }} */
+        const result = await this.readJSON(resp, this.baseUrl + path);
+        if ('error' in result) {
+            const failure = this.apiError(/** @type {{ error: string }} */ (result).error, path);
+            if (failure.error.kind === 'not-found') {
+                return await this.fetchThreadSearch(threadNum, false, board);
+            }
+            return failure;
+        }
+        return result;
+    }
+
+    /**
+     * Fetch a thread by its ID.
+     * 
+     * @param {string} threadNum The thread ID.
+     * @param {string} [board='mlp'] The board.
+     * @returns {Promise<MinimalFFThread | FetchFailure>} The thread data.
+     */
+    async fetchThread(threadNum, board = 'mlp') {
+        const result = await this.fetchThreadInner(threadNum, board).catch(toFailure);
+        if ('error' in result) {
+            return result;
+        }
+        // Process comments
+        for (const threadId in result) {
+            const thread = result[threadId];
+            if (thread.op) {
+                if (thread.op.subnum !== '0') {
+                    delete thread.op;
+                } else {
+                    thread.op = setSourceAndDeDBfy(thread.op, this.site);
+                }
+            }
+            const posts = thread.posts || {};
+            for (const postId in posts) {
+                const post = posts[postId];
+                if (post.subnum !== '0') {
+                    delete posts[postId];
+                    continue;
+                }
+                posts[postId] = setSourceAndDeDBfy(post, this.site);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Fetch a post by its ID.
+     * 
+     * @param {string | number} postNum The post ID.
+     * @param {string} [board='mlp'] The board.
+     * @param {string} [threadNum] The thread ID, if known. FoolFuuka looks posts up by ID, so it is not needed.
+     * @returns {Promise<MinimalFFPost | FetchFailure>} The post data.
+     */
+    async fetchPost(postNum, board = 'mlp', threadNum) {
+        const path = `/_/api/chan/post?board=${board}&num=${postNum}`;
+        /** @type {MinimalFFPost | { error: string } | FetchFailure} */
+        const result = await this.fetchJSON(path).catch(toFailure);
+        if ('error' in result) {
+            return typeof result.error === 'string' ? this.apiError(result.error, path) : { error: result.error };
+        }
+        return setSourceAndDeDBfy(result, this.site);
+    }
+}
+
+// Threads a 4chan post lookup fetches at most, can be overridden with the FOURCHAN_SCAN_THREADS environment variable.
+// Enough for the live threads and a good part of the archive of a board.
+const FOURCHAN_SCAN_THREADS = (() => {
+    const value = parseInt(process.env.FOURCHAN_SCAN_THREADS || '', 10);
+    return isNaN(value) || value <= 0 ? 300 : value;
+})();
+
+/**
+ * Client for the 4chan read-only JSON API, converting its posts to the FoolFuuka shape.
+ * 4chan only serves live and recently archived threads, and has no way to look a post up by its ID,
+ * so posts are found by scanning the threads that may hold them.
+ */
+class FourChanClient extends SiteClient {
+    /**
+     * @param {string} site The source site, as listed in the source registry.
+     * @param {Partial<SiteLimits> & { baseUrl?: string, scanThreads?: number }} [opts={}] Overrides for the base URL, the site limits
+     *     and the number of threads a post lookup may fetch.
+     */
+    constructor(site, opts = {}) {
+        const { scanThreads, ...siteOpts } = opts || {};
+        super(site, siteOpts);
+        /** @type {number} Threads fetched at most to find a post of an unknown thread */
+        this.scanThreads = scanThreads ?? FOURCHAN_SCAN_THREADS;
+        /** @type {Map<string, number>} Thread IDs by board and post ID, for all posts of the fetched threads */
+        this.postThreads = new Map();
+        /** @type {Map<string, number | null>} Last post IDs of the fetched threads by board and thread ID, null if gone */
+        this.lastPosts = new Map();
+        /** @type {Map<string, Promise<Array<{ no: number, archived: boolean }>>>} Live and archived threads by board, newest first */
+        this.threadLists = new Map();
+    }
+
+    /**
+     * Get the lastest post ID on the board.
+     * 
+     * @param {string} [board='mlp'] The board.
+     * @returns {Promise<number>} The latest post ID.
+     */
+    async getLatestIndex(board = 'mlp') {
+        const overrideNum = getLatestIndexOverride();
+        if (overrideNum !== null) {
+            return overrideNum;
+        }
+        return getLatestFromCatalog(await this.fetchJSON(`/${board}/catalog.json`));
+    }
+
+    /**
+     * Get the URL of a raw 4chan thread.
+     * 
+     * @param {string | number} threadNum The thread ID.
+     * @param {string} board The board.
+     * @returns {string} The URL.
+     */
+    getThreadUrl(threadNum, board) {
+        return `${this.baseUrl}/${board}/thread/${threadNum}.json`;
+    }
+
+    /**
+     * Fetch a raw 4chan thread, keeping the thread IDs of its posts and its last post ID for later lookups.
+     * Threads themselves are not kept, a scan can go through many of them.
+     * 
+     * @param {string | number} threadNum The thread ID.
+     * @param {string} board The board.
+     * @returns {Promise<{ posts: Array<import('./fourChan').FourChanPost> } | null>} The thread, null if 4chan no longer has it.
+     * @throws {FetchError} If the thread cannot be fetched.
+     */
+    async fetchRawThread(threadNum, board) {
+        const key = `${board}/${threadNum}`;
+        const path = `/${board}/thread/${threadNum}.json`;
+        const resp = await this.fetch(path, [404]);
+        if (resp.status === 404) {
+            this.lastPosts.set(key, null);
+            return null;
+        }
+        /** @type {{ posts: Array<import('./fourChan').FourChanPost> }} */
+        const thread = await this.readJSON(resp, this.baseUrl + path);
+        for (const post of thread.posts) {
+            this.postThreads.set(`${board}/${post.no}`, post.resto || post.no);
+        }
+        this.lastPosts.set(key, thread.posts.reduce((max, p) => Math.max(max, p.no), 0));
+        return thread;
+    }
+
+    /**
+     * Get the live and archived threads of a board, newest first.
+     * 
+     * @param {string} board The board.
+     * @returns {Promise<Array<{ no: number, archived: boolean }>>} The thread IDs, and whether the threads are archived.
+     * @throws {FetchError} If the thread lists cannot be fetched.
+     */
+    getThreadList(board) {
+        let list = this.threadLists.get(board);
+        if (!list) {
+            list = Promise.all([
+                this.fetchJSON(`/${board}/threads.json`),
+                // Boards without an archive have no archive.json
+                this.fetch(`/${board}/archive.json`, [404]).then(r => r.status === 404 ? [] : this.readJSON(r, `${this.baseUrl}/${board}/archive.json`)),
+            ]).then(([/** @type {import('./fourChan').FourChanThreadList} */ pages, /** @type {Array<number>} */ archived]) => {
+                const archivedSet = new Set(archived);
+                const live = pages.flatMap(page => page.threads.map(t => t.no)).filter(no => !archivedSet.has(no));
+                return [
+                    ...live.map(no => ({ no, archived: false })),
+                    ...archived.map(no => ({ no, archived: true })),
+                ].sort((a, b) => b.no - a.no);
+            });
+            // Do not keep a failed fetch around, the next lookup tries again
+            list.catch(() => this.threadLists.delete(board));
+            this.threadLists.set(board, list);
+        }
+        return list;
+    }
+
+    /**
+     * Fetch a thread by its ID, without post-processing.
+     * 
+     * @param {string} threadNum The thread ID.
+     * @param {string} board The board.
+     * @returns {Promise<MinimalFFThread | FetchFailure>} The thread data.
+     * @throws {FetchError} If the thread cannot be fetched.
+     */
+    async fetchThreadInner(threadNum, board) {
+        const thread = await this.fetchRawThread(threadNum, board);
+        if (!thread) {
+            return { error: new FetchError('not-found', 'Thread not found.', { site: this.site, url: this.getThreadUrl(threadNum, board), status: 404 }) };
+        }
+        return toFFThread(thread, getPrimarySource(), board);
+    }
+
+    /**
+     * Fetch a post by its ID.
+     * 
+     * @param {string | number} postNum The post ID.
+     * @param {string} [board='mlp'] The board.
+     * @param {string} [threadNum] The thread ID, if known. Only that thread is searched then.
+     * @returns {Promise<MinimalFFPost | FetchFailure>} The post data.
+     */
+    async fetchPost(postNum, board = 'mlp', threadNum) {
+        return this.findPost(parseInt(String(postNum), 10), board, threadNum === undefined ? undefined : parseInt(threadNum, 10)).catch(toFailure);
+    }
+
+    /**
+     * Find a post in the threads that may hold it.
+     * Without a known thread, the threads made before the post are fetched newest first until one holds it.
+     * Threads are pruned in bump order, so an old thread may still have been alive when the post was made and
+     * the scan only stops after fetching scanThreads threads. Threads fetched by an earlier lookup are only
+     * fetched again if they are live and ended before the post, they may have gotten it since.
+     * 
+     * @param {number} num The post ID.
+     * @param {string} board The board.
+     * @param {number} [threadNum] The thread ID, if known.
+     * @returns {Promise<MinimalFFPost | FetchFailure>} The post data.
+     * @throws {FetchError} If a thread or thread list cannot be fetched.
+     */
+    async findPost(num, board, threadNum) {
+        threadNum = threadNum ?? this.postThreads.get(`${board}/${num}`);
+        // A thread can only hold posts made after it
+        const candidates = threadNum !== undefined
+            ? [{ no: threadNum, archived: false }]
+            : (await this.getThreadList(board)).filter(t => t.no <= num);
+        let url = `${this.baseUrl}/${board}/threads.json`;
+        let fetched = 0;
+        for (const candidate of candidates) {
+            const lastPost = this.lastPosts.get(`${board}/${candidate.no}`);
+            // The thread held every post it will ever have, or already went past the post, when an earlier lookup fetched it
+            if (threadNum === undefined && lastPost !== undefined && (lastPost === null || candidate.archived || lastPost >= num)) {
                 continue;
             }
-            posts[postId] = setSourceAndDeDBfy(post, site);
+            if (fetched >= this.scanThreads) {
+                break;
+            }
+            fetched++;
+            url = this.getThreadUrl(candidate.no, board);
+            const thread = await this.fetchRawThread(candidate.no, board);
+            const post = thread?.posts.find(p => p.no === num);
+            if (post) {
+                return setSourceAndDeDBfy(toFFPost(post, getPrimarySource(), board), this.site);
+            }
         }
+        return { error: new FetchError('not-found', 'Post not found.', { site: this.site, url }) };
     }
-    return result;
 }
 
+/** @type {Map<string, SiteClient>} */
+const siteClients = new Map();
+
 /**
- * Fetch a post by its ID.
+ * Get the base URL overrides from the environment, so a site can be served by a local stand-in.
+ * SITE_BASE_URLS is a JSON object mapping site names to base URLs.
  * 
- * @param {string | number} postNum The post ID.
- * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe'} [site='desuarchive.org'] The site to process comments for.
- * @returns {Promise<MinimalFFPost | { error: string }>} The post data.
+ * @returns {Record<string, string>} The base URLs by site.
  */
-async function fetchPost(postNum, site = 'desuarchive.org') {
-    site = site || 'desuarchive.org';
-    setFetchSite(site);
-    /** @type {MinimalFFPost | { error: string }} */
-    const result = await myFetch(`https://${site}/_/api/chan/post?board=mlp&num=${postNum}`, site === 'archived.moe' ? [403] : []).then(r => {
-        if (r.status === 403) {
-            return { error: 'Captcha required.' };
+function getBaseUrlOverrides() {
+    if (!process.env.SITE_BASE_URLS) {
+        return {};
+    }
+    try {
+        const urls = JSON.parse(process.env.SITE_BASE_URLS);
+        if (urls && typeof urls === 'object' && !Array.isArray(urls)) {
+            return urls;
         }
-        return r.json();
-    });
-    if ('error' in result) {
-        return result;
+    } catch (e) { }
+    console.warn("SITE_BASE_URLS is not a valid JSON object, ignoring.");
+    return {};
+}
+
+const BASE_URL_OVERRIDES = getBaseUrlOverrides();
+
+/**
+ * Get the shared client of a site.
+ * 
+ * @param {string} [site] The site to get the client for (default: the primary source).
+ * @returns {SiteClient} The site client.
+ */
+function getSiteClient(site) {
+    site = site || getPrimarySource();
+    let client = siteClients.get(site);
+    if (!client) {
+        const Client = getSourceConfig(site).type === '4chan' ? FourChanClient : SiteClient;
+        client = new Client(site, { baseUrl: BASE_URL_OVERRIDES[site] });
+        siteClients.set(site, client);
     }
-    return setSourceAndDeDBfy(result, site);
+    return client;
+}
+
+/**
+ * Get the lastest post ID in the archive.
+ * 
+ * @param {string} [site] The site to get the latest index from (default: the primary source).
+ * @param {string} [board='mlp'] The board.
+ * @returns {Promise<number>} The latest post ID.
+ */
+async function getLatestIndex(site, board = 'mlp') {
+    return getSiteClient(site).getLatestIndex(board);
+}
+
+/**
+ * Fetch a thread by its ID.
+ * 
+ * @param {string} threadNum The thread ID.
+ * @param {string} [site] The site to fetch from (default: the primary source).
+ * @param {string} [board='mlp'] The board.
+ * @returns {Promise<MinimalFFThread | FetchFailure>} The thread data.
+ */
+async function fetchThread(threadNum, site, board = 'mlp') {
+    return getSiteClient(site).fetchThread(threadNum, board);
+}
+
+/**
+ * Fetch a post by its ID.
+ * 
+ * @param {string | number} postNum The post ID.
+ * @param {string} [site] The site to fetch from (default: the primary source).
+ * @param {string} [board='mlp'] The board.
+ * @param {string} [threadNum] The thread ID, if known, for sources that cannot look posts up by ID.
+ * @returns {Promise<MinimalFFPost | FetchFailure>} The post data.
+ */
+async function fetchPost(postNum, site, board = 'mlp', threadNum) {
+    return getSiteClient(site).fetchPost(postNum, board, threadNum);
 }
 
 module.exports = {
+    SiteClient,
+    FourChanClient,
+    getSiteClient,
+    isFailure,
     getSource,
     getPriority,
+    getSiteLimits,
     getLatestIndex,
     fetchPost,
     fetchThread,
-};
\ No newline at end of file
+};
@@ -0,0 +1,205 @@
+// @ts-check
+const { processComment } = require("./v1/commentProcessor");
+const { htmlEntityDecode } = require("./v1/htmlentities");
+
+/** @typedef {import('./ffUtils').MinimalFFPost} MinimalFFPost */
+/** @typedef {import('./ffUtils').MinimalFFThread} MinimalFFThread */
+
+/**
+ * A post as the 4chan read-only JSON API returns it.
+ * There are more fields, but these are the only ones we care about.
+ * @typedef {Object} FourChanPost
+ * @property {number} no The post ID.
+ * @property {number} resto The thread ID, 0 for the OP.
+ * @property {number} time The post UNIX timestamp.
+ * @property {string} [com] The comment HTML.
+ * @property {string} [name] The poster name.
+ * @property {string} [trip] The tripcode.
+ * @property {string} [id] The poster ID.
+ * @property {string} [capcode] The capcode.
+ * @property {string} [country] The poster country code.
+ * @property {string} [country_name] The poster country name.
+ * @property {string} [sub] The thread subject.
+ * @property {number} [sticky] Whether the thread is stickied.
+ * @property {number} [closed] Whether the thread is closed.
+ * @property {number} [tim] The media upload timestamp, used as its file name.
+ * @property {string} [filename] The original media file name, without extension.
+ * @property {string} [ext] The media file extension.
+ * @property {number} [fsize] The media file size.
+ * @property {string} [md5] The base64 MD5 of the media.
+ * @property {number} [w] The media width.
+ * @property {number} [h] The media height.
+ * @property {number} [tn_w] The thumbnail width.
+ * @property {number} [tn_h] The thumbnail height.
+ * @property {number} [spoiler] Whether the media is spoilered.
+ * @property {number} [filedeleted] Whether the media was deleted.
+ */
+
+/**
+ * Minimal representation of the 4chan catalog response.
+ * @typedef {Array<{ page: number, threads: Array<FourChanPost & { last_replies?: Array<FourChanPost> }> }>} FourChanCatalog
+ */
+
+/**
+ * Minimal representation of the 4chan thread list response.
+ * @typedef {Array<{ page: number, threads: Array<{ no: number, last_modified: number }> }>} FourChanThreadList
+ */
+
+const NY_TIME = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/New_York', hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+});
+
+/**
+ * Convert a 4chan UNIX timestamp to an archive timestamp.
+ * FoolFuuka archives store post times as America/New_York wall clock time read as UTC.
+ *
+ * @param {number} time The UNIX timestamp.
+ * @returns {number} The archive timestamp.
+ */
+function toArchiveTimestamp(time) {
+    /** @type {Record<string, number>} */
+    const parts = {};
+    for (const part of NY_TIME.formatToParts(new Date(time * 1000))) {
+        parts[part.type] = parseInt(part.value, 10);
+    }
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) / 1000;
+}
+
+/**
+ * Rebuild the raw comment of a post from the 4chan comment HTML, the way archive scrapers store it.
+ * Markup 4chan renders from BBCode is turned back into the BBCode, all other markup is dropped.
+ *
+ * @param {string | undefined} com The comment HTML.
+ * @returns {string | null} The raw comment, null if the post has none.
+ */
+function rebuildComment(com) {
+    if (com === undefined || com === '') {
+        return null;
+    }
+    const text = com
+        // "Comment too long" notice of truncated comments in the index
+        .replace(/<span class="abbr">.*?<\/span>/g, '')
+        .replace(/<br\s*\/?>/g, '\n')
+        .replace(/<wbr\s*\/?>/g, '')
+        .replace(/<s>/g, '[spoiler]')
+        .replace(/<\/s>/g, '[/spoiler]')
+        .replace(/<span class="sjis">(.*?)<\/span>/gs, '[shiftjis]$1[/shiftjis]')
+        .replace(/<pre class="prettyprint">(.*?)<\/pre>/gs, '[code]$1[/code]')
+        .replace(/<b style="color:\s*red;?">(.*?)<\/b>/gs, '[banned]$1[/banned]')
+        .replace(/<[^>]*>/g, '');
+    return htmlEntityDecode(text);
+}
+
+/**
+ * Get the FoolFuuka capcode letter of a 4chan capcode.
+ *
+ * @param {string | undefined} capcode The 4chan capcode.
+ * @returns {string} The capcode letter, N for none.
+ */
+function toCapcode(capcode) {
+    if (!capcode) {
+        return 'N';
+    }
+    return capcode === 'manager' ? 'G' : capcode[0].toUpperCase();
+}
+
+/**
+ * Convert a 4chan post to the FoolFuuka post shape.
+ * The comment is rendered as the given archive renders it, since 4chan itself has no post pages to link to.
+ *
+ * @param {FourChanPost} post The 4chan post.
+ * @param {string} site The archive to render the comment for.
+ * @param {string} board The board.
+ * @returns {MinimalFFPost & Record<string, any>} The post.
+ */
+function toFFPost(post, site, board) {
+    const comment = rebuildComment(post.com);
+    const media = post.tim === undefined || post.filedeleted ? null : {
+        spoiler: post.spoiler ? '1' : '0',
+        media_filename: `${post.filename}${post.ext}`,
+        media_w: String(post.w),
+        media_h: String(post.h),
+        preview_w: String(post.tn_w),
+        preview_h: String(post.tn_h),
+        media_size: String(post.fsize),
+        media_hash: post.md5,
+        media_orig: `${post.tim}${post.ext}`,
+        preview_orig: `${post.tim}s.jpg`,
+    };
+    return {
+        num: String(post.no),
+        subnum: '0',
+        thread_num: String(post.resto || post.no),
+        op: post.resto ? '0' : '1',
+        timestamp: toArchiveTimestamp(post.time),
+        capcode: toCapcode(post.capcode),
+        name: post.name === undefined ? null : htmlEntityDecode(post.name),
+        trip: post.trip || null,
+        title: post.sub === undefined ? null : htmlEntityDecode(post.sub),
+        poster_hash: post.id || null,
+        poster_country: post.country || null,
+        poster_country_name: post.country_name || null,
+        sticky: post.sticky ? '1' : '0',
+        locked: post.closed ? '1' : '0',
+        deleted: '0',
+        comment,
+        comment_sanitized: comment == null ? '' : comment,
+        comment_processed: processComment(comment, site, board),
+        media,
+        extra_data: [],
+    };
+}
+
+/**
+ * Convert a 4chan thread response to the FoolFuuka thread shape.
+ *
+ * @param {{ posts: Array<FourChanPost> }} thread The 4chan thread.
+ * @param {string} site The archive to render the comments for.
+ * @param {string} board The board.
+ * @returns {MinimalFFThread} The thread.
+ */
+function toFFThread(thread, site, board) {
+    /** @type {import('./ffUtils').MinimalFFThreadEntry} */
+    const entry = {};
+    /** @type {Record<string, MinimalFFPost>} */
+    const posts = {};
+    let threadNum = null;
+    for (const post of thread.posts) {
+        const ffPost = toFFPost(post, site, board);
+        threadNum = ffPost.thread_num;
+        if (post.resto === 0) {
+            entry.op = ffPost;
+        } else {
+            posts[ffPost.num] = ffPost;
+        }
+    }
+    if (Object.keys(posts).length > 0) {
+        entry.posts = posts;
+    }
+    return threadNum === null ? {} : { [threadNum]: entry };
+}
+
+/**
+ * Get the latest post ID of a board from its catalog.
+ *
+ * @param {FourChanCatalog} catalog The 4chan catalog.
+ * @returns {number} The latest post ID, -1 if the catalog is empty.
+ */
+function getLatestFromCatalog(catalog) {
+    let latest = -1;
+    for (const page of catalog) {
+        for (const thread of page.threads) {
+            latest = Math.max(latest, thread.no, ...(thread.last_replies || []).map(p => p.no));
+        }
+    }
+    return latest;
+}
+
+module.exports = {
+    toArchiveTimestamp,
+    rebuildComment,
+    toFFPost,
+    toFFThread,
+    getLatestFromCatalog,
+};
@@ -0,0 +1,258 @@
+// @ts-check
+const { stat, readFile, writeFile, rename } = require('fs/promises');
+const { openNDJSONStream, readNDJSON } = require('./ndjsonReader');
+
+/**
+ * @typedef {Object} NDJSONIndexData
+ * @property {number} version The index format version.
+ * @property {number} size The size of the indexed file, to detect stale indexes.
+ * @property {number} mtimeMs The modification time of the indexed file, to detect stale indexes.
+ * @property {number} interval The number of entries between index points.
+ * @property {number} count The number of entries in the file.
+ * @property {number} dataSize The size of the (decompressed) NDJSON data.
+ * @property {Array<[number, number]>} points Sorted `[num, byte offset]` pairs, offsets in the (decompressed) data.
+ */
+
+const INDEX_VERSION = 1;
+const DEFAULT_INTERVAL = 1000;
+
+/**
+ * Get the path of the index sidecar file of an NDJSON file.
+ * 
+ * @param {string} filePath The NDJSON file path.
+ * @returns {string} The index file path.
+ */
+function getIndexPath(filePath) {
+    return `${filePath}.idx.json`;
+}
+
+/**
+ * Scan an NDJSON file and record the byte offset of every `interval`-th entry.
+ * 
+ * @param {string} filePath The NDJSON file path, optionally gzip compressed.
+ * @param {number} [interval=1000] The number of entries between index points.
+ * @returns {Promise<NDJSONIndexData>} The index data.
+ */
+async function buildIndex(filePath, interval = DEFAULT_INTERVAL) {
+    const stats = await stat(filePath);
+    /** @type {Array<[number, number]>} */
+    const points = [];
+    const { stream, file } = await openNDJSONStream(filePath, 0x100000);
+    let count = 0;
+    let offset = 0;
+    let lineStart = 0;
+    let lastNum = -Infinity;
+    // Bytes of the current line, only kept for lines that become index points
+    /** @type {Array<Buffer> | null} */
+    let lineParts = null;
+
+    /**
+     * Record a complete line as an index point.
+     * 
+     * @param {Buffer} line The line bytes, without the newline.
+     */
+    function addPoint(line) {
+        const text = line.toString('utf-8').trim();
+        if (text.length === 0) {
+            return;
+        }
+        const num = parseInt(JSON.parse(text).num, 10);
+        if (!(num > lastNum)) {
+            throw new Error(`Entries are not sorted by post number in ${filePath}: ${num} after ${lastNum}`);
+        }
+        points.push([num, lineStart]);
+        lastNum = num;
+    }
+
+    try {
+        for await (const buf of stream) {
+            let pos = 0;
+            while (pos < buf.length) {
+                if (offset + pos === lineStart && lineParts === null && count % interval === 0) {
+                    lineParts = [];
+                }
+                const nl = buf.indexOf(0x0A, pos);
+                const partEnd = nl === -1 ? buf.length : nl;
+                if (lineParts !== null) {
+                    lineParts.push(buf.subarray(pos, partEnd));
+                }
+                if (nl === -1) {
+                    break;
+                }
+                // Skip empty lines, they are not entries
+                if (nl + offset > lineStart) {
+                    if (lineParts !== null) {
+                        addPoint(Buffer.concat(lineParts));
+                        lineParts = null;
+                    }
+                    count++;
+                }
+                pos = nl + 1;
+                lineStart = offset + pos;
+            }
+            offset += buf.length;
+        }
+        if (offset > lineStart) {
+            if (lineParts !== null) {
+                addPoint(Buffer.concat(lineParts));
+            }
+            count++;
+        }
+    } finally {
+        stream.destroy();
+        file.destroy();
+    }
+    return {
+        version: INDEX_VERSION,
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+        interval,
+        count,
+        dataSize: offset,
+        points,
+    };
+}
+
+/**
+ * Sparse `post number -> byte offset` index of a sorted NDJSON archive file, for random access without a full scan.
+ */
+class NDJSONIndex {
+    /**
+     * @param {string} filePath The NDJSON file path.
+     * @param {NDJSONIndexData} data The index data.
+     */
+    constructor(filePath, data) {
+        this.filePath = filePath;
+        this.data = data;
+    }
+
+    /**
+     * Open the index of an NDJSON file, building and saving it if it is missing or stale.
+     * 
+     * @param {string} filePath The NDJSON file path, optionally gzip compressed.
+     * @param {{ interval?: number, save?: boolean }} [opts={}] The index point interval, and whether to save a (re)built index.
+     * @returns {Promise<NDJSONIndex>} The index.
+     */
+    static async open(filePath, opts = {}) {
+        const interval = opts.interval || DEFAULT_INTERVAL;
+        const stats = await stat(filePath);
+        const indexPath = getIndexPath(filePath);
+        try {
+            /** @type {NDJSONIndexData} */
+            const data = JSON.parse(await readFile(indexPath, 'utf-8'));
+            if (
+                data.version === INDEX_VERSION && data.size === stats.size &&
+                data.mtimeMs === stats.mtimeMs && data.interval === interval
+            ) {
+                return new NDJSONIndex(filePath, data);
+            }
+        } catch (err) {
+            // Missing or corrupt, rebuild below
+        }
+        const data = await buildIndex(filePath, interval);
+        if (opts.save !== false) {
+            const tmpPath = `${indexPath}.${process.pid}.tmp`;
+            await writeFile(tmpPath, JSON.stringify(data), 'utf-8');
+            await rename(tmpPath, indexPath);
+        }
+        return new NDJSONIndex(filePath, data);
+    }
+
+    /**
+     * Find the index point at or before a post number.
+     * 
+     * @param {number} num The post number.
+     * @returns {number} The index point position, or -1 if the post number is before the first entry.
+     */
+    floorPoint(num) {
+        const points = this.data.points;
+        let low = 0;
+        let high = points.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (points[mid][0] <= num) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Get an archive entry by its post number.
+     * 
+     * @param {number} num The post number.
+     * @returns {Promise<any | null>} The entry, or null if the file does not contain it.
+     */
+    async getPost(num) {
+        const pointI = this.floorPoint(num);
+        if (pointI === -1) {
+            return null;
+        }
+        const points = this.data.points;
+        const start = points[pointI][1];
+        const end = pointI + 1 < points.length ? points[pointI + 1][1] - 1 : undefined;
+        let found = null;
+        await readNDJSON(this.filePath, (entry) => {
+            const entryNum = parseInt(entry.num, 10);
+            if (entryNum === num) {
+                found = entry;
+            }
+            return entryNum >= num;
+        }, { start, end });
+        return found;
+    }
+
+    /**
+     * Read the archive entries within a post number range.
+     * 
+     * @param {number} from The first post number, inclusive.
+     * @param {number} to The last post number, inclusive.
+     * @param {(entry: any) => (void | boolean | Promise<void | boolean>)} onEntry Callback invoked for each entry in the range. If it returns true, reading stops.
+     */
+    async readRange(from, to, onEntry) {
+        if (from > to || this.data.points.length === 0) {
+            return;
+        }
+        const pointI = this.floorPoint(from);
+        const start = pointI === -1 ? 0 : this.data.points[pointI][1];
+        await readNDJSON(this.filePath, (entry) => {
+            const entryNum = parseInt(entry.num, 10);
+            if (entryNum < from) {
+                return;
+            }
+            if (entryNum > to) {
+                return true;
+            }
+            return onEntry(entry);
+        }, { start });
+    }
+}
+
+async function main() {
+    const files = process.argv.slice(2);
+    if (files.length === 0) {
+        console.error('Usage: node ndjsonIndex.js <file.ndjson[.gz]>...');
+        process.exit(1);
+    }
+    for (const file of files) {
+        const index = await NDJSONIndex.open(file);
+        console.log(`${getIndexPath(file)}: ${index.data.count} entries, ${index.data.points.length} index points.`);
+    }
+}
+
+if (require.main === module) {
+    main().catch((err) => {
+        console.error('Error building index:', err);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    NDJSONIndex,
+    buildIndex,
+    getIndexPath,
+};
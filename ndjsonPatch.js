@@ -0,0 +1,188 @@
+// @ts-check
+const { createWriteStream } = require('fs');
+const { resolve } = require('path');
+const { isGzipFile, readNDJSON } = require('./ndjsonReader');
+const { mapLines, rewriteNDJSON } = require('./ndjsonWriter');
+
+/**
+ * A post replaced by a recheck. Patch files hold one record per line, sorted by post number.
+ * 
+ * @typedef {Object} PatchRecord
+ * @property {string} num The post number.
+ * @property {string | null} oldSource The archive the replaced entry came from, null if it was an exception.
+ * @property {any} post The new entry.
+ * @property {string} baseSha256 SHA-256 of the decompressed chunk the patch applies to.
+ * @property {string} resultSha256 SHA-256 of the decompressed chunk after applying the patch.
+ */
+
+/**
+ * Get the file name of the patch of a chunk. Patches are named by the data they apply to,
+ * so a mirror can find the patch for its copy from the copy's checksum.
+ * 
+ * @param {string} name The chunk name.
+ * @param {string} baseSha256 SHA-256 of the decompressed chunk the patch applies to.
+ * @returns {string} The patch file name.
+ */
+function getPatchName(name, baseSha256) {
+    return `${name}.${baseSha256.substring(0, 16)}.patch.ndjson`;
+}
+
+/**
+ * Write a patch file.
+ * 
+ * @param {string} path The patch file path.
+ * @param {Array<PatchRecord>} records The patch records.
+ */
+async function writePatch(path, records) {
+    const sorted = [...records].sort((a, b) => parseInt(a.num, 10) - parseInt(b.num, 10));
+    const out = createWriteStream(path, { flags: 'w' });
+    /** @type {Promise<void>} */
+    const outClosed = new Promise((resolve, reject) => {
+        out.once('close', () => resolve());
+        out.once('error', reject);
+    });
+    for (const record of sorted) {
+        if (!out.write(JSON.stringify(record) + '\n')) {
+            await new Promise((resolve) => out.once('drain', () => resolve(void 0)));
+        }
+    }
+    out.end();
+    await outClosed;
+}
+
+/**
+ * Read a patch file.
+ * 
+ * @param {string} path The patch file path.
+ * @returns {Promise<Array<PatchRecord>>} The patch records.
+ */
+async function readPatch(path) {
+    /** @type {Array<PatchRecord>} */
+    const records = [];
+    await readNDJSON(path, (record) => {
+        records.push(record);
+    });
+    return records;
+}
+
+/**
+ * Check that patches chain from one chunk version to the next and merge their posts.
+ * 
+ * @param {Array<Array<PatchRecord>>} patches The patches, in the order they were made.
+ * @param {string} [baseSha256] SHA-256 of the data the first patch must apply to.
+ * @returns {{ posts: Map<number, any>, baseSha256: string, resultSha256: string }} The new entries by post number, and the checksums before and after.
+ */
+function mergePatches(patches, baseSha256) {
+    /** @type {Map<number, any>} */
+    const posts = new Map();
+    let sha = baseSha256;
+    let first = baseSha256;
+    for (const records of patches) {
+        if (records.length === 0) {
+            continue;
+        }
+        const base = records[0].baseSha256;
+        if (sha !== undefined && base !== sha) {
+            throw new Error(`Patch applies to ${base}, expected ${sha}`);
+        }
+        first = first || base;
+        for (const record of records) {
+            if (record.baseSha256 !== base || record.resultSha256 !== records[0].resultSha256) {
+                throw new Error(`Inconsistent checksums in patch record of post ${record.num}`);
+            }
+            posts.set(parseInt(record.num, 10), record.post);
+        }
+        sha = records[0].resultSha256;
+    }
+    if (sha === undefined || first === undefined) {
+        throw new Error('No patch records');
+    }
+    return { posts, baseSha256: first, resultSha256: sha };
+}
+
+/**
+ * Replace entries of an NDJSON stream by post number. Other lines are passed through as is.
+ * 
+ * @param {AsyncIterable<Buffer>} source The NDJSON data.
+ * @param {Map<number, any>} posts The new entries by post number.
+ * @returns {AsyncGenerator<Buffer>} The patched NDJSON data.
+ */
+async function* patchLines(source, posts) {
+    yield* mapLines(source, (line) => {
+        const text = line.toString('utf-8').trim();
+        if (text.length === 0) {
+            return line;
+        }
+        const post = posts.get(parseInt(JSON.parse(text).num, 10));
+        return post === undefined ? line : Buffer.from(JSON.stringify(post) + '\n');
+    });
+}
+
+/**
+ * Apply patches to a chunk, verifying the chunk before and the result after.
+ * 
+ * @param {string} basePath The chunk path, optionally gzip compressed.
+ * @param {Array<Array<PatchRecord>>} patches The patches, in the order they were made.
+ * @param {string} outputPath The output path. May be the chunk path.
+ * @param {{ gzip?: boolean }} [opts={}] Whether to gzip compress the output (default: if the chunk is gzip compressed).
+ * @returns {Promise<string>} SHA-256 of the decompressed result.
+ */
+async function applyPatch(basePath, patches, outputPath, opts = {}) {
+    const { posts, baseSha256, resultSha256 } = mergePatches(patches);
+    const gzip = typeof opts.gzip === 'boolean' ? opts.gzip : await isGzipFile(basePath);
+    const sums = await rewriteNDJSON(basePath, (source) => patchLines(source, posts), outputPath, {
+        gzip,
+        check: (actual) => {
+            if (actual.baseSha256 !== baseSha256) {
+                throw new Error(`Patch applies to ${baseSha256}, but ${basePath} is ${actual.baseSha256}`);
+            }
+            if (actual.resultSha256 !== resultSha256) {
+                throw new Error(`Patched data is ${actual.resultSha256}, expected ${resultSha256}`);
+            }
+        },
+    });
+    return sums.resultSha256;
+}
+
+async function main() {
+    const [cmd, ...args] = process.argv.slice(2);
+    if (cmd === 'apply' && args.length >= 2) {
+        let outputPath = null;
+        /** @type {Array<string>} */
+        const paths = [];
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === '-o' || args[i] === '--output') {
+                outputPath = args[++i];
+            } else {
+                paths.push(args[i]);
+            }
+        }
+        const [basePath, ...patchPaths] = paths.map(p => resolve(p));
+        /** @type {Array<Array<PatchRecord>>} */
+        const patches = [];
+        for (const patchPath of patchPaths) {
+            patches.push(await readPatch(patchPath));
+        }
+        const sha256 = await applyPatch(basePath, patches, outputPath ? resolve(outputPath) : basePath);
+        console.log(`Applied ${patchPaths.length} patches to ${basePath}. Result: ${outputPath || basePath}, sha256 ${sha256}.`);
+        return;
+    }
+    console.error('Usage: node ndjsonPatch.js apply <base.ndjson[.gz]> <patch.ndjson>... [-o <output>]');
+    process.exit(1);
+}
+
+if (require.main === module) {
+    main().catch((err) => {
+        console.error('Error:', err);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    applyPatch,
+    getPatchName,
+    mergePatches,
+    patchLines,
+    readPatch,
+    writePatch,
+};
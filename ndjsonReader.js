@@ -1,5 +1,7 @@
 // @ts-check
 const { createReadStream } = require('fs');
+const { open } = require('fs/promises');
+const { createGunzip } = require('zlib');
 
 /**
  * @template T
@@ -44,18 +46,61 @@ function verifyNumberProp(opts, propName, defaultValue) {
     return val;
 }
 
+/**
+ * Check whether a file is gzip compressed, by its extension or its magic bytes.
+ * 
+ * @param {string} filePath - The file path.
+ * @returns {Promise<boolean>} - Whether the file is gzip compressed.
+ */
+async function isGzipFile(filePath) {
+    if (filePath.endsWith('.gz')) {
+        return true;
+    }
+    const fh = await open(filePath, 'r');
+    try {
+        const magic = Buffer.alloc(2);
+        const { bytesRead } = await fh.read(magic, 0, 2, 0);
+        return bytesRead === 2 && magic[0] === 0x1F && magic[1] === 0x8B;
+    } finally {
+        await fh.close();
+    }
+}
+
+/**
+ * Open a file for reading, decompressing it on the fly if it is gzip compressed.
+ * 
+ * @param {string} filePath - The file path.
+ * @param {number} highWaterMark - The chunk size to read from the file.
+ * @param {number} [start] - The starting byte position to read from, only used for uncompressed files.
+ * @param {number} [end] - The ending byte position to read to, only used for uncompressed files.
+ * @returns {Promise<{ stream: AsyncIterable<Buffer> & import('stream').Readable, file: import('fs').ReadStream, gzip: boolean }>} - The (decompressed) stream and the underlying file stream.
+ */
+async function openNDJSONStream(filePath, highWaterMark, start, end) {
+    const gzip = await isGzipFile(filePath);
+    if (!gzip) {
+        const file = createReadStream(filePath, { flags: 'r', highWaterMark, start, end, encoding: undefined });
+        return { stream: file, file, gzip };
+    }
+    const file = createReadStream(filePath, { flags: 'r', highWaterMark, encoding: undefined });
+    const gunzip = createGunzip({ chunkSize: highWaterMark });
+    file.on('error', (err) => gunzip.destroy(err));
+    gunzip.on('close', () => file.destroy());
+    return { stream: file.pipe(gunzip), file, gzip };
+}
+
 /**
  * @typedef ReadNDJSONOptions
  * @property {number} [highWaterMark] - The chunk size to read from the file (default 1MB).
- * @property {number} [start] - The starting byte position to read from.
- * @property {number} [end] - The ending byte position to read to.
- * @property {(position: number) => void} [onProgress] - Callback invoked with the current read position.
+ * @property {number} [start] - The starting byte position to read from. For gzip files, the position in the decompressed data.
+ * @property {number} [end] - The ending byte position to read to. For gzip files, the position in the decompressed data.
+ * @property {(position: number) => void} [onProgress] - Callback invoked with the current read position. For gzip files, the position in the compressed file.
  */
 
 /**
  * Reads an NDJSON (Newline Delimited JSON) file, invoking a callback for each entry.
+ * Gzip compressed files are decompressed on the fly.
  * 
- * @param {string} filePath - The path to the NDJSON file.
+ * @param {string} filePath - The path to the NDJSON file, optionally gzip compressed.
  * @param {(entry: any) => (void | boolean | Promise<void | boolean>)} onEntry - Callback invoked for each JSON entry. If it returns true, reading stops.
  * @param {ReadNDJSONOptions} [opts={}] - Options for reading the file.
  */
@@ -70,14 +115,28 @@ async function readNDJSON(filePath, onEntry, opts = {}) {
     const end = endRaw === -1 ? undefined : endRaw;
     const onProgress = typeof opts.onProgress === 'function' ? opts.onProgress : null;
     let position = start;
-    /** @type {{ [Symbol.asyncIterator](): AsyncIterator<Buffer> } & import("fs").ReadStream} */
-    const stream = createReadStream(filePath, { flags: 'r', highWaterMark, start, end, encoding: undefined });
+    const { stream, file, gzip } = await openNDJSONStream(filePath, highWaterMark, start, end);
+    // Decompressed bytes seen so far, to apply start and end to gzip files
+    let decompressed = 0;
     try {
         let leftover = Buffer.alloc(0);
         let stop = false;
 
-        for await (const buf of stream) {
-            position += buf.length;
+        for await (let buf of stream) {
+            if (gzip) {
+                const bufStart = decompressed;
+                decompressed += buf.length;
+                if (decompressed <= start) {
+                    continue;
+                }
+                if (end !== undefined && bufStart > end) {
+                    break;
+                }
+                buf = buf.subarray(Math.max(start - bufStart, 0), end === undefined ? undefined : end - bufStart + 1);
+                position = file.bytesRead;
+            } else {
+                position += buf.length;
+            }
             if (onProgress) {
                 onProgress(position);
             }
@@ -175,9 +234,12 @@ async function readNDJSON(filePath, onEntry, opts = {}) {
         }
     } finally {
         stream.destroy();
+        file.destroy();
     }
 }
 
 module.exports = {
+    isGzipFile,
+    openNDJSONStream,
     readNDJSON
 };
\ No newline at end of file
@@ -0,0 +1,154 @@
+// @ts-check
+const { createReadStream, createWriteStream, existsSync } = require('fs');
+const { appendFile, rename, rm } = require('fs/promises');
+const { createHash } = require('crypto');
+const { createInterface } = require('readline');
+const { createGzip } = require('zlib');
+const { openNDJSONStream } = require('./ndjsonReader');
+
+/**
+ * Read an append-only NDJSON journal, ignoring a torn last line left by a crash.
+ *
+ * @param {string} journalFile The journal file path.
+ * @param {string} label What the journal is, for the warning about a corrupted record.
+ * @returns {Promise<Array<any>>} The journal records, empty if the journal does not exist.
+ */
+async function readJournal(journalFile, label) {
+    if (!existsSync(journalFile)) {
+        return [];
+    }
+    /** @type {Array<any>} */
+    const records = [];
+    const lines = createInterface({ input: createReadStream(journalFile, 'utf-8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line) {
+            continue;
+        }
+        try {
+            records.push(JSON.parse(line));
+        } catch (err) {
+            console.warn(`Ignoring corrupted ${label} record:`, line.substring(0, 100));
+        }
+    }
+    return records;
+}
+
+/**
+ * Append a record to an NDJSON journal.
+ *
+ * @param {string} journalFile The journal file path.
+ * @param {Object} record The record to append.
+ */
+async function appendJournal(journalFile, record) {
+    await appendFile(journalFile, JSON.stringify(record) + '\n', 'utf-8');
+}
+
+/**
+ * Map the lines of an NDJSON stream.
+ *
+ * @param {AsyncIterable<Buffer>} source The NDJSON data.
+ * @param {(line: Buffer) => Buffer} mapLine Map a line, given with its newline if it has one.
+ * @returns {AsyncGenerator<Buffer>} The mapped NDJSON data.
+ */
+async function* mapLines(source, mapLine) {
+    let leftover = Buffer.alloc(0);
+    for await (const buf of source) {
+        const data = leftover.length > 0 ? Buffer.concat([leftover, buf]) : buf;
+        /** @type {Array<Buffer>} */
+        const out = [];
+        let pos = 0;
+        let nl;
+        while ((nl = data.indexOf(0x0A, pos)) !== -1) {
+            out.push(mapLine(data.subarray(pos, nl + 1)));
+            pos = nl + 1;
+        }
+        leftover = data.subarray(pos);
+        if (out.length > 0) {
+            yield Buffer.concat(out);
+        }
+    }
+    if (leftover.length > 0) {
+        yield mapLine(leftover);
+    }
+}
+
+/**
+ * Stream an NDJSON file through a transform into a new file, hashing the data before and after.
+ * The output is written to a temporary file and only renamed into place once it is complete and checked,
+ * so it may replace the input and an interrupted run leaves nothing behind.
+ *
+ * @param {string} path The input path, optionally gzip compressed.
+ * @param {(source: AsyncIterable<Buffer>) => AsyncIterable<Buffer>} transform The transform of the decompressed data.
+ * @param {string | null} outputPath The output path, null to only compute the checksums.
+ * @param {{ gzip?: boolean, check?: (sums: { baseSha256: string, resultSha256: string }) => void }} [opts={}] Whether to gzip compress
+ *     the output, and a check of the checksums that throws to keep the output from being put in place.
+ * @returns {Promise<{ baseSha256: string, resultSha256: string }>} SHA-256 of the decompressed data before and after.
+ */
+async function rewriteNDJSON(path, transform, outputPath, opts = {}) {
+    const baseHash = createHash('sha256');
+    const resultHash = createHash('sha256');
+    const { stream, file } = await openNDJSONStream(path, 0x100000);
+    const tmpPath = outputPath ? `${outputPath}.${process.pid}.tmp` : null;
+    /** @type {import('fs').WriteStream | null} */
+    const fileStream = tmpPath ? createWriteStream(tmpPath, { flags: 'w' }) : null;
+    /** @type {import('stream').Writable | null} */
+    const out = fileStream && opts.gzip ? createGzip({ level: 9 }) : fileStream;
+    if (fileStream && out && out !== fileStream) {
+        out.pipe(fileStream);
+    }
+    /** @type {Promise<void>} */
+    const outClosed = new Promise((resolve, reject) => {
+        if (!fileStream || !out) {
+            resolve();
+            return;
+        }
+        fileStream.once('close', () => resolve());
+        fileStream.once('error', reject);
+        out.once('error', reject);
+    });
+    // Awaited in the finally block below, don't report it as unhandled before that
+    outClosed.catch(() => { });
+
+    /**
+     * @param {AsyncIterable<Buffer>} source The input data.
+     */
+    async function* hashBase(source) {
+        for await (const buf of source) {
+            baseHash.update(buf);
+            yield buf;
+        }
+    }
+
+    try {
+        try {
+            for await (const buf of transform(hashBase(stream))) {
+                resultHash.update(buf);
+                if (out && !out.write(buf)) {
+                    await new Promise((resolve) => out.once('drain', () => resolve(void 0)));
+                }
+            }
+        } finally {
+            stream.destroy();
+            file.destroy();
+            out?.end();
+            await outClosed;
+        }
+        const sums = { baseSha256: baseHash.digest('hex'), resultSha256: resultHash.digest('hex') };
+        opts.check?.(sums);
+        if (tmpPath && outputPath) {
+            await rename(tmpPath, outputPath);
+        }
+        return sums;
+    } finally {
+        if (tmpPath) {
+            await rm(tmpPath, { force: true });
+        }
+    }
+}
+
+module.exports = {
+    readJournal,
+    appendJournal,
+    mapLines,
+    rewriteNDJSON,
+};
@@ -1,17 +1,25 @@
 // @ts-check
-const { createReadStream, createWriteStream } = require('fs');
+const { createWriteStream } = require('fs');
 const { stat, rename } = require('fs/promises');
 const { resolve, basename } = require('path');
-const { getSource, fetchPost, fetchThread, getPriority } = require('./ffUtils');
+const { createGzip } = require('zlib');
+const { isGzipFile, openNDJSONStream } = require('./ndjsonReader');
+const { getSource, fetchPost, fetchThread, getPriority, isFailure } = require('./ffUtils');
+const { FetchError, isFetchError } = require('./fetchErrors');
 const { closeCDPFetchers } = require('./cdpFetch');
+const { getSources } = require('./sourceRegistry');
+const { getChunkStats, parseChunkName, DEFAULT_BOARD } = require('./archiveManifest');
+const { writePatch } = require('./ndjsonPatch');
 
 /** @typedef {import('./ffUtils').MinimalFFPost} MinimalFFPost */
 /** @typedef {import('./ffUtils').MinimalFFThread} MinimalFFThread */
+/** @typedef {import('./ffUtils').FetchFailure} FetchFailure */
 
 /**
  * @typedef ReadNDJSONOptions
  * @property {number} [highWaterMark] - The chunk size to read from the file (default 1MB).
- * @property {(position: number, size: number) => void} [onProgress] - Callback invoked with the current read position.
+ * @property {(position: number, size: number) => void} [onProgress] - Callback invoked with the current read position. For gzip files, the position in the compressed file.
+ * @property {boolean} [gzip] - Whether to gzip compress the output (default: if the output path ends with `.gz`).
  */
 
 /**
@@ -73,8 +81,9 @@ async function getSize(path) {
 
 /**
  * Transforms an NDJSON file by applying a transformation function to each entry and writing the results to a new NDJSON file.
+ * Gzip compressed input is decompressed on the fly.
  * 
- * @param {string} inputPath - The path to the input NDJSON file.
+ * @param {string} inputPath - The path to the input NDJSON file, optionally gzip compressed.
  * @param {string} outputPath - The path to the output NDJSON file.
  * @param {(entry: any) => (any | Promise<any>)} transform - The transformation function to apply to each entry.
  * @param {ReadNDJSONOptions} [opts={}] - Options for reading the file.
@@ -86,18 +95,31 @@ async function transformNDJSON(inputPath, outputPath, transform, opts = {}) {
     }
     const highWaterMark = verifyNumberProp(opts, 'highWaterMark', 0x100000);
     const onProgress = typeof opts.onProgress === 'function' ? opts.onProgress : null;
+    const gzipOutput = typeof opts.gzip === 'boolean' ? opts.gzip : outputPath.endsWith('.gz');
     const size = await getSize(inputPath);
 
-    /** @type {{ [Symbol.asyncIterator](): AsyncIterator<Buffer> } & import("fs").ReadStream} */
-    const inputStream = createReadStream(inputPath, { flags: 'r', highWaterMark, encoding: undefined });
-    const outputStream = createWriteStream(outputPath, { flags: 'w', highWaterMark, encoding: undefined });
+    const { stream: inputStream, file: inputFile, gzip: gzipInput } = await openNDJSONStream(inputPath, highWaterMark);
+    const fileStream = createWriteStream(outputPath, { flags: 'w', highWaterMark, encoding: undefined });
+    /** @type {import('stream').Writable} */
+    const outputStream = gzipOutput ? createGzip({ level: 9, chunkSize: highWaterMark }) : fileStream;
+    if (gzipOutput) {
+        outputStream.pipe(fileStream);
+    }
+    /** @type {Promise<void>} */
+    const outputClosed = new Promise((resolve, reject) => {
+        fileStream.once('close', () => resolve());
+        fileStream.once('error', reject);
+        outputStream.once('error', reject);
+    });
+    // Awaited in the finally block below, don't report it as unhandled before that
+    outputClosed.catch(() => { });
     let position = 0;
 
     try {
         let leftover = Buffer.alloc(0);
 
         for await (const buf of inputStream) {
-            position += buf.length;
+            position = gzipInput ? inputFile.bytesRead : position + buf.length;
             if (onProgress) {
                 onProgress(position, size);
             }
@@ -194,7 +216,9 @@ async function transformNDJSON(inputPath, outputPath, transform, opts = {}) {
         }
     } finally {
         inputStream.destroy();
-        await new Promise((resolve) => outputStream.end(() => resolve(void 0)));
+        inputFile.destroy();
+        outputStream.end();
+        await outputClosed;
     }
 }
 
@@ -231,46 +255,27 @@ function toHumanTime(sec) {
  * @typedef {T | Promise<T>} MaybePromise
  */
 
-async function main() {
-    const inputPathRaw = process.argv[2];
-    if (!inputPathRaw) {
-        console.error('Please provide the path to the NDJSON file as the first argument.');
-        process.exit(1);
-    }
-    const inputPath = resolve(inputPathRaw);
-    let lowPriorityCount = 0;
-    let upgradedCount = 0;
-    let entryCount = 0;
-    const startTS = Date.now();
-    let lastUpdateTS = startTS;
-    const size = await getSize(inputPath);
+/** @typedef {import('./exceptionEntry').ExceptionEntry} ExceptionEntry */
+/** @typedef {MinimalFFPost | ExceptionEntry} ArchiveEntry */
 
-    function printProgress(now, pos, size) {
-        const elapsed = (now - startTS) / 1000;
-        const speed = pos / elapsed;
-        const eta = (size - pos) / speed;
-        const percent = ((pos / size) * 100).toFixed(2);
-        const elapedH = toHumanTime(elapsed);
-        const etaH = toHumanTime(eta);
-        const posM = (pos / (1024 * 1024)).toFixed(2);
-        const totalM = (size / (1024 * 1024)).toFixed(2);
-        console.log(`Processed ${entryCount} entries (${percent}%, ${posM}MB/${totalM}MB) in ${elapedH} - Speed: ${(speed / (1024 * 1024)).toFixed(2)} MB/s - ETA: ${etaH}`);
-        console.log(`Low priority entries: ${lowPriorityCount}, Upgraded entries: ${upgradedCount}`);
+/**
+ * Create a checker that upgrades low priority and missing entries from higher priority archives.
+ * Fetched threads and posts are cached for the lifetime of the checker.
+ * 
+ * @param {string} [board] The board the entries are from.
+ */
+function createArchiveChecker(board = DEFAULT_BOARD) {
+    const stats = { lowPriorityCount: 0, upgradedCount: 0 };
+    // The archives of the board, highest priority first
+    const sources = getSources(board).map(s => s.site);
+    if (sources.length === 0) {
+        throw new Error(`No archive source archives /${board}/.`);
     }
 
-    const base = basename(inputPath);
-    const lastDot = base.lastIndexOf('.');
-    const outputPath = resolve(
-        inputPathRaw, '..',
-        `${lastDot === -1 ? base : base.substring(0, lastDot)}.ndjson.${Math.random().toString(36).substring(2, 15)}.tmp`
-    );
+    const topPriority = getPriority(sources[0]);
 
-    /** @type {Record<'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe', Map<string, MinimalFFThread | { error: string }>>} */
-    const fetchedThreads = {
-        'desuarchive.org': new Map(),
-        'arch.b4k.dev': new Map(),
-        'archived.moe': new Map()
-    }
+    /** @type {Map<string, Map<string, MinimalFFThread | { error: string }>>} Fetched threads by site */
+    const fetchedThreads = new Map(sources.map(site => [site, new Map()]));
 
     /** @type {Map<number, MinimalFFPost>} */
     const downloaded = new Map();
@@ -279,10 +284,9 @@ async function main() {
      * Add a post to the downloaded map, handling duplicates and source priority.
      * 
      * @param {MinimalFFPost} post The post to add.
-     * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe'} [site='desuarchive.org'] The site the post is from.
+     * @param {string} site The site the post is from.
      */
     function addPost(post, site) {
-        site = site || 'desuarchive.org';
         const num = parseInt(post.num, 10);
 
         const existing = downloaded.get(num);
@@ -296,13 +300,24 @@ async function main() {
         }
     }
 
+    /**
+     * Log a failed fetch, unless the archive just does not have the post or thread.
+     * 
+     * @param {FetchFailure} failure The failure.
+     */
+    function warnFailure(failure) {
+        if (failure.error.kind !== 'not-found') {
+            console.warn(`Fetch error: ${failure.error}`);
+        }
+    }
+
     /**
      * Fetch a post or thread from the specified archive site.
      * 
-     * @param {MinimalFFPost | { num: string, exception: string, timestamp: number }} existing The original entry.
-     * @param {MinimalFFPost | { num: string, exception: string, timestamp: number } | null} cached The cached entry, if any.
-     * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe'} site The archive site to fetch from.
-     * @returns {Promise<MinimalFFPost | { error: string, details?: string }>} The fetched post or an error object.
+     * @param {ArchiveEntry} existing The original entry.
+     * @param {ArchiveEntry | null} cached The cached entry, if any.
+     * @param {string} site The archive site to fetch from.
+     * @returns {Promise<MinimalFFPost | FetchFailure>} The fetched post or the failure.
      */
     async function fetchPostAndThread(existing, cached, site) {
         let threadNum = ('thread_num' in existing)
@@ -310,15 +325,13 @@ async function main() {
             : cached && ('thread_num' in cached)
                 ? cached.thread_num
                 : null;
-        /** @type {MinimalFFPost | { error: string, details?: string }} */
-        let post = { error: "Post not found." };
+        /** @type {MinimalFFPost | FetchFailure} */
+        let post = { error: new FetchError('not-found', 'Post not found.', { site }) };
         if (!threadNum) {
             console.log(`Fetching post #${existing.num} from ${site}...`)
-            const fPost = await fetchPost(existing.num, site).catch((err) => {
-                console.warn(`Fetch error for post #${existing.num} from ${site}:`, err);
-                return { error: "Fetch error" };
-            });
-            if ('error' in fPost) {
+            const fPost = await fetchPost(existing.num, site, board);
+            if (isFailure(fPost)) {
+                warnFailure(fPost);
                 return fPost;
             }
             threadNum = fPost.thread_num;
@@ -328,25 +341,29 @@ async function main() {
         if (!threadNum) {
             return post;
         }
-        const alreadyFetched = fetchedThreads[site].get(threadNum);
+        const siteThreads = /** @type {Map<string, MinimalFFThread | FetchFailure>} */ (fetchedThreads.get(site));
+        const alreadyFetched = siteThreads.get(threadNum);
         if (!alreadyFetched) {
             console.log(`Fetching thread #${threadNum} from ${site}...`);
         }
-        const fThread = (!alreadyFetched) ? await fetchThread(threadNum, site).then(r => {
-            fetchedThreads[site].set(threadNum, r);
+        const fThread = (!alreadyFetched) ? await fetchThread(threadNum, site, board).then(r => {
+            if (isFailure(r)) {
+                warnFailure(r);
+                // Failed requests may go through next time, answers from the archive will not change
+                if (isFetchError(r.error, 'transport-failure', 'rate-limited')) {
+                    return r;
+                }
+            }
+            siteThreads.set(threadNum, r);
             return r;
-        }).catch((err) => {
-            console.warn(`Fetch error for thread #${threadNum} from ${site}:`, err);
-            return { error: "Fetch error" };
         }) : alreadyFetched;
-        if ('error' in fThread) {
-            if ('error' in post) {
+        if (isFailure(fThread)) {
+            if (isFailure(post)) {
                 console.log(`Fetching post #${existing.num} from ${site}...`)
-                const fPost = await fetchPost(existing.num, site).catch((err) => {
-                    console.warn(`Fetch error for post #${existing.num} from ${site}:`, err);
-                    return { error: "Fetch error" };
-                });
-                if (!('error' in fPost)) {
+                const fPost = await fetchPost(existing.num, site, board);
+                if (isFailure(fPost)) {
+                    warnFailure(fPost);
+                } else {
                     addPost(fPost, site);
                 }
                 return fPost;
@@ -375,101 +392,176 @@ async function main() {
 
     /**
      * Check archives for a post and return the best available version.
+     * Archives are asked in priority order, down to the one the original entry came from.
      * 
      * @param {number} num The post number.
-     * @param {MinimalFFPost | { num: string, exception: string, timestamp: number }} exising The original entry.
-     * @param {'arch.b4k.dev' | 'archived.moe' | null} exisingSource The source of the original entry.
-     * @param {MinimalFFPost | { num: string, exception: string, timestamp: number } | null} cached The cached entry, if any.
-     * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe' | null} cachedSource The source of the cached entry, if any.
-     * @returns {Promise<MinimalFFPost | { num: string, exception: string, timestamp: number }>} The best available post.
+     * @param {ArchiveEntry} exising The original entry.
+     * @param {string | null} exisingSource The source of the original entry.
+     * @param {ArchiveEntry | null} cached The cached entry, if any.
+     * @param {string | null} cachedSource The source of the cached entry, if any.
+     * @returns {Promise<ArchiveEntry>} The best available post.
      */
     async function checkArchives(num, exising, exisingSource, cached, cachedSource) {
-        const desuPost = await fetchPostAndThread(exising, cached, 'desuarchive.org');
-        if (!('error' in desuPost)) {
-            upgradedCount++;
-            return desuPost;
-        }
-        // Not found in desu, if exising is from b4k, return it
-        if (exisingSource === 'arch.b4k.dev') {
-            return exising;
+        for (let i = 0; i < sources.length; i++) {
+            const site = sources[i];
+            if (i > 0) {
+                // Not found in the higher priority archives, if exising is from this one, return it
+                if (exisingSource === site) {
+                    return exising;
+                }
+                // Update cached and its source
+                cached = downloaded.get(num) || null;
+                cachedSource = (cached && !('exception' in cached)) ? getSource(cached) : null;
+                // If this or a higher priority archive appeared/was in cache, use it
+                if (cached && cachedSource !== null && getPriority(cachedSource) >= getPriority(site)) {
+                    stats.upgradedCount++;
+                    return cached;
+                }
+            }
+            // Otherwise, try fetching from this archive
+            const post = await fetchPostAndThread(exising, cached, site);
+            if (!isFailure(post)) {
+                stats.upgradedCount++;
+                return post;
+            }
         }
         // Update cached and its source
         cached = downloaded.get(num) || null;
         cachedSource = (cached && !('exception' in cached)) ? getSource(cached) : null;
-        // If desu or b4k appeared/were in cache, use it
-        if (cached && (cachedSource === 'desuarchive.org' || cachedSource === 'arch.b4k.dev')) {
-            upgradedCount++;
+        // Last chance: if any archive appeared/was in cache, use it
+        if (cached && (cachedSource != null)) {
+            stats.upgradedCount++;
             return cached;
         }
-        // Otherwise, try fetching from b4k
-        const b4kPost = await fetchPostAndThread(exising, cached, 'arch.b4k.dev');
-        if (!('error' in b4kPost)) {
-            upgradedCount++;
-            return b4kPost;
-        }
-        // Not found in b4k, if exising is from archived.moe, return it
-        if (exisingSource === 'archived.moe') {
-            return exising;
+        // All attempts failed, return original
+        return exising;
+    }
+
+    /**
+     * Recheck an archive entry, upgrading it if a higher priority version is available.
+     * 
+     * @param {ArchiveEntry} existing The archive entry.
+     * @param {number} upgradeCutoff Entries older than this UNIX timestamp are not upgraded.
+     * @returns {MaybePromise<ArchiveEntry>} The best available entry.
+     */
+    function recheckEntry(existing, upgradeCutoff) {
+        /** @type {string | null} */
+        let existingSource = existing && !('exception' in existing) ? getSource(existing) : null;
+        // If already from the highest priority archive, return as is
+        if (existingSource !== null && getPriority(existingSource) >= topPriority) {
+            return existing;
         }
-        // Update cached and its source
-        cached = downloaded.get(num) || null;
-        cachedSource = (cached && !('exception' in cached)) ? getSource(cached) : null;
-        // If desu, b4k, or archived.moe appeared/were in cache, use it
-        if (cached && (cachedSource != null)) {
-            upgradedCount++;
+        stats.lowPriorityCount++;
+        const num = parseInt(existing.num, 10);
+        // Check cache
+        const cached = downloaded.get(num) || null;
+        const cachedSource = (cached && !('exception' in cached)) ? getSource(cached) : null;
+        // If cached is from the highest priority archive, return it
+        if (cached && cachedSource !== null && getPriority(cachedSource) >= topPriority) {
+            stats.upgradedCount++;
             return cached;
         }
-        // Otherwise, try fetching from archived.moe
-        const archMoePost = await fetchPostAndThread(exising, cached, 'archived.moe');
-        if (!('error' in archMoePost)) {
-            upgradedCount++;
-            return archMoePost;
+        // If existing post is older than cutoff, skip upgrade
+        if (existing.timestamp < upgradeCutoff) {
+            return existing;
         }
-        // Update cached and its source
-        cached = downloaded.get(num) || null;
-        cachedSource = (cached && !('exception' in cached)) ? getSource(cached) : null;
-        // Last chance: if desu, b4k, or archived.moe appeared/were in cache, use it
-        if (cached && (cachedSource != null)) {
-            upgradedCount++;
-            return cached;
+        // Otherwise, check archives
+        return checkArchives(num, existing, existingSource, cached, cachedSource);
+    }
+
+    return {
+        stats,
+        checkArchives,
+        recheckEntry,
+    };
+}
+
+async function main() {
+    let inputPathRaw = null;
+    let patchPath = null;
+    let board = null;
+    const args = process.argv.slice(2);
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--patch') {
+            patchPath = resolve(args[++i]);
+        } else if (args[i] === '--board') {
+            board = args[++i];
+        } else {
+            inputPathRaw = args[i];
         }
-        // All attempts failed, return original
-        return exising;
+    }
+    if (!inputPathRaw) {
+        console.error('Please provide the path to the NDJSON file as the first argument.');
+        console.error('Usage: node reCheck.js <file.ndjson[.gz]> [--patch <patch.ndjson>] [--board <board>]');
+        process.exit(1);
+    }
+    const inputPath = resolve(inputPathRaw);
+    // Chunks of other boards than the default one carry their board in the name
+    const checker = createArchiveChecker(board || parseChunkName(basename(inputPath).replace(/\.ndjson(\.gz)?$/, ''))?.board || DEFAULT_BOARD);
+    const stats = checker.stats;
+    let entryCount = 0;
+    const startTS = Date.now();
+    let lastUpdateTS = startTS;
+    const size = await getSize(inputPath);
+
+    function printProgress(now, pos, size) {
+        const elapsed = (now - startTS) / 1000;
+        const speed = pos / elapsed;
+        const eta = (size - pos) / speed;
+        const percent = ((pos / size) * 100).toFixed(2);
+        const elapedH = toHumanTime(elapsed);
+        const etaH = toHumanTime(eta);
+        const posM = (pos / (1024 * 1024)).toFixed(2);
+        const totalM = (size / (1024 * 1024)).toFixed(2);
+        console.log(`Processed ${entryCount} entries (${percent}%, ${posM}MB/${totalM}MB) in ${elapedH} - Speed: ${(speed / (1024 * 1024)).toFixed(2)} MB/s - ETA: ${etaH}`);
+        console.log(`Low priority entries: ${stats.lowPriorityCount}, Upgraded entries: ${stats.upgradedCount}`);
     }
 
+    // Keep gzip compressed releases compressed
+    const gzip = await isGzipFile(inputPath);
+    const base = basename(inputPath).replace(/\.gz$/, '');
+    const lastDot = base.lastIndexOf('.');
+    const outputPath = resolve(
+        inputPathRaw, '..',
+        `${lastDot === -1 ? base : base.substring(0, lastDot)}.ndjson${gzip ? '.gz' : ''}.${Math.random().toString(36).substring(2, 15)}.tmp`
+    );
+
     // Dont upgrade posts older than 2 months
     const upgradeCutoff = Math.round((Date.now() - 5_184_000_000) / 1000);
 
+    // Replaced entries, to publish as a patch of the input
+    /** @type {Array<{ num: string, oldSource: string | null, post: ArchiveEntry }>} */
+    const changes = [];
+    const baseSha256 = patchPath ? (await getChunkStats(inputPath)).sha256 : null;
+
+    /**
+     * Record an entry replaced by the recheck.
+     * 
+     * @param {ArchiveEntry} existing The original entry.
+     * @param {ArchiveEntry} result The rechecked entry.
+     * @returns {ArchiveEntry} The rechecked entry.
+     */
+    function recordChange(existing, result) {
+        if (result !== existing && JSON.stringify(result) !== JSON.stringify(existing)) {
+            changes.push({ num: existing.num, oldSource: 'exception' in existing ? null : getSource(existing), post: result });
+        }
+        return result;
+    }
+
     await transformNDJSON(
         inputPath, outputPath,
-        /** @type {(entry: MinimalFFPost | { num: string, exception: string, timestamp: number }) => MaybePromise<MinimalFFPost | { num: string, exception: string, timestamp: number }>} */
+        /** @type {(entry: ArchiveEntry) => MaybePromise<ArchiveEntry>} */
         (existing) => {
             entryCount++;
-            /** @type {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe' | null} */
-            let existingSource = existing && !('exception' in existing) ? getSource(existing) : null;
-            // If already from desuarchive, return as is
-            if (existingSource === 'desuarchive.org') {
-                return existing;
-            }
-            lowPriorityCount++;
-            const num = parseInt(existing.num, 10);
-            // Check cache
-            const cached = downloaded.get(num) || null;
-            const cachedSource = (cached && !('exception' in cached)) ? getSource(cached) : null;
-            // If cached is from desuarchive, return it
-            if (cached && cachedSource === 'desuarchive.org') {
-                upgradedCount++;
-                return cached;
-            }
-            // If existing post is older than cutoff, skip upgrade
-            if (existing.timestamp < upgradeCutoff) {
-                return existing;
+            const result = checker.recheckEntry(existing, upgradeCutoff);
+            if (!patchPath) {
+                return result;
             }
-            // Otherwise, check archives
-            return checkArchives(num, existing, existingSource, cached, cachedSource);
+            return result instanceof Promise ? result.then(r => recordChange(existing, r)) : recordChange(existing, result);
         },
         {
             highWaterMark: 0x200000, // 2MB
+            gzip,
             onProgress: (pos, size) => {
                 const now = Date.now();
                 if (now - lastUpdateTS > 2_500) {
@@ -480,15 +572,31 @@ async function main() {
         }
     );
     printProgress(Date.now(), size, size);
+    if (patchPath && baseSha256) {
+        if (changes.length > 0) {
+            const resultSha256 = (await getChunkStats(outputPath)).sha256;
+            await writePatch(patchPath, changes.map(c => ({ ...c, baseSha256, resultSha256 })));
+            console.log(`Wrote ${changes.length} changed entries to ${patchPath}.`);
+        } else {
+            console.log(`No changed entries, ${patchPath} not written.`);
+        }
+    }
     await rename(outputPath, inputPath);
     console.log("Processing complete.");
 }
 
-main().catch((err) => {
-    console.error("Error during processing:", err);
-    process.exit(1);
-}).finally(async () => {
-    console.log('Closing CDP fetchers...');
-    await closeCDPFetchers();
-    console.log('Done.');
-});
+if (require.main === module) {
+    main().catch((err) => {
+        console.error("Error during processing:", err);
+        process.exit(1);
+    }).finally(async () => {
+        console.log('Closing CDP fetchers...');
+        await closeCDPFetchers();
+        console.log('Done.');
+    });
+}
+
+module.exports = {
+    transformNDJSON,
+    createArchiveChecker,
+};
@@ -7,8 +7,7 @@ if [[ $# -lt 1 ]]; then
 fi
 
 NAME="$1"
-NAME_RAW="${NAME}.ndjson"
-NAME_GZ="${NAME_RAW}.gz"
+NAME_GZ="${NAME}.ndjson.gz"
 
 if ! gh release view "$NAME" &>/dev/null; then
     echo "Error: Release '$NAME' does not exist." >&2
@@ -30,26 +29,32 @@ if [[ ! -f "$NAME_GZ" || "$ASSET_HASH" != "$(sha256sum "$NAME_GZ" | awk '{print
     gh release download "$NAME" -p "$NAME_GZ"
 fi
 
-echo "Decompressing asset for release '$NAME'..." >&2
-gzip -dc "$NAME_GZ" > "$NAME_RAW"
+# Compare the decompressed contents, reCheck recompresses the asset in place
+HASH_BEFORE=$(gzip -dc "$NAME_GZ" | sha256sum | awk '{print $1}')
 
-HASH_BEFORE=$(sha256sum "$NAME_RAW" | awk '{print $1}')
+# Changed posts are also published as a patch, named by the checksum of the data it applies to
+PATCH_FILE="${NAME}.${HASH_BEFORE:0:16}.patch.ndjson"
 
 echo "Running reCheck on release '$NAME'..." >&2
-if ! node ./reCheck.js "$NAME_RAW"; then
+if ! node ./reCheck.js "$NAME_GZ" --patch "$PATCH_FILE"; then
     echo "reCheck failed. Exiting without updating release." >&2
     exit 1
 fi
 
-HASH_AFTER=$(sha256sum "$NAME_RAW" | awk '{print $1}')
+HASH_AFTER=$(gzip -dc "$NAME_GZ" | sha256sum | awk '{print $1}')
 
 if [[ "$HASH_BEFORE" == "$HASH_AFTER" ]]; then
     echo "No changes detected after reCheck." >&2
     exit 0
 fi
 
-echo "Changes detected after reCheck. Compressing updated asset..." >&2
-gzip -9 -c "$NAME_RAW" > "$NAME_GZ"
-echo "Uploading updated asset to GitHub Release..." >&2
-gh release upload "$NAME" "$NAME_GZ" --clobber
+echo "Changes detected after reCheck. Uploading updated asset and patch to GitHub Release..." >&2
+gh release upload "$NAME" "$NAME_GZ" "$PATCH_FILE" --clobber
+
+# Local reconstructions find the changed posts by these checksums
+echo "Recording new checksums of '$NAME' in the manifest..." >&2
+node archiveManifest.js record "$NAME"
+git add manifest.json
+git commit -m "Update checksums of $NAME"
+git push
 echo "Recheck complete for release '$NAME'." >&2
\ No newline at end of file
@@ -0,0 +1,1254 @@
+// @ts-check
+const { createReadStream, createWriteStream, existsSync } = require("fs");
+const { mkdir, open, readFile, writeFile, rename, rm, rmdir, stat, truncate } = require("fs/promises");
+const { createHash } = require("crypto");
+const { dirname, basename, join, resolve } = require("path");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { openNDJSONStream } = require("./ndjsonReader");
+const { NDJSONIndex } = require("./ndjsonIndex");
+const { getChunkNames, parseChunkName, DEFAULT_BOARD } = require("./archiveManifest");
+const { getPatchName, mergePatches, patchLines } = require("./ndjsonPatch");
+const { runPool } = require("./fetchPool");
+
+/** @typedef {import('./archiveManifest').Manifest} Manifest */
+
+/**
+ * @typedef {Object} RemoteChunk
+ * @property {string} name The chunk name.
+ * @property {number} start The first post ID.
+ * @property {number} end The last post ID.
+ * @property {Array<string>} urls The download URLs of the compressed chunk, the GitHub release first and its mirrors after.
+ * @property {string} [sha256] SHA-256 of the raw NDJSON data, if recorded in the manifest.
+ * @property {string} [gzSha256] SHA-256 of the compressed chunk, if recorded in the manifest.
+ */
+
+/**
+ * @typedef {Object} ReconstructionState
+ * @property {number} version The state format version.
+ * @property {Record<string, string>} chunks SHA-256 of the upstream chunks the local posts were last verified against, by name.
+ */
+
+/**
+ * @typedef {Object} PatchResult
+ * @property {Array<string>} verified Chunks whose local posts were checked and found up to date.
+ * @property {Array<string>} patched Chunks whose local posts were replaced with the upstream ones.
+ * @property {Array<string>} unknown Chunks without recorded checksums, which cannot be checked.
+ */
+
+/**
+ * @typedef {Object} UpdateResult
+ * @property {number} from The first appended post ID.
+ * @property {number} to The last upstream post ID, before `from` if there was nothing to append.
+ * @property {Array<string>} appended Chunks whose posts were appended.
+ * @property {Array<string>} verified Chunks whose local posts were checked and found intact and up to date.
+ * @property {Array<string>} repaired Chunks whose local posts were corrupt or changed upstream, and were replaced.
+ * @property {Array<string>} unknown Chunks without recorded checksums, which could only be checked for corrupt lines.
+ */
+
+/**
+ * A range of posts to reconstruct. The bounds are optional and can be combined.
+ * 
+ * @typedef {Object} PostRange
+ * @property {number} [from] The first post ID.
+ * @property {number} [to] The last post ID.
+ * @property {number} [since] The Unix timestamp of the first post, in seconds.
+ * @property {number} [until] The Unix timestamp after the last post, in seconds.
+ */
+
+/**
+ * @typedef {Object} RangeResult
+ * @property {Array<string>} chunks Chunks the entries were taken from.
+ * @property {number} entries Number of entries written.
+ * @property {number | null} first The first post ID written, null if none were.
+ * @property {number | null} last The last post ID written, null if none were.
+ */
+
+/**
+ * The bytes of a local reconstruction holding the posts of one chunk.
+ * 
+ * @typedef {Object} LocalRange
+ * @property {number} offset The byte offset.
+ * @property {number} length The byte length.
+ * @property {string} sha256 SHA-256 of the range.
+ * @property {boolean} corrupt Whether the range holds or follows corrupt lines.
+ */
+
+/**
+ * A byte range of a local reconstruction to replace with the upstream posts of a chunk.
+ * 
+ * @typedef {Object} Replacement
+ * @property {RemoteChunk} chunk The upstream chunk.
+ * @property {number} offset The byte offset.
+ * @property {number} length The byte length.
+ * @property {string} [sha256] SHA-256 of the range, if it is an intact older version of the chunk that patches may update.
+ */
+
+const REPO = process.env.REPO || 'firlin123/desuarchive-mlp-backup';
+const RELEASES_BASE = `https://github.com/${REPO}/releases/download`;
+const MANIFEST_URL = `https://raw.githubusercontent.com/${REPO}/main/manifest.json`;
+const DEFAULT_CONCURRENCY = 4;
+// Download attempts per URL, a retry resumes from where the last attempt stopped
+const DOWNLOAD_ATTEMPTS = 3;
+const STATE_VERSION = 1;
+// Download the whole chunk instead when it was rechecked more times than this since the local copy
+const MAX_PATCH_CHAIN = 10;
+
+/**
+ * Get the path of the state sidecar file of a local reconstruction.
+ * 
+ * @param {string} localFile The local NDJSON file path.
+ * @returns {string} The state file path.
+ */
+function getStatePath(localFile) {
+    return `${localFile}.chunks.json`;
+}
+
+/**
+ * Load the state of a local reconstruction, empty if there is none yet.
+ * 
+ * @param {string} localFile The local NDJSON file path.
+ * @returns {Promise<ReconstructionState>} The state.
+ */
+async function loadState(localFile) {
+    try {
+        /** @type {ReconstructionState} */
+        const state = JSON.parse(await readFile(getStatePath(localFile), 'utf-8'));
+        if (state.version === STATE_VERSION && state.chunks != null && typeof state.chunks === 'object') {
+            return state;
+        }
+    } catch (err) {
+        // Missing or corrupt, start over below
+    }
+    return { version: STATE_VERSION, chunks: {} };
+}
+
+/**
+ * Save the state of a local reconstruction.
+ * 
+ * @param {string} localFile The local NDJSON file path.
+ * @param {ReconstructionState} state The state.
+ */
+async function saveState(localFile, state) {
+    const statePath = getStatePath(localFile);
+    const tmpPath = `${statePath}.${process.pid}.tmp`;
+    await writeFile(tmpPath, JSON.stringify(state, null, 2), 'utf-8');
+    await rename(tmpPath, statePath);
+}
+
+/**
+ * Download the manifest section of a board.
+ * 
+ * @param {string} [url] The manifest URL.
+ * @param {string} [board] The board.
+ * @returns {Promise<Manifest>} The board's manifest section.
+ */
+async function fetchManifest(url = MANIFEST_URL, board = DEFAULT_BOARD) {
+    const resp = await fetch(url);
+    if (!resp.ok) {
+        throw new Error(`Failed to download manifest.json from ${url}: ${resp.status} ${resp.statusText}`);
+    }
+    /** @type {Manifest} */
+    const data = await resp.json();
+    const manifest = board === DEFAULT_BOARD ? data : data.boards?.[board];
+    if (!manifest) {
+        throw new Error(`Downloaded manifest.json has no /${board}/ section.`);
+    }
+    if (typeof manifest.lastDownloaded !== 'number' || !Array.isArray(manifest.daily) ||
+        !Array.isArray(manifest.monthly) || !Array.isArray(manifest.yearly)) {
+        throw new Error('Downloaded manifest.json is invalid.');
+    }
+    if (manifest.chunks == null || typeof manifest.chunks !== 'object') {
+        manifest.chunks = {};
+    }
+    return manifest;
+}
+
+/**
+ * List the chunks of the manifest with their download URLs and checksums, checking that they are contiguous.
+ * 
+ * @param {Manifest} manifest The manifest.
+ * @param {{ base?: string }} [opts={}] The GitHub Releases download base URL.
+ * @returns {Array<RemoteChunk>} The chunks, oldest first.
+ */
+function getRemoteChunks(manifest, opts = {}) {
+    const base = opts.base || RELEASES_BASE;
+    const yearlyUrls = new Map(manifest.yearly.map(y => [y.name, y.url]));
+    /** @type {Array<RemoteChunk>} */
+    const chunks = [];
+    let prevEnd = -1;
+    for (const name of getChunkNames(manifest)) {
+        const parsed = parseChunkName(name);
+        if (!parsed) {
+            throw new Error(`Invalid entry name '${name}'.`);
+        }
+        if (prevEnd !== -1 && prevEnd + 1 !== parsed.start) {
+            throw new Error(`Gap detected between entries ${prevEnd} and ${parsed.start}.`);
+        }
+        prevEnd = parsed.end;
+        const yearlyUrl = yearlyUrls.get(name);
+        /** @type {Array<string>} */
+        const urls = yearlyUrl ? [yearlyUrl] : [`${base}/${name}/${name}.ndjson.gz`];
+        const info = manifest.chunks[name];
+        // Only mirrors the orchestrator recorded after uploading them
+        if (info?.mirror) {
+            urls.push(info.mirror);
+        }
+        chunks.push({
+            name,
+            start: parsed.start,
+            end: parsed.end,
+            urls,
+            sha256: info?.sha256,
+            gzSha256: info?.gzSha256,
+        });
+    }
+    return chunks;
+}
+
+/**
+ * Parse the post ID of an NDJSON line.
+ * 
+ * @param {string} text The line.
+ * @returns {number | null} The post ID, or null if the line is not an entry.
+ */
+function parseLineNum(text) {
+    try {
+        const num = parseInt(JSON.parse(text).num, 10);
+        return Number.isSafeInteger(num) ? num : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Find the last complete entry of a local NDJSON file, skipping what an interrupted append left after it.
+ * 
+ * @param {string} localFile The local NDJSON file path.
+ * @returns {Promise<{ num: number, end: number, size: number }>} The last post ID (0 if there is none), the offset after its line, and the file size.
+ */
+async function findLastPost(localFile) {
+    const fh = await open(localFile, 'r');
+    try {
+        const { size } = await fh.stat();
+        // Always a line boundary, the lines before it are searched next
+        let searchEnd = size;
+        let readSize = 0x10000;
+        while (searchEnd > 0) {
+            const start = Math.max(searchEnd - readSize, 0);
+            const buf = Buffer.alloc(searchEnd - start);
+            await fh.read(buf, 0, buf.length, start);
+            // The first line may be cut, unless the search reached the start of the file
+            const first = start === 0 ? -1 : buf.indexOf(0x0A);
+            if (start > 0 && first === -1) {
+                readSize *= 2;
+                continue;
+            }
+            let nl = buf.lastIndexOf(0x0A);
+            while (nl > first) {
+                const prev = nl === 0 ? -1 : buf.lastIndexOf(0x0A, nl - 1);
+                const num = parseLineNum(buf.subarray(prev + 1, nl).toString('utf-8'));
+                if (num !== null) {
+                    return { num, end: start + nl + 1, size };
+                }
+                nl = prev;
+            }
+            searchEnd = start + first + 1;
+        }
+        return { num: 0, end: 0, size };
+    } finally {
+        await fh.close();
+    }
+}
+
+/**
+ * Get the last post ID of a local NDJSON file.
+ * 
+ * @param {string} localFile The local NDJSON file path.
+ * @returns {Promise<number>} The last post ID, 0 if the file is empty.
+ */
+async function getLastLocalPost(localFile) {
+    const { num, end, size } = await findLastPost(localFile);
+    if (end !== size) {
+        throw new Error(`Failed to parse the last line of ${localFile}. If the process was interrupted, run 'node reconstruct.js update' to repair it.`);
+    }
+    return num;
+}
+
+/**
+ * Find the bytes holding a post range in a local NDJSON file and hash them.
+ * 
+ * @param {NDJSONIndex} index The index of the local file.
+ * @param {number} start The first post ID.
+ * @param {number} end The last post ID.
+ * @returns {Promise<{ offset: number, length: number, sha256: string }>} The byte range and its SHA-256.
+ */
+async function scanLocalRange(index, start, end) {
+    const pointI = index.floorPoint(start);
+    const from = pointI === -1 ? 0 : index.data.points[pointI][1];
+    const hash = createHash('sha256');
+    let offset = -1;
+    let length = 0;
+    // Offset of the first byte of `data` below
+    let pos = from;
+    const { stream, file } = await openNDJSONStream(index.filePath, 0x100000, from);
+    try {
+        let leftover = Buffer.alloc(0);
+        read: for await (const buf of stream) {
+            const data = leftover.length > 0 ? Buffer.concat([leftover, buf]) : buf;
+            let lineStart = 0;
+            let nl;
+            while ((nl = data.indexOf(0x0A, lineStart)) !== -1) {
+                const text = data.subarray(lineStart, nl).toString('utf-8').trim();
+                if (text.length > 0) {
+                    const num = parseInt(JSON.parse(text).num, 10);
+                    if (num > end) {
+                        if (offset === -1) {
+                            offset = pos + lineStart;
+                        }
+                        break read;
+                    }
+                    if (num >= start) {
+                        if (offset === -1) {
+                            offset = pos + lineStart;
+                        }
+                        hash.update(data.subarray(lineStart, nl + 1));
+                        length = pos + nl + 1 - offset;
+                    }
+                }
+                lineStart = nl + 1;
+            }
+            pos += lineStart;
+            leftover = data.subarray(lineStart);
+        }
+    } finally {
+        stream.destroy();
+        file.destroy();
+    }
+    return { offset: offset === -1 ? pos : offset, length, sha256: hash.digest('hex') };
+}
+
+/**
+ * Hash a file.
+ * 
+ * @param {string} path The file path.
+ * @returns {Promise<string>} The SHA-256 of the file.
+ */
+async function hashFile(path) {
+    const hash = createHash('sha256');
+    for await (const buf of createReadStream(path, { highWaterMark: 0x100000 })) {
+        hash.update(buf);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Download a file through a `.part` file, resuming a previous attempt with a range request.
+ * The partial file is deleted if the result does not match the checksum, so the next attempt starts over.
+ * 
+ * @param {string} url The URL.
+ * @param {string} dest The destination path.
+ * @param {string} [sha256] The expected SHA-256, if known.
+ */
+async function downloadResumable(url, dest, sha256) {
+    const partPath = `${dest}.part`;
+    const size = existsSync(partPath) ? (await stat(partPath)).size : 0;
+    const resp = await fetch(url, size > 0 ? { headers: { Range: `bytes=${size}-` } } : {});
+    // 416 means the previous attempt got the whole file
+    if (resp.status !== 416) {
+        if (!resp.ok || !resp.body) {
+            throw new Error(`Failed to download ${url}: ${resp.status} ${resp.statusText}`);
+        }
+        // A server ignoring the range sends the whole file
+        const resume = resp.status === 206 && (resp.headers.get('content-range') || '').startsWith(`bytes ${size}-`);
+        if (resp.status === 206 && !resume) {
+            await resp.body.cancel();
+            await rm(partPath, { force: true });
+            throw new Error(`Unexpected range ${resp.headers.get('content-range')} from ${url}`);
+        }
+        await pipeline(Readable.fromWeb(/** @type {any} */(resp.body)), createWriteStream(partPath, { flags: resume ? 'a' : 'w' }));
+    }
+    if (sha256 && await hashFile(partPath) !== sha256) {
+        await rm(partPath, { force: true });
+        throw new Error(`Checksum mismatch for ${url}.`);
+    }
+    await rename(partPath, dest);
+}
+
+/**
+ * Download a chunk, trying its mirrors in order when its URL keeps failing.
+ * A chunk already downloaded by an interrupted run is reused if it matches the checksum.
+ * 
+ * @param {RemoteChunk} chunk The chunk.
+ * @param {string} dest The destination path.
+ */
+async function downloadChunk(chunk, dest) {
+    if (existsSync(dest)) {
+        if (chunk.gzSha256 && await hashFile(dest) === chunk.gzSha256) {
+            return;
+        }
+        await rm(dest, { force: true });
+    }
+    /** @type {Array<string>} */
+    const errors = [];
+    for (const url of chunk.urls) {
+        let error = '';
+        for (let attempt = 1; attempt <= DOWNLOAD_ATTEMPTS; attempt++) {
+            try {
+                await downloadResumable(url, dest, chunk.gzSha256);
+                return;
+            } catch (err) {
+                error = err instanceof Error ? err.message : String(err);
+                console.warn(`Attempt ${attempt} to download ${chunk.name} from ${url} failed: ${error}`);
+            }
+        }
+        errors.push(error);
+    }
+    throw new Error(`Failed to download ${chunk.name}:\n    ${errors.join('\n    ')}`);
+}
+
+/**
+ * Get the directory chunks are downloaded to for a local reconstruction. Downloads are kept there
+ * until they are in the local file, so an interrupted run can resume them.
+ * 
+ * @param {string} localFile The local NDJSON file path.
+ * @returns {string} The download directory path.
+ */
+function getDownloadDir(localFile) {
+    return `${localFile}.downloads`;
+}
+
+/**
+ * Download the patches that update a chunk from the local version to the upstream one.
+ * 
+ * @param {RemoteChunk} chunk The upstream chunk.
+ * @param {string} sha256 SHA-256 of the local version.
+ * @returns {Promise<Map<number, any> | null>} The new entries by post number, or null if there is no chain of patches to the upstream version.
+ */
+async function fetchPatches(chunk, sha256) {
+    // Patches are published next to the chunk in its release
+    const dir = chunk.urls[0].substring(0, chunk.urls[0].lastIndexOf('/') + 1);
+    /** @type {Array<Array<import('./ndjsonPatch').PatchRecord>>} */
+    const patches = [];
+    let sha = sha256;
+    try {
+        for (let i = 0; i < MAX_PATCH_CHAIN && sha !== chunk.sha256; i++) {
+            const resp = await fetch(dir + getPatchName(chunk.name, sha));
+            if (!resp.ok) {
+                return null;
+            }
+            const records = (await resp.text()).split('\n').filter(l => l.trim().length > 0).map(l => JSON.parse(l));
+            if (records.length === 0) {
+                return null;
+            }
+            patches.push(records);
+            sha = records[0].resultSha256;
+        }
+        if (sha !== chunk.sha256) {
+            return null;
+        }
+        return mergePatches(patches, sha256).posts;
+    } catch (err) {
+        console.warn(`Failed to get the patches of ${chunk.name}, downloading it instead. Error:`, err);
+        return null;
+    }
+}
+
+/**
+ * Write a stream to an output stream, leaving it open.
+ * 
+ * @param {import('stream').Writable} out The output stream.
+ * @param {AsyncIterable<Buffer>} source The source stream.
+ * @param {import('crypto').Hash} [hash] Hash to update with the written data.
+ */
+async function writeStream(out, source, hash) {
+    for await (const buf of source) {
+        if (hash) {
+            hash.update(buf);
+        }
+        if (!out.write(buf)) {
+            await new Promise((resolve) => out.once('drain', () => resolve(void 0)));
+        }
+    }
+}
+
+/**
+ * Open a file for writing.
+ * 
+ * @param {string} path The file path.
+ * @param {string} flags The open flags.
+ * @returns {{ out: import('fs').WriteStream, closed: Promise<void> }} The stream, and a promise settled when it is closed.
+ */
+function openOutput(path, flags) {
+    const out = createWriteStream(path, { flags });
+    /** @type {Promise<void>} */
+    const closed = new Promise((resolve, reject) => {
+        out.once('close', () => resolve());
+        out.once('error', reject);
+    });
+    // Awaited after the stream is ended, don't report it as unhandled before that
+    closed.catch(() => { });
+    return { out, closed };
+}
+
+/**
+ * Replace byte ranges of a local reconstruction with the upstream posts of their chunks.
+ * Ranges holding an older version of their chunk are updated from the published recheck patches if they lead to the upstream version,
+ * the others are replaced with the whole chunk. The file is rewritten, which needs free space for a second copy.
+ * 
+ * @param {string} localFile The local NDJSON file path.
+ * @param {Array<Replacement>} replacements The ranges, in file order.
+ */
+async function rewriteLocalFile(localFile, replacements) {
+    const downloadDir = getDownloadDir(localFile);
+    const tmpPath = join(dirname(localFile), `${basename(localFile)}.${process.pid}.tmp`);
+    /** @type {Array<{ posts: Map<number, any> | null, download: string | null }>} */
+    const sources = [];
+    try {
+        for (const { chunk, sha256 } of replacements) {
+            const posts = sha256 ? await fetchPatches(chunk, sha256) : null;
+            if (posts) {
+                console.log(`Patching ${posts.size} posts of ${chunk.name}...`);
+                sources.push({ posts, download: null });
+                continue;
+            }
+            await mkdir(downloadDir, { recursive: true });
+            const download = join(downloadDir, `${chunk.name}.ndjson.gz`);
+            console.log(`Downloading ${chunk.name}...`);
+            await downloadChunk(chunk, download);
+            sources.push({ posts: null, download });
+        }
+
+        console.log(`Rewriting ${localFile} with ${replacements.length} replaced ranges...`);
+        const { out, closed } = openOutput(tmpPath, 'w');
+        try {
+            let pos = 0;
+            for (let i = 0; i < replacements.length; i++) {
+                const { chunk, offset, length } = replacements[i];
+                const { posts, download } = sources[i];
+                if (offset > pos) {
+                    await writeStream(out, createReadStream(localFile, { start: pos, end: offset - 1 }));
+                }
+                const hash = createHash('sha256');
+                if (posts) {
+                    if (length > 0) {
+                        await writeStream(out, patchLines(createReadStream(localFile, { start: offset, end: offset + length - 1 }), posts), hash);
+                    }
+                } else {
+                    const { stream, file } = await openNDJSONStream(/** @type {string} */ (download), 0x100000);
+                    try {
+                        await writeStream(out, stream, hash);
+                    } finally {
+                        stream.destroy();
+                        file.destroy();
+                    }
+                }
+                if (chunk.sha256 && hash.digest('hex') !== chunk.sha256) {
+                    throw new Error(`Checksum mismatch for the decompressed data of ${chunk.name}.`);
+                }
+                pos = offset + length;
+            }
+            await writeStream(out, createReadStream(localFile, { start: pos }));
+        } finally {
+            out.end();
+            await closed;
+        }
+        await rename(tmpPath, localFile);
+    } finally {
+        await rm(tmpPath, { force: true });
+    }
+    await removeDownloads(localFile, sources.map(s => s.download));
+}
+
+/**
+ * Delete downloaded chunks once they are in the local file, and the download directory once it is empty.
+ * 
+ * @param {string} localFile The local NDJSON file path.
+ * @param {Array<string | null>} downloads The downloaded chunk paths.
+ */
+async function removeDownloads(localFile, downloads) {
+    for (const download of downloads) {
+        if (download) {
+            await rm(download, { force: true });
+        }
+    }
+    // Fails if another chunk is still waiting there
+    await rmdir(getDownloadDir(localFile)).catch(() => { });
+}
+
+/**
+ * Replace the posts of changed upstream chunks in a local reconstruction.
+ * Chunks are checked by hashing their post range in the local file and comparing it to the manifest checksum,
+ * the chunks found up to date are remembered in a state sidecar so later runs only check new or changed ones.
+ * Changed ranges are updated from the published recheck patches if they lead from the local to the upstream version,
+ * otherwise from the whole chunk. The file is rewritten, which needs free space for a second copy.
+ * 
+ * @param {string} localFile The local NDJSON file path.
+ * @param {Manifest} manifest The upstream manifest.
+ * @param {{ base?: string, dryRun?: boolean }} [opts={}] The GitHub Releases download base URL, and whether to only report what would be patched.
+ * @returns {Promise<PatchResult>} What was checked and patched.
+ */
+async function patchReconstruction(localFile, manifest, opts = {}) {
+    const chunks = getRemoteChunks(manifest, opts);
+    const state = await loadState(localFile);
+    const lastLocal = await getLastLocalPost(localFile);
+    /** @type {PatchResult} */
+    const result = { verified: [], patched: [], unknown: [] };
+    /** @type {Array<Replacement>} */
+    const replacements = [];
+    /** @type {NDJSONIndex | null} */
+    let index = null;
+
+    // Only chunks that are fully in the local file, the rest is appended from the current upstream data anyway
+    for (const chunk of chunks.filter(c => c.end <= lastLocal)) {
+        if (!chunk.sha256) {
+            result.unknown.push(chunk.name);
+            continue;
+        }
+        if (state.chunks[chunk.name] === chunk.sha256) {
+            continue;
+        }
+        if (!index) {
+            console.log(`Indexing ${localFile}...`);
+            index = await NDJSONIndex.open(localFile);
+        }
+        console.log(`Checking posts ${chunk.start}-${chunk.end} against ${chunk.name}...`);
+        const local = await scanLocalRange(index, chunk.start, chunk.end);
+        if (local.sha256 === chunk.sha256) {
+            state.chunks[chunk.name] = chunk.sha256;
+            result.verified.push(chunk.name);
+            continue;
+        }
+        console.log(`Posts ${chunk.start}-${chunk.end} changed upstream in ${chunk.name}.`);
+        replacements.push({ chunk, offset: local.offset, length: local.length, sha256: local.sha256 });
+    }
+
+    result.patched = replacements.map(r => r.chunk.name);
+    if (opts.dryRun) {
+        return result;
+    }
+    if (replacements.length > 0) {
+        await rewriteLocalFile(localFile, replacements);
+        for (const { chunk } of replacements) {
+            state.chunks[chunk.name] = /** @type {string} */ (chunk.sha256);
+        }
+    }
+    await saveState(localFile, state);
+    return result;
+}
+
+/**
+ * Scan a whole local NDJSON file and split it into the byte ranges of the upstream chunks.
+ * A line is corrupt if it is not an entry, or not after the entry before it. Corrupt lines make their range corrupt,
+ * and the range after them too, since they may have been its first posts. Chunks skipped entirely get corrupt empty ranges.
+ * Corrupt lines after the last entry are left out, they are what an interrupted append left behind.
+ * 
+ * @param {string} localFile The local NDJSON file path.
+ * @param {Array<RemoteChunk>} chunks The upstream chunks.
+ * @returns {Promise<{ ranges: Array<LocalRange | null>, last: number, end: number }>} The range of each chunk (null past the last entry), the last post ID, and the offset after its line.
+ */
+async function scanLocalFile(localFile, chunks) {
+    /** @type {Array<LocalRange | null>} */
+    const ranges = chunks.map(() => null);
+    const maxNum = chunks.length > 0 ? chunks[chunks.length - 1].end : 0;
+    let ci = 0;
+    /** @type {LocalRange | null} */
+    let current = null;
+    let hash = createHash('sha256');
+    // Hash of the current range before the corrupt lines after its last entry
+    let hashBeforeCorrupt = hash;
+    let corruptPending = false;
+    let last = 0;
+    let end = 0;
+
+    /**
+     * @param {number} offset The range offset.
+     * @param {boolean} corrupt Whether the range starts corrupt.
+     */
+    function openRange(offset, corrupt) {
+        current = ranges[ci] = { offset, length: 0, sha256: '', corrupt };
+        hash = createHash('sha256');
+    }
+
+    /**
+     * @param {Buffer} line The line, with its newline if it has one.
+     * @param {number} offset The line offset.
+     * @param {boolean} [terminated=true] Whether the line has a newline. An unterminated line is never a complete entry.
+     */
+    function scanLine(line, offset, terminated = true) {
+        const num = terminated ? parseLineNum(line.toString('utf-8')) : null;
+        if (num === null || num <= last || num > maxNum) {
+            if (!current) {
+                openRange(offset, false);
+            }
+            if (!corruptPending) {
+                hashBeforeCorrupt = hash.copy();
+                corruptPending = true;
+            }
+            hash.update(line);
+            return;
+        }
+        if (!current || num > chunks[ci].end) {
+            if (current) {
+                current.corrupt = current.corrupt || corruptPending;
+                current.length = offset - current.offset;
+                current.sha256 = hash.digest('hex');
+                ci++;
+            }
+            for (; chunks[ci].end < num; ci++) {
+                ranges[ci] = { offset, length: 0, sha256: '', corrupt: true };
+            }
+            openRange(offset, corruptPending);
+        } else if (corruptPending) {
+            current.corrupt = true;
+        }
+        corruptPending = false;
+        hash.update(line);
+        last = num;
+        end = offset + line.length;
+    }
+
+    let pos = 0;
+    let leftover = Buffer.alloc(0);
+    for await (const buf of createReadStream(localFile, { highWaterMark: 0x100000 })) {
+        const data = leftover.length > 0 ? Buffer.concat([leftover, /** @type {Buffer} */ (buf)]) : /** @type {Buffer} */ (buf);
+        let lineStart = 0;
+        let nl;
+        while ((nl = data.indexOf(0x0A, lineStart)) !== -1) {
+            scanLine(data.subarray(lineStart, nl + 1), pos + lineStart);
+            lineStart = nl + 1;
+        }
+        pos += lineStart;
+        leftover = data.subarray(lineStart);
+    }
+    if (leftover.length > 0) {
+        scanLine(leftover, pos, false);
+    }
+    if (current) {
+        /** @type {LocalRange} */ (current).length = end - /** @type {LocalRange} */ (current).offset;
+        /** @type {LocalRange} */ (current).sha256 = (corruptPending ? hashBeforeCorrupt : hash).digest('hex');
+    }
+    return { ranges, last, end };
+}
+
+/**
+ * Check every chunk of a local reconstruction against the manifest and repair the broken ones.
+ * Corrupt or changed chunks are replaced with the upstream ones, and a corrupt partially appended last chunk is cut off
+ * to be appended again. Chunks without recorded checksums can only be checked for corrupt lines.
+ * 
+ * @param {string} localFile The local NDJSON file path.
+ * @param {Array<RemoteChunk>} chunks The upstream chunks.
+ * @param {ReconstructionState} state The state, updated with the verified and repaired chunks.
+ * @param {UpdateResult} result The result, updated with the verified, repaired and unknown chunks.
+ */
+async function verifyReconstruction(localFile, chunks, state, result) {
+    console.log(`Verifying ${localFile}...`);
+    const { ranges, last, end } = await scanLocalFile(localFile, chunks);
+    let truncateAt = end;
+    /** @type {Array<Replacement>} */
+    const replacements = [];
+    for (let i = 0; i < chunks.length; i++) {
+        const chunk = chunks[i];
+        const range = ranges[i];
+        if (!range) {
+            continue;
+        }
+        if (chunk.end > last) {
+            // Partially appended, the rest is appended after verifying
+            if (range.corrupt) {
+                console.log(`Posts ${chunk.start}-${last} of ${chunk.name} are corrupt, appending them again.`);
+                truncateAt = range.offset;
+                delete state.chunks[chunk.name];
+            }
+            continue;
+        }
+        if (!range.corrupt && !chunk.sha256) {
+            result.unknown.push(chunk.name);
+            continue;
+        }
+        if (!range.corrupt && range.sha256 === chunk.sha256) {
+            state.chunks[chunk.name] = chunk.sha256;
+            result.verified.push(chunk.name);
+            continue;
+        }
+        console.log(`Posts ${chunk.start}-${chunk.end} ${range.corrupt ? 'are corrupt' : `changed upstream in ${chunk.name}`}.`);
+        replacements.push({ chunk, offset: range.offset, length: range.length, sha256: range.corrupt ? undefined : range.sha256 });
+    }
+
+    // The cut off part is after all replaced ranges
+    const { size } = await stat(localFile);
+    if (truncateAt < size) {
+        console.log(`Removing the last ${size - truncateAt} bytes of ${localFile}...`);
+        await truncate(localFile, truncateAt);
+    }
+    if (replacements.length > 0) {
+        await rewriteLocalFile(localFile, replacements);
+        for (const { chunk } of replacements) {
+            if (chunk.sha256) {
+                state.chunks[chunk.name] = chunk.sha256;
+            }
+            result.repaired.push(chunk.name);
+        }
+    }
+    await saveState(localFile, state);
+}
+
+/**
+ * Skip the entries up to a post ID, hashing all data passed through.
+ * 
+ * @param {AsyncIterable<Buffer>} source The NDJSON data.
+ * @param {number} after The last post ID to skip.
+ * @param {import('crypto').Hash} hash Hash to update with all data, including the skipped entries.
+ * @returns {AsyncGenerator<Buffer>} The entries after the post ID.
+ */
+async function* skipEntries(source, after, hash) {
+    let leftover = Buffer.alloc(0);
+    let skipping = true;
+    for await (const buf of source) {
+        hash.update(buf);
+        if (!skipping) {
+            yield buf;
+            continue;
+        }
+        const data = leftover.length > 0 ? Buffer.concat([leftover, buf]) : buf;
+        let lineStart = 0;
+        let nl;
+        while ((nl = data.indexOf(0x0A, lineStart)) !== -1) {
+            const num = parseLineNum(data.subarray(lineStart, nl).toString('utf-8'));
+            if (num !== null && num > after) {
+                skipping = false;
+                break;
+            }
+            lineStart = nl + 1;
+        }
+        leftover = data.subarray(lineStart);
+        if (!skipping) {
+            yield leftover;
+            leftover = Buffer.alloc(0);
+        }
+    }
+    if (skipping && leftover.length > 0) {
+        const num = parseLineNum(leftover.toString('utf-8'));
+        if (num !== null && num > after) {
+            yield leftover;
+        }
+    }
+}
+
+/**
+ * Append a downloaded chunk to a local reconstruction, verifying its decompressed data.
+ * The appended posts are removed again if the chunk does not match its checksum.
+ * 
+ * @param {string} localFile The local NDJSON file path.
+ * @param {RemoteChunk} chunk The chunk.
+ * @param {string} path The downloaded chunk path.
+ * @param {number} after The last local post ID, the chunk's posts up to it are skipped.
+ */
+async function appendChunk(localFile, chunk, path, after) {
+    const size = existsSync(localFile) ? (await stat(localFile)).size : 0;
+    const hash = createHash('sha256');
+    const { out, closed } = openOutput(localFile, 'a');
+    const { stream, file } = await openNDJSONStream(path, 0x100000);
+    try {
+        if (chunk.start > after) {
+            await writeStream(out, stream, hash);
+        } else {
+            await writeStream(out, skipEntries(stream, after, hash));
+        }
+    } finally {
+        stream.destroy();
+        file.destroy();
+        out.end();
+        await closed;
+    }
+    if (chunk.sha256 && hash.digest('hex') !== chunk.sha256) {
+        await truncate(localFile, size);
+        throw new Error(`Checksum mismatch for the decompressed data of ${chunk.name}.`);
+    }
+}
+
+/**
+ * Bring a local reconstruction up to date with the upstream chunks.
+ * Whatever an interrupted run left after the last complete entry is removed first. The chunks holding newer posts are
+ * downloaded in parallel, resuming partial downloads and falling back to the Internet Archive mirrors, then appended in order.
+ * With `verify`, the whole local file is checked against the manifest and repaired first.
+ * 
+ * @param {string} localFile The local NDJSON file path, created if missing.
+ * @param {Manifest} manifest The upstream manifest.
+ * @param {{ base?: string, concurrency?: number, verify?: boolean }} [opts={}] The GitHub Releases download base URL,
+ *     the number of parallel downloads, and whether to verify the whole local file.
+ * @returns {Promise<UpdateResult>} What was appended, checked and repaired.
+ */
+async function updateReconstruction(localFile, manifest, opts = {}) {
+    const chunks = getRemoteChunks(manifest, opts);
+    const state = await loadState(localFile);
+    /** @type {UpdateResult} */
+    const result = { from: 1, to: manifest.lastDownloaded, appended: [], verified: [], repaired: [], unknown: [] };
+    let lastLocal = 0;
+    if (existsSync(localFile)) {
+        if (opts.verify) {
+            await verifyReconstruction(localFile, chunks, state, result);
+        }
+        const { num, end, size } = await findLastPost(localFile);
+        if (end < size) {
+            console.log(`Removing ${size - end} bytes left after post ${num} by an interrupted run...`);
+            await truncate(localFile, end);
+        }
+        lastLocal = num;
+    }
+    result.from = lastLocal + 1;
+    if (result.from > result.to) {
+        return result;
+    }
+
+    const downloadDir = getDownloadDir(localFile);
+    await mkdir(downloadDir, { recursive: true });
+    const downloads = chunks.filter(c => c.end > lastLocal).map(chunk => ({ chunk, path: join(downloadDir, `${chunk.name}.ndjson.gz`) }));
+    await runPool(downloads, opts.concurrency || DEFAULT_CONCURRENCY, async ({ chunk, path }) => {
+        console.log(`Downloading ${chunk.name}...`);
+        await downloadChunk(chunk, path);
+        console.log(`Done downloading ${chunk.name}.`);
+    });
+
+    for (const { chunk, path } of downloads) {
+        console.log(`Appending posts ${Math.max(chunk.start, lastLocal + 1)}-${chunk.end} from ${chunk.name}...`);
+        await appendChunk(localFile, chunk, path, lastLocal);
+        // Posts appended before this run were not checked against this chunk
+        if (chunk.sha256 && chunk.start > lastLocal) {
+            state.chunks[chunk.name] = chunk.sha256;
+            await saveState(localFile, state);
+        }
+        await removeDownloads(localFile, [path]);
+        result.appended.push(chunk.name);
+    }
+    return result;
+}
+
+/**
+ * Select the chunks holding the posts of a range. Date bounds are matched against the post timestamps recorded
+ * in the manifest, chunks without recorded timestamps are always selected.
+ * 
+ * @param {Manifest} manifest The manifest.
+ * @param {Array<RemoteChunk>} chunks The upstream chunks.
+ * @param {PostRange} range The range.
+ * @returns {Array<RemoteChunk>} The chunks, oldest first.
+ */
+function selectRangeChunks(manifest, chunks, range) {
+    return chunks.filter((chunk) => {
+        if ((range.from !== undefined && chunk.end < range.from) || (range.to !== undefined && chunk.start > range.to)) {
+            return false;
+        }
+        const info = manifest.chunks[chunk.name];
+        if (range.since !== undefined && info && info.lastTimestamp !== null && info.lastTimestamp < range.since) {
+            return false;
+        }
+        if (range.until !== undefined && info && info.firstTimestamp !== null && info.firstTimestamp >= range.until) {
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Create a filter keeping the entries of a range, fed the lines of the chunks in order.
+ * With date bounds, exceptions are only kept between the posts in the range, since their timestamps are when they were checked.
+ * 
+ * @param {PostRange} range The range.
+ * @param {RangeResult} result The result, updated with the kept entries.
+ * @returns {{ filter: (line: Buffer) => Array<Buffer>, isDone: () => boolean }} The filter, returning the lines to keep, and whether the rest is past the range.
+ */
+function createRangeFilter(range, result) {
+    const dated = range.since !== undefined || range.until !== undefined;
+    let started = false;
+    let done = false;
+    /** @type {Array<{ line: Buffer, num: number }>} */
+    let pending = [];
+
+    /**
+     * @param {Array<{ line: Buffer, num: number }>} entries The entries to keep.
+     */
+    function keep(entries) {
+        for (const { num } of entries) {
+            result.first = result.first ?? num;
+            result.last = num;
+            result.entries++;
+        }
+        return entries.map(e => e.line);
+    }
+
+    return {
+        filter: (line) => {
+            const text = line.toString('utf-8').trim();
+            if (text.length === 0) {
+                return [];
+            }
+            const entry = JSON.parse(text);
+            const num = parseInt(entry.num, 10);
+            if (range.to !== undefined && num > range.to) {
+                done = true;
+                return [];
+            }
+            if (range.from !== undefined && num < range.from) {
+                return [];
+            }
+            if (!dated) {
+                return keep([{ line, num }]);
+            }
+            if ('exception' in entry) {
+                if (started) {
+                    pending.push({ line, num });
+                }
+                return [];
+            }
+            if (range.until !== undefined && entry.timestamp >= range.until) {
+                done = true;
+                return [];
+            }
+            if (range.since !== undefined && entry.timestamp < range.since) {
+                return [];
+            }
+            started = true;
+            const lines = keep([...pending, { line, num }]);
+            pending = [];
+            return lines;
+        },
+        isDone: () => done,
+    };
+}
+
+/**
+ * Split NDJSON data into lines and pass them through a filter.
+ * 
+ * @param {AsyncIterable<Buffer>} source The NDJSON data.
+ * @param {(line: Buffer) => Array<Buffer>} filter The filter, returning the lines to keep.
+ * @param {() => boolean} [isDone] Whether the rest of the data can be skipped.
+ * @returns {AsyncGenerator<Buffer>} The kept lines.
+ */
+async function* filterLines(source, filter, isDone = () => false) {
+    let leftover = Buffer.alloc(0);
+    for await (const buf of source) {
+        const data = leftover.length > 0 ? Buffer.concat([leftover, buf]) : buf;
+        /** @type {Array<Buffer>} */
+        const out = [];
+        let pos = 0;
+        let nl;
+        while ((nl = data.indexOf(0x0A, pos)) !== -1) {
+            out.push(...filter(data.subarray(pos, nl + 1)));
+            pos = nl + 1;
+        }
+        leftover = data.subarray(pos);
+        if (out.length > 0) {
+            yield Buffer.concat(out);
+        }
+        if (isDone()) {
+            return;
+        }
+    }
+    if (leftover.length > 0) {
+        // Every line ends with a newline in the output, like in the chunks
+        const last = filter(Buffer.concat([leftover, Buffer.from('\n')]));
+        if (last.length > 0) {
+            yield Buffer.concat(last);
+        }
+    }
+}
+
+/**
+ * Reconstruct a range of posts into a new file, downloading only the chunks holding them.
+ * The chunks are downloaded in parallel like for a full reconstruction, and the edges are trimmed so the output
+ * holds exactly the posts of the range. The output is replaced when it is complete.
+ * 
+ * @param {string} outFile The output NDJSON file path.
+ * @param {Manifest} manifest The upstream manifest.
+ * @param {PostRange} range The range.
+ * @param {{ base?: string, concurrency?: number }} [opts={}] The GitHub Releases download base URL,
+ *     and the number of parallel downloads.
+ * @returns {Promise<RangeResult>} The chunks used and the entries written.
+ */
+async function reconstructRange(outFile, manifest, range, opts = {}) {
+    const chunks = selectRangeChunks(manifest, getRemoteChunks(manifest, opts), range);
+    /** @type {RangeResult} */
+    const result = { chunks: [], entries: 0, first: null, last: null };
+    const downloadDir = getDownloadDir(outFile);
+    await mkdir(downloadDir, { recursive: true });
+    const downloads = chunks.map(chunk => ({ chunk, path: join(downloadDir, `${chunk.name}.ndjson.gz`) }));
+    await runPool(downloads, opts.concurrency || DEFAULT_CONCURRENCY, async ({ chunk, path }) => {
+        console.log(`Downloading ${chunk.name}...`);
+        await downloadChunk(chunk, path);
+        console.log(`Done downloading ${chunk.name}.`);
+    });
+
+    const { filter, isDone } = createRangeFilter(range, result);
+
+    const tmpPath = join(dirname(outFile), `${basename(outFile)}.${process.pid}.tmp`);
+    try {
+        const { out, closed } = openOutput(tmpPath, 'w');
+        try {
+            for (const { chunk, path } of downloads) {
+                if (isDone()) {
+                    break;
+                }
+                console.log(`Extracting posts from ${chunk.name}...`);
+                const { stream, file } = await openNDJSONStream(path, 0x100000);
+                try {
+                    await writeStream(out, filterLines(stream, filter, isDone));
+                } finally {
+                    stream.destroy();
+                    file.destroy();
+                }
+                result.chunks.push(chunk.name);
+            }
+        } finally {
+            out.end();
+            await closed;
+        }
+        await rename(tmpPath, outFile);
+    } finally {
+        await rm(tmpPath, { force: true });
+    }
+    await removeDownloads(outFile, downloads.map(d => d.path));
+    return result;
+}
+
+/**
+ * Parse a date bound. Dates without a time cover the whole day, or the whole month for `YYYY-MM`.
+ * 
+ * @param {string} text The date, `YYYY-MM`, `YYYY-MM-DD` or an ISO 8601 date and time, in UTC unless it has an offset.
+ * @param {boolean} end Whether it is an inclusive end bound, which is returned as the exclusive end of the period.
+ * @returns {number} The Unix timestamp in seconds.
+ */
+function parseDateBound(text, end) {
+    const month = /^(\d{4})-(\d{2})$/.exec(text);
+    if (month) {
+        return Date.UTC(parseInt(month[1], 10), parseInt(month[2], 10) - (end ? 0 : 1), 1) / 1000;
+    }
+    const ms = Date.parse(/^\d{4}-\d{2}-\d{2}T[^Z+-]*$/.test(text) ? `${text}Z` : text);
+    if (isNaN(ms)) {
+        throw new Error(`Invalid date '${text}'.`);
+    }
+    if (!end) {
+        return Math.floor(ms / 1000);
+    }
+    return /^\d{4}-\d{2}-\d{2}$/.test(text) ? ms / 1000 + 86400 : Math.floor(ms / 1000) + 1;
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    const cmd = argv[0] === 'update' || argv[0] === 'patch' ? /** @type {string} */ (argv.shift()) : 'update';
+    let localFile = null;
+    let dryRun = false;
+    let verify = false;
+    let concurrency = DEFAULT_CONCURRENCY;
+    let board = DEFAULT_BOARD;
+    /** @type {Record<string, string>} */
+    const bounds = {};
+    let valid = true;
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (cmd === 'patch' && (arg === '-n' || arg === '--dry-run')) {
+            dryRun = true;
+        } else if (cmd === 'update' && arg === '--verify') {
+            verify = true;
+        } else if (cmd === 'update' && (arg === '-j' || arg === '--jobs')) {
+            concurrency = parseInt(argv[++i], 10);
+        } else if (cmd === 'update' && ['--from', '--to', '--since', '--until'].includes(arg) && i + 1 < argv.length) {
+            bounds[arg.substring(2)] = argv[++i];
+        } else if (arg === '--board' && i + 1 < argv.length) {
+            board = argv[++i];
+        } else if (!arg.startsWith('-')) {
+            localFile = arg;
+        } else {
+            valid = false;
+        }
+    }
+    const isRange = Object.keys(bounds).length > 0;
+    if (!valid || !(concurrency > 0) || (isRange && verify) || !/^[a-z0-9]+$/.test(board)) {
+        console.error('Usage: node reconstruct.js [update] [--board <board>] [--verify] [-j|--jobs <n>] [<local-ndjson-file>]');
+        console.error('       node reconstruct.js [update] [--board <board>] [--from <post>] [--to <post>] [--since <date>] [--until <date>] [-j|--jobs <n>] [<output-ndjson-file>]');
+        console.error('       node reconstruct.js patch [--board <board>] [-n|--dry-run] [<local-ndjson-file>]');
+        console.error('Dates are YYYY-MM, YYYY-MM-DD or ISO 8601 date and times in UTC, --until includes the whole day or month.');
+        process.exit(1);
+    }
+
+    if (isRange) {
+        /** @type {PostRange} */
+        const range = {};
+        for (const key of /** @type {const} */ (['from', 'to'])) {
+            if (bounds[key] !== undefined) {
+                range[key] = parseInt(bounds[key], 10);
+                if (!Number.isSafeInteger(range[key]) || String(range[key]) !== bounds[key]) {
+                    throw new Error(`Invalid post number '${bounds[key]}'.`);
+                }
+            }
+        }
+        if (bounds.since !== undefined) {
+            range.since = parseDateBound(bounds.since, false);
+        }
+        if (bounds.until !== undefined) {
+            range.until = parseDateBound(bounds.until, true);
+        }
+        const outFile = resolve(localFile || `desuarchive_${board}_${bounds.from || bounds.since || 'first'}_${bounds.to || bounds.until || 'last'}.ndjson`);
+        const manifest = await fetchManifest(MANIFEST_URL, board);
+        const result = await reconstructRange(outFile, manifest, range, { concurrency });
+        if (result.entries === 0) {
+            console.log(`No posts in the range, ${outFile} is empty.`);
+            return;
+        }
+        console.log(`Posts ${result.first} to ${result.last} (${result.entries} entries) written to ${outFile}.`);
+        return;
+    }
+
+    localFile = resolve(localFile || `desuarchive_${board}_full.ndjson`);
+    const manifest = await fetchManifest(MANIFEST_URL, board);
+
+    if (cmd === 'patch') {
+        if (!existsSync(localFile)) {
+            throw new Error(`${localFile} does not exist.`);
+        }
+        const result = await patchReconstruction(localFile, manifest, { dryRun });
+        if (result.unknown.length > 0) {
+            console.warn(`${result.unknown.length} chunks have no recorded checksums and were not checked: ${result.unknown.join(', ')}`);
+        }
+        console.log(`${result.verified.length} chunks verified, ${result.patched.length} chunks ${dryRun ? 'need patching' : 'patched'}.`);
+        for (const name of result.patched) {
+            console.log(`    ${name}`);
+        }
+        return;
+    }
+
+    const result = await updateReconstruction(localFile, manifest, { verify, concurrency });
+    if (verify) {
+        if (result.unknown.length > 0) {
+            console.warn(`${result.unknown.length} chunks have no recorded checksums and were only checked for corrupt lines: ${result.unknown.join(', ')}`);
+        }
+        console.log(`${result.verified.length} chunks verified, ${result.repaired.length} chunks repaired.`);
+        for (const name of result.repaired) {
+            console.log(`    ${name}`);
+        }
+    }
+    if (result.from > result.to) {
+        console.log('Local archive is already up to date. No updates needed.');
+        return;
+    }
+    console.log(`Updated posts from ${result.from} to ${result.to} appended to ${localFile}.`);
+    console.log(`Posts rechecked upstream after they were appended are not updated here, run 'node reconstruct.js patch ${localFile}' to apply them.`);
+}
+
+if (require.main === module) {
+    main().catch((err) => {
+        console.error('Error:', err);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    fetchManifest,
+    getLastLocalPost,
+    getRemoteChunks,
+    getStatePath,
+    parseDateBound,
+    patchReconstruction,
+    reconstructRange,
+    scanLocalRange,
+    updateReconstruction,
+};
@@ -37,7 +37,7 @@ MANIFEST_URL="https://raw.githubusercontent.com/${REPO}/main/manifest.json"
 # ==============================
 # Dependency Check
 # ==============================
-REQUIRED_CMDS=(curl jq parallel gzip dd stat tail)
+REQUIRED_CMDS=(curl jq parallel gzip dd stat tail sha256sum cut)
 
 if [[ $ATTEMPT_REPAIR -eq 1 ]]; then
     REQUIRED_CMDS+=(truncate)
@@ -113,10 +113,13 @@ fi
 # ==============================
 readarray -t NAMES < <(jq -r '((.yearly | map(.name)) + .monthly + .daily)[]' <<<"$MANIFEST" 2>/dev/null)
 readarray -t LINKS < <(jq -r --arg base "$BASE" '((.yearly | map(.url)) + [(.monthly + .daily)[] | "\($base)/\(.)/\(.).ndjson.gz"])[]' <<<"$MANIFEST" 2>/dev/null)
+# Expected sha256 of each compressed file, empty if the manifest has none recorded
+readarray -t HASHES < <(jq -r '. as $m | ((.yearly | map(.name)) + .monthly + .daily)[] | ($m.chunks[.].gzSha256 // "")' <<<"$MANIFEST" 2>/dev/null)
 
 # Arrays for temporary download and extract tracking
 NAMES_TD=()
 LINKS_TD=()
+HASHES_TD=()
 STARTS_TD=()
 ENDS_TD=()
 PATHS_TD=()
@@ -153,6 +156,7 @@ for i in "${!NAMES[@]}"; do
     if (( END >= UD_START )); then
         NAMES_TD+=("$NAME")
         LINKS_TD+=("$LINK")
+        HASHES_TD+=("${HASHES[i]:-}")
         STARTS_TD+=("$START")
         ENDS_TD+=("$END")
         GZ_PATHS_TD+=("$(mktemp "${LOCAL_DIR}/$NAME.ndjson.gz.tmp.XXXXXX")")
@@ -169,8 +173,12 @@ if parallel -j 8 --halt now,fail=1 --ungroup --no-notice --plain '
         echo "Failed to download "{1}"."
         exit 1
     fi
+    if [ -n {4} ] && [ "$(sha256sum {3} | cut -d" " -f1)" != {4} ]; then
+        echo "Checksum mismatch for "{1}"."
+        exit 1
+    fi
     echo "Done downloading "{1}"."
-' ::: "${NAMES_TD[@]}" :::+ "${LINKS_TD[@]}" :::+ "${GZ_PATHS_TD[@]}" >&2 2>/dev/null; then
+' ::: "${NAMES_TD[@]}" :::+ "${LINKS_TD[@]}" :::+ "${GZ_PATHS_TD[@]}" :::+ "${HASHES_TD[@]}" >&2 2>/dev/null; then
     echo "All downloads completed successfully." >&2
 else
     echo "One or more downloads failed." >&2
@@ -345,3 +353,4 @@ for i in "${!NAMES_TD[@]}"; do
 done
 
 echo "Updated posts from ${UD_START} to ${UD_END} appended to ${LOCAL_FILE}." >&2
+echo "Posts rechecked upstream after they were appended are not updated here, run 'node reconstruct.js patch ${LOCAL_FILE}' to apply them." >&2
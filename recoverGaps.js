@@ -0,0 +1,474 @@
+// @ts-check
+const { existsSync } = require('fs');
+const { mkdir, readFile, rename, stat, writeFile } = require('fs/promises');
+const { basename, dirname, join, resolve } = require('path');
+const { readNDJSON } = require('./ndjsonReader');
+const { readJournal, appendJournal, rewriteNDJSON } = require('./ndjsonWriter');
+const { fetchPost, fetchThread, getPriority, getSource, getSiteLimits, isFailure } = require('./ffUtils');
+const { closeCDPFetchers } = require('./cdpFetch');
+const { getSources } = require('./sourceRegistry');
+const { runPool } = require('./fetchPool');
+const { parseChunkName, DEFAULT_BOARD } = require('./archiveManifest');
+const { getPatchName, patchLines, writePatch } = require('./ndjsonPatch');
+
+/** @typedef {import('./ffUtils').MinimalFFPost} MinimalFFPost */
+/** @typedef {import('./fetchErrors').FetchErrorKind} FetchErrorKind */
+
+/**
+ * An archive entry the campaign tries to recover or upgrade.
+ * @typedef {Object} CampaignPost
+ * @property {number} num The post ID.
+ * @property {string | null} source The archive the entry came from, null if it is an exception.
+ */
+
+/**
+ * The entries of one thread, or a single exception whose thread is unknown.
+ * @typedef {Object} CampaignUnit
+ * @property {string | null} thread The thread ID, null if unknown.
+ * @property {Array<CampaignPost>} posts The entries, by post ID.
+ */
+
+/**
+ * The result of scanning an archive, saved so later runs do not scan it again.
+ * @typedef {Object} Campaign
+ * @property {string} archive The archive file name.
+ * @property {number} size The archive file size, to notice a different file with the same name.
+ * @property {string} board The board.
+ * @property {number} entries The number of entries in the archive.
+ * @property {Array<CampaignUnit>} units The units to recover, threads first.
+ */
+
+/**
+ * The answer of one source for one unit.
+ * @typedef {Object} CampaignRecord
+ * @property {number} unit The unit index.
+ * @property {string} site The source site.
+ * @property {'ok' | FetchErrorKind} outcome 'ok' if the source answered, otherwise why it did not.
+ * @property {Array<MinimalFFPost>} posts The posts the source had that are better than what was known.
+ */
+
+/**
+ * The campaign progress, rebuilt from the journal.
+ * @typedef {Object} CampaignProgress
+ * @property {Map<number, Map<string, 'ok' | FetchErrorKind>>} outcomes The answers of the sources by unit index.
+ * @property {Map<number, MinimalFFPost>} best The best recovered post by post ID.
+ */
+
+/**
+ * @typedef {Object} CampaignOptions
+ * @property {string} [dir] The directory holding the campaign state, defaults to `<archive>.recovery` next to the archive.
+ * @property {string} [board] The board, defaults to the one in the archive name.
+ * @property {string} [name] The chunk name the patch is named after, defaults to the archive file name.
+ * @property {number} [limit] Maximum number of units worked on in this run.
+ * @property {boolean} [finish] Write the patch and the report even if some units are pending.
+ * @property {string} [output] Also write the patched archive to this path.
+ */
+
+// Answers that may be different when asked again later
+const TRANSIENT_KINDS = ['captcha', 'rate-limited', 'transport-failure', 'backend-unavailable'];
+// Answers after which a source is not asked again in this run
+const BLOCKING_KINDS = ['captcha', 'rate-limited', 'transport-failure'];
+
+/**
+ * Get the chunk name of an archive file.
+ *
+ * @param {string} path The archive path.
+ * @returns {string} The chunk name.
+ */
+function getArchiveName(path) {
+    return basename(path).replace(/\.ndjson(\.gz)?$/, '');
+}
+
+/**
+ * Scan an archive for exceptions and posts from lower priority sources, grouped by thread.
+ *
+ * @param {string} path The archive path, optionally gzip compressed.
+ * @param {string} board The board.
+ * @returns {Promise<Campaign>} The campaign.
+ */
+async function scanArchive(path, board) {
+    const sources = getSources(board);
+    if (sources.length === 0) {
+        throw new Error(`No archive source archives /${board}/.`);
+    }
+    const topPriority = getPriority(sources[0].site);
+    /** @type {Map<string, Array<CampaignPost>>} */
+    const threads = new Map();
+    /** @type {Array<CampaignUnit>} */
+    const lone = [];
+    let entries = 0;
+    let lastUpdateTS = Date.now();
+    await readNDJSON(path, (entry) => {
+        entries++;
+        /** @type {CampaignPost} */
+        let post;
+        if ('exception' in entry) {
+            post = { num: parseInt(entry.num, 10), source: null };
+        } else {
+            const source = getSource(entry);
+            if (getPriority(source) >= topPriority) {
+                return;
+            }
+            post = { num: parseInt(entry.num, 10), source };
+        }
+        const thread = entry.thread_num ? String(entry.thread_num) : null;
+        if (thread === null) {
+            lone.push({ thread, posts: [post] });
+            return;
+        }
+        const posts = threads.get(thread);
+        if (posts) {
+            posts.push(post);
+        } else {
+            threads.set(thread, [post]);
+        }
+    }, {
+        onProgress: () => {
+            const now = Date.now();
+            if (now - lastUpdateTS > 2_500) {
+                console.log(`Scanned ${entries} entries, ${threads.size} threads and ${lone.length} lone exceptions to recover...`);
+                lastUpdateTS = now;
+            }
+        },
+    });
+    const units = [
+        ...Array.from(threads.entries()).sort((a, b) => parseInt(a[0], 10) - parseInt(b[0], 10)).map(([thread, posts]) => ({ thread, posts })),
+        ...lone,
+    ];
+    return { archive: basename(path), size: (await stat(path)).size, board, entries, units };
+}
+
+/**
+ * Load the campaign of an archive, scanning the archive if this is the first run.
+ *
+ * @param {string} dir The campaign directory.
+ * @param {string} path The archive path.
+ * @param {string} board The board.
+ * @returns {Promise<Campaign>} The campaign.
+ */
+async function loadCampaign(dir, path, board) {
+    const file = join(dir, 'campaign.json');
+    if (existsSync(file)) {
+        /** @type {Campaign} */
+        const campaign = JSON.parse(await readFile(file, 'utf-8'));
+        const { size } = await stat(path);
+        if (campaign.archive !== basename(path) || campaign.size !== size || campaign.board !== board) {
+            throw new Error(`${dir} holds the campaign of ${campaign.archive} (/${campaign.board}/, ${campaign.size} bytes), not of ${path}`);
+        }
+        return campaign;
+    }
+    console.log(`Scanning ${path}...`);
+    const campaign = await scanArchive(path, board);
+    await mkdir(dir, { recursive: true });
+    await writeFile(`${file}.tmp`, JSON.stringify(campaign), 'utf-8');
+    await rename(`${file}.tmp`, file);
+    return campaign;
+}
+
+/**
+ * Apply a journal record to the progress.
+ *
+ * @param {CampaignProgress} progress The progress, updated in place.
+ * @param {CampaignRecord} record The journal record.
+ */
+function applyRecord(progress, record) {
+    let outcomes = progress.outcomes.get(record.unit);
+    if (!outcomes) {
+        outcomes = new Map();
+        progress.outcomes.set(record.unit, outcomes);
+    }
+    outcomes.set(record.site, record.outcome);
+    for (const post of record.posts) {
+        const num = parseInt(post.num, 10);
+        const best = progress.best.get(num);
+        if (!best || getPriority(post) > getPriority(best)) {
+            progress.best.set(num, post);
+        }
+    }
+}
+
+/**
+ * Get the priority of what is known of an entry: the best recovered post, or the original entry.
+ * Exceptions are below every source.
+ *
+ * @param {CampaignPost} post The entry.
+ * @param {CampaignProgress} progress The progress.
+ * @returns {number} The priority.
+ */
+function getKnownPriority(post, progress) {
+    const best = progress.best.get(post.num);
+    if (best) {
+        return getPriority(best);
+    }
+    return post.source === null ? -1 : getPriority(post.source);
+}
+
+/**
+ * Get the entries of a unit a source may improve.
+ *
+ * @param {CampaignUnit} unit The unit.
+ * @param {string} site The source site.
+ * @param {CampaignProgress} progress The progress.
+ * @returns {Array<CampaignPost>} The entries.
+ */
+function getWanted(unit, site, progress) {
+    const priority = getPriority(site);
+    return unit.posts.filter(p => getKnownPriority(p, progress) < priority);
+}
+
+/**
+ * Get the sources that still have to be asked for a unit, highest priority first.
+ * A source that gave an answer that will not change is not asked again.
+ *
+ * @param {number} index The unit index.
+ * @param {CampaignUnit} unit The unit.
+ * @param {Array<string>} sites The sources of the board, highest priority first.
+ * @param {CampaignProgress} progress The progress.
+ * @returns {Array<string>} The sources.
+ */
+function getPendingSites(index, unit, sites, progress) {
+    const outcomes = progress.outcomes.get(index);
+    return sites.filter(site => {
+        const outcome = outcomes?.get(site);
+        if (outcome !== undefined && !TRANSIENT_KINDS.includes(outcome)) {
+            return false;
+        }
+        return getWanted(unit, site, progress).length > 0;
+    });
+}
+
+/**
+ * Ask one source for the wanted entries of a unit.
+ *
+ * @param {CampaignUnit} unit The unit.
+ * @param {Array<CampaignPost>} wanted The entries the source may improve.
+ * @param {string} site The source site.
+ * @param {string} board The board.
+ * @returns {Promise<{ outcome: 'ok' | FetchErrorKind, posts: Array<MinimalFFPost> }>} The answer.
+ */
+async function askSource(unit, wanted, site, board) {
+    const priority = getPriority(site);
+    if (unit.thread === null) {
+        const fPost = await fetchPost(wanted[0].num, site, board);
+        if (isFailure(fPost)) {
+            return { outcome: fPost.error.kind, posts: [] };
+        }
+        return { outcome: 'ok', posts: getPriority(fPost) >= priority ? [fPost] : [] };
+    }
+    const fThread = await fetchThread(unit.thread, site, board);
+    if (isFailure(fThread)) {
+        return { outcome: fThread.error.kind, posts: [] };
+    }
+    /** @type {Map<number, MinimalFFPost>} */
+    const found = new Map();
+    for (const threadId in fThread) {
+        const thread = fThread[threadId];
+        for (const post of [...(thread.op ? [thread.op] : []), ...Object.values(thread.posts || {})]) {
+            found.set(parseInt(post.num, 10), post);
+        }
+    }
+    /** @type {Array<MinimalFFPost>} */
+    const posts = [];
+    for (const { num } of wanted) {
+        const post = found.get(num);
+        if (post && getPriority(post) >= priority) {
+            posts.push(post);
+        }
+    }
+    return { outcome: 'ok', posts };
+}
+
+/**
+ * Hash the archive before and after putting in the recovered posts and, if asked, write the patched archive.
+ *
+ * @param {string} path The archive path.
+ * @param {Map<number, MinimalFFPost>} posts The recovered posts by post ID.
+ * @param {string} [outputPath] Where to write the patched archive, gzip compressed if it ends with `.gz`.
+ * @returns {Promise<{ baseSha256: string, resultSha256: string }>} SHA-256 of the decompressed archive before and after.
+ */
+async function patchArchive(path, posts, outputPath) {
+    return rewriteNDJSON(path, (source) => patchLines(source, posts), outputPath || null, { gzip: outputPath?.endsWith('.gz') });
+}
+
+/**
+ * Run a recovery campaign over an archive: scan it on the first run, ask the sources for the
+ * units that are pending, and once none are (or when asked to finish) write a patch and a report.
+ * Every answer is journaled as it arrives, so the campaign can be stopped and resumed at any time.
+ *
+ * @param {string} path The archive path, optionally gzip compressed.
+ * @param {CampaignOptions} [opts={}] The campaign options.
+ * @returns {Promise<any | null>} The recovery report, null if the campaign is not finished.
+ */
+async function runCampaign(path, opts = {}) {
+    const name = opts.name || getArchiveName(path);
+    const board = opts.board || parseChunkName(name)?.board || DEFAULT_BOARD;
+    const dir = opts.dir || join(dirname(path), `${getArchiveName(path)}.recovery`);
+    const campaign = await loadCampaign(dir, path, board);
+    const sites = getSources(board).map(s => s.site);
+    const journalFile = join(dir, 'journal.ndjson');
+
+    /** @type {CampaignProgress} */
+    const progress = { outcomes: new Map(), best: new Map() };
+    /** @type {Array<CampaignRecord>} */
+    const records = await readJournal(journalFile, 'campaign journal');
+    for (const record of records) {
+        applyRecord(progress, record);
+    }
+    const pending = campaign.units
+        .map((unit, index) => ({ unit, index }))
+        .filter(({ unit, index }) => getPendingSites(index, unit, sites, progress).length > 0);
+    const todo = opts.limit !== undefined ? pending.slice(0, opts.limit) : pending;
+    console.log(`${campaign.units.length} units to recover, ${pending.length} pending, working on ${todo.length}.`);
+
+    /** @type {Set<string>} */
+    const blocked = new Set();
+    let journalQueue = Promise.resolve();
+    let done = 0;
+    let lastUpdateTS = Date.now();
+    await runPool(todo, sites.length > 0 ? getSiteLimits(sites[0]).concurrency : 1, async ({ unit, index }) => {
+        for (const site of getPendingSites(index, unit, sites, progress)) {
+            // Higher priority sources may have recovered some of the posts in the meantime
+            const wanted = getWanted(unit, site, progress);
+            if (blocked.has(site) || wanted.length === 0) {
+                continue;
+            }
+            const { outcome, posts } = await askSource(unit, wanted, site, board);
+            /** @type {CampaignRecord} */
+            const record = { unit: index, site, outcome, posts };
+            applyRecord(progress, record);
+            // One append at a time, so records of concurrent units do not interleave
+            journalQueue = journalQueue.then(() => appendJournal(journalFile, record));
+            await journalQueue;
+            if (BLOCKING_KINDS.includes(outcome) && !blocked.has(site)) {
+                console.warn(`Giving up on ${site} for this run (${outcome}).`);
+                blocked.add(site);
+            }
+        }
+        done++;
+        const now = Date.now();
+        if (now - lastUpdateTS > 2_500) {
+            console.log(`Worked on ${done}/${todo.length} units, ${progress.best.size} posts recovered so far.`);
+            lastUpdateTS = now;
+        }
+    });
+
+    const stillPending = campaign.units.filter((unit, index) => getPendingSites(index, unit, sites, progress).length > 0).length;
+    if (stillPending > 0 && !opts.finish) {
+        console.log(`${stillPending} units are still pending, run again to continue.`);
+        return null;
+    }
+    return finishCampaign(path, dir, name, campaign, progress, stillPending, opts.output);
+}
+
+/**
+ * Write the patch and the report of a campaign.
+ *
+ * @param {string} path The archive path.
+ * @param {string} dir The campaign directory.
+ * @param {string} name The chunk name the patch is named after.
+ * @param {Campaign} campaign The campaign.
+ * @param {CampaignProgress} progress The progress.
+ * @param {number} pending The number of units still pending.
+ * @param {string} [outputPath] Where to write the patched archive.
+ * @returns {Promise<any>} The recovery report.
+ */
+async function finishCampaign(path, dir, name, campaign, progress, pending, outputPath) {
+    console.log(`Patching ${path}...`);
+    const { baseSha256, resultSha256 } = await patchArchive(path, progress.best, outputPath);
+    const byNum = new Map(campaign.units.flatMap(u => u.posts).map(p => [p.num, p]));
+    const changes = Array.from(progress.best.entries()).map(([num, post]) => ({
+        num: String(num),
+        oldSource: byNum.get(num)?.source ?? null,
+        post,
+        baseSha256,
+        resultSha256,
+    }));
+    const patchFile = changes.length > 0 ? join(dir, getPatchName(name, baseSha256)) : null;
+    if (patchFile) {
+        await writePatch(patchFile, changes);
+        console.log(`Wrote ${changes.length} recovered posts to ${patchFile}.`);
+    }
+
+    /** @type {Record<string, Record<string, number>>} */
+    const outcomes = {};
+    for (const siteOutcomes of progress.outcomes.values()) {
+        for (const [site, outcome] of siteOutcomes) {
+            outcomes[site] = outcomes[site] || {};
+            outcomes[site][outcome] = (outcomes[site][outcome] || 0) + 1;
+        }
+    }
+    /** @type {Record<string, number>} */
+    const bySource = {};
+    for (const post of progress.best.values()) {
+        const source = getSource(post);
+        bySource[source] = (bySource[source] || 0) + 1;
+    }
+    const exceptions = Array.from(byNum.values()).filter(p => p.source === null);
+    const report = {
+        archive: campaign.archive,
+        board: campaign.board,
+        name,
+        baseSha256,
+        resultSha256,
+        patch: patchFile ? basename(patchFile) : null,
+        output: outputPath || null,
+        entries: campaign.entries,
+        exceptions: exceptions.length,
+        lowPriority: byNum.size - exceptions.length,
+        units: campaign.units.length,
+        pendingUnits: pending,
+        recovered: changes.filter(c => c.oldSource === null).length,
+        upgraded: changes.filter(c => c.oldSource !== null).length,
+        stillMissing: exceptions.filter(p => !progress.best.has(p.num)).length,
+        bySource,
+        outcomes,
+    };
+    await writeFile(join(dir, 'report.json'), JSON.stringify(report, null, 2) + '\n', 'utf-8');
+    console.log(`Recovered ${report.recovered} of ${report.exceptions} missing posts and upgraded ${report.upgraded} of ${report.lowPriority} low priority posts.`);
+    return report;
+}
+
+async function main() {
+    /** @type {CampaignOptions} */
+    const opts = {};
+    let inputPathRaw = null;
+    const args = process.argv.slice(2);
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--dir') {
+            opts.dir = resolve(args[++i]);
+        } else if (args[i] === '--board') {
+            opts.board = args[++i];
+        } else if (args[i] === '--name') {
+            opts.name = args[++i];
+        } else if (args[i] === '--limit') {
+            opts.limit = parseInt(args[++i], 10);
+        } else if (args[i] === '--output') {
+            opts.output = resolve(args[++i]);
+        } else if (args[i] === '--finish') {
+            opts.finish = true;
+        } else {
+            inputPathRaw = args[i];
+        }
+    }
+    if (!inputPathRaw || (opts.limit !== undefined && !(opts.limit > 0))) {
+        console.error('Usage: node recoverGaps.js <archive.ndjson[.gz]> [--dir <campaign dir>] [--board <board>] [--name <chunk name>] [--limit <units>] [--finish] [--output <archive.ndjson[.gz]>]');
+        process.exit(1);
+    }
+    await runCampaign(resolve(inputPathRaw), opts);
+}
+
+if (require.main === module) {
+    main().catch((err) => {
+        console.error('Recovery campaign failed:', err);
+        process.exit(1);
+    }).finally(async () => {
+        console.log('Closing CDP fetchers...');
+        await closeCDPFetchers();
+        console.log('Done.');
+    });
+}
+
+module.exports = {
+    scanArchive,
+    runCampaign,
+};
@@ -0,0 +1,754 @@
+// @ts-check
+const { createReadStream, createWriteStream, existsSync } = require("fs");
+const { spawn } = require("child_process");
+const { pipeline } = require("stream/promises");
+const { join, relative, resolve } = require("path");
+const { createGzip, createGunzip } = require("zlib");
+const { DEFAULT_BOARD, getManifest, getBoardManifest, saveManifest, recordChunk, formatChunkName, getArchiveLocation, getArchivePrefix, getChunkNames, getChunkStats, parseChunkName } = require("./archiveManifest");
+const { encodeBlockGzip, getBlockIndexPath } = require("./blockGzip");
+const { getInputInfo, verifyConsolidated } = require("./consolidationCheck");
+const { applyRecovered, getLedgerFile } = require("./retryLedger");
+
+/** @typedef {import('./archiveManifest').Manifest} Manifest */
+/** @typedef {import('./archiveManifest').ChunkName} ChunkName */
+
+/**
+ * Where daily and monthly releases are published (GitHub Releases).
+ * 
+ * @typedef {Object} ReleaseStore
+ * @property {(tag: string) => Promise<boolean>} hasRelease Whether a release exists.
+ * @property {() => Promise<Array<string>>} listReleases List the tags of all releases.
+ * @property {(tag: string, files: Array<string>, title: string, notes: string) => Promise<void>} createRelease Create a release with assets.
+ * @property {(tag: string, file: string, dir: string) => Promise<void>} downloadAsset Download a release asset into a directory.
+ * @property {(tag: string) => Promise<void>} deleteRelease Delete a release.
+ */
+
+/**
+ * Where yearly archives are published (Internet Archive).
+ * 
+ * @typedef {Object} ArchiveStore
+ * @property {(id: string, file: string) => Promise<boolean>} hasFile Whether an item has a file.
+ * @property {(id: string, files: Array<string>, metadata: Record<string, string>) => Promise<void>} upload Upload files to an item.
+ * @property {(id: string, file: string) => Promise<void>} deleteFile Delete a file from an item.
+ */
+
+/**
+ * The git repository holding the manifest.
+ * 
+ * @typedef {Object} ManifestRepo
+ * @property {(message: string) => Promise<void>} commit Commit and push the manifest and the download state kept with it,
+ * unless a commit with this message exists or nothing changed.
+ * @property {(tag: string) => Promise<void>} tag Tag the current commit and push the tag, unless it exists.
+ * @property {() => Promise<Array<string>>} listTags List all tags.
+ * @property {(tag: string) => Promise<void>} deleteTag Delete a tag locally and remotely.
+ */
+
+/**
+ * @typedef {Object} Clock
+ * @property {() => Date} now The current time.
+ */
+
+/**
+ * @typedef {Object} OrchestratorConfig
+ * @property {string} board The board whose manifest section is released.
+ * @property {number} monthlyThreshold Consolidate dailies when there are this many, to catch up on a skipped month.
+ * @property {number} yearlyThreshold Consolidate monthlies when there are this many, to catch up on a skipped year.
+ * @property {number} blockGzipPosts Encode yearly archives as block-gzip with this many posts per member, 0 for plain gzip.
+ * @property {string} iaPrefix Internet Archive item ID prefix, empty for the board's default.
+ * @property {string} iaSubjects Internet Archive item subjects, empty for the board's default.
+ * @property {string} iaCollection Internet Archive collection ID ("Community Data").
+ * @property {string} iaCreator Internet Archive item creator.
+ */
+
+/** @type {OrchestratorConfig} */
+const DEFAULT_CONFIG = {
+    board: DEFAULT_BOARD,
+    monthlyThreshold: 32,
+    yearlyThreshold: 13,
+    blockGzipPosts: 0,
+    iaPrefix: '',
+    iaSubjects: '',
+    iaCollection: 'opensource_media',
+    iaCreator: 'firlin123',
+};
+
+/**
+ * Parse a chunk name, throwing if it is invalid.
+ * 
+ * @param {string} name The chunk name.
+ * @returns {ChunkName} The parsed name.
+ */
+function parseChunkNameStrict(name) {
+    const parsed = parseChunkName(name);
+    if (!parsed) {
+        throw new Error(`Invalid chunk name format: '${name}'`);
+    }
+    return parsed;
+}
+
+/**
+ * Get a UTC timestamp string in the format YYYYMMDDHHMMSS.
+ * 
+ * @param {Date} d The date to format.
+ * @returns {string} The formatted timestamp string.
+ */
+function getTimestampStr(d) {
+    return d.toISOString().replace(/[-:T]/g, '').substring(0, 14);
+}
+
+/**
+ * Parse a UTC timestamp string in the format YYYYMMDDHHMMSS.
+ * 
+ * @param {string} ts The timestamp string.
+ * @returns {Date} The date.
+ */
+function parseTimestampStr(ts) {
+    return new Date(`${ts.substring(0, 4)}-${ts.substring(4, 6)}-${ts.substring(6, 8)}T${ts.substring(8, 10)}:${ts.substring(10, 12)}:${ts.substring(12, 14)}Z`);
+}
+
+/**
+ * Get the label of a release, the period it covers.
+ * Dailies run early in the day, so before noon they are labeled with the previous day.
+ * Consolidation on the 1st (or in January for yearlies) covers the previous month (or year).
+ * 
+ * @param {'daily' | 'monthly' | 'yearly'} kind The release kind.
+ * @param {Date} now The current time.
+ * @returns {string} The label, `YYYY.MM.DD`, `YYYY.MM` or `YYYY`.
+ */
+function getDateLabel(kind, now) {
+    const d = new Date(now.getTime());
+    if (kind === 'daily') {
+        if (d.getUTCHours() < 12) {
+            d.setUTCDate(d.getUTCDate() - 1);
+        }
+        return d.toISOString().substring(0, 10).replace(/-/g, '.');
+    }
+    if (kind === 'monthly') {
+        if (d.getUTCDate() === 1) {
+            d.setUTCDate(0);
+        }
+        return d.toISOString().substring(0, 7).replace(/-/g, '.');
+    }
+    const year = d.getUTCFullYear();
+    return String(d.getUTCMonth() === 0 ? year - 1 : year);
+}
+
+/**
+ * Gzip compress a file.
+ * 
+ * @param {string} src The source path.
+ * @param {string} dst The destination path.
+ */
+async function gzipFile(src, dst) {
+    await pipeline(createReadStream(src), createGzip({ level: 9 }), createWriteStream(dst));
+}
+
+/**
+ * Decides and performs the daily -> monthly -> yearly release stages from the manifest.
+ * Every stage checks what is already done, so a run can be repeated after a partial failure.
+ */
+class ReleaseOrchestrator {
+    /**
+     * @param {Object} opts The orchestrator options.
+     * @param {string} opts.dataDir The directory holding the manifest and the chunk files.
+     * @param {ReleaseStore} opts.releases The daily and monthly release store.
+     * @param {ArchiveStore} opts.archive The yearly archive store.
+     * @param {ManifestRepo} opts.repo The manifest repository.
+     * @param {Clock} [opts.clock] The clock, defaults to the system time.
+     * @param {(path: string) => Promise<void>} [opts.recheck] Recheck a consolidated NDJSON file in place.
+     * @param {(path: string, yearly: boolean) => Promise<void>} [opts.recover] Put posts recovered since the
+     * sources were published into a consolidated NDJSON file in place.
+     * @param {Partial<OrchestratorConfig>} [opts.config] Overrides for the default config.
+     */
+    constructor(opts) {
+        this.dataDir = opts.dataDir;
+        this.manifestPath = join(opts.dataDir, 'manifest.json');
+        this.releases = opts.releases;
+        this.archive = opts.archive;
+        this.repo = opts.repo;
+        this.clock = opts.clock || { now: () => new Date() };
+        this.recheck = opts.recheck || (async () => { });
+        this.recover = opts.recover || (async () => { });
+        /** @type {OrchestratorConfig} */
+        this.config = { ...DEFAULT_CONFIG, ...opts.config };
+        const { board } = this.config;
+        this.iaPrefix = this.config.iaPrefix || getArchivePrefix(board);
+        this.iaSubjects = this.config.iaSubjects || `desuarchive;/${board}/;${board}`;
+        /** @type {Manifest} The whole manifest, saved with every commit */
+        this.fullManifest = { lastDownloaded: 0, daily: [], monthly: [], yearly: [], chunks: {} };
+        /** @type {Manifest} The section of the released board */
+        this.manifest = this.fullManifest;
+    }
+
+    /**
+     * Run all release stages.
+     */
+    async run() {
+        this.fullManifest = await getManifest(this.manifestPath);
+        this.manifest = getBoardManifest(this.fullManifest, this.config.board);
+        // The downloader changes the retry ledger even when there is no new daily, and a fresh checkout would lose it
+        await this.repo.commit(`Update download state ${getTimestampStr(this.clock.now())}`);
+        await this.publishDaily();
+        await this.recoverConsolidated();
+        await this.consolidate('monthly');
+        await this.consolidate('yearly');
+        await this.cleanup();
+    }
+
+    /**
+     * Save the manifest and commit it.
+     * 
+     * @param {string} message The commit message.
+     * @param {boolean} [tag=false] Whether to also tag the commit with the message.
+     */
+    async commitManifest(message, tag = false) {
+        await saveManifest(this.fullManifest, this.manifestPath);
+        await this.repo.commit(message);
+        if (tag) {
+            await this.repo.tag(message);
+        }
+    }
+
+    /**
+     * Get the Internet Archive item ID and file of a yearly archive.
+     * 
+     * @param {string} name The yearly chunk name.
+     * @returns {{ id: string, file: string, url: string }} The item ID, file name and download URL.
+     */
+    getYearlyLocation(name) {
+        const entry = this.manifest.yearly.find(y => y.name === name);
+        if (entry) {
+            const [, , id, file] = new URL(entry.url).pathname.split('/');
+            return { id, file, url: entry.url };
+        }
+        return getArchiveLocation(name, this.iaPrefix);
+    }
+
+    /**
+     * Check whether a chunk is published, in GitHub Releases or the Internet Archive.
+     * 
+     * @param {string} name The chunk name.
+     * @returns {Promise<boolean>} Whether it is published.
+     */
+    async isPublished(name) {
+        if (this.manifest.yearly.some(y => y.name === name)) {
+            const { id, file } = this.getYearlyLocation(name);
+            return this.archive.hasFile(id, file);
+        }
+        return this.releases.hasRelease(name);
+    }
+
+    /**
+     * Publish the latest daily chunk written by the downloader.
+     */
+    async publishDaily() {
+        const name = this.manifest.daily[this.manifest.daily.length - 1];
+        if (!name) {
+            return;
+        }
+        if (await this.releases.hasRelease(name)) {
+            console.log(`Daily release '${name}' already exists; skipping upload.`);
+            return;
+        }
+        const { start, end } = parseChunkNameStrict(name);
+        const rawPath = join(this.dataDir, `${name}.ndjson`);
+        if (!existsSync(rawPath)) {
+            throw new Error(`Missing ${rawPath}`);
+        }
+        const gzPath = `${rawPath}.gz`;
+        console.log('Compressing daily archive...');
+        await gzipFile(rawPath, gzPath);
+        await recordChunk(this.manifest, name, this.dataDir);
+        await this.commitManifest(name, true);
+
+        const label = getDateLabel('daily', this.clock.now());
+        console.log('Uploading daily archive to GitHub Releases...');
+        await this.releases.createRelease(name, [gzPath],
+            `${label} daily archive (${start}-${end})`,
+            `Automated daily scrape of /${this.config.board}/ posts for ${label} covering posts ${start}-${end}.`
+        );
+    }
+
+    /**
+     * Check whether the sources of a consolidation are due.
+     * 
+     * @param {'monthly' | 'yearly'} kind The consolidated kind.
+     * @param {number} count The number of source chunks.
+     * @param {Date} now The current time.
+     * @returns {boolean} Whether to consolidate.
+     */
+    shouldConsolidate(kind, count, now) {
+        if (count === 0) {
+            return false;
+        }
+        if (kind === 'monthly') {
+            return count >= this.config.monthlyThreshold || now.getUTCDate() === 1;
+        }
+        // New year starts (+26 days to let the archive settle before rechecking)
+        return count >= this.config.yearlyThreshold || (now.getUTCMonth() === 0 && now.getUTCDate() >= 27);
+    }
+
+    /**
+     * Get a source chunk file, downloading it from its release if missing.
+     * 
+     * @param {string} name The source chunk name.
+     * @returns {Promise<string>} The local `.ndjson.gz` path.
+     */
+    async getSourceFile(name) {
+        const file = `${name}.ndjson.gz`;
+        const path = join(this.dataDir, file);
+        if (!existsSync(path)) {
+            await this.releases.downloadAsset(name, file, this.dataDir);
+        }
+        return path;
+    }
+
+    /**
+     * Build a consolidated chunk from its sources: combine, add recovered posts, recheck and compress.
+     * The result is verified against the sources, nothing is published or deleted if it fails.
+     * 
+     * @param {string} name The consolidated chunk name.
+     * @param {Array<string>} sources The source chunk names, in order.
+     * @param {boolean} yearly Whether it is a yearly archive.
+     * @returns {Promise<Array<string>>} The paths of the files to publish.
+     */
+    async buildConsolidated(name, sources, yearly) {
+        const rawPath = join(this.dataDir, `${name}.ndjson`);
+        const gzPath = `${rawPath}.gz`;
+        /** @type {Array<import('./consolidationCheck').ConsolidationInput>} */
+        const inputs = [];
+
+        console.log(`Combining ${sources.length} archives into ${name}...`);
+        const out = createWriteStream(rawPath, { flags: 'w' });
+        try {
+            for (const source of sources) {
+                const sourcePath = await this.getSourceFile(source);
+                inputs.push(await getInputInfo(sourcePath));
+                for await (const buf of createReadStream(sourcePath).pipe(createGunzip())) {
+                    if (!out.write(buf)) {
+                        await new Promise((resolve) => out.once('drain', () => resolve(void 0)));
+                    }
+                }
+            }
+        } finally {
+            await new Promise((resolve) => out.end(() => resolve(void 0)));
+        }
+
+        console.log(`Adding recovered posts to ${name}...`);
+        await this.recover(rawPath, yearly);
+
+        console.log(`Rechecking ${name}...`);
+        await this.recheck(rawPath);
+
+        console.log(`Compressing ${name}...`);
+        /** @type {Array<string>} */
+        let files;
+        if (yearly && this.config.blockGzipPosts > 0) {
+            await encodeBlockGzip(rawPath, gzPath, { postsPerBlock: this.config.blockGzipPosts });
+            files = [gzPath, getBlockIndexPath(gzPath)];
+        } else {
+            await gzipFile(rawPath, gzPath);
+            files = [gzPath];
+        }
+
+        console.log(`Verifying ${name}...`);
+        const { start, end } = parseChunkNameStrict(name);
+        const problems = await verifyConsolidated(gzPath, start, end, inputs);
+        if (problems.length > 0) {
+            throw new Error(`Integrity check of ${name} failed, keeping its sources:\n    ${problems.join('\n    ')}`);
+        }
+        return files;
+    }
+
+    /**
+     * Publish a consolidated chunk.
+     * 
+     * @param {string} name The consolidated chunk name.
+     * @param {Array<string>} files The files to publish.
+     */
+    async publishConsolidated(name, files) {
+        const { kind, start, end } = parseChunkNameStrict(name);
+        if (kind === 'monthly') {
+            const label = getDateLabel('monthly', this.clock.now());
+            console.log('Uploading monthly archive to GitHub Releases...');
+            await this.releases.createRelease(name, files,
+                `${label} monthly archive (${start}-${end})`,
+                `Automated monthly consolidation of /${this.config.board}/ posts for ${label} covering posts ${start}-${end}.`
+            );
+            // Reconstructions fall back to the mirror when GitHub fails, the release is what matters
+            const { id, url } = getArchiveLocation(name, this.iaPrefix);
+            try {
+                console.log('Mirroring monthly archive to Internet Archive...');
+                await this.archive.upload(id, files, {
+                    collection: this.config.iaCollection,
+                    title: `${label} /${this.config.board}/ monthly archive covering posts ${start}-${end}`,
+                    subject: this.iaSubjects,
+                    mediatype: 'data',
+                    creator: this.config.iaCreator,
+                });
+                console.log(`Monthly archive mirrored to Internet Archive: ${url}`);
+            } catch (err) {
+                console.warn(`Failed to mirror ${name} to Internet Archive. Error:`, err);
+                return;
+            }
+            // Reconstructions only advertise mirrors recorded in the manifest
+            this.manifest.chunks[name].mirror = url;
+            await this.commitManifest(`Record the mirror of ${name}`);
+            return;
+        }
+        const label = getDateLabel('yearly', this.clock.now());
+        const { id, url } = this.getYearlyLocation(name);
+        console.log('Uploading yearly archive to Internet Archive...');
+        await this.archive.upload(id, files, {
+            collection: this.config.iaCollection,
+            title: `${label} /${this.config.board}/ yearly archive covering posts ${start}-${end}`,
+            subject: this.iaSubjects,
+            mediatype: 'data',
+            creator: this.config.iaCreator,
+        });
+        console.log(`Yearly archive uploaded to Internet Archive: ${url}`);
+    }
+
+    /**
+     * Delete the Internet Archive mirror of a monthly chunk, if it was mirrored.
+     * 
+     * @param {string} name The monthly chunk name.
+     */
+    async deleteMirror(name) {
+        const { id, file } = getArchiveLocation(name, this.iaPrefix);
+        if (await this.archive.hasFile(id, file)) {
+            console.log(`Removing the Internet Archive mirror of '${name}'...`);
+            await this.archive.deleteFile(id, file);
+        }
+    }
+
+    /**
+     * Consolidate the dailies into a monthly, or the monthlies into a yearly, when due.
+     * The manifest is committed first, so a failed upload is picked up by the next run.
+     * The sources are kept, `cleanup` deletes them once the consolidated chunk is listed where it was published.
+     * 
+     * @param {'monthly' | 'yearly'} kind The consolidated kind.
+     */
+    async consolidate(kind) {
+        const sourceKind = kind === 'monthly' ? 'daily' : 'monthly';
+        const sources = [...this.manifest[sourceKind]];
+        if (!this.shouldConsolidate(kind, sources.length, this.clock.now())) {
+            return;
+        }
+        console.log(`Consolidating ${sources.length} ${sourceKind} archives into a ${kind} archive...`);
+        const first = parseChunkNameStrict(sources[0]);
+        const last = parseChunkNameStrict(sources[sources.length - 1]);
+        // Increment timestamp by 1 second so that it will be next when sorted
+        const timestamp = getTimestampStr(new Date(parseTimestampStr(last.timestamp).getTime() + 1000));
+        const name = formatChunkName({ board: this.config.board, timestamp, kind, start: first.start, end: last.end });
+
+        const files = await this.buildConsolidated(name, sources, kind === 'yearly');
+
+        // Replace the sources with the consolidated chunk in the manifest
+        if (kind === 'monthly') {
+            this.manifest.daily = [];
+            this.manifest.monthly.push(name);
+        } else {
+            const { url } = this.getYearlyLocation(name);
+            this.manifest.monthly = [];
+            this.manifest.yearly.push({ name, url });
+        }
+        await recordChunk(this.manifest, name, this.dataDir);
+        await this.commitManifest(name, true);
+
+        await this.publishConsolidated(name, files);
+    }
+
+    /**
+     * Find the releases a consolidated chunk was built from, for rebuilding it.
+     * 
+     * @param {string} name The consolidated chunk name.
+     * @param {'daily' | 'monthly'} sourceKind The kind of its sources.
+     * @returns {Promise<Array<string>>} The source chunk names, in order.
+     */
+    async findSources(name, sourceKind) {
+        const { start, end } = parseChunkNameStrict(name);
+        const sources = (await this.releases.listReleases())
+            .map(tag => ({ tag, parsed: parseChunkName(tag) }))
+            .filter(s => s.parsed && s.parsed.board === this.config.board && s.parsed.kind === sourceKind && s.parsed.start >= start && s.parsed.end <= end)
+            .sort((a, b) => /** @type {ChunkName} */(a.parsed).start - /** @type {ChunkName} */(b.parsed).start);
+        let next = start;
+        for (const { parsed } of sources) {
+            if (/** @type {ChunkName} */(parsed).start !== next) {
+                break;
+            }
+            next = /** @type {ChunkName} */(parsed).end + 1;
+        }
+        if (next !== end + 1) {
+            throw new Error(`Cannot rebuild ${name}: ${sourceKind} releases do not cover posts ${start}-${end}`);
+        }
+        return sources.map(s => s.tag);
+    }
+
+    /**
+     * Publish consolidated chunks that made it into the manifest but were never uploaded, rebuilding them from their sources.
+     * The sources are only deleted once the upload is listed, so they are still available.
+     */
+    async recoverConsolidated() {
+        /** @type {Array<{ name: string, sourceKind: 'daily' | 'monthly' }>} */
+        const toCheck = this.manifest.monthly.map(name => ({ name, sourceKind: /** @type {const} */ ('daily') }));
+        // Older yearlies were published before their successors were consolidated
+        const lastYearly = this.manifest.yearly[this.manifest.yearly.length - 1];
+        if (lastYearly && parseChunkName(lastYearly.name)?.kind === 'yearly') {
+            toCheck.push({ name: lastYearly.name, sourceKind: 'monthly' });
+        }
+        for (const { name, sourceKind } of toCheck) {
+            if (await this.isPublished(name)) {
+                continue;
+            }
+            console.warn(`${name} is in the manifest but was never published, recovering...`);
+            const yearly = sourceKind === 'monthly';
+            const gzPath = join(this.dataDir, `${name}.ndjson.gz`);
+            const recorded = this.manifest.chunks[name];
+            /** @type {Array<string>} */
+            let files;
+            // Reuse the file from the failed run if it is intact, rechecking again would give different data
+            if (existsSync(gzPath) && recorded && recorded.gzSha256 === (await getChunkStats(gzPath)).gzSha256) {
+                files = yearly && existsSync(getBlockIndexPath(gzPath)) ? [gzPath, getBlockIndexPath(gzPath)] : [gzPath];
+            } else {
+                files = await this.buildConsolidated(name, await this.findSources(name, sourceKind), yearly);
+                await recordChunk(this.manifest, name, this.dataDir);
+                await this.commitManifest(`Update checksums of ${name}`);
+            }
+            await this.publishConsolidated(name, files);
+        }
+    }
+
+    /**
+     * Delete releases and tags of daily and monthly chunks that were consolidated into a published chunk.
+     * Picks up deletions that failed in an earlier run, and waits for uploads the Internet Archive does not list yet.
+     */
+    async cleanup() {
+        const listed = getChunkNames(this.manifest);
+        const releaseTags = await this.releases.listReleases();
+        const gitTags = await this.repo.listTags();
+        const tags = Array.from(new Set([...releaseTags, ...gitTags])).sort();
+        /** @type {Map<string, boolean>} */
+        const published = new Map();
+        for (const tag of tags) {
+            const parsed = parseChunkName(tag);
+            // Other boards' releases are covered by their own sections
+            if (!parsed || parsed.board !== this.config.board || listed.includes(tag) || (parsed.kind !== 'daily' && parsed.kind !== 'monthly')) {
+                continue;
+            }
+            // Only delete if a listed chunk of a higher tier covers it
+            const cover = listed.find(name => {
+                const c = parseChunkName(name);
+                return c && c.kind !== 'daily' && c.kind !== parsed.kind && c.start <= parsed.start && c.end >= parsed.end;
+            });
+            if (!cover) {
+                continue;
+            }
+            if (!published.has(cover)) {
+                published.set(cover, await this.isPublished(cover));
+            }
+            if (!published.get(cover)) {
+                continue;
+            }
+            console.log(`Removing leftover release '${tag}', consolidated into '${cover}'...`);
+            if (parsed.kind === 'monthly') {
+                await this.deleteMirror(tag);
+            }
+            if (releaseTags.includes(tag)) {
+                await this.releases.deleteRelease(tag);
+            }
+            await this.repo.deleteTag(tag);
+        }
+    }
+}
+
+/**
+ * Run a command, failing on a non-zero exit code.
+ * 
+ * @param {string} cmd The command.
+ * @param {Array<string>} args The arguments.
+ * @param {{ capture?: boolean, cwd?: string }} [opts={}] Whether to capture stdout instead of showing it, and the working directory.
+ * @returns {Promise<string>} The captured stdout.
+ */
+function runCommand(cmd, args, opts = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(cmd, args, {
+            cwd: opts.cwd,
+            stdio: ['ignore', opts.capture ? 'pipe' : 'inherit', 'inherit'],
+        });
+        let stdout = '';
+        if (child.stdout) {
+            child.stdout.on('data', (buf) => { stdout += buf.toString('utf-8'); });
+        }
+        child.on('error', reject);
+        child.on('close', (code) => {
+            if (code !== 0) {
+                reject(new Error(`${cmd} ${args.join(' ')} exited with code ${code}`));
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+/**
+ * Check whether a command succeeds.
+ * 
+ * @param {string} cmd The command.
+ * @param {Array<string>} args The arguments.
+ * @param {string} [cwd] The working directory.
+ * @returns {Promise<boolean>} Whether it exited with code 0.
+ */
+function commandSucceeds(cmd, args, cwd) {
+    return runCommand(cmd, args, { capture: true, cwd }).then(() => true, () => false);
+}
+
+/**
+ * GitHub Releases store, using the `gh` CLI.
+ * 
+ * @returns {ReleaseStore} The release store.
+ */
+function createGitHubReleaseStore() {
+    return {
+        hasRelease: (tag) => commandSucceeds('gh', ['release', 'view', tag]),
+        listReleases: async () => {
+            const out = await runCommand('gh', ['release', 'list', '--limit', '10000', '--json', 'tagName', '--jq', '.[].tagName'], { capture: true });
+            return out.split('\n').filter(Boolean);
+        },
+        createRelease: async (tag, files, title, notes) => {
+            await runCommand('gh', ['release', 'create', tag, ...files, '--title', title, '--notes', notes]);
+        },
+        downloadAsset: async (tag, file, dir) => {
+            await runCommand('gh', ['release', 'download', tag, '-p', file, '--dir', dir, '--clobber']);
+        },
+        deleteRelease: async (tag) => {
+            await runCommand('gh', ['release', 'delete', tag, '-y']);
+        },
+    };
+}
+
+/**
+ * Internet Archive store, using the `ia` CLI.
+ * It is configured from IA_EMAIL and IA_PASSWORD on first change if needed.
+ * 
+ * @returns {ArchiveStore} The archive store.
+ */
+function createInternetArchiveStore() {
+    let configured = false;
+
+    async function ensureConfigured() {
+        if (configured || await commandSucceeds('ia', ['configure', '--whoami'])) {
+            configured = true;
+            return;
+        }
+        const email = process.env.IA_EMAIL;
+        const password = process.env.IA_PASSWORD;
+        if (!email || !password) {
+            throw new Error("'ia' CLI not configured. Set IA_EMAIL and IA_PASSWORD environment variables or run 'ia configure' manually.");
+        }
+        console.log("Configuring 'ia' CLI with provided credentials...");
+        await runCommand('ia', ['configure', '--username', email, '--password', password]);
+        if (!await commandSucceeds('ia', ['configure', '--whoami'])) {
+            throw new Error("'ia' CLI configuration verification failed.");
+        }
+        configured = true;
+    }
+
+    return {
+        hasFile: async (id, file) => {
+            const out = await runCommand('ia', ['metadata', id], { capture: true });
+            /** @type {{ files?: Array<{ name: string }> }} */
+            const metadata = JSON.parse(out || '{}');
+            return (metadata.files || []).some(f => f.name === file);
+        },
+        upload: async (id, files, metadata) => {
+            await ensureConfigured();
+            await runCommand('ia', ['upload', id, ...files, ...Object.entries(metadata).map(([k, v]) => `--metadata=${k}:${v}`)]);
+        },
+        deleteFile: async (id, file) => {
+            await ensureConfigured();
+            await runCommand('ia', ['delete', id, file]);
+        },
+    };
+}
+
+/**
+ * Git repository holding the manifest, using the `git` CLI.
+ * 
+ * @param {string} dir The repository directory.
+ * @param {Array<string>} files The manifest and the download state files committed with it, relative to the repository.
+ * @returns {ManifestRepo} The manifest repository.
+ */
+function createGitRepo(dir, files) {
+    return {
+        commit: async (message) => {
+            const subjects = await runCommand('git', ['log', '--format=%s'], { capture: true, cwd: dir });
+            if (subjects.split('\n').includes(message)) {
+                return;
+            }
+            // State files only exist once there is something to keep in them
+            await runCommand('git', ['add', ...files.filter(f => existsSync(join(dir, f)))], { cwd: dir });
+            if (await commandSucceeds('git', ['diff', '--cached', '--quiet'], dir)) {
+                return;
+            }
+            await runCommand('git', ['commit', '-m', message], { cwd: dir });
+            await runCommand('git', ['push'], { cwd: dir });
+        },
+        tag: async (tag) => {
+            if (await commandSucceeds('git', ['rev-parse', tag], dir)) {
+                return;
+            }
+            await runCommand('git', ['tag', tag], { cwd: dir });
+            await runCommand('git', ['push', 'origin', tag], { cwd: dir });
+        },
+        listTags: async () => {
+            const out = await runCommand('git', ['tag', '--list'], { capture: true, cwd: dir });
+            return out.split('\n').filter(Boolean);
+        },
+        deleteTag: async (tag) => {
+            await commandSucceeds('git', ['push', '--delete', 'origin', tag], dir);
+            await commandSucceeds('git', ['tag', '-d', tag], dir);
+        },
+    };
+}
+
+async function main() {
+    const dataDir = process.env.ARCHIVE_DATA_DIR ? resolve(process.env.ARCHIVE_DATA_DIR) : __dirname;
+    const blockGzipPosts = parseInt(process.env.BLOCK_GZIP_POSTS || '0', 10);
+    const board = process.env.BOARD || DEFAULT_BOARD;
+    const orchestrator = new ReleaseOrchestrator({
+        dataDir,
+        releases: createGitHubReleaseStore(),
+        archive: createInternetArchiveStore(),
+        repo: createGitRepo(dataDir, ['manifest.json', relative(dataDir, getLedgerFile(dataDir, board))]),
+        recover: async (path, yearly) => {
+            await applyRecovered(path, dataDir, board, yearly);
+        },
+        recheck: async (path) => {
+            try {
+                await runCommand('node', [join(__dirname, 'reCheck.js'), path]);
+            } catch (err) {
+                console.error(`reCheck failed. Continuing with rechecked data. Error:`, err);
+            }
+        },
+        config: { board, blockGzipPosts: isNaN(blockGzipPosts) ? 0 : blockGzipPosts },
+    });
+    await orchestrator.run();
+}
+
+if (require.main === module) {
+    main().then(() => {
+        console.log('Release process completed successfully.');
+    }).catch((err) => {
+        console.error('Release process failed:', err);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    ReleaseOrchestrator,
+    getDateLabel,
+    createGitHubReleaseStore,
+    createInternetArchiveStore,
+    createGitRepo,
+};
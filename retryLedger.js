@@ -0,0 +1,284 @@
+// @ts-check
+const { existsSync } = require("fs");
+const { readFile, rename, writeFile } = require("fs/promises");
+const { join } = require("path");
+const { fetchPost, getSiteLimits, isFailure } = require("./ffUtils");
+const { getSources } = require("./sourceRegistry");
+const { runPool } = require("./fetchPool");
+const { mapLines, rewriteNDJSON } = require("./ndjsonWriter");
+const { DEFAULT_BOARD } = require("./archiveManifest");
+
+/** @typedef {import('./ffUtils').MinimalFFPost} MinimalFFPost */
+/** @typedef {import('./exceptionEntry').ExceptionAttempt} ExceptionAttempt */
+
+/**
+ * A missing post waiting to be asked for again.
+ * @typedef {Object} LedgerGap
+ * @property {number} num The post ID.
+ * @property {string} chunk The chunk holding its exception entry.
+ * @property {string} [thread] The thread ID, if one was learned.
+ * @property {number} retries How many times it was asked for again.
+ * @property {number} nextRetry When it is due, as a UNIX timestamp.
+ * @property {Array<ExceptionAttempt>} outcomes Why the sources did not give it the last time.
+ */
+
+/**
+ * A post found on a retry, waiting to replace its exception entry.
+ * @typedef {Object} LedgerRecovered
+ * @property {string} chunk The chunk holding its exception entry.
+ * @property {MinimalFFPost} post The post.
+ */
+
+/**
+ * The retry ledger of a board.
+ * @typedef {Object} RetryLedger
+ * @property {Array<LedgerGap>} gaps The missing posts, by post ID.
+ * @property {Array<LedgerRecovered>} recovered The recovered posts, by post ID.
+ */
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} budget Maximum number of posts asked for in one run.
+ * @property {number} maxRetries Posts still missing after this many retries are given up on.
+ * @property {number} backoffBase Delay before the first retry in seconds, doubled after every retry.
+ * @property {number} backoffMax Maximum delay between retries in seconds.
+ */
+
+/**
+ * Read a non-negative integer from the environment.
+ *
+ * @param {string} name The variable name.
+ * @param {number} fallback The value if it is unset or invalid.
+ * @returns {number} The value.
+ */
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name] || '', 10);
+    return isNaN(value) || value < 0 ? fallback : value;
+}
+
+/** @type {RetryOptions} */
+const DEFAULT_RETRY_OPTIONS = {
+    // Posts asked for per downloader run, can be overridden with the RETRY_BUDGET environment variable
+    budget: envInt('RETRY_BUDGET', 500),
+    // Retries per post, can be overridden with the RETRY_MAX environment variable
+    maxRetries: envInt('RETRY_MAX', 8),
+    // One day, then two, four... up to a month, so the last retries happen months after the post went missing
+    backoffBase: 24 * 60 * 60,
+    backoffMax: 32 * 24 * 60 * 60,
+};
+
+/**
+ * Get the retry ledger file of a board.
+ *
+ * @param {string} dir The directory holding the download state.
+ * @param {string} board The board.
+ * @returns {string} The file path.
+ */
+function getLedgerFile(dir, board) {
+    return join(dir, board === DEFAULT_BOARD ? 'retry_ledger.json' : `retry_ledger_${board}.json`);
+}
+
+/**
+ * Load a retry ledger, empty if the file does not exist.
+ *
+ * @param {string} path The ledger file path.
+ * @returns {Promise<RetryLedger>} The ledger.
+ */
+async function loadLedger(path) {
+    if (!existsSync(path)) {
+        return { gaps: [], recovered: [] };
+    }
+    const ledger = JSON.parse(await readFile(path, 'utf-8'));
+    return { gaps: ledger.gaps || [], recovered: ledger.recovered || [] };
+}
+
+/**
+ * Save a retry ledger.
+ *
+ * @param {string} path The ledger file path.
+ * @param {RetryLedger} ledger The ledger.
+ */
+async function saveLedger(path, ledger) {
+    ledger.gaps.sort((a, b) => a.num - b.num);
+    ledger.recovered.sort((a, b) => parseInt(a.post.num, 10) - parseInt(b.post.num, 10));
+    const tmpPath = `${path}.tmp`;
+    await writeFile(tmpPath, JSON.stringify(ledger, null, 2) + '\n', 'utf-8');
+    await rename(tmpPath, path);
+}
+
+/**
+ * Get the delay before the next retry.
+ *
+ * @param {number} retries How many times the post was asked for again.
+ * @param {RetryOptions} opts The retry options.
+ * @returns {number} The delay in seconds.
+ */
+function getBackoff(retries, opts) {
+    return Math.min(opts.backoffBase * 2 ** retries, opts.backoffMax);
+}
+
+/**
+ * Add the exception entries of a newly written chunk to the ledger.
+ * Every source was just asked for them, so the first retry is one backoff away.
+ *
+ * @param {RetryLedger} ledger The ledger.
+ * @param {string} chunk The chunk name.
+ * @param {Array<any>} entries The chunk entries.
+ * @param {number} now The current UNIX timestamp.
+ * @param {RetryOptions} [opts] The retry options.
+ * @returns {number} The number of gaps added.
+ */
+function trackGaps(ledger, chunk, entries, now, opts = DEFAULT_RETRY_OPTIONS) {
+    const known = new Set(ledger.gaps.map(g => g.num));
+    let added = 0;
+    for (const entry of entries) {
+        const num = parseInt(entry.num, 10);
+        if (!('exception' in entry) || known.has(num)) {
+            continue;
+        }
+        /** @type {LedgerGap} */
+        const gap = { num, chunk, retries: 0, nextRetry: now + getBackoff(0, opts), outcomes: entry.attempts || [] };
+        // Sources that cannot look posts up by ID only need to search that thread
+        if (entry.thread_num) {
+            gap.thread = String(entry.thread_num);
+        }
+        ledger.gaps.push(gap);
+        added++;
+    }
+    return added;
+}
+
+/**
+ * Ask every source of a board again for the gaps that are due, up to the budget.
+ * Found posts move to the recovered list, the others are rescheduled or given up on.
+ * A source that stops answering is not asked again in this run.
+ *
+ * @param {RetryLedger} ledger The ledger, updated in place.
+ * @param {string} board The board.
+ * @param {number} now The current UNIX timestamp.
+ * @param {RetryOptions} [opts] The retry options.
+ * @returns {Promise<{ asked: number, recovered: number, dropped: number }>} What the run did.
+ */
+async function retryGaps(ledger, board, now, opts = DEFAULT_RETRY_OPTIONS) {
+    const sites = getSources(board).map(s => s.site);
+    const due = sites.length === 0 ? [] : ledger.gaps.filter(g => g.nextRetry <= now).sort((a, b) => a.nextRetry - b.nextRetry).slice(0, opts.budget);
+    /** @type {Set<string>} */
+    const blocked = new Set();
+    /** @type {Set<LedgerGap>} */
+    const done = new Set();
+    const stats = { asked: due.length, recovered: 0, dropped: 0 };
+    if (due.length === 0) {
+        return stats;
+    }
+    console.log(`Retrying ${due.length} of ${ledger.gaps.length} missing posts...`);
+    await runPool(due, getSiteLimits(sites[0]).concurrency, async (gap) => {
+        /** @type {Array<ExceptionAttempt>} */
+        const outcomes = [];
+        for (const site of sites) {
+            if (blocked.has(site)) {
+                continue;
+            }
+            const fPost = await fetchPost(gap.num, site, board, gap.thread);
+            if (!isFailure(fPost)) {
+                console.log(`Recovered post ${gap.num} from ${site}.`);
+                ledger.recovered.push({ chunk: gap.chunk, post: fPost });
+                done.add(gap);
+                stats.recovered++;
+                return;
+            }
+            const { kind } = fPost.error;
+            outcomes.push({ source: site, outcome: kind });
+            if (kind === 'captcha' || kind === 'rate-limited' || kind === 'transport-failure') {
+                console.warn(`Giving up on ${site} for this run (${kind}).`);
+                blocked.add(site);
+            }
+        }
+        gap.retries++;
+        gap.outcomes = outcomes;
+        if (gap.retries >= opts.maxRetries) {
+            console.log(`Giving up on post ${gap.num} after ${gap.retries} retries.`);
+            done.add(gap);
+            stats.dropped++;
+            return;
+        }
+        gap.nextRetry = now + getBackoff(gap.retries, opts);
+    });
+    ledger.gaps = ledger.gaps.filter(g => !done.has(g));
+    console.log(`Recovered ${stats.recovered} posts, gave up on ${stats.dropped}, ${ledger.gaps.length} still missing.`);
+    return stats;
+}
+
+/**
+ * Replace the exception entries of recovered posts in an NDJSON file. Other lines are kept as is.
+ *
+ * @param {string} path The uncompressed NDJSON file, rewritten in place.
+ * @param {RetryLedger} ledger The ledger.
+ * @returns {Promise<{ spliced: Array<LedgerRecovered>, covered: Array<LedgerRecovered> }>} The recovered posts put in the file,
+ * and all recovered posts the file has an entry for.
+ */
+async function spliceRecovered(path, ledger) {
+    /** @type {Map<number, LedgerRecovered>} */
+    const recovered = new Map(ledger.recovered.map(r => [parseInt(r.post.num, 10), r]));
+    /** @type {Array<LedgerRecovered>} */
+    const spliced = [];
+    /** @type {Array<LedgerRecovered>} */
+    const covered = [];
+    if (recovered.size === 0) {
+        return { spliced, covered };
+    }
+    await rewriteNDJSON(path, (source) => mapLines(source, (line) => {
+        const text = line.toString('utf-8').trim();
+        if (text.length === 0) {
+            return line;
+        }
+        const entry = JSON.parse(text);
+        const found = recovered.get(parseInt(entry.num, 10));
+        if (!found) {
+            return line;
+        }
+        covered.push(found);
+        if (!('exception' in entry)) {
+            return line;
+        }
+        spliced.push(found);
+        return Buffer.from(JSON.stringify(found.post) + '\n');
+    }), path, { gzip: false });
+    return { spliced, covered };
+}
+
+/**
+ * Put the recovered posts of a board into a consolidated NDJSON file, before it is rechecked and published.
+ * Recovered posts are kept until a yearly archive covers them, so a failed consolidation can be repeated.
+ *
+ * @param {string} path The uncompressed NDJSON file, rewritten in place.
+ * @param {string} dir The directory holding the download state.
+ * @param {string} board The board.
+ * @param {boolean} yearly Whether the file is a yearly archive.
+ * @returns {Promise<number>} The number of posts put in the file.
+ */
+async function applyRecovered(path, dir, board, yearly) {
+    const ledgerFile = getLedgerFile(dir, board);
+    const ledger = await loadLedger(ledgerFile);
+    const { spliced, covered } = await spliceRecovered(path, ledger);
+    if (spliced.length > 0) {
+        console.log(`Put ${spliced.length} recovered posts into ${path}.`);
+    }
+    if (yearly && covered.length > 0) {
+        const done = new Set(covered);
+        ledger.recovered = ledger.recovered.filter(r => !done.has(r));
+        await saveLedger(ledgerFile, ledger);
+    }
+    return spliced.length;
+}
+
+module.exports = {
+    DEFAULT_RETRY_OPTIONS,
+    getLedgerFile,
+    loadLedger,
+    saveLedger,
+    getBackoff,
+    trackGaps,
+    retryGaps,
+    spliceRecovered,
+    applyRecovered,
+};
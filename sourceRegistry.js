@@ -0,0 +1,213 @@
+// @ts-check
+const { readFileSync } = require("fs");
+const { join, resolve } = require("path");
+
+/**
+ * Per-site fetch limits.
+ * @typedef {Object} SiteLimits
+ * @property {number} concurrency Maximum number of posts or threads fetched from the site at once.
+ * @property {number} minInterval Minimum interval between fetches in ms.
+ * @property {number} retries Maximum number of retries for a fetch.
+ * @property {number} searchInterval Minimum interval between search requests in ms.
+ * @property {number} backoffBase Initial exponential backoff time in ms.
+ * @property {number} backoffMax Maximum exponential backoff time in ms.
+ * @property {number} rateLimitDelay Extra delay after a 429 response in ms.
+ */
+
+/**
+ * How a source asks for a captcha to be solved.
+ * @typedef {Object} CaptchaRules
+ * @property {Array<number>} statuses HTTP status codes the source answers with instead of the API response.
+ */
+
+/**
+ * The API a source speaks: a FoolFuuka archive or the 4chan read-only JSON API.
+ * @typedef {'foolfuuka' | '4chan'} SourceType
+ */
+
+/**
+ * An archive source.
+ * @typedef {Object} SourceConfig
+ * @property {string} site The site name. Posts from other sources than the primary one are tagged with it.
+ * @property {SourceType} type The API the source speaks.
+ * @property {boolean} enabled Whether posts are fetched from the source. Disabled sources stay known, so posts tagged with them keep their priority.
+ * @property {string} baseUrl The API base URL.
+ * @property {number} priority Posts from higher priority sources replace the same posts from lower priority ones.
+ * @property {SiteLimits} limits The fetch limits.
+ * @property {boolean} cdp Whether blocked requests are retried through the CDP fetcher.
+ * @property {Array<string>} boards The boards the source archives.
+ * @property {CaptchaRules} captcha How the source asks for a captcha.
+ */
+
+// Source registry file, can be overridden with the SOURCES_CONFIG environment variable
+const SOURCES_FILE = process.env.SOURCES_CONFIG ? resolve(process.env.SOURCES_CONFIG) : join(__dirname, 'sources.json');
+
+const SOURCE_TYPES = /** @type {const} */ (['foolfuuka', '4chan']);
+
+const LIMIT_KEYS = /** @type {const} */ (['concurrency', 'minInterval', 'retries', 'searchInterval', 'backoffBase', 'backoffMax', 'rateLimitDelay']);
+
+/**
+ * Check the fetch limits of a source.
+ * 
+ * @param {any} limits The configured limits.
+ * @param {string} where Where the limits are configured, for error messages.
+ * @returns {Partial<SiteLimits>} The limits.
+ */
+function parseLimits(limits, where) {
+    if (limits === undefined) {
+        return {};
+    }
+    if (limits === null || typeof limits !== 'object' || Array.isArray(limits)) {
+        throw new Error(`${where}: limits must be an object`);
+    }
+    for (const key in limits) {
+        if (!LIMIT_KEYS.includes(/** @type {any} */(key))) {
+            throw new Error(`${where}: unknown limit '${key}'`);
+        }
+        if (!Number.isSafeInteger(limits[key]) || limits[key] < 0) {
+            throw new Error(`${where}: limit '${key}' must be a non-negative integer`);
+        }
+    }
+    return limits;
+}
+
+/**
+ * Parse and check a source registry.
+ * 
+ * @param {any} data The parsed registry file.
+ * @param {string} [path] The registry file path, for error messages.
+ * @returns {Array<SourceConfig>} The sources, highest priority first.
+ */
+function parseSourceRegistry(data, path = 'source registry') {
+    if (data === null || typeof data !== 'object' || !Array.isArray(data.sources) || data.sources.length === 0) {
+        throw new Error(`${path}: expected an object with a non-empty sources array`);
+    }
+    const defaults = parseLimits(data.defaults, `${path}: defaults`);
+    /** @type {Array<SourceConfig>} */
+    const sources = [];
+    for (const entry of data.sources) {
+        const where = `${path}: source ${JSON.stringify(entry?.site)}`;
+        if (typeof entry?.site !== 'string' || !/^[a-z0-9.-]+$/.test(entry.site)) {
+            throw new Error(`${where}: site must be a host name`);
+        }
+        if (sources.some(s => s.site === entry.site)) {
+            throw new Error(`${where}: listed twice`);
+        }
+        if (!Number.isSafeInteger(entry.priority) || entry.priority <= 0) {
+            throw new Error(`${where}: priority must be a positive integer`);
+        }
+        if (sources.some(s => s.priority === entry.priority)) {
+            throw new Error(`${where}: priority ${entry.priority} is already used`);
+        }
+        if (!Array.isArray(entry.boards) || !entry.boards.every(/** @param {any} b */ b => typeof b === 'string' && /^[a-z0-9]+$/.test(b))) {
+            throw new Error(`${where}: boards must be an array of board names`);
+        }
+        const type = entry.type ?? 'foolfuuka';
+        if (!SOURCE_TYPES.includes(type)) {
+            throw new Error(`${where}: type must be one of ${SOURCE_TYPES.join(', ')}`);
+        }
+        if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+            throw new Error(`${where}: enabled must be a boolean`);
+        }
+        const statuses = entry.captcha?.statuses ?? [];
+        if (!Array.isArray(statuses) || !statuses.every(s => Number.isInteger(s) && s >= 400 && s < 600)) {
+            throw new Error(`${where}: captcha statuses must be HTTP error status codes`);
+        }
+        const limits = { ...defaults, ...parseLimits(entry.limits, where) };
+        const missing = LIMIT_KEYS.filter(key => limits[key] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`${where}: no value for limits ${missing.join(', ')}`);
+        }
+        sources.push({
+            site: entry.site,
+            type,
+            enabled: entry.enabled !== false,
+            baseUrl: typeof entry.baseUrl === 'string' ? entry.baseUrl.replace(/\/+$/, '') : `https://${entry.site}`,
+            priority: entry.priority,
+            limits: /** @type {SiteLimits} */ (limits),
+            cdp: entry.cdp === true,
+            boards: entry.boards,
+            captcha: { statuses },
+        });
+    }
+    return sources.sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Load a source registry file.
+ * 
+ * @param {string} [path] The registry file path.
+ * @returns {Array<SourceConfig>} The sources, highest priority first.
+ */
+function loadSourceRegistry(path = SOURCES_FILE) {
+    return parseSourceRegistry(JSON.parse(readFileSync(path, 'utf-8')), path);
+}
+
+/** @type {Array<SourceConfig> | null} */
+let registry = null;
+
+/**
+ * Get all configured sources, enabled or not, highest priority first.
+ * 
+ * @returns {Array<SourceConfig>} The sources.
+ */
+function getAllSources() {
+    if (!registry) {
+        registry = loadSourceRegistry();
+    }
+    return registry;
+}
+
+/**
+ * Get the enabled sources, highest priority first.
+ * 
+ * @param {string} [board] Only list the sources archiving this board.
+ * @returns {Array<SourceConfig>} The sources.
+ */
+function getSources(board) {
+    return getAllSources().filter(s => s.enabled && (board === undefined || s.boards.includes(board)));
+}
+
+/**
+ * Get a configured source.
+ * 
+ * @param {string} site The site name.
+ * @returns {SourceConfig} The source.
+ */
+function getSourceConfig(site) {
+    const source = getAllSources().find(s => s.site === site);
+    if (!source) {
+        throw new Error(`Unknown archive source: '${site}'`);
+    }
+    return source;
+}
+
+/**
+ * Get the primary source, the highest priority enabled one. Its posts are stored without a source tag.
+ * 
+ * @returns {string} The site name.
+ */
+function getPrimarySource() {
+    return getSources()[0].site;
+}
+
+/**
+ * Check whether a site is a configured source.
+ * 
+ * @param {string} site The site name.
+ * @returns {boolean} Whether it is configured.
+ */
+function isSource(site) {
+    return getAllSources().some(s => s.site === site);
+}
+
+module.exports = {
+    SOURCES_FILE,
+    parseSourceRegistry,
+    loadSourceRegistry,
+    getAllSources,
+    getSources,
+    getSourceConfig,
+    getPrimarySource,
+    isSource,
+};
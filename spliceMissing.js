@@ -3,18 +3,21 @@ const { existsSync, statSync } = require("fs");
 const { writeFile, appendFile } = require("fs/promises");
 const { readNDJSON } = require("./ndjsonReader");
 const { deDBfy } = require("./v1/deDBfy");
+const { getAllSources, getPrimarySource } = require("./sourceRegistry");
 
-const USAGE = "Usage: node spliceMissing.js <input.ndjson> <output.ndjson> <splice.ndjson> <archived.moe|arch.b4k.dev>";
+// Fallback archives, their posts carry a source tag
+const FALLBACK_SOURCES = getAllSources().map(s => s.site).filter(site => site !== getPrimarySource());
+const USAGE = `Usage: node spliceMissing.js <input.ndjson> <output.ndjson> <splice.ndjson> <${FALLBACK_SOURCES.join('|')}>`;
 const INPUT_PATH = getArg(0, "Input file path is required.\n" + USAGE);
 const OUTPUT_PATH = getArg(1, "Output file path is required.\n" + USAGE);
 const SPLICE_PATH = getArg(2, "Splice file path is required.\n" + USAGE);
-const ARCHIVE = getArg(3, "Archive identifier is required (either 'archived.moe' or 'arch.b4k.dev').\n" + USAGE);
+const ARCHIVE = getArg(3, `Archive identifier is required (one of ${FALLBACK_SOURCES.join(', ')}).\n` + USAGE);
 if (!existsSync(INPUT_PATH) || !existsSync(SPLICE_PATH)) {
     console.error("Input or splice file does not exist.\n" + USAGE);
     process.exit(1);
 }
-if (ARCHIVE !== "archived.moe" && ARCHIVE !== "arch.b4k.dev") {
-    console.error("Archive must be either 'archived.moe' or 'arch.b4k.dev'.\n" + USAGE);
+if (!FALLBACK_SOURCES.includes(ARCHIVE)) {
+    console.error(`Archive must be one of ${FALLBACK_SOURCES.join(', ')}.\n` + USAGE);
     process.exit(1);
 }
 
@@ -137,7 +140,7 @@ async function main() {
             /** @type {any} */
             const sourceObj = extraData.length > 0 ? extraData[extraData.length - 1] : { source: '' };
             let source = sourceObj?.source;
-            if (source !== '' && source !== 'archived.moe' && source !== 'arch.b4k.dev') {
+            if (source !== '' && !FALLBACK_SOURCES.includes(source)) {
                 source = '';
                 console.warn('Unexpected source value: ', sourceObj);
             }
@@ -0,0 +1,106 @@
+// @ts-check
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtemp, writeFile, readFile, rm } = require('fs/promises');
+const { createHash } = require('crypto');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { gzipSync } = require('zlib');
+const { getBoardManifest, getChunkStats, formatChunkName, parseChunkName, recordChunk, verifyChunkFile } = require('../archiveManifest');
+
+const NDJSON = [
+    { num: '10', thread_num: '10', timestamp: 1000 },
+    { num: '11', exception: 'Post: not found', timestamp: 5000 },
+    { num: '12', thread_num: '10', timestamp: 1100 },
+    { num: '13', thread_num: '10', timestamp: 1200 },
+].map(e => JSON.stringify(e)).join('\n') + '\n';
+
+/**
+ * @param {Buffer | string} data The data to hash.
+ */
+function sha256(data) {
+    return createHash('sha256').update(data).digest('hex');
+}
+
+describe('archive manifest', () => {
+    /** @type {string} */
+    let dir;
+    const gz = gzipSync(NDJSON);
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'manifest-test-'));
+        await writeFile(join(dir, 'a_daily_10_13.ndjson'), NDJSON);
+        await writeFile(join(dir, 'a_daily_10_13.ndjson.gz'), gz);
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('computes checksums and stats of raw and compressed chunks', async () => {
+        const expected = {
+            sha256: sha256(NDJSON), size: NDJSON.length, posts: 3, exceptions: 1, firstTimestamp: 1000, lastTimestamp: 1200,
+        };
+        assert.deepEqual(await getChunkStats(join(dir, 'a_daily_10_13.ndjson')), expected);
+        assert.deepEqual(await getChunkStats(join(dir, 'a_daily_10_13.ndjson.gz')), { ...expected, gzSha256: sha256(gz), gzSize: gz.length });
+    });
+
+    it('records chunks and drops the ones no longer listed', async () => {
+        const manifest = {
+            lastDownloaded: 13, daily: ['a_daily_10_13'], monthly: [], yearly: [],
+            chunks: { old_daily_1_9: /** @type {any} */ ({ sha256: 'x' }) },
+        };
+        const info = await recordChunk(manifest, 'a_daily_10_13', dir);
+        assert.equal(info.gzSha256, sha256(gz));
+        assert.deepEqual(Object.keys(manifest.chunks), ['a_daily_10_13']);
+        await assert.rejects(recordChunk(manifest, 'missing_daily_14_20', dir), /No file found/);
+    });
+
+    it('keeps the mirror of a chunk only while the compressed file is the same', async () => {
+        const mirror = 'https://archive.org/download/item/a_daily_10_13.ndjson.gz';
+        const manifest = {
+            lastDownloaded: 13, daily: ['a_daily_10_13'], monthly: [], yearly: [],
+            chunks: { a_daily_10_13: /** @type {any} */ ({ gzSha256: sha256(gz), mirror }) },
+        };
+        assert.equal((await recordChunk(manifest, 'a_daily_10_13', dir)).mirror, mirror);
+        manifest.chunks.a_daily_10_13.gzSha256 = 'x';
+        assert.equal((await recordChunk(manifest, 'a_daily_10_13', dir)).mirror, undefined);
+    });
+
+    it('detects corrupted files', async () => {
+        const info = await getChunkStats(join(dir, 'a_daily_10_13.ndjson.gz'));
+        assert.deepEqual(await verifyChunkFile(info, join(dir, 'a_daily_10_13.ndjson.gz')), []);
+        assert.deepEqual(await verifyChunkFile(info, join(dir, 'a_daily_10_13.ndjson')), []);
+
+        const truncated = join(dir, 'truncated.ndjson');
+        await writeFile(truncated, NDJSON.slice(0, NDJSON.lastIndexOf('{')));
+        const mismatches = await verifyChunkFile(info, truncated);
+        assert.deepEqual(mismatches.map(m => m.split(':')[0]), ['sha256', 'size', 'posts', 'lastTimestamp']);
+
+        const corrupt = join(dir, 'corrupt.ndjson.gz');
+        const bad = Buffer.from(gz);
+        bad[bad.length - 10] ^= 0xFF;
+        await writeFile(corrupt, bad);
+        assert.match((await verifyChunkFile(info, corrupt))[0], /^unreadable/);
+        assert.equal((await readFile(corrupt)).length, gz.length);
+    });
+
+    it('prefixes chunk names with the board unless it is the default one', () => {
+        const mlp = { board: 'mlp', timestamp: '20250101000000', kind: 'daily', start: 10, end: 13 };
+        assert.equal(formatChunkName(mlp), '20250101000000_daily_10_13');
+        assert.deepEqual(parseChunkName('20250101000000_daily_10_13'), mlp);
+        assert.equal(formatChunkName({ ...mlp, board: 'co' }), 'co_20250101000000_daily_10_13');
+        assert.deepEqual(parseChunkName('co_20250101000000_daily_10_13'), { ...mlp, board: 'co' });
+        assert.equal(parseChunkName('mlp_20250101000000_daily_10_13'), null);
+    });
+
+    it('keeps other boards in their own manifest sections', () => {
+        const manifest = { lastDownloaded: 13, daily: ['a_daily_10_13'], monthly: [], yearly: [], chunks: {} };
+        assert.equal(getBoardManifest(manifest, 'mlp'), manifest);
+        const co = getBoardManifest(manifest, 'co');
+        co.lastDownloaded = 5;
+        assert.equal(getBoardManifest(manifest, 'co'), co);
+        assert.deepEqual(manifest.boards, { co: { lastDownloaded: 5, daily: [], monthly: [], yearly: [], chunks: {} } });
+        assert.equal(manifest.lastDownloaded, 13);
+    });
+});
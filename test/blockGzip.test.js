@@ -0,0 +1,83 @@
+// @ts-check
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtemp, writeFile, readFile, rm } = require('fs/promises');
+const { createServer } = require('http');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { gunzipSync, gzipSync } = require('zlib');
+const { BlockGzipReader, encodeBlockGzip, getBlockIndexPath } = require('../blockGzip');
+
+const ENTRIES = [];
+for (let num = 1001; num <= 1250; num++) {
+    ENTRIES.push(num % 50 === 0
+        ? { num: String(num), exception: 'Post: not found', timestamp: 1 }
+        : { num: String(num), thread_num: '1001', comment: 'z'.repeat(num % 17) });
+}
+const NDJSON = ENTRIES.map(e => JSON.stringify(e)).join('\n') + '\n';
+
+describe('block gzip', () => {
+    /** @type {string} */
+    let dir;
+    /** @type {string} */
+    let archivePath;
+    /** @type {import('http').Server} */
+    let server;
+    /** @type {Array<string | undefined>} */
+    const ranges = [];
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'block-gzip-test-'));
+        await writeFile(join(dir, 'input.ndjson.gz'), gzipSync(NDJSON));
+        archivePath = join(dir, 'release.ndjson.gz');
+        await encodeBlockGzip(join(dir, 'input.ndjson.gz'), archivePath, { postsPerBlock: 40 });
+
+        // Minimal static server with range support, like GitHub release and IA downloads
+        server = createServer(async (req, res) => {
+            const data = await readFile(join(dir, (req.url || '').slice(1)));
+            const range = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+            ranges.push(req.headers.range);
+            if (!range) {
+                res.writeHead(200).end(data);
+                return;
+            }
+            res.writeHead(206).end(data.subarray(parseInt(range[1], 10), parseInt(range[2], 10) + 1));
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(void 0)));
+    });
+
+    after(async () => {
+        await new Promise((resolve) => server.close(() => resolve(void 0)));
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('decompresses as a normal gzip file', async () => {
+        assert.equal(gunzipSync(await readFile(archivePath)).toString('utf-8'), NDJSON);
+        const index = JSON.parse(await readFile(getBlockIndexPath(archivePath), 'utf-8'));
+        assert.equal(index.blocks.length, Math.ceil(ENTRIES.length / 40));
+        assert.deepEqual(index.blocks[0], { offset: 0, size: index.blocks[1].offset, first: 1001, last: 1040, count: 40 });
+        assert.equal(index.blocks[index.blocks.length - 1].last, 1250);
+    });
+
+    it('reads single posts and ranges from a local file', async () => {
+        const reader = await BlockGzipReader.open(archivePath);
+        assert.deepEqual(await reader.getPost(1001), ENTRIES[0]);
+        assert.deepEqual(await reader.getPost(1100), ENTRIES[99]);
+        assert.deepEqual(await reader.getPost(1250), ENTRIES[249]);
+        assert.equal(await reader.getPost(1000), null);
+        assert.equal(await reader.getPost(1251), null);
+
+        const range = [];
+        await reader.readRange(1075, 1125, (entry) => { range.push(entry); });
+        assert.deepEqual(range, ENTRIES.slice(74, 125));
+    });
+
+    it('fetches only the member holding a post from a remote file', async () => {
+        const address = /** @type {import('net').AddressInfo} */ (server.address());
+        const reader = await BlockGzipReader.open(`http://127.0.0.1:${address.port}/release.ndjson.gz`);
+        ranges.length = 0;
+        assert.deepEqual(await reader.getPost(1222), ENTRIES[221]);
+        const block = reader.index.blocks[reader.findBlock(1222)];
+        assert.deepEqual(ranges, [`bytes=${block.offset}-${block.offset + block.size - 1}`]);
+    });
+});
@@ -0,0 +1,99 @@
+// @ts-check
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtemp, writeFile, rm } = require('fs/promises');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { gzipSync } = require('zlib');
+const { notFound, ndjson } = require('./fakeArchives');
+const { getInputInfo, verifyConsolidated } = require('../consolidationCheck');
+
+/**
+ * @param {number} num The post ID.
+ */
+function post(num) {
+    return { num: String(num), thread_num: '10', timestamp: 1000 + num };
+}
+
+const INPUTS = [
+    { name: '20250101000000_daily_10_12', start: 10, end: 12, posts: 2, exceptions: 1 },
+    { name: '20250102000000_daily_13_14', start: 13, end: 14, posts: 2, exceptions: 0 },
+];
+
+describe('verifyConsolidated', () => {
+    /** @type {string} */
+    let dir;
+
+    /**
+     * Write a consolidated file and verify it against the inputs.
+     * 
+     * @param {Array<any>} entries The consolidated entries.
+     * @param {Array<import('../consolidationCheck').ConsolidationInput>} [inputs] The inputs.
+     */
+    async function verify(entries, inputs = INPUTS) {
+        const path = join(dir, 'consolidated.ndjson.gz');
+        await writeFile(path, gzipSync(ndjson(entries)));
+        return verifyConsolidated(path, 10, 14, inputs);
+    }
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'consolidation-test-'));
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('accepts a complete consolidation, with exceptions upgraded to posts', async () => {
+        assert.deepEqual(await verify([post(10), notFound(11), post(12), post(13), post(14)]), []);
+        assert.deepEqual(await verify([post(10), post(11), post(12), post(13), post(14)]), []);
+    });
+
+    it('reports gaps, duplicates and unsorted entries', async () => {
+        assert.deepEqual(await verify([post(10), post(11), post(13), post(14)]), [
+            'missing posts 12-12',
+            `input ${INPUTS[0].name}: expected 3 entries, got 2`,
+        ]);
+        assert.deepEqual(await verify([post(10), post(11), post(12), post(12), post(13), post(14)]), [
+            'duplicate post 12',
+            `input ${INPUTS[0].name}: expected 3 entries, got 4`,
+        ]);
+        assert.deepEqual(await verify([post(10), post(12), post(11), post(13), post(14)]), [
+            'missing posts 11-11',
+            'post 11 after 12, not sorted',
+        ]);
+    });
+
+    it('reports entries outside of the range', async () => {
+        assert.deepEqual(await verify([post(9), post(10), post(11), post(12), post(13), post(14)]), ['post 9 before 10']);
+        assert.deepEqual(await verify([post(10), post(11), post(12), post(13)]), [
+            'missing posts 14-14',
+            `input ${INPUTS[1].name}: expected 2 entries, got 1`,
+        ]);
+        assert.deepEqual(await verify([post(10), post(11), post(12), post(13), post(14), post(15)]), ['posts past the end, up to 15']);
+        assert.deepEqual(await verify([]), ['no entries', ...INPUTS.map(i => `input ${i.name}: expected ${i.posts + i.exceptions} entries, got 0`)]);
+    });
+
+    it('reports lost posts and inputs that do not cover the range', async () => {
+        assert.deepEqual(await verify([post(10), post(11), post(12), notFound(13), post(14)]), [
+            `input ${INPUTS[1].name}: expected at least 2 posts, got 1`,
+        ]);
+        assert.deepEqual(await verify([post(10), notFound(11), post(12), post(13), post(14)], [INPUTS[0]]), [
+            'inputs end at 12, expected 14',
+        ]);
+    });
+
+    it('reports unreadable files', async () => {
+        const path = join(dir, 'broken.ndjson');
+        await writeFile(path, ndjson([post(10)]) + '{"num":\n');
+        const problems = await verifyConsolidated(path, 10, 10, []);
+        assert.equal(problems.length, 1);
+        assert.match(problems[0], /^unreadable: /);
+    });
+
+    it('gets the input info from a chunk file', async () => {
+        const path = join(dir, `${INPUTS[0].name}.ndjson.gz`);
+        await writeFile(path, gzipSync(ndjson([post(10), notFound(11), post(12)])));
+        assert.deepEqual(await getInputInfo(path), INPUTS[0]);
+    });
+});
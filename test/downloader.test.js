@@ -0,0 +1,339 @@
+// @ts-check
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { readdir, readFile, writeFile, appendFile, rm } = require('fs/promises');
+const { existsSync } = require('fs');
+const { join } = require('path');
+const { DATA_DIR, makePost, archivedPost, notFound, sha256, endpoint, installFakeArchives } = require('./fakeArchives');
+const { downloadChunk } = require('../downloader');
+
+const NOW = 1_750_000_000_000;
+
+/**
+ * Add the posts of a thread to a fake archive.
+ * 
+ * @param {import('./fakeArchives').FakeSite} fakeSite The fake archive.
+ * @param {number} threadNum The thread ID.
+ * @param {Array<number>} nums The post IDs in the thread.
+ */
+function addThread(fakeSite, threadNum, nums) {
+    fakeSite.addPosts(nums.map(num => makePost(num, threadNum, { site: fakeSite.site })));
+}
+
+/**
+ * Read the chunk written by the last downloader run.
+ */
+async function readLastChunk() {
+    const manifest = JSON.parse(await readFile(join(DATA_DIR, 'manifest.json'), 'utf-8'));
+    const name = manifest.daily[manifest.daily.length - 1];
+    const lines = (await readFile(join(DATA_DIR, `${name}.ndjson`), 'utf-8')).split('\n');
+    assert.equal(lines.pop(), '');
+    return { manifest, name, entries: lines.map(l => JSON.parse(l)) };
+}
+
+describe('downloadChunk', () => {
+    /** @type {ReturnType<typeof installFakeArchives>} */
+    let fake;
+
+    beforeEach(async () => {
+        for (const file of await readdir(DATA_DIR)) {
+            await rm(join(DATA_DIR, file));
+        }
+        await writeFile(join(DATA_DIR, 'manifest.json'), JSON.stringify({ lastDownloaded: 100, daily: [], monthly: [], yearly: [] }));
+        fake = installFakeArchives();
+        mock.method(Date, 'now', () => NOW);
+        for (const method of /** @type {const} */ (['log', 'warn', 'error'])) {
+            mock.method(console, method, () => { });
+        }
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        fake.restore();
+    });
+
+    it('fills gaps from arch.b4k.dev and archived.moe and records missing posts', async () => {
+        const { sites } = fake;
+        addThread(sites['desuarchive.org'], 101, [101, 102, 103, 105, 106]);
+        addThread(sites['desuarchive.org'], 108, [108, 109, 111, 112]);
+        addThread(sites['arch.b4k.dev'], 101, [101, 102, 103, 104, 105, 106]);
+        addThread(sites['arch.b4k.dev'], 108, [108, 109, 111, 112]);
+        addThread(sites['archived.moe'], 108, [108, 109, 110, 111, 112]);
+
+        assert.equal(await downloadChunk(), false);
+
+        const { manifest, name, entries } = await readLastChunk();
+        assert.deepEqual(entries, [
+            archivedPost(101, 101),
+            archivedPost(102, 101),
+            archivedPost(103, 101),
+            archivedPost(104, 101, 'arch.b4k.dev'),
+            archivedPost(105, 101),
+            archivedPost(106, 101),
+            notFound(107),
+            archivedPost(108, 108),
+            archivedPost(109, 108),
+            archivedPost(110, 108, 'archived.moe'),
+            archivedPost(111, 108),
+            archivedPost(112, 108),
+        ]);
+        assert.match(name, /_daily_101_112$/);
+        const raw = await readFile(join(DATA_DIR, `${name}.ndjson`));
+        assert.deepEqual(manifest, {
+            lastDownloaded: 112, daily: [name], monthly: [], yearly: [],
+            chunks: {
+                [name]: {
+                    sha256: sha256(raw),
+                    size: raw.length,
+                    posts: 11,
+                    exceptions: 1,
+                    firstTimestamp: archivedPost(101, 101).timestamp,
+                    lastTimestamp: archivedPost(112, 108).timestamp,
+                },
+            },
+        });
+        assert.equal(await readFile(join(DATA_DIR, 'post_lookup_cache.json'), 'utf-8'), '[]');
+        assert.equal(existsSync(join(DATA_DIR, 'download_journal.ndjson')), false);
+        // The missing post is asked for again a day later
+        assert.deepEqual(JSON.parse(await readFile(join(DATA_DIR, 'retry_ledger.json'), 'utf-8')), {
+            gaps: [{ num: 107, chunk: name, retries: 0, nextRetry: NOW / 1000 + 24 * 60 * 60, outcomes: notFound(107).attempts }],
+            recovered: [],
+        });
+    });
+
+    it('falls back to archive.heinessen.com for posts the other archives lack', async () => {
+        const { sites } = fake;
+        addThread(sites['desuarchive.org'], 101, [101, 103]);
+        addThread(sites['archived.moe'], 101, [101, 103]);
+        addThread(sites['archive.heinessen.com'], 101, [101, 102, 103]);
+        const [, thread] = sites['archive.heinessen.com'].handler('/_/api/chan/thread?board=mlp&num=101');
+        // Backlinks to threads are turned into backlinks to posts, like for the other archives
+        thread[101].posts[102].comment_processed = '<a href="https://archive.heinessen.com/mlp/thread/101/#101" class="backlink op" data-function="highlight" data-backlink="true" data-board="mlp" data-post="101">&gt;&gt;101</a>';
+        sites['archive.heinessen.com'].script(endpoint('thread', 101), 200, thread);
+
+        await downloadChunk();
+
+        const { entries } = await readLastChunk();
+        assert.deepEqual(entries, [
+            archivedPost(101, 101),
+            {
+                ...archivedPost(102, 101, 'archive.heinessen.com'),
+                comment_processed: '<a href="https://archive.heinessen.com/mlp/post/101/" class="backlink" data-function="highlight" data-backlink="true" data-board="mlp" data-post="101">&gt;&gt;101</a>',
+            },
+            archivedPost(103, 101),
+        ]);
+        // Only asked after the other fallbacks came up empty
+        const fallbackOrder = fake.requests.filter(r => r.site !== 'desuarchive.org').map(r => r.site);
+        assert.deepEqual([...new Set(fallbackOrder)], ['arch.b4k.dev', 'archived.moe', 'archive.heinessen.com']);
+    });
+
+    it('skips ghost posts', async () => {
+        const desu = fake.sites['desuarchive.org'];
+        addThread(desu, 101, [101, 102, 103]);
+        const [, thread] = desu.handler('/_/api/chan/thread?board=mlp&num=101');
+        thread[101].posts['102_1'] = { ...makePost(102, 101, { subnum: '1' }), comment: 'Ghost' };
+        desu.script(endpoint('thread', 101), 200, thread);
+
+        await downloadChunk();
+
+        const { entries } = await readLastChunk();
+        assert.deepEqual(entries, [archivedPost(101, 101), archivedPost(102, 101), archivedPost(103, 101)]);
+    });
+
+    it('retries rate limited requests and pages through search for huge threads', async () => {
+        const desu = fake.sites['desuarchive.org'];
+        addThread(desu, 101, [101, 102, 103, 104, 105, 106, 107]);
+        desu.configure({ maxThreadPosts: 3, searchPageSize: 2, searchMaxResults: 4 });
+        desu.script(endpoint('post', 101), 429, { error: 'Too Many Requests' }, 2);
+
+        await downloadChunk();
+
+        const { entries } = await readLastChunk();
+        assert.deepEqual(entries, [101, 102, 103, 104, 105, 106, 107].map(num => archivedPost(num, 101)));
+        const desuRequests = fake.requests.filter(r => r.site === 'desuarchive.org');
+        assert.ok(desuRequests.filter(r => endpoint('post', 101)(r.url)).length >= 3);
+        // The search result limit was hit, so the search had to continue from the last seen post date
+        assert.ok(desuRequests.some(r => endpoint('search')(r.url) && r.url.searchParams.has('start')));
+        // Nothing was missing, so the lower priority archives were never asked
+        assert.deepEqual(fake.requests.filter(r => r.site !== 'desuarchive.org'), []);
+    });
+
+    it('stops querying archived.moe once it asks for a captcha', async () => {
+        const { sites } = fake;
+        addThread(sites['desuarchive.org'], 101, [101]);
+        addThread(sites['desuarchive.org'], 104, [104]);
+        sites['archived.moe'].script(() => true, 403, { error: 'Forbidden' });
+
+        await downloadChunk();
+
+        const { entries } = await readLastChunk();
+        assert.deepEqual(entries, [
+            archivedPost(101, 101),
+            notFound(102, { outcomes: { 'archived.moe': 'captcha' } }),
+            // Never asked, but missing from archived.moe for the same reason
+            notFound(103, { outcomes: { 'archived.moe': 'captcha' } }),
+            archivedPost(104, 104),
+        ]);
+        const moeRequests = fake.requests.filter(r => r.site === 'archived.moe');
+        assert.equal(moeRequests.length, 1);
+        assert.ok(endpoint('post', 102)(moeRequests[0].url));
+    });
+
+    it('leaves posts the main archive fails to serve to the fallback archives', async () => {
+        const { sites } = fake;
+        addThread(sites['desuarchive.org'], 101, [101]);
+        addThread(sites['desuarchive.org'], 103, [103]);
+        addThread(sites['arch.b4k.dev'], 102, [102]);
+        // An error message the downloader has never seen must not abort the download
+        sites['desuarchive.org'].script(endpoint('post', 102), 200, { error: 'Database connection lost.' });
+
+        await downloadChunk();
+
+        const { entries } = await readLastChunk();
+        assert.deepEqual(entries, [archivedPost(101, 101), archivedPost(102, 102, 'arch.b4k.dev'), archivedPost(103, 103)]);
+    });
+
+    it('records the first post of the range when no archive serves it', async () => {
+        const desu = fake.sites['desuarchive.org'];
+        addThread(desu, 102, [102, 103]);
+        desu.script(endpoint('post', 101), 200, { error: 'Database connection lost.' });
+
+        assert.equal(await downloadChunk(), false);
+
+        const { manifest, entries } = await readLastChunk();
+        assert.deepEqual(entries, [
+            notFound(101, { outcomes: { 'desuarchive.org': 'backend-unavailable' } }),
+            archivedPost(102, 102),
+            archivedPost(103, 102),
+        ]);
+        assert.equal(manifest.lastDownloaded, 103);
+        // Asked for again by later runs
+        const ledger = JSON.parse(await readFile(join(DATA_DIR, 'retry_ledger.json'), 'utf-8'));
+        assert.deepEqual(ledger.gaps.map((/** @type {{ num: number }} */ g) => g.num), [101]);
+    });
+
+    it('fetches each thread once per site and run', async () => {
+        const { sites } = fake;
+        addThread(sites['desuarchive.org'], 101, [101, 102, 103, 104, 107]);
+        addThread(sites['arch.b4k.dev'], 101, [101, 105, 106]);
+        // The thread is served from a stale cache that lacks the newest post
+        const [, thread] = sites['arch.b4k.dev'].handler('/_/api/chan/thread?board=mlp&num=101');
+        delete thread[101].posts[106];
+        sites['arch.b4k.dev'].script(endpoint('thread', 101), 200, thread);
+
+        await downloadChunk();
+
+        const { entries } = await readLastChunk();
+        assert.deepEqual(entries, [
+            ...[101, 102, 103, 104].map(num => archivedPost(num, 101)),
+            archivedPost(105, 101, 'arch.b4k.dev'),
+            archivedPost(106, 101, 'arch.b4k.dev'),
+            archivedPost(107, 101),
+        ]);
+        /** @param {import('./fakeArchives').Site} site */
+        const threadRequests = (site) => fake.requests.filter(r => r.site === site && endpoint('thread', 101)(r.url)).length;
+        // Concurrent posts of the thread on desuarchive.org share one fetch, and the post missing from
+        // the arch.b4k.dev thread does not fetch it again
+        assert.equal(threadRequests('desuarchive.org'), 1);
+        assert.equal(threadRequests('arch.b4k.dev'), 1);
+        const b4kPosts = fake.requests.filter(r => r.site === 'arch.b4k.dev' && endpoint('post')(r.url));
+        assert.deepEqual(b4kPosts.map(r => r.url.searchParams.get('num')), ['105', '106']);
+    });
+
+    it('resumes an interrupted download from its journal', async () => {
+        const desu = fake.sites['desuarchive.org'];
+        addThread(desu, 101, [101, 102]);
+        addThread(desu, 103, [103, 104]);
+        addThread(desu, 105, [105]);
+        addThread(desu, 107, [107, 108]);
+        // desuarchive.org becomes unreachable partway through the range
+        desu.script(endpoint('post', 107), 502, { error: 'Bad Gateway' });
+
+        await assert.rejects(downloadChunk(), /Error fetching post 107/);
+
+        const journalFile = join(DATA_DIR, 'download_journal.ndjson');
+        const records = (await readFile(journalFile, 'utf-8')).trim().split('\n').map(l => JSON.parse(l));
+        assert.deepEqual(records[0], { t: 'range', start: 101, end: 108 });
+        const journaled = records.filter(r => r.t === 'step').map(r => r.num);
+        assert.ok(journaled.length > 0);
+        // Killed in the middle of writing a record
+        await appendFile(journalFile, '{"t":"step","site":"desuarch');
+
+        desu.scripted.length = 0;
+        fake.requests.length = 0;
+        assert.equal(await downloadChunk(), false);
+
+        const resumed = await readLastChunk();
+        const resumedRaw = await readFile(join(DATA_DIR, `${resumed.name}.ndjson`));
+        const refetched = fake.requests.filter(r => r.site === 'desuarchive.org' && endpoint('post')(r.url))
+            .map(r => parseInt(r.url.searchParams.get('num') || '', 10));
+        assert.deepEqual(refetched.filter(num => journaled.includes(num)), []);
+        assert.equal(existsSync(journalFile), false);
+
+        // Same chunk as a run that was never interrupted
+        for (const file of await readdir(DATA_DIR)) {
+            await rm(join(DATA_DIR, file));
+        }
+        await writeFile(join(DATA_DIR, 'manifest.json'), JSON.stringify({ lastDownloaded: 100, daily: [], monthly: [], yearly: [] }));
+        await downloadChunk();
+        const uninterrupted = await readLastChunk();
+        assert.deepEqual(await readFile(join(DATA_DIR, `${uninterrupted.name}.ndjson`)), resumedRaw);
+        assert.deepEqual(resumed.entries.map(e => e.num), ['101', '102', '103', '104', '105', '106', '107', '108']);
+    });
+
+    it('carries posts past the end of the chunk over to the next run', async (t) => {
+        const desu = fake.sites['desuarchive.org'];
+        addThread(desu, 101, [101, 102, 103, 105]);
+        addThread(desu, 106, [106]);
+
+        process.env.OVERRIDE_LATEST_POST = '103';
+        t.after(() => { delete process.env.OVERRIDE_LATEST_POST; });
+        await downloadChunk();
+        delete process.env.OVERRIDE_LATEST_POST;
+
+        const first = await readLastChunk();
+        assert.deepEqual(first.entries, [archivedPost(101, 101), archivedPost(102, 101), archivedPost(103, 101)]);
+        assert.deepEqual(JSON.parse(await readFile(join(DATA_DIR, 'post_lookup_cache.json'), 'utf-8')), [archivedPost(105, 101)]);
+
+        fake.requests.length = 0;
+        assert.equal(await downloadChunk(), false);
+
+        const second = await readLastChunk();
+        assert.deepEqual(second.entries, [notFound(104), archivedPost(105, 101), archivedPost(106, 106)]);
+        assert.deepEqual(second.manifest.daily, [first.name, second.name]);
+        assert.deepEqual(Object.keys(second.manifest.chunks), [first.name, second.name]);
+        assert.equal(second.manifest.lastDownloaded, 106);
+        assert.equal(fake.requests.some(r => endpoint('post', 105)(r.url)), false);
+    });
+
+    it('downloads other boards into their own manifest section', async () => {
+        const { sites } = fake;
+        for (const fakeSite of Object.values(sites)) {
+            fakeSite.configure({ board: 'co' });
+        }
+        addThread(sites['desuarchive.org'], 201, [201, 203]);
+        addThread(sites['arch.b4k.dev'], 201, [201, 202, 203]);
+        addThread(sites['archived.moe'], 201, [201, 202, 203]);
+        const mlp = { lastDownloaded: 100, daily: ['20250101000000_daily_1_100'], monthly: [], yearly: [], chunks: {} };
+        await writeFile(join(DATA_DIR, 'manifest.json'), JSON.stringify({
+            ...mlp, boards: { co: { lastDownloaded: 200, daily: [], monthly: [], yearly: [], chunks: {} } },
+        }));
+
+        assert.equal(await downloadChunk('co'), false);
+
+        const manifest = JSON.parse(await readFile(join(DATA_DIR, 'manifest.json'), 'utf-8'));
+        const { boards: { co }, ...rest } = manifest;
+        assert.deepEqual(rest, mlp);
+        assert.equal(co.lastDownloaded, 203);
+        assert.match(co.daily[0], /^co_\d{14}_daily_201_203$/);
+        assert.deepEqual(Object.keys(co.chunks), co.daily);
+        const lines = (await readFile(join(DATA_DIR, `${co.daily[0]}.ndjson`), 'utf-8')).trim().split('\n');
+        assert.deepEqual(lines.map(l => JSON.parse(l)), [archivedPost(201, 201), archivedPost(202, 201, 'archived.moe'), archivedPost(203, 201)]);
+        assert.ok(existsSync(join(DATA_DIR, 'post_lookup_cache_co.json')));
+        assert.equal(existsSync(join(DATA_DIR, 'post_lookup_cache.json')), false);
+        assert.ok(fake.requests.every(r => (r.url.searchParams.get('board') || r.url.searchParams.get('boards')) === 'co'));
+        // arch.b4k.dev does not archive /co/
+        assert.equal(fake.requests.some(r => r.site === 'arch.b4k.dev'), false);
+        await assert.rejects(downloadChunk('../mlp'), /Invalid board/);
+    });
+});
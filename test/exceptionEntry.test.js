@@ -0,0 +1,35 @@
+// @ts-check
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EXCEPTION_VERSION, createException, addAttempt, isRetryable } = require('../exceptionEntry');
+
+describe('exception entries', () => {
+    it('records the answer of every source asked', (t) => {
+        t.mock.method(Date, 'now', () => 1_750_000_000_000);
+        const entry = createException('101', 'desuarchive.org', 'not-found', '101');
+        assert.deepEqual(entry, {
+            num: '101',
+            exception: 'Post: not found',
+            timestamp: 1_750_000_000,
+            exception_version: EXCEPTION_VERSION,
+            thread_num: '101',
+            attempts: [{ source: 'desuarchive.org', outcome: 'not-found' }],
+        });
+        const retried = addAttempt(addAttempt(entry, 'archived.moe', 'captcha'), 'archived.moe', 'not-found');
+        assert.deepEqual(retried.attempts, [
+            { source: 'desuarchive.org', outcome: 'not-found' },
+            { source: 'archived.moe', outcome: 'not-found' },
+        ]);
+        assert.equal(entry.attempts?.length, 1);
+    });
+
+    it('tells permanent gaps from fetch failures', () => {
+        const legacy = { num: '101', exception: 'Post: not found', timestamp: 1_600_000_000 };
+        assert.equal(isRetryable(legacy), true);
+        const upgraded = addAttempt(legacy, 'desuarchive.org', 'not-found');
+        assert.equal(upgraded.exception_version, EXCEPTION_VERSION);
+        assert.equal(upgraded.timestamp, legacy.timestamp);
+        assert.equal(isRetryable(upgraded), false);
+        assert.equal(isRetryable(addAttempt(upgraded, 'archived.moe', 'captcha')), true);
+    });
+});
@@ -0,0 +1,255 @@
+// @ts-check
+const { mkdtempSync, rmSync } = require('fs');
+const { createHash } = require('crypto');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { FFArchive, createFFHandler } = require('../ffServer');
+
+/** @typedef {import('../ffUtils').MinimalFFPost} MinimalFFPost */
+/** @typedef {import('../exceptionEntry').ExceptionEntry} ExceptionEntry */
+/** @typedef {import('../fetchErrors').FetchErrorKind} FetchErrorKind */
+/** @typedef {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe' | 'archive.heinessen.com'} Site */
+
+/** @type {Record<Site, string>} */
+const FAKE_HOSTS = {
+    'desuarchive.org': 'desuarchive.test',
+    'arch.b4k.dev': 'b4k.test',
+    'archived.moe': 'archivedmoe.test',
+    'archive.heinessen.com': 'heinessen.test',
+};
+
+// Point the site clients at the fake archives and keep the downloader state out of the repo.
+// Must run before ffUtils or downloader are loaded.
+process.env.SITE_BASE_URLS = JSON.stringify(Object.fromEntries(
+    Object.entries(FAKE_HOSTS).map(([site, host]) => [site, `http://${host}`])
+));
+const DATA_DIR = mkdtempSync(join(tmpdir(), 'desuarchive-test-'));
+process.env.ARCHIVE_DATA_DIR = DATA_DIR;
+process.on('exit', () => rmSync(DATA_DIR, { recursive: true, force: true }));
+
+/**
+ * Build a raw post as the archive APIs return it.
+ * 
+ * @param {number} num The post ID.
+ * @param {number} threadNum The thread ID.
+ * @param {{ site?: Site, subnum?: string }} [opts={}] The site the post is served by and its sub-post ID.
+ * @returns {MinimalFFPost} The post.
+ */
+function makePost(num, threadNum, opts = {}) {
+    /** @type {MinimalFFPost} */
+    const post = {
+        num: String(num),
+        subnum: opts.subnum || '0',
+        thread_num: String(threadNum),
+        timestamp: 1_700_000_000 + num * 60,
+        comment: `Post ${num}`,
+        comment_sanitized: `Post ${num}`,
+        comment_processed: `Post ${num}`,
+    };
+    // b4k sends an empty extra_data array, archived.moe sends none
+    if (opts.site === 'arch.b4k.dev') {
+        post.extra_data = [];
+    }
+    return post;
+}
+
+/**
+ * Build a post as it ends up in an archive chunk after being fetched from a site.
+ * 
+ * @param {number} num The post ID.
+ * @param {number} threadNum The thread ID.
+ * @param {Site} [site='desuarchive.org'] The site the post was fetched from.
+ * @returns {MinimalFFPost} The post.
+ */
+function archivedPost(num, threadNum, site = 'desuarchive.org') {
+    const post = makePost(num, threadNum, { site });
+    if (site !== 'desuarchive.org') {
+        post.extra_data = [{ source: site }];
+    }
+    return post;
+}
+
+/**
+ * Build an exception entry as the downloader records it, after every source was asked.
+ * 
+ * @param {number} num The post ID.
+ * @param {{ outcomes?: Partial<Record<Site, FetchErrorKind>>, version?: 1 | 2, threadNum?: string }} [opts={}] The sources that did
+ *     not answer "not found", the exception version, version 1 entries only have num, exception and timestamp, and the thread ID.
+ * @returns {ExceptionEntry} The exception entry.
+ */
+function notFound(num, opts = {}) {
+    const { outcomes = {}, version = 2, threadNum } = opts;
+    /** @type {ExceptionEntry} */
+    const entry = { num: String(num), exception: 'Post: not found', timestamp: 1_750_000_000 };
+    if (version === 2) {
+        entry.exception_version = 2;
+        entry.attempts = /** @type {Array<Site>} */ (Object.keys(FAKE_HOSTS)).map(source => ({ source, outcome: outcomes[source] || 'not-found' }));
+    }
+    if (threadNum !== undefined) {
+        entry.thread_num = threadNum;
+    }
+    return entry;
+}
+
+/**
+ * @param {Array<any>} entries The entries.
+ * @returns {string} The NDJSON data.
+ */
+function ndjson(entries) {
+    return entries.map(e => JSON.stringify(e)).join('\n') + '\n';
+}
+
+/**
+ * @param {Buffer | string} data The data to hash.
+ * @returns {string} The hex SHA-256 hash.
+ */
+function sha256(data) {
+    return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * @typedef {Object} ScriptedResponse
+ * @property {(url: URL) => boolean} match Whether the response applies to a request.
+ * @property {number} status The HTTP status code.
+ * @property {any} body The JSON body.
+ * @property {number} times How many more requests it applies to.
+ */
+
+/**
+ * A fake FoolFuuka archive with scriptable failures.
+ */
+class FakeSite {
+    /**
+     * @param {Site} site The site the archive stands in for.
+     */
+    constructor(site) {
+        this.site = site;
+        this.archive = new FFArchive();
+        /** @type {import('../ffServer').FFServerOptions} */
+        this.options = {};
+        /** @type {Array<ScriptedResponse>} */
+        this.scripted = [];
+        this.handler = createFFHandler(this.archive, this.options);
+    }
+
+    /**
+     * Add posts to the archive.
+     * 
+     * @param {Array<MinimalFFPost>} posts The posts to add.
+     */
+    addPosts(posts) {
+        for (const post of posts) {
+            this.archive.add(post);
+        }
+    }
+
+    /**
+     * Change the server options, like the huge-thread limit or the search page size.
+     * 
+     * @param {import('../ffServer').FFServerOptions} options The options to set.
+     */
+    configure(options) {
+        Object.assign(this.options, options);
+        this.handler = createFFHandler(this.archive, this.options);
+    }
+
+    /**
+     * Answer matching requests with a fixed response instead of the archive contents.
+     * 
+     * @param {(url: URL) => boolean} match Whether the response applies to a request.
+     * @param {number} status The HTTP status code.
+     * @param {any} body The JSON body.
+     * @param {number} [times=Infinity] How many requests it applies to.
+     */
+    script(match, status, body, times = Infinity) {
+        this.scripted.push({ match, status, body, times });
+    }
+
+    /**
+     * Answer a request.
+     * 
+     * @param {URL} url The request URL.
+     * @returns {[number, any]} The status and JSON body.
+     */
+    respond(url) {
+        const scripted = this.scripted.find(s => s.times > 0 && s.match(url));
+        if (scripted) {
+            scripted.times--;
+            return [scripted.status, scripted.body];
+        }
+        return this.handler(url.pathname + url.search);
+    }
+}
+
+/**
+ * Match requests to an API endpoint, optionally with a given `num` parameter.
+ * 
+ * @param {'post' | 'thread' | 'search' | 'chunk' | 'index'} endpoint The endpoint name.
+ * @param {number} [num] The post or thread ID.
+ * @returns {(url: URL) => boolean} The matcher.
+ */
+function endpoint(endpoint, num) {
+    return (url) => url.pathname.replace(/\/+$/, '') === `/_/api/chan/${endpoint}` &&
+        (num === undefined || url.searchParams.get('num') === String(num) || url.searchParams.get('tnum') === String(num));
+}
+
+/**
+ * @typedef {Object} LoggedRequest
+ * @property {Site} site The site requested.
+ * @property {URL} url The request URL.
+ */
+
+/**
+ * Install fake archives for all sites in place of the global fetch.
+ * 
+ * @returns {{ sites: Record<Site, FakeSite>, requests: Array<LoggedRequest>, restore: () => void }} The fake sites and the request log.
+ */
+function installFakeArchives() {
+    const { getSiteClient } = require('../ffUtils');
+    /** @type {Record<Site, FakeSite>} */
+    const sites = {
+        'desuarchive.org': new FakeSite('desuarchive.org'),
+        'arch.b4k.dev': new FakeSite('arch.b4k.dev'),
+        'archived.moe': new FakeSite('archived.moe'),
+        'archive.heinessen.com': new FakeSite('archive.heinessen.com'),
+    };
+    /** @type {Array<LoggedRequest>} */
+    const requests = [];
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = async (input) => {
+        const url = new URL(input instanceof Request ? input.url : input.toString());
+        const site = /** @type {Site | undefined} */ (Object.keys(FAKE_HOSTS).find(s => FAKE_HOSTS[/** @type {Site} */ (s)] === url.hostname));
+        if (!site) {
+            throw new Error(`Unexpected request to ${url}`);
+        }
+        requests.push({ site, url });
+        const [status, body] = sites[site].respond(url);
+        return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+    };
+    // No need to throttle or wait long between retries against fake archives
+    for (const site of /** @type {Array<Site>} */ (Object.keys(FAKE_HOSTS))) {
+        Object.assign(getSiteClient(site).limits, {
+            minInterval: 0, searchInterval: 0, retries: 3, backoffBase: 1, backoffMax: 1, rateLimitDelay: 1,
+        });
+        const client = getSiteClient(site);
+        client.nextFetchTime = 0;
+        client.nextSearchTime = 0;
+    }
+    return {
+        sites,
+        requests,
+        restore: () => { globalThis.fetch = realFetch; },
+    };
+}
+
+module.exports = {
+    FakeSite,
+    DATA_DIR,
+    makePost,
+    archivedPost,
+    notFound,
+    ndjson,
+    sha256,
+    endpoint,
+    installFakeArchives,
+};
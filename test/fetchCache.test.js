@@ -0,0 +1,149 @@
+// @ts-check
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fsPromises = require('fs/promises');
+const { mkdtemp, readdir, readFile, rm } = fsPromises;
+const { existsSync } = require('fs');
+const { createHash } = require('crypto');
+const { tmpdir } = require('os');
+const { join, relative } = require('path');
+const { makePost, installFakeArchives } = require('./fakeArchives');
+
+/**
+ * Load the fetch cache and the modules using it in a cache mode.
+ * The mode is read when the modules are loaded, so they are loaded anew.
+ *
+ * @param {'record' | 'replay'} mode The fetch cache mode.
+ * @param {string} dir The fetch cache directory.
+ */
+function loadModules(mode, dir) {
+    process.env.FETCH_CACHE_MODE = mode;
+    process.env.FETCH_CACHE_DIR = dir;
+    for (const name of ['fetchCache', 'cdpFetch', 'ffUtils']) {
+        delete require.cache[require.resolve(`../${name}`)];
+    }
+    return {
+        /** @type {typeof import('../ffUtils')} */
+        ffUtils: require('../ffUtils'),
+        /** @type {typeof import('../cdpFetch')} */
+        cdpFetch: require('../cdpFetch'),
+    };
+}
+
+/**
+ * Get the cache entry path of a URL, ignoring the cache-busting parameter.
+ *
+ * @param {string} dir The fetch cache directory.
+ * @param {string} url The URL.
+ */
+function entryPath(dir, url) {
+    const u = new URL(url);
+    u.searchParams.delete('_');
+    const key = createHash('sha256').update(u.toString()).digest('hex');
+    return join(dir, key.substring(0, 2), `${key}.json`);
+}
+
+/**
+ * List the files of the fetch cache, relative to its directory.
+ *
+ * @param {string} dir The fetch cache directory.
+ */
+async function listFiles(dir) {
+    if (!existsSync(dir)) {
+        return [];
+    }
+    const entries = await readdir(dir, { recursive: true, withFileTypes: true });
+    return entries.filter(e => e.isFile()).map(e => relative(dir, join(e.parentPath || e.path, e.name))).sort();
+}
+
+describe('fetch cache', () => {
+    /** @type {string} */
+    let dir;
+    /** @type {string} */
+    let postUrl;
+    /** @type {any} */
+    let recordedPost;
+    /** @type {typeof fetch} */
+    let realFetch;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'fetch-cache-test-'));
+        realFetch = globalThis.fetch;
+    });
+
+    after(async () => {
+        globalThis.fetch = realFetch;
+        delete process.env.FETCH_CACHE_MODE;
+        delete process.env.FETCH_CACHE_DIR;
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('records every response in a file named after its URL', async () => {
+        const { ffUtils } = loadModules('record', dir);
+        const fake = installFakeArchives();
+        try {
+            fake.sites['desuarchive.org'].addPosts([makePost(101, 101)]);
+            recordedPost = await ffUtils.fetchPost(101, 'desuarchive.org');
+            assert.ok(!ffUtils.isFailure(recordedPost));
+            postUrl = fake.requests[0].url.toString();
+        } finally {
+            fake.restore();
+        }
+
+        const path = entryPath(dir, postUrl);
+        assert.deepEqual(await listFiles(dir), [relative(dir, path)]);
+        const entry = JSON.parse(await readFile(path, 'utf-8'));
+        assert.equal(entry.url, postUrl);
+        assert.equal(entry.status, 200);
+        assert.equal(entry.contentType, 'application/json');
+        assert.deepEqual(JSON.parse(Buffer.from(entry.body, 'base64').toString('utf-8')).num, '101');
+    });
+
+    it('replays recorded responses without touching the network', async () => {
+        const { ffUtils, cdpFetch } = loadModules('replay', dir);
+        const network = mock.fn(async () => { throw new Error('Network disabled'); });
+        globalThis.fetch = network;
+
+        assert.deepEqual(await ffUtils.fetchPost(101, 'desuarchive.org'), recordedPost);
+        // The cache-busting parameter does not matter
+        const url = new URL(postUrl);
+        url.searchParams.set('_', '12345');
+        const resp = await cdpFetch.cdpFetch(url);
+        assert.equal(resp.status, 200);
+        assert.equal((await resp.json()).num, '101');
+        assert.equal(network.mock.callCount(), 0);
+    });
+
+    it('fails on responses that were not recorded', async () => {
+        const { ffUtils, cdpFetch } = loadModules('replay', dir);
+        const network = mock.fn(async () => { throw new Error('Network disabled'); });
+        globalThis.fetch = network;
+        mock.method(console, 'warn', () => { });
+
+        await assert.rejects(cdpFetch.cdpFetch('http://desuarchive.test/_/api/chan/post/?board=mlp&num=999'), /No cached response/);
+        const result = await ffUtils.fetchPost(999, 'desuarchive.org');
+        assert.ok(ffUtils.isFailure(result));
+        assert.equal(result.error.kind, 'transport-failure');
+        assert.match(result.error.message, /No cached response/);
+        assert.equal(network.mock.callCount(), 0);
+    });
+
+    it('leaves no entry behind when recording is interrupted', async () => {
+        // Dies halfway through writing the entry
+        mock.method(fsPromises, 'writeFile', async (/** @type {string} */ path, /** @type {string} */ data) => {
+            await fsPromises.appendFile(path, data.substring(0, 10));
+            throw new Error('No space left on device');
+        });
+        const { cdpFetch } = loadModules('record', dir);
+        globalThis.fetch = async () => new Response(JSON.stringify({ num: '102' }), { status: 200 });
+        const url = 'http://desuarchive.test/_/api/chan/post/?board=mlp&num=102';
+
+        await assert.rejects(cdpFetch.cdpFetch(url), /No space left on device/);
+        assert.equal(existsSync(entryPath(dir, url)), false);
+        assert.deepEqual(await listFiles(dir), [relative(dir, entryPath(dir, postUrl))]);
+    });
+});
@@ -0,0 +1,83 @@
+// @ts-check
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { makePost, endpoint, installFakeArchives } = require('./fakeArchives');
+const { fetchPost, fetchThread, getLatestIndex, isFailure } = require('../ffUtils');
+const { isFetchError } = require('../fetchErrors');
+
+describe('fetch errors', () => {
+    /** @type {ReturnType<typeof installFakeArchives>} */
+    let fake;
+
+    beforeEach(() => {
+        fake = installFakeArchives();
+        for (const method of /** @type {const} */ (['log', 'warn', 'error'])) {
+            mock.method(console, method, () => { });
+        }
+        fake.sites['desuarchive.org'].addPosts([makePost(101, 101), makePost(102, 101)]);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        fake.restore();
+    });
+
+    /**
+     * Fetch a post from desuarchive.org and check the failure.
+     * 
+     * @param {number} num The post ID.
+     * @param {import('../fetchErrors').FetchErrorKind} kind The expected error kind.
+     * @param {string} [site='desuarchive.org'] The site to fetch from.
+     */
+    async function assertPostFailure(num, kind, site = 'desuarchive.org') {
+        const result = await fetchPost(num, site);
+        assert.ok(isFailure(result));
+        assert.equal(result.error.kind, kind);
+        assert.equal(result.error.site, site);
+        assert.match(String(result.error.url), new RegExp(`/_/api/chan/post\\?board=mlp&num=${num}$`));
+        return result.error;
+    }
+
+    it('tells missing posts and threads apart from archive errors', async () => {
+        await assertPostFailure(999, 'not-found');
+        const thread = await fetchThread('999');
+        assert.ok(isFailure(thread));
+        assert.equal(thread.error.kind, 'not-found');
+
+        const desu = fake.sites['desuarchive.org'];
+        desu.script(endpoint('post', 101), 200, { error: 'Database connection lost.' }, 1);
+        const err = await assertPostFailure(101, 'backend-unavailable');
+        assert.equal(err.message, 'Database connection lost.');
+
+        desu.script(endpoint('post', 101), 200, 'It works!', 1);
+        await assertPostFailure(101, 'malformed-response');
+    });
+
+    it('reports captchas, rate limits and transport failures', async () => {
+        fake.sites['archived.moe'].script(endpoint('post', 101), 403, { error: 'Forbidden' }, 1);
+        const captcha = await assertPostFailure(101, 'captcha', 'archived.moe');
+        assert.equal(captcha.status, 403);
+
+        const desu = fake.sites['desuarchive.org'];
+        desu.script(endpoint('post', 101), 429, { error: 'Too Many Requests' });
+        const rateLimited = await assertPostFailure(101, 'rate-limited');
+        assert.equal(rateLimited.status, 429);
+
+        desu.script(endpoint('post', 102), 502, { error: 'Bad Gateway' });
+        await assertPostFailure(102, 'transport-failure');
+
+        // The latest index has no sensible failure value, so it throws
+        desu.script(endpoint('index'), 502, { error: 'Bad Gateway' });
+        await assert.rejects(getLatestIndex(), (err) => isFetchError(err, 'transport-failure'));
+    });
+
+    it('falls back to the chunked API when the search backend is down', async () => {
+        const desu = fake.sites['desuarchive.org'];
+        desu.script(endpoint('thread', 101), 500, { error: 'Internal Server Error' }, 1);
+        desu.script(endpoint('search', 101), 200, { error: 'The search backend is currently unavailable.' }, 1);
+        const thread = await fetchThread('101');
+        assert.ok(!isFailure(thread));
+        assert.deepEqual(Object.keys(thread['101'].posts || {}), ['102']);
+        assert.ok(fake.requests.some(r => endpoint('chunk', 101)(r.url)));
+    });
+});
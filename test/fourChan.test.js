@@ -0,0 +1,206 @@
+// @ts-check
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { existsSync, readFileSync } = require('fs');
+const { join } = require('path');
+const { rebuildComment, toArchiveTimestamp, toFFPost, toFFThread } = require('../fourChan');
+const { FourChanClient, isFailure } = require('../ffUtils');
+
+const FIXTURES = join(__dirname, 'fixtures', '4chan');
+
+/**
+ * Load a saved 4chan API response.
+ *
+ * @param {string} name The fixture file name.
+ * @returns {any} The parsed response.
+ */
+function fixture(name) {
+    return JSON.parse(readFileSync(join(FIXTURES, name), 'utf-8'));
+}
+
+describe('4chan conversion', () => {
+    it('rebuilds the raw comment from the comment HTML', () => {
+        assert.equal(rebuildComment(undefined), null);
+        assert.equal(
+            rebuildComment('<a href="#p1" class="quotelink">&gt;&gt;1</a><br><span class="quote">&gt;it&#039;s</span> <s>x</s> lo<wbr>ng &amp;amp;'),
+            ">>1\n>it's [spoiler]x[/spoiler] long &amp;"
+        );
+        assert.equal(rebuildComment('<pre class="prettyprint">a &lt; b<br>c</pre>'), '[code]a < b\nc[/code]');
+        assert.equal(rebuildComment('<span class="sjis">(^_^)</span><br><br><b style="color:red;">(USER WAS BANNED FOR THIS POST)</b>'),
+            '[shiftjis](^_^)[/shiftjis]\n\n[banned](USER WAS BANNED FOR THIS POST)[/banned]');
+        assert.equal(rebuildComment('long<br><span class="abbr">Comment too long. <a href="thread/1#p2">Click here</a> to view the full text.</span>'), 'long\n');
+    });
+
+    it('stores post times as New York wall clock time', () => {
+        // 2024-06-10 06:13:20 UTC is 02:13:20 EDT
+        assert.equal(toArchiveTimestamp(1718000000), 1718000000 - 4 * 3600);
+        // 2024-01-10 06:13:20 UTC is 01:13:20 EST
+        assert.equal(toArchiveTimestamp(1704867200), 1704867200 - 5 * 3600);
+    });
+
+    it('converts a thread to the FoolFuuka shape', () => {
+        const thread = toFFThread(fixture('thread-40000000.json'), 'desuarchive.org', 'mlp');
+        assert.deepEqual(Object.keys(thread), ['40000000']);
+        const { op, posts = {} } = thread['40000000'];
+        assert.ok(op);
+        assert.equal(op.num, '40000000');
+        assert.equal(op.thread_num, '40000000');
+        assert.equal(/** @type {any} */ (op).title, 'Pony & friends general');
+        assert.equal(op.comment, 'Post your ponies\n\nPrevious: >>39999000');
+        assert.match(op.comment_processed, /href="https:\/\/desuarchive\.org\/mlp\/post\/39999000\/"/);
+        assert.equal(op.timestamp, 1718000000 - 4 * 3600);
+        assert.deepEqual(op.extra_data, []);
+        assert.deepEqual(Object.keys(posts), ['40000002', '40000005']);
+        const reply = posts['40000002'];
+        assert.equal(reply.thread_num, '40000000');
+        assert.equal(reply.comment, ">>40000000\n>implying\nit's [spoiler]Luna[/spoiler] bestpony");
+        assert.equal(reply.comment_sanitized, reply.comment);
+        assert.match(reply.comment_processed, /<span class="spoiler">Luna<\/span>/);
+    });
+
+    it('converts post metadata and media', () => {
+        const [, , mod] = fixture('thread-40000000.json').posts;
+        const post = /** @type {any} */ (toFFPost(mod, 'desuarchive.org', 'mlp'));
+        assert.equal(post.capcode, 'M');
+        assert.equal(post.op, '0');
+        assert.deepEqual(post.media, {
+            spoiler: '1',
+            media_filename: 'spoiler.jpg',
+            media_w: '640',
+            media_h: '480',
+            preview_w: '125',
+            preview_h: '94',
+            media_size: '2048',
+            media_hash: 'zzzzzzzzzzzzzzzzzzzzzz==',
+            media_orig: '1718000120456.jpg',
+            preview_orig: '1718000120456s.jpg',
+        });
+        const op = /** @type {any} */ (toFFPost(fixture('thread-40000000.json').posts[0], 'desuarchive.org', 'mlp'));
+        assert.equal(op.sticky, '1');
+        assert.equal(op.poster_hash, 'Ab3dE5fG');
+        assert.equal(op.poster_country, 'US');
+    });
+});
+
+describe('FourChanClient', () => {
+    /** @type {Array<string>} */
+    let requests;
+    /** @type {typeof fetch} */
+    let realFetch;
+    /** @type {FourChanClient} */
+    let client;
+
+    beforeEach(() => {
+        requests = [];
+        realFetch = globalThis.fetch;
+        globalThis.fetch = async (input) => {
+            const url = new URL(input instanceof Request ? input.url : input.toString());
+            requests.push(url.pathname);
+            const name = url.pathname.replace(/^\/mlp\//, '').replace(/^thread\/(\d+)\.json$/, 'thread-$1.json');
+            const file = join(FIXTURES, name);
+            if (!existsSync(file)) {
+                return new Response('', { status: 404 });
+            }
+            return new Response(readFileSync(file), { status: 200, headers: { 'Content-Type': 'application/json' } });
+        };
+        client = new FourChanClient('4chan.org', { baseUrl: 'http://4chan.test', minInterval: 0, retries: 0 });
+    });
+
+    afterEach(() => {
+        globalThis.fetch = realFetch;
+    });
+
+    it('gets the latest post from the catalog', async () => {
+        assert.equal(await client.getLatestIndex('mlp'), 40000100);
+    });
+
+    it('finds posts by scanning the threads that may hold them', async () => {
+        const post = await client.fetchPost(40000002, 'mlp');
+        assert.ok(!('error' in post));
+        assert.equal(post.thread_num, '40000000');
+        assert.deepEqual(post.extra_data, [{ source: '4chan.org' }]);
+        // Newer threads cannot hold the post
+        assert.deepEqual(requests, ['/mlp/threads.json', '/mlp/archive.json', '/mlp/thread/40000000.json']);
+
+        // The thread of the post is already known, but only the thread is fetched again
+        const other = await client.fetchPost(40000005, 'mlp');
+        assert.ok(!('error' in other));
+        assert.equal(other.thread_num, '40000000');
+        assert.deepEqual(requests.slice(3), ['/mlp/thread/40000000.json']);
+        const thread = await client.fetchThread('40000000', 'mlp');
+        assert.ok(!('error' in thread));
+        assert.deepEqual(thread['40000000'].op?.extra_data, [{ source: '4chan.org' }]);
+    });
+
+    it('only searches the thread of a post when it is known', async () => {
+        const post = await client.fetchPost(40000005, 'mlp', '40000000');
+        assert.ok(!('error' in post));
+        assert.equal(post.num, '40000005');
+        assert.deepEqual(requests, ['/mlp/thread/40000000.json']);
+
+        const missing = await client.fetchPost(40000003, 'mlp', '40000000');
+        assert.ok(isFailure(missing));
+        assert.equal(missing.error.kind, 'not-found');
+        assert.equal(missing.error.url, 'http://4chan.test/mlp/thread/40000000.json');
+        assert.equal(requests.length, 2);
+    });
+
+    it('keeps scanning older threads, they may have outlived the post', async () => {
+        const post = await client.fetchPost(40000050, 'mlp');
+        assert.ok(isFailure(post));
+        assert.equal(post.error.kind, 'not-found');
+        assert.equal(post.error.url, 'http://4chan.test/mlp/thread/39990000.json');
+        // The last post of 40000000 is 40000005, but 4chan prunes threads in bump order
+        assert.deepEqual(requests, ['/mlp/threads.json', '/mlp/archive.json', '/mlp/thread/40000000.json', '/mlp/thread/39999000.json', '/mlp/thread/39990000.json']);
+
+        // Up to the thread limit
+        requests.length = 0;
+        const limited = new FourChanClient('4chan.org', { baseUrl: 'http://4chan.test', minInterval: 0, retries: 0, scanThreads: 1 });
+        const notScanned = await limited.fetchPost(40000050, 'mlp');
+        assert.ok(isFailure(notScanned));
+        assert.equal(notScanned.error.url, 'http://4chan.test/mlp/thread/40000000.json');
+        assert.deepEqual(requests, ['/mlp/threads.json', '/mlp/archive.json', '/mlp/thread/40000000.json']);
+    });
+
+    it('fetches live threads again for posts made after they were scanned', async () => {
+        const fixtureFetch = globalThis.fetch;
+        let reply = false;
+        globalThis.fetch = async (input, init) => {
+            const url = input instanceof Request ? input.url : input.toString();
+            if (url.endsWith('/mlp/thread/39999000.json')) {
+                requests.push(new URL(url).pathname);
+                return Response.json({ posts: [{ no: 39999000, resto: 0, time: 1717990000 }, { no: 39999001, resto: 39999000, time: 1717990010 }] });
+            }
+            const resp = await fixtureFetch(input, init);
+            if (reply && url.endsWith('/mlp/thread/40000000.json')) {
+                const thread = await resp.json();
+                thread.posts.push({ no: 40000006, resto: 40000000, time: 1718000600, com: 'Late reply' });
+                return Response.json(thread);
+            }
+            return resp;
+        };
+
+        assert.ok(isFailure(await client.fetchPost(40000006, 'mlp')));
+        assert.equal(requests.length, 5);
+
+        reply = true;
+        const post = await client.fetchPost(40000006, 'mlp');
+        assert.ok(!('error' in post));
+        assert.equal(post.thread_num, '40000000');
+        assert.equal(post.comment, 'Late reply');
+        // Archived threads and threads 4chan no longer has do not change
+        assert.deepEqual(requests.slice(5), ['/mlp/thread/40000000.json']);
+    });
+
+    it('reports posts and threads 4chan no longer has', async () => {
+        const post = await client.fetchPost(39999500, 'mlp');
+        assert.ok(isFailure(post));
+        assert.equal(post.error.kind, 'not-found');
+        assert.equal(post.error.url, 'http://4chan.test/mlp/thread/39990000.json');
+        assert.deepEqual(requests, ['/mlp/threads.json', '/mlp/archive.json', '/mlp/thread/39999000.json', '/mlp/thread/39990000.json']);
+        const thread = await client.fetchThread('39999000', 'mlp');
+        assert.ok(isFailure(thread));
+        assert.equal(thread.error.kind, 'not-found');
+        assert.equal(thread.error.url, 'http://4chan.test/mlp/thread/39999000.json');
+    });
+});
@@ -0,0 +1,79 @@
+// @ts-check
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtemp, writeFile, readFile, rm, appendFile } = require('fs/promises');
+const { existsSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { gzipSync } = require('zlib');
+const { NDJSONIndex, getIndexPath } = require('../ndjsonIndex');
+
+// Post 150 is missing and 300 is an exception, like in real chunks
+const ENTRIES = [];
+for (let num = 101; num <= 400; num++) {
+    if (num === 150) {
+        continue;
+    }
+    ENTRIES.push(num === 300
+        ? { num: String(num), exception: 'Post: not found', timestamp: 1 }
+        : { num: String(num), thread_num: '101', comment: 'x'.repeat(num % 13) });
+}
+const NDJSON = ENTRIES.map(e => JSON.stringify(e)).join('\n') + '\n';
+
+describe('NDJSONIndex', () => {
+    /** @type {string} */
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'ndjson-index-test-'));
+        await writeFile(join(dir, 'chunk.ndjson'), NDJSON);
+        await writeFile(join(dir, 'chunk.ndjson.gz'), gzipSync(NDJSON));
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    for (const file of ['chunk.ndjson', 'chunk.ndjson.gz']) {
+        it(`looks up posts and ranges in ${file}`, async () => {
+            const index = await NDJSONIndex.open(join(dir, file), { interval: 16 });
+            assert.equal(index.data.count, ENTRIES.length);
+            assert.equal(index.data.dataSize, Buffer.byteLength(NDJSON));
+            assert.equal(index.data.points.length, Math.ceil(ENTRIES.length / 16));
+            for (const [num, offset] of index.data.points) {
+                assert.ok(NDJSON.startsWith(`{"num":"${num}"`, offset));
+            }
+
+            assert.deepEqual(await index.getPost(101), ENTRIES[0]);
+            assert.deepEqual(await index.getPost(233), ENTRIES.find(e => e.num === '233'));
+            assert.deepEqual(await index.getPost(300), ENTRIES.find(e => e.num === '300'));
+            assert.deepEqual(await index.getPost(400), ENTRIES[ENTRIES.length - 1]);
+            assert.equal(await index.getPost(150), null);
+            assert.equal(await index.getPost(100), null);
+            assert.equal(await index.getPost(401), null);
+
+            const range = [];
+            await index.readRange(140, 160, (entry) => { range.push(entry); });
+            assert.deepEqual(range, ENTRIES.filter(e => +e.num >= 140 && +e.num <= 160));
+        });
+    }
+
+    it('saves the index next to the file and rebuilds it when the file changes', async () => {
+        const path = join(dir, 'chunk.ndjson');
+        await NDJSONIndex.open(path, { interval: 16 });
+        assert.ok(existsSync(getIndexPath(path)));
+        const saved = JSON.parse(await readFile(getIndexPath(path), 'utf-8'));
+        assert.equal(saved.count, ENTRIES.length);
+
+        await appendFile(path, JSON.stringify({ num: '401' }) + '\n');
+        const index = await NDJSONIndex.open(path, { interval: 16 });
+        assert.equal(index.data.count, ENTRIES.length + 1);
+        assert.deepEqual(await index.getPost(401), { num: '401' });
+    });
+
+    it('rejects files that are not sorted by post number', async () => {
+        const path = join(dir, 'unsorted.ndjson');
+        await writeFile(path, ['{"num":"2"}', '{"num":"3"}', '{"num":"1"}'].join('\n') + '\n');
+        await assert.rejects(NDJSONIndex.open(path, { interval: 1, save: false }), /not sorted/);
+    });
+});
@@ -0,0 +1,85 @@
+// @ts-check
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtemp, writeFile, readFile, rm } = require('fs/promises');
+const { existsSync } = require('fs');
+const { createHash } = require('crypto');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { gzipSync, gunzipSync } = require('zlib');
+const { applyPatch, getPatchName, mergePatches, readPatch, writePatch } = require('../ndjsonPatch');
+
+/**
+ * @param {Array<any>} entries The entries.
+ */
+function ndjson(entries) {
+    return entries.map(e => JSON.stringify(e)).join('\n') + '\n';
+}
+
+/**
+ * @param {Buffer | string} data The data to hash.
+ */
+function sha256(data) {
+    return createHash('sha256').update(data).digest('hex');
+}
+
+const MOE_POST = { num: '11', thread_num: '10', comment: 'moe', extra_data: [{ source: 'archived.moe' }] };
+const DESU_POST = { num: '11', thread_num: '10', comment: 'desu' };
+const FOUND_POST = { num: '12', thread_num: '10', comment: 'found' };
+const BASE = ndjson([{ num: '10', thread_num: '10' }, MOE_POST, { num: '12', exception: 'Post: not found', timestamp: 1 }]);
+const RESULT = ndjson([{ num: '10', thread_num: '10' }, DESU_POST, FOUND_POST]);
+
+/** @type {Array<import('../ndjsonPatch').PatchRecord>} */
+const PATCH = [
+    { num: '12', oldSource: null, post: FOUND_POST, baseSha256: sha256(BASE), resultSha256: sha256(RESULT) },
+    { num: '11', oldSource: 'archived.moe', post: DESU_POST, baseSha256: sha256(BASE), resultSha256: sha256(RESULT) },
+];
+
+describe('ndjson patches', () => {
+    /** @type {string} */
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'ndjson-patch-test-'));
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('names patches by the data they apply to', () => {
+        assert.equal(getPatchName('20250101000000_daily_10_12', sha256(BASE)), `20250101000000_daily_10_12.${sha256(BASE).substring(0, 16)}.patch.ndjson`);
+    });
+
+    it('writes patches sorted by post number', async () => {
+        const path = join(dir, 'sorted.patch.ndjson');
+        await writePatch(path, PATCH);
+        assert.deepEqual(await readPatch(path), [PATCH[1], PATCH[0]]);
+    });
+
+    it('applies a patch to a compressed chunk in place', async () => {
+        const path = join(dir, 'chunk.ndjson.gz');
+        await writeFile(path, gzipSync(BASE));
+        assert.equal(await applyPatch(path, [PATCH], path), sha256(RESULT));
+        assert.equal(gunzipSync(await readFile(path)).toString('utf-8'), RESULT);
+    });
+
+    it('applies chained patches', async () => {
+        const next = ndjson([{ num: '10', thread_num: '10', comment: 'edited' }, DESU_POST, FOUND_POST]);
+        const second = [{ num: '10', oldSource: 'desuarchive.org', post: { num: '10', thread_num: '10', comment: 'edited' }, baseSha256: sha256(RESULT), resultSha256: sha256(next) }];
+        const path = join(dir, 'chained.ndjson');
+        await writeFile(path, BASE);
+        await applyPatch(path, [PATCH, second], join(dir, 'chained.out.ndjson'));
+        assert.equal(await readFile(join(dir, 'chained.out.ndjson'), 'utf-8'), next);
+        assert.throws(() => mergePatches([second, PATCH]), /Patch applies to/);
+        assert.throws(() => mergePatches([PATCH], sha256(RESULT)), /Patch applies to/);
+    });
+
+    it('refuses to patch other data', async () => {
+        const path = join(dir, 'other.ndjson');
+        await writeFile(path, RESULT);
+        await assert.rejects(applyPatch(path, [PATCH], path), /Patch applies to/);
+        assert.equal(await readFile(path, 'utf-8'), RESULT);
+        assert.equal(existsSync(`${path}.${process.pid}.tmp`), false);
+    });
+});
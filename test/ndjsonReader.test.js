@@ -0,0 +1,70 @@
+// @ts-check
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtemp, writeFile, rm } = require('fs/promises');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { gzipSync } = require('zlib');
+const { readNDJSON, isGzipFile } = require('../ndjsonReader');
+
+const ENTRIES = Array.from({ length: 500 }, (_, i) => ({ num: String(i + 1), comment: 'x'.repeat(i % 37) }));
+const NDJSON = ENTRIES.map(e => JSON.stringify(e)).join('\n') + '\n';
+
+/**
+ * Read all entries of an NDJSON file.
+ * 
+ * @param {string} path The file path.
+ * @param {import('../ndjsonReader').ReadNDJSONOptions} [opts] The read options.
+ */
+async function readAll(path, opts) {
+    /** @type {Array<any>} */
+    const entries = [];
+    await readNDJSON(path, (entry) => { entries.push(entry); }, opts);
+    return entries;
+}
+
+describe('readNDJSON', () => {
+    /** @type {string} */
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'ndjson-test-'));
+        await writeFile(join(dir, 'plain.ndjson'), NDJSON);
+        await writeFile(join(dir, 'release.ndjson.gz'), gzipSync(NDJSON));
+        // Detected by the magic bytes alone
+        await writeFile(join(dir, 'release.bin'), gzipSync(NDJSON));
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('detects gzip files by extension and magic bytes', async () => {
+        assert.equal(await isGzipFile(join(dir, 'plain.ndjson')), false);
+        assert.equal(await isGzipFile(join(dir, 'release.ndjson.gz')), true);
+        assert.equal(await isGzipFile(join(dir, 'release.bin')), true);
+    });
+
+    it('reads gzip files like plain ones', async () => {
+        const opts = { highWaterMark: 1000 };
+        assert.deepEqual(await readAll(join(dir, 'plain.ndjson'), opts), ENTRIES);
+        assert.deepEqual(await readAll(join(dir, 'release.ndjson.gz'), opts), ENTRIES);
+        assert.deepEqual(await readAll(join(dir, 'release.bin'), opts), ENTRIES);
+    });
+
+    it('applies start and end to the decompressed data', async () => {
+        const start = NDJSON.indexOf('{"num":"100"');
+        const end = NDJSON.indexOf('{"num":"201"') - 1;
+        const opts = { highWaterMark: 1000, start, end };
+        const expected = ENTRIES.slice(99, 200);
+        assert.deepEqual(await readAll(join(dir, 'plain.ndjson'), opts), expected);
+        assert.deepEqual(await readAll(join(dir, 'release.ndjson.gz'), opts), expected);
+    });
+
+    it('reports progress in compressed bytes for gzip files', async () => {
+        const path = join(dir, 'release.ndjson.gz');
+        let last = 0;
+        await readNDJSON(path, () => { }, { highWaterMark: 1000, onProgress: (pos) => { last = pos; } });
+        assert.equal(last, gzipSync(NDJSON).length);
+    });
+});
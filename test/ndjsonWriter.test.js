@@ -0,0 +1,79 @@
+// @ts-check
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtemp, writeFile, readFile, readdir, rm } = require('fs/promises');
+const { createHash } = require('crypto');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { gzipSync, gunzipSync } = require('zlib');
+const { readJournal, appendJournal, mapLines, rewriteNDJSON } = require('../ndjsonWriter');
+
+/**
+ * @param {Buffer | string} data The data to hash.
+ */
+function sha256(data) {
+    return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Upper-case the comments of an NDJSON stream.
+ *
+ * @param {AsyncIterable<Buffer>} source The NDJSON data.
+ */
+function shout(source) {
+    return mapLines(source, (line) => {
+        const entry = JSON.parse(line.toString('utf-8'));
+        return Buffer.from(JSON.stringify({ ...entry, comment: entry.comment.toUpperCase() }) + '\n');
+    });
+}
+
+const DATA = '{"num":"1","comment":"a"}\n{"num":"2","comment":"b"}\n';
+const SHOUTED = '{"num":"1","comment":"A"}\n{"num":"2","comment":"B"}\n';
+
+describe('ndjson writer', () => {
+    /** @type {string} */
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'ndjson-writer-test-'));
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('reads journals back, ignoring a torn last line', async (t) => {
+        const journalFile = join(dir, 'journal.ndjson');
+        assert.deepEqual(await readJournal(journalFile, 'test journal'), []);
+        await appendJournal(journalFile, { t: 'range', start: 1, end: 2 });
+        await appendJournal(journalFile, { t: 'pass', site: 'desuarchive.org' });
+        await writeFile(journalFile, '{"t":"step","si', { flag: 'a' });
+
+        const warn = t.mock.method(console, 'warn', () => { });
+        assert.deepEqual(await readJournal(journalFile, 'test journal'), [{ t: 'range', start: 1, end: 2 }, { t: 'pass', site: 'desuarchive.org' }]);
+        assert.match(String(warn.mock.calls[0].arguments[0]), /corrupted test journal record/);
+    });
+
+    it('rewrites files in place, hashing the data before and after', async () => {
+        const path = join(dir, 'chunk.ndjson.gz');
+        await writeFile(path, gzipSync(DATA));
+
+        // Only hashing
+        assert.deepEqual(await rewriteNDJSON(path, shout, null), { baseSha256: sha256(DATA), resultSha256: sha256(SHOUTED) });
+        assert.equal(gunzipSync(await readFile(path)).toString('utf-8'), DATA);
+
+        assert.deepEqual(await rewriteNDJSON(path, shout, path, { gzip: true }), { baseSha256: sha256(DATA), resultSha256: sha256(SHOUTED) });
+        assert.equal(gunzipSync(await readFile(path)).toString('utf-8'), SHOUTED);
+    });
+
+    it('leaves the output alone when the check fails', async () => {
+        const path = join(dir, 'checked.ndjson');
+        await writeFile(path, DATA);
+
+        await assert.rejects(rewriteNDJSON(path, shout, path, {
+            check: (sums) => { throw new Error(`Unexpected result ${sums.resultSha256}`); },
+        }), /Unexpected result/);
+        assert.equal(await readFile(path, 'utf-8'), DATA);
+        assert.deepEqual((await readdir(dir)).filter(f => f.endsWith('.tmp')), []);
+    });
+});
@@ -0,0 +1,97 @@
+// @ts-check
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { readFile, writeFile } = require('fs/promises');
+const { join } = require('path');
+const { gunzipSync, gzipSync } = require('zlib');
+const { DATA_DIR, makePost, archivedPost, endpoint, installFakeArchives } = require('./fakeArchives');
+const { transformNDJSON, createArchiveChecker } = require('../reCheck');
+
+const UPGRADE_CUTOFF = 1_500_000_000;
+
+describe('reCheck', () => {
+    /** @type {ReturnType<typeof installFakeArchives>} */
+    let fake;
+
+    beforeEach(() => {
+        fake = installFakeArchives();
+        for (const method of /** @type {const} */ (['log', 'warn', 'error'])) {
+            mock.method(console, method, () => { });
+        }
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        fake.restore();
+    });
+
+    it('upgrades low priority entries from the best archive that has them', async () => {
+        const { sites } = fake;
+        sites['desuarchive.org'].addPosts([200, 201, 202].map(num => makePost(num, 200)));
+        sites['arch.b4k.dev'].addPosts([200, 201, 202, 203].map(num => makePost(num, 200, { site: 'arch.b4k.dev' })));
+        const oldPost = { ...archivedPost(204, 204, 'archived.moe'), timestamp: 1_000_000_000 };
+        const missing = { num: '205', exception: 'Post: not found', timestamp: 1_700_000_000 };
+        const input = [
+            archivedPost(201, 200),
+            archivedPost(202, 200, 'archived.moe'),
+            { num: '203', exception: 'Post: not found', timestamp: 1_700_000_000 },
+            oldPost,
+            missing,
+        ];
+        const inputPath = join(DATA_DIR, 'input.ndjson');
+        const outputPath = join(DATA_DIR, 'output.ndjson');
+        await writeFile(inputPath, input.map(e => JSON.stringify(e)).join('\n') + '\n');
+
+        const checker = createArchiveChecker();
+        await transformNDJSON(inputPath, outputPath, (entry) => checker.recheckEntry(entry, UPGRADE_CUTOFF));
+
+        const expected = [
+            archivedPost(201, 200),
+            archivedPost(202, 200),
+            archivedPost(203, 200, 'arch.b4k.dev'),
+            oldPost,
+            missing,
+        ];
+        assert.equal(await readFile(outputPath, 'utf-8'), expected.map(e => JSON.stringify(e)).join('\n') + '\n');
+        assert.deepEqual(checker.stats, { lowPriorityCount: 4, upgradedCount: 2 });
+        // Entries from desuarchive.org and entries older than the cutoff are never refetched
+        assert.equal(fake.requests.some(r => endpoint('post', 201)(r.url) || endpoint('post', 204)(r.url)), false);
+    });
+
+    it('transforms gzip compressed files in place of plain ones', async () => {
+        const input = [archivedPost(501, 501), { num: '502', exception: 'Post: not found', timestamp: 1_700_000_000 }];
+        const ndjson = input.map(e => JSON.stringify(e)).join('\n') + '\n';
+        const inputPath = join(DATA_DIR, 'input.ndjson.gz');
+        await writeFile(inputPath, gzipSync(ndjson));
+
+        await transformNDJSON(inputPath, join(DATA_DIR, 'output.ndjson.gz'), (entry) => entry);
+        await transformNDJSON(inputPath, join(DATA_DIR, 'output.ndjson'), (entry) => entry);
+        await transformNDJSON(inputPath, join(DATA_DIR, 'output.tmp'), (entry) => entry, { gzip: true });
+
+        assert.equal(gunzipSync(await readFile(join(DATA_DIR, 'output.ndjson.gz'))).toString('utf-8'), ndjson);
+        assert.equal(await readFile(join(DATA_DIR, 'output.ndjson'), 'utf-8'), ndjson);
+        assert.equal(gunzipSync(await readFile(join(DATA_DIR, 'output.tmp'))).toString('utf-8'), ndjson);
+    });
+
+    it('falls through to the next archive when one keeps failing', async () => {
+        const { sites } = fake;
+        sites['desuarchive.org'].script(endpoint('post', 301), 500, { error: 'Internal Server Error' });
+        sites['arch.b4k.dev'].addPosts([makePost(301, 301, { site: 'arch.b4k.dev' })]);
+
+        const checker = createArchiveChecker();
+        const result = await checker.recheckEntry({ num: '301', exception: 'Post: not found', timestamp: 1_700_000_000 }, UPGRADE_CUTOFF);
+
+        assert.deepEqual(result, archivedPost(301, 301, 'arch.b4k.dev'));
+    });
+
+    it('keeps the entry when archived.moe asks for a captcha', async () => {
+        fake.sites['archived.moe'].script(() => true, 403, { error: 'Forbidden' });
+        const entry = { num: '401', exception: 'Post: not found', timestamp: 1_700_000_000 };
+
+        const checker = createArchiveChecker();
+        const result = await checker.recheckEntry(entry, UPGRADE_CUTOFF);
+
+        assert.deepEqual(result, entry);
+        assert.ok(fake.requests.some(r => r.site === 'archived.moe' && endpoint('post', 401)(r.url)));
+    });
+});
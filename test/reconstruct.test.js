@@ -0,0 +1,356 @@
+// @ts-check
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtemp, writeFile, readFile, rm, mkdir, appendFile } = require('fs/promises');
+const { existsSync } = require('fs');
+const { createServer } = require('http');
+const { createHash } = require('crypto');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { gzipSync } = require('zlib');
+const { getLastLocalPost, getStatePath, parseDateBound, patchReconstruction, reconstructRange, updateReconstruction } = require('../reconstruct');
+const { getPatchName } = require('../ndjsonPatch');
+
+/**
+ * Build the NDJSON data of a chunk holding every post in a range, posted 100 seconds apart.
+ * 
+ * @param {number} start The first post ID.
+ * @param {number} end The last post ID.
+ * @param {Record<number, string>} [sources={}] Archive the post came from, by post ID, for posts not from desuarchive.
+ */
+function chunkData(start, end, sources = {}) {
+    let data = '';
+    for (let num = start; num <= end; num++) {
+        const post = { num: String(num), thread_num: '100', comment: `Post ${num}`, timestamp: num * 100 };
+        data += JSON.stringify(sources[num] ? { ...post, extra_data: [{ source: sources[num] }] } : post) + '\n';
+    }
+    return data;
+}
+
+/**
+ * @param {Buffer | string} data The data to hash.
+ */
+function sha256(data) {
+    return createHash('sha256').update(data).digest('hex');
+}
+
+describe('reconstruct', () => {
+    /** @type {string} */
+    let dir;
+    /** @type {string} */
+    let localFile;
+    /** @type {import('http').Server} */
+    let server;
+    /** @type {string} */
+    let base;
+    /** @type {Array<string>} */
+    const requests = [];
+    /** @type {Array<string>} */
+    const ranges = [];
+    /** @type {Map<string, Buffer>} */
+    const files = new Map();
+
+    const YEARLY = '20250101000000_yearly_1_100';
+    const MONTHLY = '20250201000000_monthly_101_200';
+    const DAILY = '20250202000000_daily_201_210';
+    const OLD = {
+        [YEARLY]: chunkData(1, 100, { 7: 'archived.moe' }),
+        [MONTHLY]: chunkData(101, 200, { 150: 'archived.moe', 151: 'archived.moe' }),
+        [DAILY]: chunkData(201, 210),
+    };
+
+    /**
+     * Publish chunks and build their manifest.
+     * 
+     * @param {Record<string, string>} chunks The raw chunk data, by name.
+     * @param {Array<string>} [unrecorded=[]] Chunks without recorded checksums.
+     * @returns {import('../archiveManifest').Manifest} The manifest.
+     */
+    function publish(chunks, unrecorded = []) {
+        files.clear();
+        /** @type {import('../archiveManifest').Manifest} */
+        const manifest = {
+            lastDownloaded: 210, daily: [DAILY], monthly: [MONTHLY],
+            yearly: [{ name: YEARLY, url: `${base}/ia/${YEARLY}.ndjson.gz` }], chunks: {},
+        };
+        for (const [name, data] of Object.entries(chunks)) {
+            const gz = gzipSync(data);
+            files.set(name === YEARLY ? `/ia/${name}.ndjson.gz` : `/${name}/${name}.ndjson.gz`, gz);
+            if (!unrecorded.includes(name)) {
+                const posts = data.split('\n').filter(Boolean).map(l => JSON.parse(l)).filter(p => !('exception' in p));
+                manifest.chunks[name] = {
+                    sha256: sha256(data), size: data.length, gzSha256: sha256(gz), gzSize: gz.length,
+                    posts: posts.length, exceptions: 0, firstTimestamp: posts[0].timestamp, lastTimestamp: posts[posts.length - 1].timestamp,
+                };
+            }
+        }
+        return manifest;
+    }
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'reconstruct-test-'));
+        localFile = join(dir, 'desuarchive_mlp_full.ndjson');
+        server = createServer((req, res) => {
+            requests.push(req.url || '');
+            const data = files.get(req.url || '');
+            if (!data) {
+                res.writeHead(404).end();
+                return;
+            }
+            const range = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+            if (range) {
+                ranges.push(`${req.url} ${range[1]}`);
+                const start = parseInt(range[1], 10);
+                if (start >= data.length) {
+                    res.writeHead(416).end();
+                    return;
+                }
+                res.writeHead(206, { 'Content-Range': `bytes ${start}-${data.length - 1}/${data.length}` }).end(data.subarray(start));
+                return;
+            }
+            res.writeHead(200).end(data);
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(void 0)));
+        const address = /** @type {import('net').AddressInfo} */ (server.address());
+        base = `http://127.0.0.1:${address.port}`;
+    });
+
+    after(async () => {
+        await new Promise((resolve) => server.close(() => resolve(void 0)));
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+        await rm(getStatePath(localFile), { force: true });
+        // Reconstructed before the monthly was rechecked, with the daily partially appended
+        await rm(`${localFile}.downloads`, { recursive: true, force: true });
+        await writeFile(localFile, OLD[YEARLY] + OLD[MONTHLY] + chunkData(201, 205));
+        requests.length = 0;
+        ranges.length = 0;
+        for (const method of /** @type {const} */ (['log', 'warn', 'error'])) {
+            mock.method(console, method, () => { });
+        }
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('finds the last local post', async () => {
+        assert.equal(await getLastLocalPost(localFile), 205);
+        const empty = join(dir, 'empty.ndjson');
+        await writeFile(empty, '');
+        assert.equal(await getLastLocalPost(empty), 0);
+    });
+
+    it('replaces the posts of rechecked chunks', async () => {
+        const rechecked = chunkData(101, 200, { 151: 'archived.moe' });
+        const manifest = publish({ ...OLD, [MONTHLY]: rechecked });
+
+        const result = await patchReconstruction(localFile, manifest, { base });
+
+        assert.deepEqual(result, { verified: [YEARLY], patched: [MONTHLY], unknown: [] });
+        assert.equal(await readFile(localFile, 'utf-8'), OLD[YEARLY] + rechecked + chunkData(201, 205));
+        // No patch was published, so the whole chunk was downloaded
+        assert.deepEqual(requests, [
+            `/${MONTHLY}/${getPatchName(MONTHLY, sha256(OLD[MONTHLY]))}`,
+            `/${MONTHLY}/${MONTHLY}.ndjson.gz`,
+        ]);
+        const state = JSON.parse(await readFile(getStatePath(localFile), 'utf-8'));
+        assert.deepEqual(state.chunks, { [YEARLY]: sha256(OLD[YEARLY]), [MONTHLY]: sha256(rechecked) });
+
+        // Nothing to check or download on the next run
+        requests.length = 0;
+        assert.deepEqual(await patchReconstruction(localFile, manifest, { base }), { verified: [], patched: [], unknown: [] });
+        assert.deepEqual(requests, []);
+    });
+
+    it('applies published recheck patches instead of downloading the chunk', async () => {
+        const first = chunkData(101, 200, { 151: 'archived.moe' });
+        const second = chunkData(101, 200);
+        const manifest = publish({ ...OLD, [MONTHLY]: second });
+        const oldPost = { num: '150', thread_num: '100', comment: 'Post 150', timestamp: 15000 };
+        const patches = [
+            { num: '150', oldSource: 'archived.moe', post: oldPost, baseSha256: sha256(OLD[MONTHLY]), resultSha256: sha256(first) },
+            { num: '151', oldSource: 'archived.moe', post: { ...oldPost, num: '151', comment: 'Post 151', timestamp: 15100 }, baseSha256: sha256(first), resultSha256: sha256(second) },
+        ];
+        for (const patch of patches) {
+            files.set(`/${MONTHLY}/${getPatchName(MONTHLY, patch.baseSha256)}`, Buffer.from(JSON.stringify(patch) + '\n'));
+        }
+
+        const result = await patchReconstruction(localFile, manifest, { base });
+
+        assert.deepEqual(result.patched, [MONTHLY]);
+        assert.equal(await readFile(localFile, 'utf-8'), OLD[YEARLY] + second + chunkData(201, 205));
+        assert.deepEqual(requests, patches.map(p => `/${MONTHLY}/${getPatchName(MONTHLY, p.baseSha256)}`));
+    });
+
+    it('patches several chunks in one pass', async () => {
+        const yearly = chunkData(1, 100);
+        const monthly = chunkData(101, 200);
+        const manifest = publish({ [YEARLY]: yearly, [MONTHLY]: monthly, [DAILY]: OLD[DAILY] });
+
+        const result = await patchReconstruction(localFile, manifest, { base });
+
+        assert.deepEqual(result.patched, [YEARLY, MONTHLY]);
+        assert.equal(await readFile(localFile, 'utf-8'), yearly + monthly + chunkData(201, 205));
+    });
+
+    it('only reports changes on a dry run', async () => {
+        const manifest = publish({ ...OLD, [MONTHLY]: chunkData(101, 200) });
+
+        const result = await patchReconstruction(localFile, manifest, { base, dryRun: true });
+
+        assert.deepEqual(result, { verified: [YEARLY], patched: [MONTHLY], unknown: [] });
+        assert.equal(await readFile(localFile, 'utf-8'), OLD[YEARLY] + OLD[MONTHLY] + chunkData(201, 205));
+        assert.deepEqual(requests, []);
+        assert.equal(existsSync(getStatePath(localFile)), false);
+    });
+
+    it('skips chunks without recorded checksums', async () => {
+        const manifest = publish({ ...OLD, [YEARLY]: chunkData(1, 100) }, [YEARLY]);
+
+        const result = await patchReconstruction(localFile, manifest, { base });
+
+        assert.deepEqual(result, { verified: [MONTHLY], patched: [], unknown: [YEARLY] });
+    });
+
+    it('keeps the local file when a download does not match its checksum', async () => {
+        const monthly = chunkData(101, 200);
+        const manifest = publish({ ...OLD, [MONTHLY]: monthly });
+        files.set(`/${MONTHLY}/${MONTHLY}.ndjson.gz`, gzipSync(chunkData(101, 199)));
+
+        await assert.rejects(patchReconstruction(localFile, manifest, { base }), /Checksum mismatch/);
+
+        assert.equal(await readFile(localFile, 'utf-8'), OLD[YEARLY] + OLD[MONTHLY] + chunkData(201, 205));
+        assert.equal(existsSync(getStatePath(localFile)), false);
+    });
+
+    it('appends the posts after the local file', async () => {
+        const manifest = publish(OLD);
+
+        const result = await updateReconstruction(localFile, manifest, { base });
+
+        assert.deepEqual(result, { from: 206, to: 210, appended: [DAILY], verified: [], repaired: [], unknown: [] });
+        assert.equal(await readFile(localFile, 'utf-8'), OLD[YEARLY] + OLD[MONTHLY] + OLD[DAILY]);
+        assert.deepEqual(requests, [`/${DAILY}/${DAILY}.ndjson.gz`]);
+        assert.equal(existsSync(`${localFile}.downloads`), false);
+
+        requests.length = 0;
+        assert.deepEqual((await updateReconstruction(localFile, manifest, { base })).appended, []);
+        assert.deepEqual(requests, []);
+    });
+
+    it('builds a reconstruction from scratch', async () => {
+        const manifest = publish(OLD);
+        await rm(localFile);
+
+        const result = await updateReconstruction(localFile, manifest, { base, concurrency: 2 });
+
+        assert.deepEqual(result.appended, [YEARLY, MONTHLY, DAILY]);
+        assert.equal(await readFile(localFile, 'utf-8'), OLD[YEARLY] + OLD[MONTHLY] + OLD[DAILY]);
+        const state = JSON.parse(await readFile(getStatePath(localFile), 'utf-8'));
+        assert.deepEqual(state.chunks, { [YEARLY]: sha256(OLD[YEARLY]), [MONTHLY]: sha256(OLD[MONTHLY]), [DAILY]: sha256(OLD[DAILY]) });
+    });
+
+    it('resumes partial downloads', async () => {
+        const manifest = publish(OLD);
+        await rm(localFile);
+        const gz = /** @type {Buffer} */ (files.get(`/${MONTHLY}/${MONTHLY}.ndjson.gz`));
+        const half = Math.floor(gz.length / 2);
+        await mkdir(`${localFile}.downloads`);
+        await writeFile(join(`${localFile}.downloads`, `${MONTHLY}.ndjson.gz.part`), gz.subarray(0, half));
+
+        await updateReconstruction(localFile, manifest, { base });
+
+        assert.deepEqual(ranges, [`/${MONTHLY}/${MONTHLY}.ndjson.gz ${half}`]);
+        assert.equal(await readFile(localFile, 'utf-8'), OLD[YEARLY] + OLD[MONTHLY] + OLD[DAILY]);
+    });
+
+    it('falls back to the Internet Archive mirror recorded in the manifest', async () => {
+        const manifest = publish(OLD);
+        await rm(localFile);
+        const github = `/${MONTHLY}/${MONTHLY}.ndjson.gz`;
+        const mirror = `/ia/desuarchive_mlp_101_200_20250201000000/${MONTHLY}.ndjson.gz`;
+        files.set(mirror, /** @type {Buffer} */ (files.get(github)));
+        files.delete(github);
+
+        // Not mirrored as far as the manifest knows
+        await assert.rejects(updateReconstruction(localFile, manifest, { base }), /Failed to download 20250201000000_monthly_101_200/);
+        assert.deepEqual(requests.filter(r => r.includes(MONTHLY)), [github, github, github]);
+
+        requests.length = 0;
+        manifest.chunks[MONTHLY].mirror = `${base}${mirror}`;
+        await updateReconstruction(localFile, manifest, { base });
+
+        assert.deepEqual(requests.filter(r => r.includes(MONTHLY)), [github, github, github, mirror]);
+        assert.equal(await readFile(localFile, 'utf-8'), OLD[YEARLY] + OLD[MONTHLY] + OLD[DAILY]);
+    });
+
+    it('removes what an interrupted append left', async () => {
+        const manifest = publish(OLD);
+        await appendFile(localFile, '{"num":"206","thread_');
+
+        await updateReconstruction(localFile, manifest, { base });
+
+        assert.equal(await readFile(localFile, 'utf-8'), OLD[YEARLY] + OLD[MONTHLY] + OLD[DAILY]);
+        await assert.rejects(getLastLocalPost(`${localFile}.missing`));
+        await appendFile(localFile, '{"num":"211"');
+        await assert.rejects(getLastLocalPost(localFile), /Failed to parse the last line/);
+    });
+
+    it('repairs corrupt and missing posts anywhere in the local file', async () => {
+        const manifest = publish(OLD);
+        // A broken line in the yearly, posts lost from the monthly, and an unsorted post in the appended part of the daily
+        const yearly = OLD[YEARLY].replace('{"num":"50",', '{"num":"50"\0\0');
+        const monthly = chunkData(101, 119, { 7: 'archived.moe' }) + chunkData(131, 200, { 150: 'archived.moe', 151: 'archived.moe' });
+        await writeFile(localFile, yearly + monthly + chunkData(201, 202) + chunkData(100, 100) + chunkData(203, 205));
+
+        const result = await updateReconstruction(localFile, manifest, { base, verify: true });
+
+        assert.deepEqual(result, { from: 201, to: 210, appended: [DAILY], verified: [], repaired: [YEARLY, MONTHLY], unknown: [] });
+        assert.equal(await readFile(localFile, 'utf-8'), OLD[YEARLY] + OLD[MONTHLY] + OLD[DAILY]);
+
+        const verified = await updateReconstruction(localFile, manifest, { base, verify: true });
+        assert.deepEqual(verified.verified, [YEARLY, MONTHLY, DAILY]);
+    });
+
+    it('reconstructs a post range from the chunks holding it', async () => {
+        const manifest = publish(OLD);
+        const outFile = join(dir, 'range.ndjson');
+
+        const result = await reconstructRange(outFile, manifest, { from: 150, to: 205 }, { base });
+
+        assert.deepEqual(result, { chunks: [MONTHLY, DAILY], entries: 56, first: 150, last: 205 });
+        assert.equal(await readFile(outFile, 'utf-8'), chunkData(150, 200, { 150: 'archived.moe', 151: 'archived.moe' }) + chunkData(201, 205));
+        assert.deepEqual(requests, [`/${MONTHLY}/${MONTHLY}.ndjson.gz`, `/${DAILY}/${DAILY}.ndjson.gz`]);
+        assert.equal(existsSync(`${outFile}.downloads`), false);
+    });
+
+    it('reconstructs a date range, keeping the exceptions between its posts', async () => {
+        /**
+         * @param {number} num The post ID.
+         */
+        const notFound = (num) => JSON.stringify({ num: String(num), exception: 'Post: not found', timestamp: 99999 }) + '\n';
+        const monthly = chunkData(101, 118) + notFound(119) + chunkData(120, 124) + notFound(125) + chunkData(126, 129) + notFound(130) + chunkData(131, 200);
+        const manifest = publish({ ...OLD, [MONTHLY]: monthly });
+        const outFile = join(dir, 'dates.ndjson');
+
+        const result = await reconstructRange(outFile, manifest, { since: 12000, until: 13000 }, { base });
+
+        assert.deepEqual(result, { chunks: [MONTHLY], entries: 10, first: 120, last: 129 });
+        assert.equal(await readFile(outFile, 'utf-8'), chunkData(120, 124) + notFound(125) + chunkData(126, 129));
+        assert.deepEqual(requests, [`/${MONTHLY}/${MONTHLY}.ndjson.gz`]);
+    });
+
+    it('parses date bounds', () => {
+        assert.equal(parseDateBound('2024-03', false), Date.UTC(2024, 2, 1) / 1000);
+        assert.equal(parseDateBound('2024-03', true), Date.UTC(2024, 3, 1) / 1000);
+        assert.equal(parseDateBound('2024-12', true), Date.UTC(2025, 0, 1) / 1000);
+        assert.equal(parseDateBound('2024-03-05', false), Date.UTC(2024, 2, 5) / 1000);
+        assert.equal(parseDateBound('2024-03-05', true), Date.UTC(2024, 2, 6) / 1000);
+        assert.equal(parseDateBound('2024-03-05T10:00:00', true), Date.UTC(2024, 2, 5, 10) / 1000 + 1);
+        assert.equal(parseDateBound('2024-03-05T10:00:00+02:00', false), Date.UTC(2024, 2, 5, 8) / 1000);
+        assert.throws(() => parseDateBound('March', false), /Invalid date/);
+    });
+});
@@ -0,0 +1,94 @@
+// @ts-check
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtemp, readFile, writeFile, rm } = require('fs/promises');
+const { existsSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { gzipSync } = require('zlib');
+const { makePost, archivedPost, notFound, ndjson, endpoint, installFakeArchives } = require('./fakeArchives');
+const { runCampaign } = require('../recoverGaps');
+const { applyPatch, readPatch } = require('../ndjsonPatch');
+
+/**
+ * Read the entries of an uncompressed NDJSON file.
+ *
+ * @param {string} path The file path.
+ */
+async function readEntries(path) {
+    return (await readFile(path, 'utf-8')).split('\n').filter(l => l).map(l => JSON.parse(l));
+}
+
+describe('recovery campaign', () => {
+    /** @type {ReturnType<typeof installFakeArchives>} */
+    let fake;
+    /** @type {string} */
+    let dir;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'recover-gaps-test-'));
+        fake = installFakeArchives();
+        for (const method of /** @type {const} */ (['log', 'warn', 'error'])) {
+            mock.method(console, method, () => { });
+        }
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        fake.restore();
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('recovers gaps by thread across runs and writes a patch and a report', async () => {
+        const { sites } = fake;
+        sites['desuarchive.org'].addPosts([101, 103, 105].map(num => makePost(num, 101)));
+        sites['arch.b4k.dev'].addPosts([101, 102].map(num => makePost(num, 101, { site: 'arch.b4k.dev' })));
+        sites['archived.moe'].addPosts([101, 104].map(num => makePost(num, 101, { site: 'archived.moe' })));
+        sites['archived.moe'].script(endpoint('thread', 101), 403, { error: 'Forbidden' }, 1);
+
+        const base = [makePost(101, 101), notFound(102, { version: 1 }), archivedPost(103, 101, 'arch.b4k.dev'), notFound(104, { version: 1, threadNum: '101' }), makePost(105, 101)];
+        const archivePath = join(dir, 'base_101_105.ndjson.gz');
+        await writeFile(archivePath, gzipSync(base.map(e => JSON.stringify(e)).join('\n') + '\n'));
+        const campaignDir = join(dir, 'base_101_105.recovery');
+
+        // archived.moe asks for a captcha, so the thread stays pending
+        assert.equal(await runCampaign(archivePath), null);
+        assert.ok(existsSync(join(campaignDir, 'campaign.json')));
+        assert.equal(existsSync(join(campaignDir, 'report.json')), false);
+
+        fake.requests.length = 0;
+        const outputPath = join(dir, 'base_101_105.recovered.ndjson');
+        const report = await runCampaign(archivePath, { output: outputPath });
+        // Only the source that did not answer is asked again
+        assert.deepEqual([...new Set(fake.requests.map(r => r.site))], ['archived.moe']);
+
+        const expected = [
+            makePost(101, 101),
+            archivedPost(102, 101, 'arch.b4k.dev'),
+            makePost(103, 101),
+            archivedPost(104, 101, 'archived.moe'),
+            makePost(105, 101),
+        ];
+        assert.deepEqual(await readEntries(outputPath), expected);
+        assert.deepEqual(report, JSON.parse(await readFile(join(campaignDir, 'report.json'), 'utf-8')));
+        assert.equal(report.entries, 5);
+        assert.deepEqual([report.exceptions, report.lowPriority, report.units, report.pendingUnits], [2, 1, 2, 0]);
+        assert.deepEqual([report.recovered, report.upgraded, report.stillMissing], [2, 1, 0]);
+        assert.deepEqual(report.bySource, { 'desuarchive.org': 1, 'arch.b4k.dev': 1, 'archived.moe': 1 });
+        assert.equal(report.outcomes['archived.moe'].ok, 1);
+
+        // The patch turns the archive into the new revision
+        const patchedPath = join(dir, 'patched.ndjson');
+        const sha256 = await applyPatch(archivePath, [await readPatch(join(campaignDir, report.patch))], patchedPath, { gzip: false });
+        assert.equal(sha256, report.resultSha256);
+        assert.deepEqual(await readEntries(patchedPath), expected);
+    });
+
+    it('refuses to resume the campaign of another archive', async () => {
+        const archivePath = join(dir, 'base_1_2.ndjson');
+        await writeFile(archivePath, JSON.stringify(notFound(1, { version: 1 })) + '\n');
+        await runCampaign(archivePath, { limit: 0 });
+        await writeFile(archivePath, ndjson([notFound(1, { version: 1 }), notFound(2, { version: 1 })]));
+        await assert.rejects(runCampaign(archivePath), /holds the campaign of base_1_2\.ndjson/);
+    });
+});
@@ -0,0 +1,575 @@
+// @ts-check
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtemp, mkdir, writeFile, readFile, rm, copyFile } = require('fs/promises');
+const { existsSync } = require('fs');
+const { createHash } = require('crypto');
+const { tmpdir } = require('os');
+const { join, basename } = require('path');
+const { gzipSync, gunzipSync } = require('zlib');
+// Before the modules using the archive clients
+const { makePost, installFakeArchives } = require('./fakeArchives');
+const { ReleaseOrchestrator, getDateLabel } = require('../releaseOrchestrator');
+const { applyRecovered, getLedgerFile, loadLedger, saveLedger, trackGaps, retryGaps } = require('../retryLedger');
+const { createException } = require('../exceptionEntry');
+
+/**
+ * Build the NDJSON data of a chunk holding every post in a range.
+ * 
+ * @param {number} start The first post ID.
+ * @param {number} end The last post ID.
+ */
+function chunkData(start, end) {
+    let data = '';
+    for (let num = start; num <= end; num++) {
+        data += JSON.stringify({ num: String(num), thread_num: '100', timestamp: 1_700_000_000 + num }) + '\n';
+    }
+    return data;
+}
+
+/**
+ * In memory GitHub Releases, Internet Archive and git repository.
+ * 
+ * @param {string} dataDir The directory the manifest is saved to.
+ */
+function createFakes(dataDir) {
+    /** @type {Map<string, { files: Map<string, Buffer>, title: string }>} */
+    const releases = new Map();
+    /** @type {Map<string, { files: Map<string, Buffer>, metadata: Record<string, string> }>} */
+    const items = new Map();
+    /** @type {Array<{ message: string, manifest: any, files: Map<string, string> }>} */
+    const commits = [];
+    /** @type {Map<string, string>} The tracked files as of the last commit or checkout */
+    let committed = new Map();
+    /** @type {Set<string>} */
+    const tags = new Set();
+    /** @type {Record<string, (arg: string) => void>} */
+    const failures = {};
+
+    /**
+     * Run a scripted failure of an operation, if any.
+     * 
+     * @param {string} op The operation name.
+     * @param {string} arg The tag or item ID.
+     */
+    function maybeFail(op, arg) {
+        if (failures[op]) {
+            failures[op](arg);
+        }
+    }
+
+    /** @type {import('../releaseOrchestrator').ReleaseStore} */
+    const releaseStore = {
+        hasRelease: async (tag) => releases.has(tag),
+        listReleases: async () => [...releases.keys()],
+        createRelease: async (tag, files, title) => {
+            maybeFail('createRelease', tag);
+            assert.equal(releases.has(tag), false, `release ${tag} created twice`);
+            const assets = new Map();
+            for (const file of files) {
+                assets.set(basename(file), await readFile(file));
+            }
+            releases.set(tag, { files: assets, title });
+        },
+        downloadAsset: async (tag, file, dir) => {
+            const asset = releases.get(tag)?.files.get(file);
+            if (!asset) {
+                throw new Error(`No asset ${file} in ${tag}`);
+            }
+            await writeFile(join(dir, file), asset);
+        },
+        deleteRelease: async (tag) => {
+            maybeFail('deleteRelease', tag);
+            releases.delete(tag);
+        },
+    };
+
+    /** @type {import('../releaseOrchestrator').ArchiveStore} */
+    const archiveStore = {
+        hasFile: async (id, file) => items.get(id)?.files.has(file) || false,
+        upload: async (id, files, metadata) => {
+            maybeFail('upload', id);
+            const assets = new Map();
+            for (const file of files) {
+                assets.set(basename(file), await readFile(file));
+            }
+            items.set(id, { files: assets, metadata });
+        },
+        deleteFile: async (id, file) => {
+            maybeFail('deleteFile', id);
+            items.get(id)?.files.delete(file);
+        },
+    };
+
+    /**
+     * Read the files the repository tracks.
+     */
+    async function readTracked() {
+        /** @type {Map<string, string>} */
+        const files = new Map();
+        for (const file of ['manifest.json', 'retry_ledger.json']) {
+            if (existsSync(join(dataDir, file))) {
+                files.set(file, await readFile(join(dataDir, file), 'utf-8'));
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Take the tracked files on disk as the checked out commit.
+     */
+    async function checkout() {
+        committed = await readTracked();
+    }
+
+    /** @type {import('../releaseOrchestrator').ManifestRepo} */
+    const repo = {
+        commit: async (message) => {
+            if (commits.some(c => c.message === message)) {
+                return;
+            }
+            const files = await readTracked();
+            if (files.size === committed.size && [...files].every(([file, data]) => committed.get(file) === data)) {
+                return;
+            }
+            committed = files;
+            commits.push({ message, manifest: JSON.parse(/** @type {string} */ (files.get('manifest.json'))), files });
+        },
+        tag: async (tag) => { tags.add(tag); },
+        listTags: async () => [...tags],
+        deleteTag: async (tag) => { tags.delete(tag); },
+    };
+
+    return { releases, items, commits, tags, failures, releaseStore, archiveStore, repo, checkout };
+}
+
+describe('getDateLabel', () => {
+    it('labels with the previous period early on', () => {
+        assert.equal(getDateLabel('daily', new Date('2025-03-01T03:00:00Z')), '2025.02.28');
+        assert.equal(getDateLabel('daily', new Date('2025-03-01T13:00:00Z')), '2025.03.01');
+        assert.equal(getDateLabel('monthly', new Date('2025-01-01T03:00:00Z')), '2024.12');
+        assert.equal(getDateLabel('monthly', new Date('2025-03-20T03:00:00Z')), '2025.03');
+        assert.equal(getDateLabel('yearly', new Date('2026-01-27T03:00:00Z')), '2025');
+        assert.equal(getDateLabel('yearly', new Date('2026-05-02T03:00:00Z')), '2026');
+    });
+});
+
+describe('ReleaseOrchestrator', () => {
+    /** @type {string} */
+    let dir;
+    /** @type {ReturnType<typeof createFakes>} */
+    let fakes;
+    /** @type {Date} */
+    let now;
+    /** @type {Array<string>} */
+    let rechecked;
+
+    const DAILIES = ['20250329030000_daily_101_110', '20250330030000_daily_111_120', '20250331030000_daily_121_130'];
+
+    /**
+     * @param {Partial<import('../releaseOrchestrator').OrchestratorConfig>} [config] Config overrides.
+     */
+    function createOrchestrator(config) {
+        return new ReleaseOrchestrator({
+            dataDir: dir,
+            releases: fakes.releaseStore,
+            archive: fakes.archiveStore,
+            repo: fakes.repo,
+            clock: { now: () => now },
+            recover: (path, yearly) => applyRecovered(path, dir, 'mlp', yearly).then(() => { }),
+            recheck: async (path) => { rechecked.push(basename(path)); },
+            config,
+        });
+    }
+
+    /**
+     * @param {Object} manifest The manifest to save.
+     */
+    async function writeManifest(manifest) {
+        await writeFile(join(dir, 'manifest.json'), JSON.stringify({ lastDownloaded: 0, daily: [], monthly: [], yearly: [], chunks: {}, ...manifest }));
+        await fakes.checkout();
+    }
+
+    async function readManifest() {
+        return JSON.parse(await readFile(join(dir, 'manifest.json'), 'utf-8'));
+    }
+
+    /**
+     * Add an already published release of a chunk, with its local file.
+     * 
+     * @param {string} name The chunk name.
+     */
+    async function addRelease(name) {
+        const [, , start, end] = name.split('_');
+        const gz = gzipSync(chunkData(parseInt(start, 10), parseInt(end, 10)));
+        await writeFile(join(dir, `${name}.ndjson.gz`), gz);
+        fakes.releases.set(name, { files: new Map([[`${name}.ndjson.gz`, gz]]), title: name });
+        fakes.tags.add(name);
+    }
+
+    /**
+     * @param {string} tag The release tag.
+     * @param {string} file The asset name.
+     */
+    function releaseData(tag, file) {
+        const asset = fakes.releases.get(tag)?.files.get(file);
+        assert.ok(asset, `no asset ${file} in ${tag}`);
+        return gunzipSync(asset).toString('utf-8');
+    }
+
+    beforeEach(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'orchestrator-test-'));
+        fakes = createFakes(dir);
+        rechecked = [];
+        for (const method of /** @type {const} */ (['log', 'warn', 'error'])) {
+            mock.method(console, method, () => { });
+        }
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('publishes the new daily once', async () => {
+        const name = '20250310030000_daily_101_110';
+        await writeFile(join(dir, `${name}.ndjson`), chunkData(101, 110));
+        await writeManifest({ lastDownloaded: 110, daily: [name] });
+        now = new Date('2025-03-10T03:00:00Z');
+
+        await createOrchestrator().run();
+        await createOrchestrator().run();
+
+        assert.deepEqual([...fakes.releases.keys()], [name]);
+        assert.equal(fakes.releases.get(name)?.title, '2025.03.09 daily archive (101-110)');
+        assert.equal(releaseData(name, `${name}.ndjson.gz`), chunkData(101, 110));
+        assert.deepEqual(fakes.commits.map(c => c.message), [name]);
+        assert.deepEqual([...fakes.tags], [name]);
+        // The manifest is committed with the checksums before the release is created
+        assert.equal(fakes.commits[0].manifest.chunks[name].posts, 10);
+        assert.ok(fakes.commits[0].manifest.chunks[name].gzSha256);
+        assert.deepEqual(rechecked, []);
+    });
+
+    it('consolidates the dailies into a monthly on the 1st', async () => {
+        for (const daily of DAILIES) {
+            await addRelease(daily);
+        }
+        // Missing files are downloaded from their release
+        await rm(join(dir, `${DAILIES[0]}.ndjson.gz`));
+        await writeManifest({ lastDownloaded: 130, daily: DAILIES });
+        now = new Date('2025-04-01T03:00:00Z');
+
+        await createOrchestrator().run();
+
+        const monthly = '20250331030001_monthly_101_130';
+        const manifest = await readManifest();
+        assert.deepEqual(manifest.daily, []);
+        assert.deepEqual(manifest.monthly, [monthly]);
+        assert.deepEqual(Object.keys(manifest.chunks), [monthly]);
+        assert.equal(manifest.chunks[monthly].posts, 30);
+        assert.deepEqual([...fakes.releases.keys()], [monthly]);
+        assert.equal(fakes.releases.get(monthly)?.title, '2025.03 monthly archive (101-130)');
+        assert.equal(releaseData(monthly, `${monthly}.ndjson.gz`), chunkData(101, 130));
+        assert.deepEqual([...fakes.tags], [monthly]);
+        assert.deepEqual(rechecked, [`${monthly}.ndjson`]);
+        const mirror = fakes.items.get('desuarchive_mlp_101_130_20250331030001');
+        assert.equal(mirror?.metadata.title, '2025.03 /mlp/ monthly archive covering posts 101-130');
+        assert.equal(gunzipSync(/** @type {Buffer} */(mirror?.files.get(`${monthly}.ndjson.gz`))).toString('utf-8'), chunkData(101, 130));
+        assert.equal(manifest.chunks[monthly].mirror, `https://archive.org/download/desuarchive_mlp_101_130_20250331030001/${monthly}.ndjson.gz`);
+        assert.deepEqual(fakes.commits.map(c => c.message), [monthly, `Record the mirror of ${monthly}`]);
+    });
+
+    it('publishes the monthly when mirroring it fails', async () => {
+        for (const daily of DAILIES) {
+            await addRelease(daily);
+        }
+        await writeManifest({ lastDownloaded: 130, daily: DAILIES });
+        now = new Date('2025-04-01T03:00:00Z');
+        fakes.failures.upload = () => { throw new Error('ia: connection reset'); };
+
+        await createOrchestrator().run();
+
+        const monthly = '20250331030001_monthly_101_130';
+        assert.deepEqual([...fakes.releases.keys()], [monthly]);
+        assert.equal(fakes.items.size, 0);
+        // Reconstructions do not fall back to a mirror that does not exist
+        assert.equal((await readManifest()).chunks[monthly].mirror, undefined);
+    });
+
+    it('releases other boards from their own manifest section', async () => {
+        for (const daily of DAILIES) {
+            await addRelease(daily);
+        }
+        const coDailies = ['co_20250329030000_daily_501_510', 'co_20250331030000_daily_511_520'];
+        for (const daily of coDailies) {
+            const [, , , start, end] = daily.split('_');
+            const gz = gzipSync(chunkData(parseInt(start, 10), parseInt(end, 10)));
+            await writeFile(join(dir, `${daily}.ndjson.gz`), gz);
+            fakes.releases.set(daily, { files: new Map([[`${daily}.ndjson.gz`, gz]]), title: daily });
+            fakes.tags.add(daily);
+        }
+        await writeManifest({
+            lastDownloaded: 130, daily: DAILIES,
+            boards: { co: { lastDownloaded: 520, daily: coDailies, monthly: [], yearly: [], chunks: {} } },
+        });
+        now = new Date('2025-04-01T03:00:00Z');
+
+        await createOrchestrator({ board: 'co' }).run();
+
+        const monthly = 'co_20250331030001_monthly_501_520';
+        const manifest = await readManifest();
+        assert.deepEqual(manifest.daily, DAILIES);
+        assert.deepEqual(manifest.boards.co.daily, []);
+        assert.deepEqual(manifest.boards.co.monthly, [monthly]);
+        assert.deepEqual([...fakes.releases.keys()], [...DAILIES, monthly]);
+        assert.equal(fakes.releases.get(monthly)?.title, '2025.03 monthly archive (501-520)');
+        assert.equal(releaseData(monthly, `${monthly}.ndjson.gz`), chunkData(501, 520));
+        const mirror = fakes.items.get('desuarchive_co_501_520_20250331030001');
+        assert.equal(mirror?.metadata.title, '2025.03 /co/ monthly archive covering posts 501-520');
+    });
+
+    it('does not consolidate before it is due', async () => {
+        for (const daily of DAILIES) {
+            await addRelease(daily);
+        }
+        await writeManifest({ lastDownloaded: 130, daily: DAILIES });
+        now = new Date('2025-03-31T13:00:00Z');
+
+        await createOrchestrator().run();
+        assert.deepEqual((await readManifest()).daily, DAILIES);
+        assert.deepEqual(fakes.commits, []);
+
+        await createOrchestrator({ monthlyThreshold: 3 }).run();
+        assert.deepEqual((await readManifest()).monthly, ['20250331030001_monthly_101_130']);
+    });
+
+    it('keeps the dailies when the monthly fails the integrity check', async () => {
+        for (const daily of DAILIES) {
+            await addRelease(daily);
+        }
+        await writeManifest({ lastDownloaded: 130, daily: DAILIES });
+        now = new Date('2025-04-01T03:00:00Z');
+        const orchestrator = createOrchestrator();
+        // A broken recheck that loses a post
+        orchestrator.recheck = async (path) => {
+            const lines = (await readFile(path, 'utf-8')).split('\n');
+            lines.splice(15, 1);
+            await writeFile(path, lines.join('\n'));
+        };
+
+        await assert.rejects(orchestrator.run(), /Integrity check of 20250331030001_monthly_101_130 failed[^]*missing posts 116-116/);
+
+        assert.deepEqual((await readManifest()).daily, DAILIES);
+        assert.deepEqual([...fakes.releases.keys()], DAILIES);
+        assert.deepEqual([...fakes.tags], DAILIES);
+        assert.deepEqual(fakes.commits, []);
+    });
+
+    it('removes the dailies left over by a failed cleanup on the next run', async () => {
+        for (const daily of DAILIES) {
+            await addRelease(daily);
+        }
+        await writeManifest({ lastDownloaded: 130, daily: DAILIES });
+        now = new Date('2025-04-01T03:00:00Z');
+        fakes.failures.deleteRelease = (tag) => {
+            if (tag === DAILIES[1]) {
+                throw new Error('gh: HTTP 502');
+            }
+        };
+
+        await assert.rejects(createOrchestrator().run(), /HTTP 502/);
+        assert.deepEqual([...fakes.releases.keys()], [DAILIES[1], DAILIES[2], '20250331030001_monthly_101_130']);
+
+        delete fakes.failures.deleteRelease;
+        now = new Date('2025-04-02T03:00:00Z');
+        await createOrchestrator().run();
+
+        assert.deepEqual([...fakes.releases.keys()], ['20250331030001_monthly_101_130']);
+        assert.deepEqual([...fakes.tags], ['20250331030001_monthly_101_130']);
+        assert.deepEqual(fakes.commits.map(c => c.message), ['20250331030001_monthly_101_130', 'Record the mirror of 20250331030001_monthly_101_130']);
+    });
+
+    it('publishes a monthly that was committed but never uploaded', async () => {
+        for (const daily of DAILIES) {
+            await addRelease(daily);
+        }
+        await writeManifest({ lastDownloaded: 130, daily: DAILIES });
+        now = new Date('2025-04-01T03:00:00Z');
+        fakes.failures.createRelease = () => { throw new Error('gh: HTTP 502'); };
+
+        await assert.rejects(createOrchestrator().run(), /HTTP 502/);
+        const monthly = '20250331030001_monthly_101_130';
+        assert.deepEqual((await readManifest()).monthly, [monthly]);
+        assert.deepEqual([...fakes.releases.keys()], DAILIES);
+
+        delete fakes.failures.createRelease;
+        await createOrchestrator().run();
+
+        assert.deepEqual([...fakes.releases.keys()], [monthly]);
+        assert.equal(releaseData(monthly, `${monthly}.ndjson.gz`), chunkData(101, 130));
+        // The intact file from the failed run was reused
+        assert.deepEqual(rechecked, [`${monthly}.ndjson`]);
+    });
+
+    it('rebuilds a lost monthly from the dailies before publishing it', async () => {
+        for (const daily of DAILIES) {
+            await addRelease(daily);
+        }
+        await writeManifest({ lastDownloaded: 130, daily: DAILIES });
+        now = new Date('2025-04-01T03:00:00Z');
+        fakes.failures.createRelease = () => { throw new Error('gh: HTTP 502'); };
+        await assert.rejects(createOrchestrator().run(), /HTTP 502/);
+
+        // The next run happens on a fresh checkout
+        const monthly = '20250331030001_monthly_101_130';
+        for (const name of [...DAILIES, monthly]) {
+            await rm(join(dir, `${name}.ndjson.gz`), { force: true });
+            await rm(join(dir, `${name}.ndjson`), { force: true });
+        }
+        delete fakes.failures.createRelease;
+        await createOrchestrator().run();
+
+        assert.deepEqual([...fakes.releases.keys()], [monthly]);
+        assert.equal(releaseData(monthly, `${monthly}.ndjson.gz`), chunkData(101, 130));
+        assert.deepEqual(rechecked, [`${monthly}.ndjson`, `${monthly}.ndjson`]);
+        const manifest = await readManifest();
+        const asset = /** @type {Buffer} */ (fakes.releases.get(monthly)?.files.get(`${monthly}.ndjson.gz`));
+        assert.equal(manifest.chunks[monthly].gzSha256, createHash('sha256').update(asset).digest('hex'));
+    });
+
+    it('retries a gap tracked by one run and puts the post into the monthly of a later run', async () => {
+        for (const daily of DAILIES.slice(0, 2)) {
+            await addRelease(daily);
+        }
+        // The downloader wrote the last daily without post 125 and tracked it in the ledger
+        const daily = DAILIES[2];
+        const missing = createException('125', 'desuarchive.org', 'not-found');
+        const entries = chunkData(121, 130).split('\n').filter(Boolean).map(l => JSON.parse(l)).map(e => e.num === '125' ? missing : e);
+        await writeFile(join(dir, `${daily}.ndjson`), entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+        await writeManifest({ lastDownloaded: 130, daily: DAILIES });
+        now = new Date('2025-03-31T03:00:00Z');
+        const ledgerFile = getLedgerFile(dir, 'mlp');
+        const ledger = { gaps: [], recovered: [] };
+        trackGaps(ledger, daily, entries, now.getTime() / 1000);
+        await saveLedger(ledgerFile, ledger);
+
+        await createOrchestrator().run();
+        assert.deepEqual([...fakes.releases.keys()], DAILIES);
+
+        // The next run happens on a fresh checkout of the last commit
+        const { files } = fakes.commits[fakes.commits.length - 1];
+        await rm(dir, { recursive: true, force: true });
+        await mkdir(dir);
+        for (const [file, data] of files) {
+            await writeFile(join(dir, file), data);
+        }
+        assert.deepEqual((await loadLedger(ledgerFile)).gaps.map(g => g.num), [125]);
+
+        // Its downloader finds the post on another archive
+        now = new Date('2025-04-01T03:00:00Z');
+        const fake = installFakeArchives();
+        try {
+            fake.sites['arch.b4k.dev'].addPosts([makePost(125, 100, { site: 'arch.b4k.dev' })]);
+            const retried = await loadLedger(ledgerFile);
+            assert.deepEqual(await retryGaps(retried, 'mlp', now.getTime() / 1000), { asked: 1, recovered: 1, dropped: 0 });
+            await saveLedger(ledgerFile, retried);
+        } finally {
+            fake.restore();
+        }
+        const [{ post }] = (await loadLedger(ledgerFile)).recovered;
+        await createOrchestrator().run();
+
+        const monthly = '20250331030001_monthly_101_130';
+        assert.deepEqual([...fakes.releases.keys()], [monthly]);
+        assert.equal(releaseData(monthly, `${monthly}.ndjson.gz`), chunkData(101, 124) + JSON.stringify(post) + '\n' + chunkData(126, 130));
+        // The recovered post is kept until a yearly archive holds it
+        assert.ok(fakes.commits[fakes.commits.length - 1].files.get('retry_ledger.json')?.includes('"125"'));
+    });
+
+    it('uploads the yearly to the Internet Archive late in January', async () => {
+        const monthlies = ['20251201030000_monthly_101_120', '20260101030000_monthly_121_140'];
+        for (const m of monthlies) {
+            await addRelease(m);
+        }
+        const mirrorId = 'desuarchive_mlp_101_120_20251201030000';
+        fakes.items.set(mirrorId, { files: new Map([[`${monthlies[0]}.ndjson.gz`, Buffer.alloc(0)]]), metadata: {} });
+        await writeManifest({ lastDownloaded: 140, monthly: monthlies });
+        now = new Date('2026-01-26T03:00:00Z');
+        await createOrchestrator().run();
+        assert.deepEqual([...fakes.items.keys()], [mirrorId]);
+
+        now = new Date('2026-01-27T03:00:00Z');
+        await createOrchestrator({ blockGzipPosts: 7 }).run();
+
+        const yearly = '20260101030001_yearly_101_140';
+        const id = `desuarchive_mlp_101_140_20260101030001`;
+        const item = fakes.items.get(id);
+        assert.ok(item);
+        assert.deepEqual([...item.files.keys()], [`${yearly}.ndjson.gz`, `${yearly}.ndjson.gz.blocks.json`]);
+        assert.equal(gunzipSync(/** @type {Buffer} */(item.files.get(`${yearly}.ndjson.gz`))).toString('utf-8'), chunkData(101, 140));
+        assert.equal(JSON.parse(String(item.files.get(`${yearly}.ndjson.gz.blocks.json`))).blocks.length, 6);
+        assert.equal(item.metadata.title, '2025 /mlp/ yearly archive covering posts 101-140');
+        const manifest = await readManifest();
+        assert.deepEqual(manifest.monthly, []);
+        assert.deepEqual(manifest.yearly, [{ name: yearly, url: `https://archive.org/download/${id}/${yearly}.ndjson.gz` }]);
+        assert.deepEqual([...fakes.releases.keys()], []);
+        assert.deepEqual([...fakes.tags], [yearly]);
+        // The mirrors of the monthlies go with them
+        assert.deepEqual([...(fakes.items.get(mirrorId)?.files.keys() || [])], []);
+    });
+
+    it('uploads a yearly committed by a failed run', async () => {
+        const monthlies = ['20251201030000_monthly_101_120', '20260101030000_monthly_121_140'];
+        for (const m of monthlies) {
+            await addRelease(m);
+        }
+        await writeManifest({ lastDownloaded: 140, monthly: monthlies });
+        now = new Date('2026-01-27T03:00:00Z');
+        fakes.failures.upload = () => { throw new Error('ia: connection reset'); };
+        await assert.rejects(createOrchestrator().run(), /connection reset/);
+        assert.deepEqual([...fakes.releases.keys()], monthlies);
+
+        delete fakes.failures.upload;
+        await copyFile(join(dir, 'manifest.json'), join(dir, 'manifest.backup.json'));
+        await createOrchestrator().run();
+
+        assert.equal(fakes.items.size, 1);
+        assert.deepEqual([...fakes.releases.keys()], []);
+        assert.deepEqual(await readManifest(), JSON.parse(await readFile(join(dir, 'manifest.backup.json'), 'utf-8')));
+        assert.equal(existsSync(join(dir, '20260101030001_yearly_101_140.ndjson.gz')), true);
+    });
+
+    it('keeps the monthlies until the Internet Archive lists the yearly', async () => {
+        const monthlies = ['20251201030000_monthly_101_120', '20260101030000_monthly_121_140'];
+        for (const m of monthlies) {
+            await addRelease(m);
+        }
+        await writeManifest({ lastDownloaded: 140, monthly: monthlies });
+        now = new Date('2026-01-27T03:00:00Z');
+        // New uploads only show up after a while
+        let lagging = 2;
+        const hasFile = fakes.archiveStore.hasFile;
+        fakes.archiveStore.hasFile = async (id, file) => lagging-- <= 0 && hasFile(id, file);
+
+        await createOrchestrator().run();
+        const yearly = '20260101030001_yearly_101_140';
+        assert.equal(fakes.items.size, 1);
+        assert.deepEqual([...fakes.releases.keys()], monthlies);
+        assert.deepEqual([...fakes.tags].sort(), [...monthlies, yearly]);
+
+        // The next run happens on a fresh checkout and still does not see the upload
+        for (const name of [...monthlies, yearly]) {
+            await rm(join(dir, `${name}.ndjson.gz`), { force: true });
+            await rm(join(dir, `${name}.ndjson`), { force: true });
+        }
+        now = new Date('2026-01-28T03:00:00Z');
+        await createOrchestrator().run();
+
+        assert.deepEqual([...fakes.releases.keys()], []);
+        assert.deepEqual([...fakes.tags], [yearly]);
+        const item = fakes.items.get('desuarchive_mlp_101_140_20260101030001');
+        assert.equal(gunzipSync(/** @type {Buffer} */(item?.files.get(`${yearly}.ndjson.gz`))).toString('utf-8'), chunkData(101, 140));
+        assert.deepEqual(rechecked, [`${yearly}.ndjson`, `${yearly}.ndjson`]);
+    });
+});
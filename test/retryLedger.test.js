@@ -0,0 +1,119 @@
+// @ts-check
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtemp, readFile, writeFile, rm } = require('fs/promises');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { makePost, archivedPost, notFound, endpoint, installFakeArchives } = require('./fakeArchives');
+const { getBackoff, trackGaps, retryGaps, spliceRecovered, applyRecovered, loadLedger, saveLedger, getLedgerFile } = require('../retryLedger');
+
+/** @typedef {import('../retryLedger').RetryLedger} RetryLedger */
+
+const DAY = 24 * 60 * 60;
+const NOW = 1_750_000_000;
+const OPTS = { budget: 10, maxRetries: 3, backoffBase: DAY, backoffMax: 2 * DAY };
+
+describe('retry ledger', () => {
+    it('tracks the exception entries of a chunk with a growing backoff', () => {
+        assert.deepEqual([0, 1, 2, 3].map(r => getBackoff(r, OPTS)), [DAY, 2 * DAY, 2 * DAY, 2 * DAY]);
+
+        /** @type {RetryLedger} */
+        const ledger = { gaps: [], recovered: [] };
+        const entries = [makePost(101, 101), notFound(102), notFound(103)];
+        assert.equal(trackGaps(ledger, 'chunk_a', entries, NOW, OPTS), 2);
+        assert.deepEqual(ledger.gaps, [
+            { num: 102, chunk: 'chunk_a', retries: 0, nextRetry: NOW + DAY, outcomes: notFound(102).attempts },
+            { num: 103, chunk: 'chunk_a', retries: 0, nextRetry: NOW + DAY, outcomes: notFound(103).attempts },
+        ]);
+        // Already tracked
+        assert.equal(trackGaps(ledger, 'chunk_b', [notFound(103)], NOW, OPTS), 0);
+        // The thread is kept for sources that need it
+        assert.equal(trackGaps(ledger, 'chunk_b', [{ ...notFound(104), thread_num: '101' }], NOW, OPTS), 1);
+        assert.equal(ledger.gaps[2].thread, '101');
+    });
+
+    describe('retryGaps', () => {
+        /** @type {ReturnType<typeof installFakeArchives>} */
+        let fake;
+
+        beforeEach(() => {
+            fake = installFakeArchives();
+            for (const method of /** @type {const} */ (['log', 'warn', 'error'])) {
+                mock.method(console, method, () => { });
+            }
+        });
+
+        afterEach(() => {
+            mock.restoreAll();
+            fake.restore();
+        });
+
+        it('asks every source for due gaps and reschedules the ones still missing', async () => {
+            fake.sites['arch.b4k.dev'].addPosts([makePost(102, 101, { site: 'arch.b4k.dev' })]);
+            fake.sites['archived.moe'].script(endpoint('post'), 403, { error: 'Forbidden' });
+            /** @type {RetryLedger} */
+            const ledger = { gaps: [], recovered: [] };
+            trackGaps(ledger, 'chunk_a', [notFound(102), notFound(103), notFound(104)], NOW - DAY, OPTS);
+            // Not due yet
+            ledger.gaps[2].nextRetry = NOW + 1;
+
+            assert.deepEqual(await retryGaps(ledger, 'mlp', NOW, OPTS), { asked: 2, recovered: 1, dropped: 0 });
+            assert.deepEqual(ledger.recovered, [{ chunk: 'chunk_a', post: archivedPost(102, 101, 'arch.b4k.dev') }]);
+            assert.deepEqual(ledger.gaps.map(g => [g.num, g.retries, g.nextRetry]), [[103, 1, NOW + 2 * DAY], [104, 0, NOW + 1]]);
+            assert.deepEqual(ledger.gaps[0].outcomes, [
+                { source: 'desuarchive.org', outcome: 'not-found' },
+                { source: 'arch.b4k.dev', outcome: 'not-found' },
+                { source: 'archived.moe', outcome: 'captcha' },
+                { source: 'archive.heinessen.com', outcome: 'not-found' },
+            ]);
+        });
+
+        it('gives up on posts after the last retry', async () => {
+            /** @type {RetryLedger} */
+            const ledger = { gaps: [{ num: 102, chunk: 'chunk_a', retries: 2, nextRetry: NOW, outcomes: [] }], recovered: [] };
+            assert.deepEqual(await retryGaps(ledger, 'mlp', NOW, OPTS), { asked: 1, recovered: 0, dropped: 1 });
+            assert.deepEqual(ledger.gaps, []);
+        });
+    });
+
+    describe('splicing', () => {
+        /** @type {string} */
+        let dir;
+
+        beforeEach(async () => {
+            dir = await mkdtemp(join(tmpdir(), 'retry-ledger-test-'));
+            mock.method(console, 'log', () => { });
+        });
+
+        afterEach(async () => {
+            mock.restoreAll();
+            await rm(dir, { recursive: true, force: true });
+        });
+
+        it('replaces exception entries with recovered posts until a yearly archive holds them', async () => {
+            const path = join(dir, 'monthly.ndjson');
+            const entries = [makePost(101, 101), notFound(102), makePost(103, 101), notFound(104)];
+            await writeFile(path, entries.map(e => JSON.stringify(e)).join('\n') + '\n', 'utf-8');
+            /** @type {RetryLedger} */
+            const ledger = {
+                gaps: [],
+                recovered: [
+                    { chunk: 'chunk_a', post: archivedPost(102, 101, 'arch.b4k.dev') },
+                    { chunk: 'chunk_b', post: archivedPost(200, 200, 'arch.b4k.dev') },
+                ],
+            };
+            await saveLedger(getLedgerFile(dir, 'mlp'), ledger);
+
+            assert.equal(await applyRecovered(path, dir, 'mlp', false), 1);
+            const expected = [makePost(101, 101), archivedPost(102, 101, 'arch.b4k.dev'), makePost(103, 101), notFound(104)];
+            assert.deepEqual((await readFile(path, 'utf-8')).split('\n').filter(l => l).map(l => JSON.parse(l)), expected);
+            assert.equal((await loadLedger(getLedgerFile(dir, 'mlp'))).recovered.length, 2);
+
+            // The yearly archive already has the post from the monthly one
+            const { spliced, covered } = await spliceRecovered(path, ledger);
+            assert.deepEqual([spliced.length, covered.length], [0, 1]);
+            assert.equal(await applyRecovered(path, dir, 'mlp', true), 0);
+            assert.deepEqual((await loadLedger(getLedgerFile(dir, 'mlp'))).recovered.map(r => r.post.num), ['200']);
+        });
+    });
+});
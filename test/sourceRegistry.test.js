@@ -0,0 +1,51 @@
+// @ts-check
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getAllSources, getPrimarySource, getSourceConfig, getSources, parseSourceRegistry } = require('../sourceRegistry');
+
+const DEFAULTS = { concurrency: 1, minInterval: 0, retries: 10, searchInterval: 3000, backoffBase: 500, backoffMax: 30000, rateLimitDelay: 16000 };
+
+describe('source registry', () => {
+    it('lists the configured sources by priority', () => {
+        assert.deepEqual(getSources().map(s => s.site), ['desuarchive.org', 'arch.b4k.dev', 'archived.moe', 'archive.heinessen.com']);
+        assert.equal(getPrimarySource(), 'desuarchive.org');
+        assert.deepEqual(getSources('co').map(s => s.site), ['desuarchive.org', 'archived.moe']);
+        const moe = getSourceConfig('archived.moe');
+        assert.equal(moe.baseUrl, 'https://archived.moe');
+        assert.equal(moe.cdp, true);
+        assert.deepEqual(moe.captcha.statuses, [403]);
+        assert.deepEqual(moe.limits, { ...DEFAULTS, minInterval: 2600 });
+        // Disabled sources are not fetched from, but posts tagged with them are still recognized
+        const fourChan = getSourceConfig('4chan.org');
+        assert.equal(fourChan.type, '4chan');
+        assert.equal(fourChan.enabled, false);
+        assert.equal(getAllSources().at(-1)?.site, '4chan.org');
+        assert.throws(() => getSourceConfig('example.org'), /Unknown archive source/);
+    });
+
+    it('fills in defaults and sorts by priority', () => {
+        const sources = parseSourceRegistry({
+            defaults: DEFAULTS,
+            sources: [
+                { site: 'low.example', priority: 1, boards: ['mlp'], baseUrl: 'http://localhost:8080/' },
+                { site: 'high.example', priority: 5, boards: ['mlp', 'co'], limits: { concurrency: 4 } },
+            ],
+        });
+        assert.deepEqual(sources, [
+            { site: 'high.example', type: 'foolfuuka', enabled: true, baseUrl: 'https://high.example', priority: 5, limits: { ...DEFAULTS, concurrency: 4 }, cdp: false, boards: ['mlp', 'co'], captcha: { statuses: [] } },
+            { site: 'low.example', type: 'foolfuuka', enabled: true, baseUrl: 'http://localhost:8080', priority: 1, limits: DEFAULTS, cdp: false, boards: ['mlp'], captcha: { statuses: [] } },
+        ]);
+    });
+
+    it('rejects invalid registries', () => {
+        const source = { site: 'a.example', priority: 1, boards: ['mlp'] };
+        assert.throws(() => parseSourceRegistry({ sources: [] }), /non-empty sources array/);
+        assert.throws(() => parseSourceRegistry({ defaults: DEFAULTS, sources: [source, { ...source, priority: 2 }] }), /listed twice/);
+        assert.throws(() => parseSourceRegistry({ defaults: DEFAULTS, sources: [source, { ...source, site: 'b.example' }] }), /priority 1 is already used/);
+        assert.throws(() => parseSourceRegistry({ defaults: DEFAULTS, sources: [{ ...source, limits: { retry: 3 } }] }), /unknown limit 'retry'/);
+        assert.throws(() => parseSourceRegistry({ sources: [source] }), /no value for limits concurrency/);
+        assert.throws(() => parseSourceRegistry({ defaults: DEFAULTS, sources: [{ ...source, captcha: { statuses: [200] } }] }), /captcha statuses/);
+        assert.throws(() => parseSourceRegistry({ defaults: DEFAULTS, sources: [{ ...source, boards: ['/mlp/'] }] }), /boards must be/);
+        assert.throws(() => parseSourceRegistry({ defaults: DEFAULTS, sources: [{ ...source, type: 'vichan' }] }), /type must be one of/);
+    });
+});
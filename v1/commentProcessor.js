@@ -1,6 +1,7 @@
 // @ts-check
 const { htmlentities } = require("./htmlentities");
 const { parse } = require("./parser");
+const { getSourceConfig } = require("../sourceRegistry");
 
 /*
 public function processComment($process_backlinks_only = false)
@@ -49,12 +50,13 @@ public function processComment($process_backlinks_only = false)
  * Process comment with error handling.
  * 
  * @param {string | null} comment
- * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe' | 'archive.heinessen.com'} site
+ * @param {string} site
+ * @param {string} [board='mlp'] The board the comment was posted on
  * @returns {string}
  */
-function processComment(comment, site) {
+function processComment(comment, site, board = 'mlp') {
     try {
-        return processCommentReal(comment, site);
+        return processCommentReal(comment, site, board);
     } catch (e) {
         console.error('Error processing comment:', e, comment);
         // To trigger unmatched diff
@@ -66,10 +68,11 @@ function processComment(comment, site) {
  * Process comment using the real processing function.
  * 
  * @param {string | null} comment
- * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe' | 'archive.heinessen.com'} site
+ * @param {string} site
+ * @param {string} board
  * @returns {string}
  */
-function processCommentReal(comment, site) {
+function processCommentReal(comment, site, board) {
     if (comment == null) return '';
 
     // $comment = htmlentities($comment, ENT_COMPAT, 'UTF-8', false);
@@ -87,7 +90,7 @@ function processCommentReal(comment, site) {
     });
 
     // $comment = preg_replace_callback('/(&gt;&gt;(\d+(?:,\d+)?))/i', [$this, 'processInternalLinks'], $comment);
-    comment = comment.replace(/(&gt;&gt;(\d+(?:,\d+)?))/gi, getProcessInternalLinks(site));
+    comment = comment.replace(/(&gt;&gt;(\d+(?:,\d+)?))/gi, getProcessInternalLinks(site, board));
 
     // $comment = preg_replace_callback('/(&gt;&gt;&gt;(\/(\w+)\/([\w-]+(?:,\d+)?)?(\/?)))/i', [$this, 'processExternalLinks'], $comment);
     comment = comment.replace(/(&gt;&gt;&gt;(\/(\w+)\/([\w-]+(?:,\d+)?)?(\/?)))/gi, getProcessExternalLinks(site));
@@ -519,19 +522,21 @@ public function processInternalLinks($matches)
 
 /** @typedef {(match: string, fullMatch: string, num: string) => string} ProcessInternalLinksFunc */
 
-/** @type {{ 'desuarchive.org'?: ProcessInternalLinksFunc, 'arch.b4k.dev'?: ProcessInternalLinksFunc, 'archived.moe'?: ProcessInternalLinksFunc, 'archive.heinessen.com'?: ProcessInternalLinksFunc }} */
-const processInternalLinksCache = {};
+/** @type {Map<string, ProcessInternalLinksFunc>} Keyed by `site/board` */
+const processInternalLinksCache = new Map();
 
 /**
  * Process internal link match to clickable link.
  * 
- * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe' | 'archive.heinessen.com'} site - The site to process links for
+ * @param {string} site - The site to process links for
+ * @param {string} board - The board the links point to
  * @returns {ProcessInternalLinksFunc}
  */
-function getProcessInternalLinks(site) {
-    let cached = processInternalLinksCache[site];
+function getProcessInternalLinks(site, board) {
+    let cached = processInternalLinksCache.get(`${site}/${board}`);
     if (!cached) {
-        processInternalLinksCache[site] = cached = getProcessInternalLinksReal(site);
+        cached = getProcessInternalLinksReal(site, board);
+        processInternalLinksCache.set(`${site}/${board}`, cached);
     }
     return cached;
 }
@@ -539,10 +544,11 @@ function getProcessInternalLinks(site) {
 /**
  * Process internal link match to clickable link.
  * 
- * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe' | 'archive.heinessen.com'} site - The site to process links for
+ * @param {string} site - The site to process links for
+ * @param {string} board - The board the links point to
  * @returns {(match: string, fullMatch: string, num: string) => string}
  */
-function getProcessInternalLinksReal(site) {
+function getProcessInternalLinksReal(site, board) {
 
     /**
      * Process internal link match to clickable link.
@@ -555,11 +561,11 @@ function getProcessInternalLinksReal(site) {
     return function processInternalLinks(match, fullMatch, num) {
         num = num.replace(/,/g, '_');
         return '<a' +
-            ` href="https://${site}/mlp/post/${num}/"` +
+            ` href="https://${site}/${board}/post/${num}/"` +
             ' class="backlink"' +
             ' data-function="highlight"' +
             ' data-backlink="true"' +
-            ' data-board="mlp"' +
+            ` data-board="${board}"` +
             ` data-post="${num}">` +
             match +
             '</a>';
@@ -616,13 +622,13 @@ public function processExternalLinks($matches)
 
 /** @typedef {(match: string, fullMatch: string, link: string, shortname: string, query: string) => string} ProcessExternalLinksFunc */
 
-/** @type {{ 'desuarchive.org'?: ProcessExternalLinksFunc, 'arch.b4k.dev'?: ProcessExternalLinksFunc, 'archived.moe'?: ProcessExternalLinksFunc, 'archive.heinessen.com'?: ProcessExternalLinksFunc }} */
+/** @type {Record<string, ProcessExternalLinksFunc>} */
 const processExternalLinksCache = {};
 
 /**
  * Process external link match to clickable link.
  * 
- * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe' | 'archive.heinessen.com'} site - The site to process links for
+ * @param {string} site - The site to process links for
  * @returns {ProcessExternalLinksFunc}
  */
 function getProcessExternalLinks(site) {
@@ -636,34 +642,12 @@ function getProcessExternalLinks(site) {
 /**
  * Process external link match to clickable link.
  * 
- * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe' | 'archive.heinessen.com'} site - The site to process links for
+ * @param {string} site - The site to process links for
  * @returns {(match: string, fullMatch: string, link: string, shortname: string, query: string) => string}
  */
 function getProcessExternalLinksReal(site) {
-    const BOARDS = site === 'desuarchive.org'
-        ? new Set([
-            'a', 'aco', 'an', 'c', 'cgl', 'co', 'd', 'fit', 'g', 'his', 'int', 'k', 'm', 'mlp', 'mu',
-            'q', 'qa', 'r9k', 'tg', 'trash', 'vr', 'wsg', 'desu', 'meta'
-        ])
-        : site === 'arch.b4k.dev'
-            ? new Set([
-                'g', 'mlp', 'qb', 'v', 'vg', 'vm', 'vmg', 'vp', 'vrpg', 'vst', 'meta',
-            ])
-            : site === 'archived.moe'
-                ? new Set([
-                    '3', 'a', 'aco', 'adv', 'an', 'asp', 'b', 'bant', 'biz', 'c', 'can', 'cgl', 'ck', 'cm',
-                    'co', 'cock', 'con', 'd', 'diy', 'e', 'f', 'fa', 'fap', 'fit', 'fitlit', 'g', 'gd', 'gif',
-                    'h', 'hc', 'his', 'hm', 'hr', 'i', 'ic', 'int', 'jp', 'k', 'lgbt', 'lit', 'm', 'mlp', 'mlpol',
-                    'mo', 'mtv', 'mu', 'n', 'news', 'o', 'out', 'outsoc', 'p', 'po', 'pol', 'pw', 'q', 'qa', 'qb',
-                    'qst', 'r', 'r9k', 's', 's4s', 'sci', 'soc', 'sp', 'spa', 't', 'tg', 'toy', 'trash', 'trv', 'tv',
-                    'u', 'v', 'vg', 'vint', 'vip', 'vm', 'vmg', 'vp', 'vr', 'vrpg', 'vst', 'vt', 'w', 'wg', 'wsg',
-                    'wsr', 'x', 'xs', 'y', 'de', 'rp', 'talk'
-                ])
-                : site === 'archive.heinessen.com'
-                    ? new Set([
-                        'an', 'fit', 'k', 'mlp', 'r9k', 'toy', 'x'
-                    ])
-                    : (() => { throw new Error('Unknown site') })();
+    // Boards the site archives, links to them stay on the site
+    const BOARDS = new Set(getSourceConfig(site).boards);
 
     /**
      * Process external link match to clickable link.
@@ -2,21 +2,22 @@
 
 /** @typedef {(str: string) => string} DeDBfyFunc */
 
-/** @type {{ 'desuarchive.org'?: DeDBfyFunc, 'arch.b4k.dev'?: DeDBfyFunc, 'archived.moe'?: DeDBfyFunc }} */
-const deDBfyCache = {};
+/** @type {Map<string, DeDBfyFunc>} */
+const deDBfyCache = new Map();
 
 /**
  * Since our parser doesn't have access to desuarchive's database, we cant look up what posts
  * belong to what threads. So we replace all thread backlinks with post backlinks for comparison.
  * 
  * @param {string} str The string to de-DBfy.
- * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe'} site The site to de-DBfy for.
+ * @param {string} site The site to de-DBfy for.
  * @returns {string} The de-DBfied string.
  */
 function deDBfy(str, site) {
-    let siteDeDBfy = deDBfyCache[site];
+    let siteDeDBfy = deDBfyCache.get(site);
     if (!siteDeDBfy) {
-        deDBfyCache[site] = siteDeDBfy = getDeDBfy(site);
+        siteDeDBfy = getDeDBfy(site);
+        deDBfyCache.set(site, siteDeDBfy);
     }
     return siteDeDBfy(str);
 }
@@ -24,17 +25,17 @@ function deDBfy(str, site) {
 /**
  * Create a function to de-DBfy backlinks in a string.
  * 
- * @param {'desuarchive.org' | 'arch.b4k.dev' | 'archived.moe'} site The site to de-DBfy for.
+ * @param {string} site The site to de-DBfy for.
  * @returns {DeDBfyFunc} The de-DBfy function.
  */
 function getDeDBfy(site) {
     const DE_DBFY_REX = new RegExp(
         '<a href="https:\\/\\/'
-        + (site === 'desuarchive.org' ? 'desuarchive\\.org' : (site === 'arch.b4k.dev' ? 'arch\\.b4k\\.dev' : 'archived\\.moe'))
+        + site.replace(/\./g, '\\.')
         + '\\/([a-z\\d]+)\\/thread\\/\\d+\\/#(\\d+(?:_\\d+)?)" class="backlink(?: op)?" data-function="highlight" data-backlink="true" data-board="\\1" data-post="\\2">', 'g');
 
     const REPLACE_STR = '<a href="https://'
-        + (site === 'desuarchive.org' ? 'desuarchive.org' : (site === 'arch.b4k.dev' ? 'arch.b4k.dev' : 'archived.moe'))
+        + site
         + '/$1/post/$2/" class="backlink" data-function="highlight" data-backlink="true" data-board="$1" data-post="$2">';
 
     return function deDBfy(str) {
@@ -632,6 +632,26 @@ function replaceFnNoDouble(match, i, str) {
     return HTML_ENTITIES[match] || match;
 }
 
+/** @type {Record<string, string>} */
+const DECODE_HTML_ENTITIES = Object.fromEntries(Object.entries(HTML_ENTITIES).map(([k, v]) => [v, k]));
+
+/**
+ * Emulates PHP's html_entity_decode function
+ * 
+ * @param {string} str Input string
+ * @returns {string} Decoded string
+ */
+function htmlEntityDecode(str) {
+    return str.replace(/&(?:#(\d+)|#x([0-9a-f]+)|[a-z][a-z\d]*);/gi, (match, dec, hex) => {
+        if (dec !== undefined || hex !== undefined) {
+            const codePoint = dec !== undefined ? parseInt(dec, 10) : parseInt(hex, 16);
+            return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+        }
+        return DECODE_HTML_ENTITIES[match] || match;
+    });
+}
+
 module.exports = {
-    htmlentities
+    htmlentities,
+    htmlEntityDecode,
 };
\ No newline at end of file